@@ -0,0 +1,163 @@
+/**
+ * 调整面板类
+ * 提供背景图片的预设滤镜和各项调整滑块，拖动时实时预览，松开后记录历史
+ */
+
+class AdjustmentPanel {
+    /**
+     * 构造函数
+     * @param {ImageEditor} editor 编辑器实例
+     */
+    constructor(editor) {
+        this.editor = editor;
+        this.elements = {};
+
+        // 调整参数与对应的滑块
+        this.sliders = {};
+
+        this.sync = this.sync.bind(this);
+
+        this.initialize();
+    }
+
+    /**
+     * 初始化面板
+     */
+    initialize() {
+        this.getElements();
+        this.populateControls();
+        this.bindEvents();
+
+        this.editor.on('statechange', this.sync);
+
+        this.sync();
+    }
+
+    /**
+     * 获取DOM元素引用
+     */
+    getElements() {
+        this.elements = {
+            presets: document.getElementById('adjustPresets'),
+            controls: document.getElementById('adjustControls')
+        };
+    }
+
+    /**
+     * 生成预设按钮和调整滑块
+     */
+    populateControls() {
+        const { presets, controls } = this.elements;
+
+        ImageAdjustments.PRESETS.forEach(preset => {
+            const btn = document.createElement('button');
+            btn.className = 'adjust-preset-btn';
+            btn.dataset.preset = preset.id;
+            btn.textContent = preset.name;
+            presets.appendChild(btn);
+        });
+
+        ImageAdjustments.PARAMETERS.forEach(param => {
+            const row = document.createElement('label');
+            row.className = 'property-row';
+
+            const name = document.createElement('span');
+            name.textContent = param.label;
+
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = param.min;
+            slider.max = param.max;
+            slider.step = 1;
+            slider.value = 0;
+            slider.dataset.key = param.key;
+
+            row.appendChild(name);
+            row.appendChild(slider);
+            controls.appendChild(row);
+
+            this.sliders[param.key] = slider;
+        });
+    }
+
+    /**
+     * 绑定事件处理器
+     */
+    bindEvents() {
+        const { presets, controls } = this.elements;
+
+        // 预设按钮（事件委托）
+        presets.addEventListener('click', (e) => {
+            const btn = e.target.closest('.adjust-preset-btn');
+            if (!btn) return;
+
+            const preset = ImageAdjustments.PRESETS.find(p => p.id === btn.dataset.preset);
+            if (!preset || ImageAdjustments.equals(preset.adjustments, this.editor.adjustments)) return;
+
+            this.editor.setAdjustments(preset.adjustments, true, `滤镜 ${preset.name}`);
+        });
+
+        // 滑块：拖动时实时预览，松开时记录历史
+        controls.addEventListener('input', (e) => {
+            if (!e.target.dataset.key) return;
+            this.editor.setAdjustments(this.getSliderValues(), false);
+        });
+
+        controls.addEventListener('change', (e) => {
+            const param = ImageAdjustments.PARAMETERS.find(p => p.key === e.target.dataset.key);
+            if (!param) return;
+
+            this.editor.setAdjustments(this.getSliderValues(), true, `调整${param.label}`);
+        });
+
+        // 双击滑块恢复为 0
+        controls.addEventListener('dblclick', (e) => {
+            const param = ImageAdjustments.PARAMETERS.find(p => p.key === e.target.dataset.key);
+            if (!param || this.editor.adjustments[param.key] === 0) return;
+
+            e.target.value = 0;
+            this.editor.setAdjustments(this.getSliderValues(), true, `还原${param.label}`);
+        });
+    }
+
+    /**
+     * 读取所有滑块的值
+     * @returns {Object} 调整参数
+     */
+    getSliderValues() {
+        const adjustments = {};
+        Object.keys(this.sliders).forEach(key => {
+            adjustments[key] = parseFloat(this.sliders[key].value);
+        });
+        return adjustments;
+    }
+
+    /**
+     * 按编辑器的调整参数同步滑块和预设按钮
+     */
+    sync() {
+        if (!this.editor) return;
+
+        const adjustments = this.editor.adjustments;
+        const hasImage = !!this.editor.originalImage;
+        const preset = ImageAdjustments.findPreset(adjustments);
+
+        Object.keys(this.sliders).forEach(key => {
+            this.sliders[key].value = adjustments[key];
+            this.sliders[key].disabled = !hasImage;
+        });
+
+        this.elements.presets.querySelectorAll('.adjust-preset-btn').forEach(btn => {
+            btn.disabled = !hasImage;
+            btn.classList.toggle('active', !!preset && btn.dataset.preset === preset.id);
+        });
+    }
+
+    /**
+     * 销毁面板
+     */
+    destroy() {
+        this.editor.off('statechange', this.sync);
+        this.editor = null;
+    }
+}
@@ -0,0 +1,263 @@
+/**
+ * 对齐工具类
+ * 按贴纸旋转后的包围盒计算对齐、等距分布的偏移，以及拖动时的吸附位置和参考线。
+ * 吸附目标包括画布的边和中线、其他贴纸的边和中线，以及与相邻贴纸间距相等的位置
+ */
+
+class Alignment {
+    /**
+     * 获取贴纸旋转后的包围盒
+     * @param {Sticker} sticker 贴纸对象
+     * @returns {Object} {x, y, width, height}
+     */
+    static getBox(sticker) {
+        return new SelectionGroup([sticker]).getBounds();
+    }
+
+    /**
+     * 获取包围盒在某个方向上的范围
+     * @param {Object} box 包围盒
+     * @param {string} axis 'x' 或 'y'
+     * @returns {number[]} [起点, 终点]
+     */
+    static getRange(box, axis) {
+        return axis === 'x' ? [box.x, box.x + box.width] : [box.y, box.y + box.height];
+    }
+
+    /**
+     * 获取包围盒在某个方向上的三条对齐线（起点、中线、终点）
+     * @param {Object} box 包围盒
+     * @param {string} axis 'x' 或 'y'
+     * @returns {number[]}
+     */
+    static getLines(box, axis) {
+        const [start, end] = Alignment.getRange(box, axis);
+        return [start, (start + end) / 2, end];
+    }
+
+    /**
+     * 生成只在一个方向上有值的偏移
+     * @param {string} axis 'x' 或 'y'
+     * @param {number} value 偏移量
+     * @returns {Object} {x, y}
+     */
+    static getOffset(axis, value) {
+        return axis === 'x' ? { x: value, y: 0 } : { x: 0, y: value };
+    }
+
+    /**
+     * 计算对齐偏移：各包围盒的指定边（或中线）移到参考范围的同一位置
+     * @param {Object[]} boxes 包围盒数组
+     * @param {string} edge 'left'、'center'、'right'、'top'、'middle' 或 'bottom'
+     * @param {Object} reference 参考范围（选择范围或画布）
+     * @returns {Object[]} 与 boxes 对应的偏移 {x, y}
+     */
+    static getAlignOffsets(boxes, edge, reference) {
+        const { axis, ratio } = Alignment.EDGES[edge];
+        const [start, end] = Alignment.getRange(reference, axis);
+        const target = start + (end - start) * ratio;
+
+        return boxes.map(box => {
+            const [boxStart, boxEnd] = Alignment.getRange(box, axis);
+            return Alignment.getOffset(axis, target - (boxStart + (boxEnd - boxStart) * ratio));
+        });
+    }
+
+    /**
+     * 计算等距分布偏移：首尾保持不动，中间的包围盒按位置顺序排列，相邻间距相等
+     * @param {Object[]} boxes 包围盒数组（至少三个才有意义）
+     * @param {string} axis 'x' 为水平分布，'y' 为垂直分布
+     * @returns {Object[]} 与 boxes 对应的偏移 {x, y}
+     */
+    static getDistributeOffsets(boxes, axis) {
+        const items = boxes
+            .map((box, index) => ({ index, range: Alignment.getRange(box, axis) }))
+            .sort((a, b) => (a.range[0] + a.range[1]) - (b.range[0] + b.range[1]));
+
+        const first = items[0].range[0];
+        const last = items[items.length - 1].range[1];
+        const total = items.reduce((sum, item) => sum + item.range[1] - item.range[0], 0);
+        const gap = (last - first - total) / Math.max(1, items.length - 1);
+
+        const offsets = boxes.map(() => ({ x: 0, y: 0 }));
+        let position = first;
+
+        items.forEach(item => {
+            offsets[item.index] = Alignment.getOffset(axis, position - item.range[0]);
+            position += item.range[1] - item.range[0] + gap;
+        });
+
+        return offsets;
+    }
+
+    /**
+     * 计算拖动时的吸附
+     * @param {Object} box 被拖动内容的包围盒（按指针位置移动后）
+     * @param {Object[]} targets 其他贴纸的包围盒
+     * @param {Object} area 画布范围
+     * @param {number} threshold 吸附距离（画布坐标）
+     * @returns {Object} {x, y, guides}：需要追加的偏移和吸附后要显示的参考线
+     */
+    static snap(box, targets, area, threshold) {
+        const x = Alignment.getSnapOffset(box, targets, area, threshold, 'x');
+        const y = Alignment.getSnapOffset(box, targets, area, threshold, 'y');
+        const snapped = { ...box, x: box.x + x, y: box.y + y };
+
+        return { x, y, guides: Alignment.getGuides(snapped, targets, area) };
+    }
+
+    /**
+     * 计算一个方向上距离最近的吸附偏移，超出吸附距离时为 0
+     * @param {Object} box 包围盒
+     * @param {Object[]} targets 其他贴纸的包围盒
+     * @param {Object} area 画布范围
+     * @param {number} threshold 吸附距离
+     * @param {string} axis 'x' 或 'y'
+     * @returns {number}
+     */
+    static getSnapOffset(box, targets, area, threshold, axis) {
+        const anchors = Alignment.getLines(box, axis);
+        let best = null;
+
+        const consider = offset => {
+            if (Math.abs(offset) <= threshold && (best === null || Math.abs(offset) < Math.abs(best))) {
+                best = offset;
+            }
+        };
+
+        [area, ...targets].forEach(target => {
+            Alignment.getLines(target, axis).forEach(line => {
+                anchors.forEach(anchor => consider(line - anchor));
+            });
+        });
+
+        Alignment.getSpacings(box, targets, axis).forEach(spacing => consider(spacing.start - anchors[0]));
+
+        return best === null ? 0 : best;
+    }
+
+    /**
+     * 获取等间距位置
+     * 与包围盒在另一方向上有重叠的贴纸按位置排序，相邻两个之间的间距可以在它们之后、之前或正中重复
+     * @param {Object} box 包围盒
+     * @param {Object[]} targets 其他贴纸的包围盒
+     * @param {string} axis 'x' 或 'y'
+     * @returns {Object[]} {start, gaps}：包围盒起点应在的位置，以及相等的各段间距 [起点, 终点, 另一方向的位置]
+     */
+    static getSpacings(box, targets, axis) {
+        const cross = axis === 'x' ? 'y' : 'x';
+        const [boxStart, boxEnd] = Alignment.getRange(box, axis);
+        const size = boxEnd - boxStart;
+        const self = { cross: Alignment.getRange(box, cross) };
+
+        const row = targets
+            .map(target => ({ range: Alignment.getRange(target, axis), cross: Alignment.getRange(target, cross) }))
+            .filter(item => item.cross[0] < self.cross[1] && item.cross[1] > self.cross[0])
+            .sort((a, b) => a.range[0] - b.range[0]);
+
+        // 两个包围盒之间的一段间距，画在两者在另一方向上重叠部分的中间
+        const gapBetween = (a, b, from, to) => {
+            const overlapStart = Math.max(a.cross[0], b.cross[0]);
+            const overlapEnd = Math.min(a.cross[1], b.cross[1]);
+            return [from, to, (overlapStart + overlapEnd) / 2];
+        };
+
+        const spacings = [];
+        for (let i = 1; i < row.length; i++) {
+            const a = row[i - 1];
+            const b = row[i];
+            const gap = b.range[0] - a.range[1];
+            if (gap <= 0) continue;
+
+            const between = gapBetween(a, b, a.range[1], b.range[0]);
+            const after = b.range[1] + gap;
+            const before = a.range[0] - gap - size;
+            const inner = (gap - size) / 2;
+
+            spacings.push({ start: after, gaps: [between, gapBetween(b, self, b.range[1], after)] });
+            spacings.push({ start: before, gaps: [gapBetween(self, a, before + size, a.range[0]), between] });
+
+            if (inner > 0) {
+                spacings.push({
+                    start: a.range[1] + inner,
+                    gaps: [gapBetween(a, self, a.range[1], a.range[1] + inner), gapBetween(self, b, b.range[0] - inner, b.range[0])]
+                });
+            }
+        }
+
+        return spacings;
+    }
+
+    /**
+     * 获取包围盒当前对齐到的参考线
+     * @param {Object} box 包围盒
+     * @param {Object[]} targets 其他贴纸的包围盒
+     * @param {Object} area 画布范围
+     * @returns {Object[]} 参考线 {x1, y1, x2, y2, type}，type 为 'line'（对齐线）或 'gap'（等间距）
+     */
+    static getGuides(box, targets, area) {
+        const guides = [];
+        const matches = (a, b) => Math.abs(a - b) < Alignment.EPSILON;
+
+        ['x', 'y'].forEach(axis => {
+            const cross = axis === 'x' ? 'y' : 'x';
+            const anchors = Alignment.getLines(box, axis);
+            const [boxCrossStart, boxCrossEnd] = Alignment.getRange(box, cross);
+
+            // 对齐线贯穿被拖动内容和对齐目标
+            [area, ...targets].forEach(target => {
+                const [crossStart, crossEnd] = Alignment.getRange(target, cross);
+
+                Alignment.getLines(target, axis).forEach(line => {
+                    if (anchors.some(anchor => matches(anchor, line))) {
+                        guides.push(Alignment.getSegment(axis, line, Math.min(boxCrossStart, crossStart), Math.max(boxCrossEnd, crossEnd), 'line'));
+                    }
+                });
+            });
+
+            Alignment.getSpacings(box, targets, axis)
+                .filter(spacing => matches(spacing.start, anchors[0]))
+                .forEach(spacing => {
+                    spacing.gaps.forEach(([from, to, position]) => {
+                        guides.push(Alignment.getSegment(cross, position, from, to, 'gap'));
+                    });
+                });
+        });
+
+        return guides;
+    }
+
+    /**
+     * 生成与某个方向垂直的线段
+     * @param {string} axis 线段位置所在的方向：'x' 为竖线，'y' 为横线
+     * @param {number} position 线段所在位置
+     * @param {number} from 线段起点（另一方向）
+     * @param {number} to 线段终点（另一方向）
+     * @param {string} type 参考线类型
+     * @returns {Object} {x1, y1, x2, y2, type}
+     */
+    static getSegment(axis, position, from, to, type) {
+        return axis === 'x'
+            ? { x1: position, y1: from, x2: position, y2: to, type }
+            : { x1: from, y1: position, x2: to, y2: position, type };
+    }
+}
+
+// 对齐方式：方向和边在范围中的位置（0 为起点，0.5 为中线，1 为终点）
+Alignment.EDGES = {
+    left: { axis: 'x', ratio: 0 },
+    center: { axis: 'x', ratio: 0.5 },
+    right: { axis: 'x', ratio: 1 },
+    top: { axis: 'y', ratio: 0 },
+    middle: { axis: 'y', ratio: 0.5 },
+    bottom: { axis: 'y', ratio: 1 }
+};
+
+// 吸附距离（屏幕像素）
+Alignment.SNAP_DISTANCE = 6;
+
+// 判断已对齐的误差（画布像素）
+Alignment.EPSILON = 0.5;
+
+// 参考线颜色
+Alignment.GUIDE_COLOR = '#FF00FF';
@@ -0,0 +1,867 @@
+/**
+ * 动画图片类
+ * 把 GIF、APNG 和动画 WebP 解码为按时间播放的帧序列。每一帧都是按格式的处置和混合方式
+ * 合成好的整幅画面，播放时只需按时间取帧。
+ * 动画贴纸仍是普通的图片贴纸：图片对象显示第一帧，image.animation 保存帧序列
+ * {frames: [{canvas, delay, start}], duration, loopCount, width, height}，
+ * loopCount 为播放次数，0 表示无限循环
+ */
+
+class AnimatedImage {
+    /**
+     * 加载图片文件，是动画时附带帧序列
+     * 动画无法解码（数据损坏、帧数过多等）时退回只显示第一帧的静态图片
+     * @param {Blob} file 图片文件
+     * @returns {Promise<HTMLImageElement>} 图片（动画的 image.animation 为帧序列）
+     */
+    static async load(file) {
+        const image = await Utils.loadImageFile(file);
+
+        try {
+            const animation = await AnimatedImage.decode(file);
+            if (animation && animation.frames.length > 1) {
+                image.animation = animation;
+            }
+        } catch (error) {
+            console.warn('动画解码失败，只显示第一帧:', error);
+        }
+
+        return image;
+    }
+
+    /**
+     * 解码动画
+     * @param {Blob} file 图片文件
+     * @returns {Promise<Object|null>} 帧序列；不是动画时为 null
+     */
+    static async decode(file) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+
+        switch (AnimatedImage.detectFormat(bytes)) {
+            case 'gif':
+                return AnimatedImage.decodeGif(bytes);
+            case 'apng':
+                return AnimatedImage.decodeApng(bytes);
+            case 'webp':
+                return AnimatedImage.decodeWebp(bytes);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * 按文件内容识别动画格式
+     * @param {Uint8Array} bytes 文件内容
+     * @returns {string|null} 'gif'、'apng'、'webp'；不是动画格式时为 null
+     */
+    static detectFormat(bytes) {
+        const text = (offset, length) => AnimatedImage.readString(bytes, offset, length);
+
+        if (text(0, 4) === 'GIF8') {
+            return 'gif';
+        }
+
+        // APNG 的 acTL 必须在第一个 IDAT 之前
+        if (bytes.length > 8 && AnimatedImage.PNG_SIGNATURE.every((byte, i) => bytes[i] === byte)) {
+            for (const chunk of AnimatedImage.readPngChunks(bytes)) {
+                if (chunk.type === 'acTL') return 'apng';
+                if (chunk.type === 'IDAT') return null;
+            }
+            return null;
+        }
+
+        // 动画 WebP 使用扩展格式，VP8X 中带有动画标志
+        if (text(0, 4) === 'RIFF' && text(8, 4) === 'WEBP' && text(12, 4) === 'VP8X') {
+            return (bytes[20] & 0x02) ? 'webp' : null;
+        }
+
+        return null;
+    }
+
+    /**
+     * 解码 GIF 动画
+     * @param {Uint8Array} bytes 文件内容
+     * @returns {Object} 帧序列
+     */
+    static decodeGif(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const width = view.getUint16(6, true);
+        const height = view.getUint16(8, true);
+        AnimatedImage.checkSize(width, height, 1);
+
+        let pos = 13;
+        let globalPalette = null;
+        if (bytes[10] & 0x80) {
+            const size = 3 * (1 << ((bytes[10] & 0x07) + 1));
+            globalPalette = bytes.subarray(pos, pos + size);
+            pos += size;
+        }
+
+        const pixels = new Uint8ClampedArray(width * height * 4);
+        const frames = [];
+        let loopCount = 1;
+        let control = null;
+        let previous = null;
+
+        while (pos < bytes.length) {
+            const block = bytes[pos++];
+
+            if (block === 0x3B) break;
+
+            if (block === 0x21) {
+                const label = bytes[pos++];
+
+                if (label === 0xF9 && bytes[pos] >= 4) {
+                    // 图形控制扩展：处置方式、延迟（1/100 秒）和透明色
+                    const flags = bytes[pos + 1];
+                    control = {
+                        disposal: (flags >> 2) & 0x07,
+                        delay: view.getUint16(pos + 2, true) * 10,
+                        transparent: (flags & 0x01) ? bytes[pos + 4] : -1
+                    };
+                } else if (label === 0xFF && bytes[pos] === 11 && AnimatedImage.readString(bytes, pos + 1, 11) === 'NETSCAPE2.0') {
+                    // 循环扩展中记录的是重复次数，0 为无限循环
+                    const sub = pos + 12;
+                    if (bytes[sub] >= 3 && bytes[sub + 1] === 1) {
+                        const repeat = view.getUint16(sub + 2, true);
+                        loopCount = repeat === 0 ? 0 : repeat + 1;
+                    }
+                }
+
+                pos = AnimatedImage.readSubBlocks(bytes, pos).end;
+                continue;
+            }
+
+            if (block !== 0x2C) {
+                throw new Error('GIF 数据无效');
+            }
+
+            const rect = {
+                x: view.getUint16(pos, true),
+                y: view.getUint16(pos + 2, true),
+                width: view.getUint16(pos + 4, true),
+                height: view.getUint16(pos + 6, true)
+            };
+            const flags = bytes[pos + 8];
+            pos += 9;
+
+            let palette = globalPalette;
+            if (flags & 0x80) {
+                const size = 3 * (1 << ((flags & 0x07) + 1));
+                palette = bytes.subarray(pos, pos + size);
+                pos += size;
+            }
+
+            const minCodeSize = bytes[pos++];
+            const { data, end } = AnimatedImage.readSubBlocks(bytes, pos);
+            pos = end;
+
+            AnimatedImage.checkSize(width, height, frames.length + 1);
+
+            // 先按上一帧的处置方式处理画面
+            if (previous) {
+                if (previous.disposal === 2) {
+                    AnimatedImage.clearPixels(pixels, width, height, previous.rect);
+                } else if (previous.disposal === 3 && previous.snapshot) {
+                    pixels.set(previous.snapshot);
+                }
+            }
+
+            const frameControl = control || { disposal: 0, delay: 0, transparent: -1 };
+            const snapshot = frameControl.disposal === 3 ? pixels.slice() : null;
+
+            const indices = AnimatedImage.lzwDecode(data, minCodeSize, rect.width * rect.height);
+            AnimatedImage.drawGifPixels(pixels, width, height, rect, indices, palette, frameControl.transparent, !!(flags & 0x40));
+
+            frames.push({
+                canvas: AnimatedImage.createFrameCanvas(pixels, width, height),
+                delay: frameControl.delay
+            });
+
+            previous = { disposal: frameControl.disposal, rect, snapshot };
+            control = null;
+        }
+
+        return AnimatedImage.createAnimation(frames, loopCount, width, height);
+    }
+
+    /**
+     * 读取 GIF 的数据子块
+     * @param {Uint8Array} bytes 文件内容
+     * @param {number} pos 第一个子块的位置
+     * @returns {Object} {data: 拼接后的数据, end: 结束符之后的位置}
+     */
+    static readSubBlocks(bytes, pos) {
+        const parts = [];
+        let length = 0;
+
+        while (pos < bytes.length && bytes[pos] !== 0) {
+            const size = bytes[pos];
+            parts.push(bytes.subarray(pos + 1, pos + 1 + size));
+            length += size;
+            pos += size + 1;
+        }
+
+        const data = new Uint8Array(length);
+        let offset = 0;
+        parts.forEach(part => {
+            data.set(part, offset);
+            offset += part.length;
+        });
+
+        return { data, end: pos + 1 };
+    }
+
+    /**
+     * LZW 解码 GIF 图像数据
+     * @param {Uint8Array} data 压缩数据
+     * @param {number} minCodeSize 最小编码长度
+     * @param {number} pixelCount 像素数
+     * @returns {Uint8Array} 颜色索引（数据不足时其余为 0）
+     */
+    static lzwDecode(data, minCodeSize, pixelCount) {
+        const output = new Uint8Array(pixelCount);
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const prefix = new Uint16Array(4096);
+        const suffix = new Uint8Array(4096);
+        const stack = new Uint8Array(4097);
+
+        for (let i = 0; i < clearCode; i++) {
+            suffix[i] = i;
+        }
+
+        let codeSize = minCodeSize + 1;
+        let codeMask = (1 << codeSize) - 1;
+        let nextCode = endCode + 1;
+        let oldCode = -1;
+        let first = 0;
+        let datum = 0;
+        let bits = 0;
+        let pos = 0;
+        let out = 0;
+
+        while (out < pixelCount) {
+            while (bits < codeSize) {
+                if (pos >= data.length) return output;
+                datum |= data[pos++] << bits;
+                bits += 8;
+            }
+
+            let code = datum & codeMask;
+            datum >>= codeSize;
+            bits -= codeSize;
+
+            if (code === clearCode) {
+                codeSize = minCodeSize + 1;
+                codeMask = (1 << codeSize) - 1;
+                nextCode = endCode + 1;
+                oldCode = -1;
+                continue;
+            }
+
+            if (code === endCode || code > nextCode) break;
+
+            if (oldCode === -1) {
+                if (code >= clearCode) break;
+                output[out++] = suffix[code];
+                oldCode = code;
+                first = code;
+                continue;
+            }
+
+            const inCode = code;
+            let top = 0;
+
+            if (code === nextCode) {
+                stack[top++] = first;
+                code = oldCode;
+            }
+
+            while (code > endCode) {
+                stack[top++] = suffix[code];
+                code = prefix[code];
+            }
+
+            first = suffix[code];
+            stack[top++] = first;
+
+            if (nextCode < 4096) {
+                prefix[nextCode] = oldCode;
+                suffix[nextCode] = first;
+                nextCode++;
+
+                if (nextCode === codeMask + 1 && codeSize < 12) {
+                    codeSize++;
+                    codeMask = (1 << codeSize) - 1;
+                }
+            }
+
+            oldCode = inCode;
+
+            while (top > 0 && out < pixelCount) {
+                output[out++] = stack[--top];
+            }
+        }
+
+        return output;
+    }
+
+    /**
+     * 把 GIF 帧的颜色索引画到画面上（跳过透明色，超出画面的部分忽略）
+     * @param {Uint8ClampedArray} pixels 画面的 RGBA 像素
+     * @param {number} width 画面宽度
+     * @param {number} height 画面高度
+     * @param {Object} rect 帧的位置和尺寸
+     * @param {Uint8Array} indices 颜色索引
+     * @param {Uint8Array|null} palette 颜色表
+     * @param {number} transparent 透明色索引，-1 为没有
+     * @param {boolean} interlaced 是否隔行存储
+     */
+    static drawGifPixels(pixels, width, height, rect, indices, palette, transparent, interlaced) {
+        if (!palette) return;
+
+        const rows = interlaced ? AnimatedImage.getInterlacedRows(rect.height) : null;
+
+        for (let row = 0; row < rect.height; row++) {
+            const y = rect.y + (rows ? rows[row] : row);
+            if (y >= height) continue;
+
+            for (let col = 0; col < rect.width; col++) {
+                const x = rect.x + col;
+                const index = indices[row * rect.width + col];
+                if (x >= width || index === transparent || index * 3 >= palette.length) continue;
+
+                const offset = (y * width + x) * 4;
+                pixels[offset] = palette[index * 3];
+                pixels[offset + 1] = palette[index * 3 + 1];
+                pixels[offset + 2] = palette[index * 3 + 2];
+                pixels[offset + 3] = 255;
+            }
+        }
+    }
+
+    /**
+     * 隔行存储时每个存储行对应的实际行号
+     * @param {number} height 帧高度
+     * @returns {number[]}
+     */
+    static getInterlacedRows(height) {
+        const rows = [];
+        [[0, 8], [4, 8], [2, 4], [1, 2]].forEach(([start, step]) => {
+            for (let y = start; y < height; y += step) {
+                rows.push(y);
+            }
+        });
+        return rows;
+    }
+
+    /**
+     * 把画面的矩形区域清为透明
+     * @param {Uint8ClampedArray} pixels 画面的 RGBA 像素
+     * @param {number} width 画面宽度
+     * @param {number} height 画面高度
+     * @param {Object} rect 区域
+     */
+    static clearPixels(pixels, width, height, rect) {
+        const right = Math.min(width, rect.x + rect.width);
+        const bottom = Math.min(height, rect.y + rect.height);
+
+        for (let y = rect.y; y < bottom; y++) {
+            pixels.fill(0, (y * width + rect.x) * 4, (y * width + right) * 4);
+        }
+    }
+
+    /**
+     * 解码 APNG 动画：每一帧的数据拼成独立的 PNG 由浏览器解码，再按处置和混合方式合成
+     * @param {Uint8Array} bytes 文件内容
+     * @returns {Promise<Object>} 帧序列
+     */
+    static async decodeApng(bytes) {
+        const chunks = AnimatedImage.readPngChunks(bytes);
+        const header = chunks.find(chunk => chunk.type === 'IHDR');
+        const control = chunks.find(chunk => chunk.type === 'acTL');
+        if (!header || !control) {
+            throw new Error('APNG 数据无效');
+        }
+
+        const read32 = (data, offset) => new DataView(data.buffer, data.byteOffset + offset, 4).getUint32(0);
+        const read16 = (data, offset) => (data[offset] << 8) | data[offset + 1];
+        const width = read32(header.data, 0);
+        const height = read32(header.data, 4);
+        const loopCount = read32(control.data, 4);
+
+        // 调色板、透明度和色彩空间等辅助块，每一帧的 PNG 中都需要
+        const shared = [];
+        const parts = [];
+        let current = null;
+        let seenImageData = false;
+
+        chunks.forEach(chunk => {
+            if (chunk.type === 'fcTL') {
+                const data = chunk.data;
+                current = {
+                    width: read32(data, 4),
+                    height: read32(data, 8),
+                    x: read32(data, 12),
+                    y: read32(data, 16),
+                    delay: read16(data, 20) / (read16(data, 22) || 100) * 1000,
+                    dispose: data[24],
+                    blend: data[25],
+                    data: []
+                };
+                parts.push(current);
+            } else if (chunk.type === 'IDAT') {
+                // fcTL 在 IDAT 之前时默认图像是第一帧，否则默认图像不参与动画
+                seenImageData = true;
+                if (current) current.data.push(chunk.data);
+            } else if (chunk.type === 'fdAT') {
+                if (current) current.data.push(chunk.data.subarray(4));
+            } else if (!seenImageData && !['IHDR', 'acTL', 'IEND'].includes(chunk.type)) {
+                shared.push(chunk);
+            }
+        });
+
+        AnimatedImage.checkSize(width, height, parts.length);
+
+        const canvas = AnimatedImage.createCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+        const frames = [];
+
+        for (const [index, part] of parts.entries()) {
+            const png = AnimatedImage.createPng(header.data, part.width, part.height, shared, part.data);
+            const image = await Utils.loadImageFile(new Blob([png], { type: 'image/png' }));
+
+            // 第一帧的“恢复为上一帧”按“清除”处理
+            const dispose = index === 0 && part.dispose === 2 ? 1 : part.dispose;
+            const restore = dispose === 2 ? ctx.getImageData(part.x, part.y, part.width, part.height) : null;
+
+            if (part.blend === 0) {
+                ctx.clearRect(part.x, part.y, part.width, part.height);
+            }
+            ctx.drawImage(image, part.x, part.y);
+
+            frames.push({ canvas: AnimatedImage.copyCanvas(canvas), delay: part.delay });
+
+            if (dispose === 1) {
+                ctx.clearRect(part.x, part.y, part.width, part.height);
+            } else if (dispose === 2) {
+                ctx.putImageData(restore, part.x, part.y);
+            }
+        }
+
+        return AnimatedImage.createAnimation(frames, loopCount, width, height);
+    }
+
+    /**
+     * 读取 PNG 的数据块
+     * @param {Uint8Array} bytes 文件内容
+     * @returns {Object[]} {type, data}
+     */
+    static readPngChunks(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const chunks = [];
+        let pos = 8;
+
+        while (pos + 8 <= bytes.length) {
+            const length = view.getUint32(pos);
+            const type = AnimatedImage.readString(bytes, pos + 4, 4);
+            if (pos + 12 + length > bytes.length) break;
+
+            chunks.push({ type, data: bytes.subarray(pos + 8, pos + 8 + length) });
+            pos += 12 + length;
+
+            if (type === 'IEND') break;
+        }
+
+        return chunks;
+    }
+
+    /**
+     * 拼出一帧的独立 PNG
+     * @param {Uint8Array} header 原图的 IHDR 数据
+     * @param {number} width 帧宽度
+     * @param {number} height 帧高度
+     * @param {Object[]} shared 共用的辅助块
+     * @param {Uint8Array[]} data 帧的图像数据
+     * @returns {Uint8Array}
+     */
+    static createPng(header, width, height, shared, data) {
+        const frameHeader = header.slice();
+        const view = new DataView(frameHeader.buffer);
+        view.setUint32(0, width);
+        view.setUint32(4, height);
+
+        return AnimatedImage.concatBytes([
+            new Uint8Array(AnimatedImage.PNG_SIGNATURE),
+            AnimatedImage.createPngChunk('IHDR', frameHeader),
+            ...shared.map(chunk => AnimatedImage.createPngChunk(chunk.type, chunk.data)),
+            ...data.map(part => AnimatedImage.createPngChunk('IDAT', part)),
+            AnimatedImage.createPngChunk('IEND', new Uint8Array(0))
+        ]);
+    }
+
+    /**
+     * 生成 PNG 数据块（长度、类型、数据和 CRC），也用于导出 APNG
+     * @param {string} type 块类型
+     * @param {Uint8Array} data 块数据
+     * @returns {Uint8Array}
+     */
+    static createPngChunk(type, data) {
+        const chunk = new Uint8Array(data.length + 12);
+        const view = new DataView(chunk.buffer);
+
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) {
+            chunk[4 + i] = type.charCodeAt(i);
+        }
+        chunk.set(data, 8);
+        view.setUint32(data.length + 8, AnimatedImage.crc32(chunk.subarray(4, data.length + 8)));
+
+        return chunk;
+    }
+
+    /**
+     * 计算 CRC-32（PNG 数据块的校验）
+     * @param {Uint8Array} bytes 数据
+     * @returns {number}
+     */
+    static crc32(bytes) {
+        if (!AnimatedImage.crcTable) {
+            AnimatedImage.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = (c & 1) ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                AnimatedImage.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = AnimatedImage.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * 解码动画 WebP：每一帧拼成独立的 WebP 由浏览器解码，再按处置和混合方式合成
+     * @param {Uint8Array} bytes 文件内容
+     * @returns {Promise<Object>} 帧序列
+     */
+    static async decodeWebp(bytes) {
+        const read24 = (data, offset) => data[offset] | (data[offset + 1] << 8) | (data[offset + 2] << 16);
+        const chunks = AnimatedImage.readRiffChunks(bytes, 12);
+        const header = chunks.find(chunk => chunk.type === 'VP8X');
+        const control = chunks.find(chunk => chunk.type === 'ANIM');
+        if (!header || !control) {
+            throw new Error('WebP 数据无效');
+        }
+
+        const width = read24(header.data, 4) + 1;
+        const height = read24(header.data, 7) + 1;
+        const loopCount = control.data[4] | (control.data[5] << 8);
+        const parts = chunks.filter(chunk => chunk.type === 'ANMF');
+
+        AnimatedImage.checkSize(width, height, parts.length);
+
+        const canvas = AnimatedImage.createCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+        const frames = [];
+        let previous = null;
+
+        for (const part of parts) {
+            const data = part.data;
+            const rect = {
+                x: read24(data, 0) * 2,
+                y: read24(data, 3) * 2,
+                width: read24(data, 6) + 1,
+                height: read24(data, 9) + 1
+            };
+            const delay = read24(data, 12);
+            const flags = data[15];
+
+            const image = await Utils.loadImageFile(new Blob([AnimatedImage.createWebp(rect.width, rect.height, data.subarray(16))], { type: 'image/webp' }));
+
+            if (previous && previous.dispose) {
+                ctx.clearRect(previous.rect.x, previous.rect.y, previous.rect.width, previous.rect.height);
+            }
+
+            // 不混合时帧覆盖所在区域
+            if (flags & 0x02) {
+                ctx.clearRect(rect.x, rect.y, rect.width, rect.height);
+            }
+            ctx.drawImage(image, rect.x, rect.y);
+
+            frames.push({ canvas: AnimatedImage.copyCanvas(canvas), delay });
+            previous = { rect, dispose: !!(flags & 0x01) };
+        }
+
+        return AnimatedImage.createAnimation(frames, loopCount, width, height);
+    }
+
+    /**
+     * 读取 RIFF 数据块
+     * @param {Uint8Array} bytes 数据
+     * @param {number} pos 第一个块的位置
+     * @returns {Object[]} {type, data}
+     */
+    static readRiffChunks(bytes, pos) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const chunks = [];
+
+        while (pos + 8 <= bytes.length) {
+            const type = AnimatedImage.readString(bytes, pos, 4);
+            const length = view.getUint32(pos + 4, true);
+            if (pos + 8 + length > bytes.length) break;
+
+            chunks.push({ type, data: bytes.subarray(pos + 8, pos + 8 + length) });
+            pos += 8 + length + (length % 2);
+        }
+
+        return chunks;
+    }
+
+    /**
+     * 把 ANMF 帧中的图像数据拼成独立的 WebP
+     * 带 ALPH 块的有损图像需要使用扩展格式
+     * @param {number} width 帧宽度
+     * @param {number} height 帧高度
+     * @param {Uint8Array} data ANMF 中的图像数据（ALPH、VP8 或 VP8L 块）
+     * @returns {Uint8Array}
+     */
+    static createWebp(width, height, data) {
+        const chunks = AnimatedImage.readRiffChunks(data, 0);
+        const riffChunk = (type, payload) => {
+            const chunk = new Uint8Array(8 + payload.length + (payload.length % 2));
+            const view = new DataView(chunk.buffer);
+            for (let i = 0; i < 4; i++) {
+                chunk[i] = type.charCodeAt(i);
+            }
+            view.setUint32(4, payload.length, true);
+            chunk.set(payload, 8);
+            return chunk;
+        };
+
+        const body = chunks.map(chunk => riffChunk(chunk.type, chunk.data));
+
+        if (chunks.some(chunk => chunk.type === 'ALPH')) {
+            const header = new Uint8Array(10);
+            header[0] = 0x10;
+            [width - 1, height - 1].forEach((value, i) => {
+                header[4 + i * 3] = value & 0xFF;
+                header[5 + i * 3] = (value >> 8) & 0xFF;
+                header[6 + i * 3] = (value >> 16) & 0xFF;
+            });
+            body.unshift(riffChunk('VP8X', header));
+        }
+
+        const content = AnimatedImage.concatBytes(body);
+        const file = new Uint8Array(12 + content.length);
+        const view = new DataView(file.buffer);
+        file.set([0x52, 0x49, 0x46, 0x46], 0);
+        view.setUint32(4, content.length + 4, true);
+        file.set([0x57, 0x45, 0x42, 0x50], 8);
+        file.set(content, 12);
+
+        return file;
+    }
+
+    /**
+     * 整理帧序列：计算每一帧的开始时间和总时长
+     * 延迟不超过 10 毫秒的帧按 100 毫秒播放，与浏览器一致
+     * @param {Object[]} frames {canvas, delay}
+     * @param {number} loopCount 播放次数，0 为无限循环
+     * @param {number} width 宽度
+     * @param {number} height 高度
+     * @returns {Object} 帧序列
+     */
+    static createAnimation(frames, loopCount, width, height) {
+        let duration = 0;
+
+        frames.forEach(frame => {
+            frame.delay = frame.delay > AnimatedImage.MIN_DELAY ? frame.delay : AnimatedImage.DEFAULT_DELAY;
+            frame.start = duration;
+            duration += frame.delay;
+        });
+
+        return { frames, duration, loopCount, width, height };
+    }
+
+    /**
+     * 检查动画尺寸：所有帧的像素总数有上限，避免占用过多内存
+     * @param {number} width 宽度
+     * @param {number} height 高度
+     * @param {number} frameCount 帧数
+     */
+    static checkSize(width, height, frameCount) {
+        if (!width || !height) {
+            throw new Error('动画尺寸无效');
+        }
+
+        if (frameCount > AnimatedImage.MAX_FRAMES || width * height * frameCount > AnimatedImage.MAX_PIXELS) {
+            throw new Error('动画帧数过多或尺寸过大');
+        }
+    }
+
+    /**
+     * 获取播放到指定时间时的帧序号；有限循环播放完后停在最后一帧
+     * @param {Object} animation 帧序列
+     * @param {number} time 播放时间（毫秒）
+     * @returns {number}
+     */
+    static getFrameIndex(animation, time) {
+        const { frames, duration, loopCount } = animation;
+
+        if (loopCount > 0 && time >= duration * loopCount) {
+            return frames.length - 1;
+        }
+
+        const position = ((time % duration) + duration) % duration;
+        let low = 0;
+        let high = frames.length - 1;
+
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (frames[middle].start <= position) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        return low;
+    }
+
+    /**
+     * 获取图片在指定时间显示的画面
+     * @param {HTMLImageElement} image 图片
+     * @param {number} time 播放时间（毫秒）
+     * @returns {HTMLImageElement|HTMLCanvasElement} 静态图片返回图片本身
+     */
+    static getFrame(image, time) {
+        if (!image || !image.animation) return image;
+        return image.animation.frames[AnimatedImage.getFrameIndex(image.animation, time)].canvas;
+    }
+
+    /**
+     * 收集可见贴纸（包括组合中的）中的动画
+     * @param {Sticker[]} stickers 贴纸
+     * @returns {Object[]} 帧序列
+     */
+    static collectAnimations(stickers) {
+        const animations = [];
+
+        stickers.forEach(sticker => {
+            if (!sticker.visible) return;
+
+            if (sticker.type === 'image' && sticker.data && sticker.data.animation) {
+                animations.push(sticker.data.animation);
+            } else if (sticker.type === 'group') {
+                animations.push(...AnimatedImage.collectAnimations(sticker.data));
+            }
+        });
+
+        return animations;
+    }
+
+    /**
+     * 贴纸在指定时间的帧标识，帧变化时才需要重绘（没有动画时为空字符串）
+     * @param {Sticker} sticker 贴纸
+     * @param {number} time 播放时间（毫秒）
+     * @returns {string}
+     */
+    static getFrameKey(sticker, time) {
+        return AnimatedImage.collectAnimations([sticker])
+            .map(animation => AnimatedImage.getFrameIndex(animation, time))
+            .join(',');
+    }
+
+    /**
+     * 贴纸中最长的动画一次循环的时长
+     * @param {Sticker[]} stickers 贴纸
+     * @returns {number} 毫秒，没有动画时为 0
+     */
+    static getDuration(stickers) {
+        return AnimatedImage.collectAnimations(stickers)
+            .reduce((longest, animation) => Math.max(longest, animation.duration), 0);
+    }
+
+    /**
+     * 把 RGBA 像素复制到新的帧 Canvas
+     * @param {Uint8ClampedArray} pixels RGBA 像素
+     * @param {number} width 宽度
+     * @param {number} height 高度
+     * @returns {HTMLCanvasElement}
+     */
+    static createFrameCanvas(pixels, width, height) {
+        const canvas = AnimatedImage.createCanvas(width, height);
+        canvas.getContext('2d').putImageData(new ImageData(new Uint8ClampedArray(pixels), width, height), 0, 0);
+        return canvas;
+    }
+
+    /**
+     * 复制 Canvas 的当前画面
+     * @param {HTMLCanvasElement} source Canvas
+     * @returns {HTMLCanvasElement}
+     */
+    static copyCanvas(source) {
+        const canvas = AnimatedImage.createCanvas(source.width, source.height);
+        canvas.getContext('2d').drawImage(source, 0, 0);
+        return canvas;
+    }
+
+    /**
+     * 创建Canvas
+     * @param {number} width 宽度
+     * @param {number} height 高度
+     * @returns {HTMLCanvasElement}
+     */
+    static createCanvas(width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    /**
+     * 拼接字节数组
+     * @param {Uint8Array[]} parts 字节数组
+     * @returns {Uint8Array}
+     */
+    static concatBytes(parts) {
+        const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+        return result;
+    }
+
+    /**
+     * 读取 ASCII 字符串
+     * @param {Uint8Array} bytes 数据
+     * @param {number} offset 位置
+     * @param {number} length 长度
+     * @returns {string}
+     */
+    static readString(bytes, offset, length) {
+        return String.fromCharCode(...bytes.subarray(offset, offset + length));
+    }
+}
+
+// PNG 文件签名
+AnimatedImage.PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+// 不超过此延迟（毫秒）的帧按默认延迟播放
+AnimatedImage.MIN_DELAY = 10;
+AnimatedImage.DEFAULT_DELAY = 100;
+
+// 帧数和所有帧像素总数的上限（约 400MB 内存）
+AnimatedImage.MAX_FRAMES = 1000;
+AnimatedImage.MAX_PIXELS = 100 * 1000 * 1000;
+
+// CRC-32 查找表，首次使用时生成
+AnimatedImage.crcTable = null;
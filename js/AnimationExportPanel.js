@@ -0,0 +1,129 @@
+/**
+ * 动画导出面板类
+ * 在导出区域设置动画格式、帧率、循环次数和时长，把画布的合成结果导出为 GIF、APNG 或 WebM
+ */
+
+class AnimationExportPanel {
+    /**
+     * 构造函数
+     * @param {ImageEditor} editor 编辑器实例
+     * @param {ExportManager} exportManager 导出管理器实例
+     */
+    constructor(editor, exportManager) {
+        this.editor = editor;
+        this.exportManager = exportManager;
+        this.elements = {};
+
+        this.sync = this.sync.bind(this);
+
+        this.initialize();
+    }
+
+    /**
+     * 初始化面板
+     */
+    initialize() {
+        this.getElements();
+        this.populateControls();
+        this.bindEvents();
+
+        this.editor.on('statechange', this.sync);
+
+        this.sync();
+    }
+
+    /**
+     * 获取DOM元素引用
+     */
+    getElements() {
+        this.elements = {
+            format: document.getElementById('animationFormat'),
+            fps: document.getElementById('animationFps'),
+            loops: document.getElementById('animationLoops'),
+            duration: document.getElementById('animationDuration'),
+            info: document.getElementById('animationExportInfo'),
+            exportBtn: document.getElementById('animationExportBtn')
+        };
+    }
+
+    /**
+     * 生成格式选项并填入默认设置
+     */
+    populateControls() {
+        const { format, fps, loops } = this.elements;
+        const defaults = ExportManager.ANIMATION_DEFAULTS;
+
+        Object.entries(ExportManager.ANIMATION_FORMATS).forEach(([value, item]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = item.label;
+            format.appendChild(option);
+        });
+
+        format.value = defaults.format;
+        fps.value = defaults.fps;
+        loops.value = defaults.loopCount;
+    }
+
+    /**
+     * 绑定事件处理器
+     */
+    bindEvents() {
+        const { format, exportBtn } = this.elements;
+
+        format.addEventListener('change', () => this.sync());
+
+        exportBtn.addEventListener('click', async () => {
+            exportBtn.disabled = true;
+            await this.exportManager.downloadAnimation(this.getSettings());
+            this.sync();
+        });
+    }
+
+    /**
+     * 读取导出设置，超出范围的数值限制在范围内
+     * @returns {Object} {format, fps, loopCount, duration}
+     */
+    getSettings() {
+        const { format, fps, loops, duration } = this.elements;
+        const read = (input, min, max, fallback) => {
+            const value = parseFloat(input.value);
+            return Number.isFinite(value) ? Utils.clamp(value, min, max) : fallback;
+        };
+
+        return {
+            format: format.value,
+            fps: Math.round(read(fps, 1, AnimationExportPanel.MAX_FPS, ExportManager.ANIMATION_DEFAULTS.fps)),
+            loopCount: Math.round(read(loops, 0, AnimationExportPanel.MAX_LOOPS, 0)),
+            duration: read(duration, 0, AnimationExportPanel.MAX_DURATION, 0)
+        };
+    }
+
+    /**
+     * 同步按钮状态和说明：WebM 没有循环次数，时长留空时使用最长的动画贴纸一次循环的时长
+     */
+    sync() {
+        const { format, loops, info, exportBtn } = this.elements;
+        const duration = AnimatedImage.getDuration(this.editor.stickers);
+
+        loops.disabled = format.value === 'webm';
+        exportBtn.disabled = !this.editor.originalImage || this.exportManager.isExporting;
+
+        info.textContent = duration > 0
+            ? `动画贴纸一次循环 ${(duration / 1000).toFixed(1)} 秒，时长留空时按此导出`
+            : '画布上没有动画贴纸，导出时需要设置时长';
+    }
+
+    /**
+     * 销毁面板
+     */
+    destroy() {
+        this.editor.off('statechange', this.sync);
+        this.editor = null;
+    }
+}
+
+// 帧率、循环次数和时长（秒）的上限
+AnimationExportPanel.MAX_FPS = 30;
+AnimationExportPanel.MAX_LOOPS = 100;
+AnimationExportPanel.MAX_DURATION = 30;
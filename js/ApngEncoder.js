@@ -0,0 +1,160 @@
+/**
+ * APNG 编码器类
+ * 逐帧写入整幅画面（8 位 RGBA，保留半透明），每行使用 Paeth 过滤后由浏览器的 CompressionStream 压缩。
+ * 帧延迟以毫秒为单位，累计时间按四舍五入分配，总时长不会漂移。
+ * 与 GifEncoder、WebmRecorder 使用相同的接口：addFrame(canvas, delay)、finish() 和 dispose()
+ */
+
+class ApngEncoder {
+    /**
+     * 构造函数
+     * @param {number} width 宽度
+     * @param {number} height 高度
+     * @param {Object} options 选项：frameCount 帧数（写在文件头中），loopCount 播放次数，0 为无限循环
+     */
+    constructor(width, height, options = {}) {
+        if (typeof CompressionStream === 'undefined') {
+            throw new Error('当前浏览器不支持导出 APNG');
+        }
+
+        this.width = width;
+        this.height = height;
+
+        // 已写入的数据块、数据块序号和累计时间（毫秒）
+        this.parts = [ApngEncoder.createHeader(width, height, options.frameCount || 1, options.loopCount || 0)];
+        this.sequence = 0;
+        this.time = 0;
+    }
+
+    /**
+     * 写入一帧：第一帧的图像数据写入 IDAT（不支持 APNG 的软件显示第一帧），其余写入 fdAT
+     * @param {HTMLCanvasElement} canvas 帧画面（尺寸与编码器一致）
+     * @param {number} delay 显示时长（毫秒）
+     */
+    async addFrame(canvas, delay) {
+        const { data } = canvas.getContext('2d').getImageData(0, 0, this.width, this.height);
+        const compressed = await ApngEncoder.compress(ApngEncoder.filter(data, this.width, this.height));
+
+        const delayMs = Math.round(this.time + delay) - Math.round(this.time);
+        this.time += delay;
+
+        const isFirst = this.sequence === 0;
+        this.parts.push(AnimatedImage.createPngChunk('fcTL', ApngEncoder.createFrameControl(this.sequence++, this.width, this.height, delayMs)));
+
+        if (isFirst) {
+            this.parts.push(AnimatedImage.createPngChunk('IDAT', compressed));
+        } else {
+            const frameData = new Uint8Array(compressed.length + 4);
+            new DataView(frameData.buffer).setUint32(0, this.sequence++);
+            frameData.set(compressed, 4);
+            this.parts.push(AnimatedImage.createPngChunk('fdAT', frameData));
+        }
+    }
+
+    /**
+     * 完成编码
+     * @returns {Promise<Blob>}
+     */
+    async finish() {
+        this.parts.push(AnimatedImage.createPngChunk('IEND', new Uint8Array(0)));
+        return new Blob(this.parts, { type: 'image/png' });
+    }
+
+    /**
+     * 释放已写入的数据（导出完成或中途失败后调用）
+     */
+    dispose() {
+        this.parts = [];
+    }
+
+    /**
+     * 文件签名、IHDR 和 acTL
+     * @param {number} width 宽度
+     * @param {number} height 高度
+     * @param {number} frameCount 帧数
+     * @param {number} loopCount 播放次数，0 为无限循环
+     * @returns {Uint8Array}
+     */
+    static createHeader(width, height, frameCount, loopCount) {
+        const header = new Uint8Array(13);
+        const headerView = new DataView(header.buffer);
+        headerView.setUint32(0, width);
+        headerView.setUint32(4, height);
+        header[8] = 8; // 位深度
+        header[9] = 6; // 颜色类型：RGBA
+
+        const control = new Uint8Array(8);
+        const controlView = new DataView(control.buffer);
+        controlView.setUint32(0, frameCount);
+        controlView.setUint32(4, loopCount);
+
+        return AnimatedImage.concatBytes([
+            new Uint8Array(AnimatedImage.PNG_SIGNATURE),
+            AnimatedImage.createPngChunk('IHDR', header),
+            AnimatedImage.createPngChunk('acTL', control)
+        ]);
+    }
+
+    /**
+     * 帧控制块：每一帧覆盖整个画面，不混合、不处置
+     * @param {number} sequence 数据块序号
+     * @param {number} width 宽度
+     * @param {number} height 高度
+     * @param {number} delay 延迟（毫秒）
+     * @returns {Uint8Array}
+     */
+    static createFrameControl(sequence, width, height, delay) {
+        const data = new Uint8Array(26);
+        const view = new DataView(data.buffer);
+        view.setUint32(0, sequence);
+        view.setUint32(4, width);
+        view.setUint32(8, height);
+        view.setUint16(20, delay);
+        view.setUint16(22, 1000);
+        return data;
+    }
+
+    /**
+     * 按行过滤 RGBA 像素（Paeth），每行前加过滤类型
+     * @param {Uint8ClampedArray} data RGBA 像素
+     * @param {number} width 宽度
+     * @param {number} height 高度
+     * @returns {Uint8Array}
+     */
+    static filter(data, width, height) {
+        const stride = width * 4;
+        const output = new Uint8Array((stride + 1) * height);
+
+        for (let y = 0; y < height; y++) {
+            const row = y * stride;
+            const out = y * (stride + 1);
+            output[out] = 4;
+
+            for (let x = 0; x < stride; x++) {
+                const left = x >= 4 ? data[row + x - 4] : 0;
+                const up = y > 0 ? data[row - stride + x] : 0;
+                const upLeft = x >= 4 && y > 0 ? data[row - stride + x - 4] : 0;
+
+                const p = left + up - upLeft;
+                const pa = Math.abs(p - left);
+                const pb = Math.abs(p - up);
+                const pc = Math.abs(p - upLeft);
+                const predictor = pa <= pb && pa <= pc ? left : (pb <= pc ? up : upLeft);
+
+                output[out + 1 + x] = (data[row + x] - predictor) & 0xFF;
+            }
+        }
+
+        return output;
+    }
+
+    /**
+     * zlib 压缩
+     * @param {Uint8Array} data 数据
+     * @returns {Promise<Uint8Array>}
+     */
+    static async compress(data) {
+        const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+}
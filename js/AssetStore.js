@@ -0,0 +1,170 @@
+/**
+ * 资源仓库类
+ * 以内容哈希为ID保存解码后的图片，相同内容的图片只保存一份。
+ * 历史记录和背景通过引用计数持有资源，引用归零后释放。
+ * 登记时调用方也持有一次引用，贴纸或背景用上资源（或使用失败）后由调用方释放
+ */
+
+class AssetStore {
+    constructor() {
+        // id -> {image, blob, refCount}
+        this.assets = new Map();
+
+        // 图片对象 -> id，便于由图片反查资源
+        this.imageIds = new WeakMap();
+    }
+
+    /**
+     * 登记图片，返回其内容哈希ID，调用方持有一次引用，用完后调用 release 释放
+     * 已存在相同内容的资源时复用已有的图片对象
+     * @param {HTMLImageElement} image 图片对象
+     * @returns {Promise<string>} 资源ID
+     */
+    async add(image) {
+        const existingId = this.idOf(image);
+        if (existingId) {
+            this.retain([existingId]);
+            return existingId;
+        }
+
+        const blob = await Utils.imageToBlob(image);
+        const id = await AssetStore.hashBlob(blob);
+
+        if (!this.assets.has(id)) {
+            this.assets.set(id, { image, blob, refCount: 0 });
+        }
+
+        this.imageIds.set(image, id);
+        this.retain([id]);
+        return id;
+    }
+
+    /**
+     * 登记Blob（例如项目文件中的图片），解码后返回资源ID（动画图片同时解码帧序列），
+     * 调用方持有一次引用，用完后调用 release 释放
+     * SVG 无论来自上传、项目文件还是自动保存都重新清理一次，ID 按清理后的内容计算
+     * @param {Blob} blob 图片数据
+     * @returns {Promise<string>} 资源ID
+     */
+    async addBlob(blob) {
+        if (blob.type === SvgImage.MIME_TYPE) {
+            blob = await SvgImage.sanitizeBlob(blob);
+        }
+
+        const id = await AssetStore.hashBlob(blob);
+
+        if (!this.assets.has(id)) {
+            const image = await AnimatedImage.load(blob);
+            this.assets.set(id, { image, blob, refCount: 0 });
+            this.imageIds.set(image, id);
+        }
+
+        this.retain([id]);
+        return id;
+    }
+
+    /**
+     * 获取资源的图片对象
+     * @param {string} id 资源ID
+     * @returns {HTMLImageElement|null}
+     */
+    get(id) {
+        const asset = this.assets.get(id);
+        return asset ? asset.image : null;
+    }
+
+    /**
+     * 获取资源的原始数据
+     * @param {string} id 资源ID
+     * @returns {Blob|null}
+     */
+    getBlob(id) {
+        const asset = this.assets.get(id);
+        return asset ? asset.blob : null;
+    }
+
+    /**
+     * 由图片对象反查资源ID
+     * 相同内容的不同图片对象会被识别为同一资源
+     * @param {HTMLImageElement} image 图片对象
+     * @returns {string|null}
+     */
+    idOf(image) {
+        const id = this.imageIds.get(image);
+        return id && this.assets.has(id) ? id : null;
+    }
+
+    /**
+     * 增加引用
+     * @param {string[]} ids 资源ID
+     */
+    retain(ids) {
+        ids.forEach(id => {
+            const asset = this.assets.get(id);
+            if (asset) {
+                asset.refCount++;
+            }
+        });
+    }
+
+    /**
+     * 减少引用，引用归零的资源被释放
+     * @param {string[]} ids 资源ID
+     */
+    release(ids) {
+        ids.forEach(id => {
+            const asset = this.assets.get(id);
+            if (!asset) return;
+
+            asset.refCount--;
+            if (asset.refCount <= 0) {
+                this.assets.delete(id);
+            }
+        });
+    }
+
+    /**
+     * 收集序列化贴纸（包括组合中的）引用的资源ID
+     * @param {Object[]} stickers 序列化的贴纸数据
+     * @returns {string[]} 资源ID（可能重复，与引用次数一致）
+     */
+    static collectIds(stickers) {
+        const ids = [];
+
+        stickers.forEach(sticker => {
+            if (sticker.type === 'image' && sticker.asset) {
+                ids.push(sticker.asset);
+            } else if (sticker.type === 'group') {
+                ids.push(...AssetStore.collectIds(sticker.children || []));
+            }
+        });
+
+        return ids;
+    }
+
+    /**
+     * 计算Blob内容的哈希
+     * 优先使用 SHA-256，不支持 Web Crypto 时退回 FNV-1a
+     * @param {Blob} blob 数据
+     * @returns {Promise<string>} 哈希ID
+     */
+    static async hashBlob(blob) {
+        const buffer = await blob.arrayBuffer();
+
+        if (typeof crypto !== 'undefined' && crypto.subtle) {
+            const digest = await crypto.subtle.digest('SHA-256', buffer);
+            return 'sha256-' + Array.from(new Uint8Array(digest))
+                .map(byte => byte.toString(16).padStart(2, '0'))
+                .join('');
+        }
+
+        const bytes = new Uint8Array(buffer);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < bytes.length; i++) {
+            hash ^= bytes[i];
+            hash = Math.imul(hash, 0x01000193);
+        }
+
+        return 'fnv1a-' + (hash >>> 0).toString(16).padStart(8, '0') + '-' + bytes.length.toString(16);
+    }
+}
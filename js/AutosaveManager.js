@@ -0,0 +1,247 @@
+/**
+ * 自动保存管理器类
+ * 编辑状态变化后延迟把当前作品（含背景和贴纸图片）写入 IndexedDB，
+ * 页面意外关闭或刷新后可以恢复上次的编辑。
+ * 用户决定是否恢复上次的会话之前，新的编辑照常自动保存，但写入草稿位置，不覆盖旧会话
+ */
+
+class AutosaveManager {
+    /**
+     * 构造函数
+     * @param {ImageEditor} editor 编辑器实例
+     * @param {ProjectManager} projectManager 项目管理器实例（复用项目格式）
+     * @param {Object} options 配置选项
+     */
+    constructor(editor, projectManager, options = {}) {
+        this.editor = editor;
+        this.projectManager = projectManager;
+        this.options = {
+            delay: 1500,
+            ...options
+        };
+
+        this.store = new IndexedDBStore(AutosaveManager.DB_NAME, AutosaveManager.STORE_NAME);
+        this.saveTimer = null;
+        this.isSaving = false;
+        this.pendingSave = false;
+
+        // 当前写入的位置：上次的会话等待恢复时为草稿，否则为正式位置；
+        // 读取上次的会话之前为 null，期间的保存推迟到读取之后
+        this.slot = null;
+
+        // 存储空间不足的提示只显示一次，直到下次保存成功
+        this.quotaWarningShown = false;
+
+        this.scheduleSave = this.scheduleSave.bind(this);
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+
+        this.editor.on('statechange', this.scheduleSave);
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    }
+
+    /**
+     * 是否支持 IndexedDB
+     * @returns {boolean}
+     */
+    isSupported() {
+        return IndexedDBStore.isSupported();
+    }
+
+    /**
+     * 读取上次自动保存的会话；存在时之后的编辑改为保存到草稿，直到旧会话被恢复或丢弃
+     * 上次启动后、决定是否恢复之前所做的编辑（草稿）比旧会话新，存在时以草稿作为上次的会话
+     * @returns {Promise<Object|null>} {savedAt, project}
+     */
+    async getSavedSession() {
+        if (!this.isSupported()) return null;
+
+        let session = null;
+
+        try {
+            session = await this.store.run('readonly', store => store.get(AutosaveManager.DRAFT_KEY));
+
+            if (session) {
+                await this.store.run('readwrite', store => {
+                    store.put(session, AutosaveManager.SESSION_KEY);
+                    return store.delete(AutosaveManager.DRAFT_KEY);
+                });
+            } else {
+                session = await this.store.run('readonly', store => store.get(AutosaveManager.SESSION_KEY));
+            }
+        } catch (error) {
+            console.warn('读取自动保存失败:', error);
+            session = null;
+        }
+
+        this.slot = session ? AutosaveManager.DRAFT_KEY : AutosaveManager.SESSION_KEY;
+        if (this.pendingSave) {
+            this.pendingSave = false;
+            this.save();
+        }
+
+        return session || null;
+    }
+
+    /**
+     * 恢复上次的会话（替换当前内容，启动后所做的编辑只保存在草稿中，恢复后被覆盖）
+     * @returns {Promise<Object|null>} 项目中的导出设置；失败时返回null
+     */
+    async restoreSession() {
+        try {
+            const session = await this.store.run('readonly', store => store.get(AutosaveManager.SESSION_KEY));
+            if (!session) return null;
+
+            const exportSettings = await this.projectManager.loadProject(session.project);
+            Utils.showToast('已恢复上次的编辑', 'success');
+            return exportSettings;
+        } catch (error) {
+            console.error('恢复自动保存失败:', error);
+            Utils.showToast('恢复失败: ' + error.message, 'error');
+            return null;
+        } finally {
+            this.resume();
+        }
+    }
+
+    /**
+     * 丢弃上次的会话
+     */
+    async discardSession() {
+        await this.clear();
+        this.resume();
+    }
+
+    /**
+     * 上次的会话已恢复或丢弃：之后保存到正式位置（草稿在下次保存时删除），并尽快保存当前状态
+     */
+    resume() {
+        this.slot = AutosaveManager.SESSION_KEY;
+        this.scheduleSave();
+    }
+
+    /**
+     * 状态变化后延迟保存
+     */
+    scheduleSave() {
+        if (!this.isSupported()) return;
+
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, this.options.delay);
+    }
+
+    /**
+     * 立即执行尚未完成的延迟保存
+     */
+    flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+            this.save();
+        }
+    }
+
+    /**
+     * 页面隐藏时立即保存（关闭标签页前的最后机会）
+     */
+    handleVisibilityChange() {
+        if (document.visibilityState === 'hidden') {
+            this.flush();
+        }
+    }
+
+    /**
+     * 保存当前状态到当前位置
+     * 没有图片时清除该位置的会话；写入正式位置时一并删除草稿
+     */
+    async save() {
+        if (!this.editor) return;
+
+        // 同一时间只进行一次保存，期间的变化在结束后再保存一次
+        if (this.isSaving || !this.slot) {
+            this.pendingSave = true;
+            return;
+        }
+
+        this.isSaving = true;
+
+        try {
+            const slot = this.slot;
+            const project = this.editor.originalImage ? await this.projectManager.createProject() : null;
+
+            await this.store.run('readwrite', store => {
+                if (slot === AutosaveManager.SESSION_KEY) {
+                    store.delete(AutosaveManager.DRAFT_KEY);
+                }
+                return project
+                    ? store.put({ savedAt: Date.now(), project }, slot)
+                    : store.delete(slot);
+            });
+
+            this.quotaWarningShown = false;
+
+        } catch (error) {
+            this.handleSaveError(error);
+
+        } finally {
+            this.isSaving = false;
+
+            if (this.pendingSave) {
+                this.pendingSave = false;
+                this.save();
+            }
+        }
+    }
+
+    /**
+     * 清除已保存的会话
+     */
+    async clear() {
+        if (!this.isSupported()) return;
+
+        try {
+            await this.store.run('readwrite', store => store.delete(AutosaveManager.SESSION_KEY));
+        } catch (error) {
+            console.warn('清除自动保存失败:', error);
+        }
+    }
+
+    /**
+     * 处理保存失败
+     * @param {Error} error 错误对象
+     */
+    handleSaveError(error) {
+        console.error('自动保存失败:', error);
+
+        if (error && error.name === 'QuotaExceededError') {
+            if (!this.quotaWarningShown) {
+                this.quotaWarningShown = true;
+                Utils.showToast('浏览器存储空间不足，自动保存失败。请保存项目文件以免丢失作品', 'error', 5000);
+            }
+            return;
+        }
+
+        Utils.showToast('自动保存失败: ' + error.message, 'error');
+    }
+
+    /**
+     * 销毁自动保存管理器
+     */
+    destroy() {
+        this.flush();
+
+        this.editor.off('statechange', this.scheduleSave);
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+
+        this.editor = null;
+        this.projectManager = null;
+    }
+}
+
+// 数据库配置
+AutosaveManager.DB_NAME = 'sticker-editor';
+AutosaveManager.STORE_NAME = 'autosave';
+AutosaveManager.SESSION_KEY = 'last-session';
+AutosaveManager.DRAFT_KEY = 'draft-session';
@@ -0,0 +1,467 @@
+/**
+ * 背景移除对话框类
+ * 上传自定义贴纸时用魔棒或色度抠图去掉纯色背景，再用保留/擦除画笔修补并羽化边缘，
+ * 全部在本地完成。open() 返回处理后的图片、原图（跳过）或 null（取消）
+ */
+
+class BackgroundRemovalDialog {
+    constructor() {
+        this.elements = {};
+
+        // 当前处理的图片
+        this.image = null;
+        this.imageData = null;
+        this.baseAlpha = null;
+        this.brushMask = null;
+
+        // 处理参数
+        this.mode = 'wand';
+        this.tool = 'pick';
+        this.seeds = [];
+        this.keyColor = null;
+
+        // 画笔状态
+        this.activePointerId = null;
+        this.lastPoint = null;
+
+        this.resolve = null;
+        this.updateScheduled = false;
+        this.needsRecompute = false;
+
+        // 绑定方法上下文
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+
+        this.initialize();
+    }
+
+    /**
+     * 初始化对话框
+     */
+    initialize() {
+        this.getElements();
+        this.bindEvents();
+    }
+
+    /**
+     * 获取DOM元素引用
+     */
+    getElements() {
+        this.elements = {
+            dialog: document.getElementById('bgRemoveDialog'),
+            canvas: document.getElementById('bgRemoveCanvas'),
+            modeBtns: document.querySelectorAll('.bg-remove-mode-btn'),
+            toolBtns: document.querySelectorAll('.bg-remove-tool-btn'),
+            tolerance: document.getElementById('bgRemoveTolerance'),
+            softness: document.getElementById('bgRemoveSoftness'),
+            softnessRow: document.getElementById('bgRemoveSoftnessRow'),
+            keyColor: document.getElementById('bgRemoveKeyColor'),
+            keyColorRow: document.getElementById('bgRemoveKeyColorRow'),
+            brushSize: document.getElementById('bgRemoveBrushSize'),
+            feather: document.getElementById('bgRemoveFeather'),
+            hint: document.getElementById('bgRemoveHint'),
+            resetBtn: document.getElementById('bgRemoveResetBtn'),
+            cancelBtn: document.getElementById('bgRemoveCancelBtn'),
+            skipBtn: document.getElementById('bgRemoveSkipBtn'),
+            applyBtn: document.getElementById('bgRemoveApplyBtn')
+        };
+    }
+
+    /**
+     * 绑定事件处理器
+     */
+    bindEvents() {
+        const {
+            canvas, modeBtns, toolBtns, tolerance, softness, keyColor, feather,
+            resetBtn, cancelBtn, skipBtn, applyBtn
+        } = this.elements;
+
+        modeBtns.forEach(btn => {
+            btn.addEventListener('click', () => this.setMode(btn.dataset.mode));
+        });
+
+        toolBtns.forEach(btn => {
+            btn.addEventListener('click', () => this.setTool(btn.dataset.tool));
+        });
+
+        // 参数变化时重新计算遮罩
+        [tolerance, softness].forEach(input => {
+            input.addEventListener('input', () => this.scheduleUpdate(true));
+        });
+
+        keyColor.addEventListener('input', () => {
+            this.keyColor = BackgroundRemovalDialog.parseColor(keyColor.value);
+            this.scheduleUpdate(true);
+        });
+
+        feather.addEventListener('input', () => this.scheduleUpdate(false));
+
+        canvas.addEventListener('pointerdown', this.handlePointerDown);
+        canvas.addEventListener('pointermove', this.handlePointerMove);
+        canvas.addEventListener('pointerup', this.handlePointerUp);
+        canvas.addEventListener('pointercancel', this.handlePointerUp);
+
+        resetBtn.addEventListener('click', () => this.resetMask());
+        cancelBtn.addEventListener('click', () => this.close(null));
+        skipBtn.addEventListener('click', () => this.close(this.image));
+        applyBtn.addEventListener('click', () => this.apply());
+    }
+
+    /**
+     * 打开对话框处理图片
+     * @param {HTMLImageElement} image 上传的图片
+     * @returns {Promise<HTMLImageElement|null>} 处理结果；跳过时为原图，取消时为 null
+     */
+    open(image) {
+        // 上一次未关闭的对话框视为取消
+        if (this.resolve) {
+            this.close(null);
+        }
+
+        this.image = image;
+        this.imageData = BackgroundRemovalDialog.readPixels(image);
+
+        const { canvas, dialog } = this.elements;
+        canvas.width = this.imageData.width;
+        canvas.height = this.imageData.height;
+
+        this.resetMask();
+        this.setTool('pick');
+
+        dialog.classList.remove('hidden');
+        document.addEventListener('keydown', this.handleKeyDown);
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    /**
+     * 关闭对话框并返回结果
+     * @param {HTMLImageElement|null} result 结果
+     */
+    close(result) {
+        this.elements.dialog.classList.add('hidden');
+        document.removeEventListener('keydown', this.handleKeyDown);
+
+        const resolve = this.resolve;
+        this.resolve = null;
+        this.image = null;
+        this.imageData = null;
+        this.baseAlpha = null;
+        this.brushMask = null;
+
+        if (resolve) {
+            resolve(result);
+        }
+    }
+
+    /**
+     * 恢复自动计算的初始结果：四角取样的魔棒，背景色取自图片四周
+     */
+    resetMask() {
+        const { width, height } = this.imageData;
+
+        this.seeds = [
+            { x: 0, y: 0 },
+            { x: width - 1, y: 0 },
+            { x: 0, y: height - 1 },
+            { x: width - 1, y: height - 1 }
+        ];
+        this.keyColor = BackgroundRemover.estimateBackground(this.imageData);
+        this.elements.keyColor.value = BackgroundRemovalDialog.formatColor(this.keyColor);
+        this.brushMask = new Uint8Array(width * height);
+
+        this.setMode(this.mode);
+    }
+
+    /**
+     * 切换抠图方式
+     * @param {string} mode 'wand' 或 'chroma'
+     */
+    setMode(mode) {
+        const { modeBtns, softnessRow, keyColorRow } = this.elements;
+
+        this.mode = mode;
+        modeBtns.forEach(btn => btn.classList.toggle('active', btn.dataset.mode === mode));
+        softnessRow.classList.toggle('hidden', mode !== 'chroma');
+        keyColorRow.classList.toggle('hidden', mode !== 'chroma');
+
+        this.updateHint();
+        this.update(true);
+    }
+
+    /**
+     * 切换工具
+     * @param {string} tool 'pick'（取样）、'keep'（保留画笔）或 'erase'（擦除画笔）
+     */
+    setTool(tool) {
+        this.tool = tool;
+        this.elements.toolBtns.forEach(btn => btn.classList.toggle('active', btn.dataset.tool === tool));
+        this.updateHint();
+    }
+
+    /**
+     * 更新操作提示
+     */
+    updateHint() {
+        const hints = {
+            pick: this.mode === 'wand' ? '点击要移除的背景区域，可多次点击' : '点击背景取色',
+            keep: '涂抹需要保留的部分',
+            erase: '涂抹需要移除的部分'
+        };
+        this.elements.hint.textContent = hints[this.tool];
+    }
+
+    /**
+     * 在下一帧更新预览，拖动滑块时避免重复计算
+     * @param {boolean} recompute 是否重新计算自动遮罩
+     */
+    scheduleUpdate(recompute) {
+        this.needsRecompute = this.needsRecompute || recompute;
+        if (this.updateScheduled) return;
+
+        this.updateScheduled = true;
+        requestAnimationFrame(() => {
+            this.updateScheduled = false;
+            const needsRecompute = this.needsRecompute;
+            this.needsRecompute = false;
+
+            if (this.imageData) {
+                this.update(needsRecompute);
+            }
+        });
+    }
+
+    /**
+     * 计算遮罩并刷新预览
+     * @param {boolean} recompute 是否重新计算自动遮罩
+     */
+    update(recompute) {
+        if (!this.imageData) return;
+
+        const tolerance = parseFloat(this.elements.tolerance.value);
+
+        if (recompute || !this.baseAlpha) {
+            this.baseAlpha = this.mode === 'wand'
+                ? BackgroundRemover.magicWand(this.imageData, this.seeds, tolerance)
+                : BackgroundRemover.chromaKey(
+                    this.imageData,
+                    this.keyColor,
+                    tolerance,
+                    parseFloat(this.elements.softness.value)
+                );
+        }
+
+        const ctx = this.elements.canvas.getContext('2d');
+        ctx.putImageData(this.getResult(), 0, 0);
+    }
+
+    /**
+     * 生成带透明通道的结果像素
+     * @returns {ImageData}
+     */
+    getResult() {
+        const { width, height } = this.imageData;
+        const alpha = BackgroundRemover.combine(
+            this.baseAlpha,
+            this.brushMask,
+            width,
+            height,
+            parseFloat(this.elements.feather.value)
+        );
+
+        return BackgroundRemover.applyMask(this.imageData, alpha, this.mode === 'chroma' ? this.keyColor : null);
+    }
+
+    /**
+     * 应用结果：生成 PNG 图片并关闭对话框
+     */
+    async apply() {
+        if (!this.imageData) return;
+
+        const { width, height } = this.imageData;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').putImageData(this.getResult(), 0, 0);
+
+        try {
+            const blob = await new Promise((resolve, reject) => {
+                canvas.toBlob(result => result ? resolve(result) : reject(new Error('图片编码失败')), 'image/png');
+            });
+            const image = await Utils.loadImageFile(blob);
+            this.close(image);
+        } catch (error) {
+            console.error('背景移除失败:', error);
+            Utils.showToast('背景移除失败', 'error');
+        }
+    }
+
+    /**
+     * 把指针位置换算为图片像素坐标
+     * @param {PointerEvent} event 指针事件
+     * @returns {Object} {x, y}
+     */
+    getPointerPoint(event) {
+        const { canvas } = this.elements;
+        const rect = canvas.getBoundingClientRect();
+
+        return {
+            x: (event.clientX - rect.left) * canvas.width / rect.width,
+            y: (event.clientY - rect.top) * canvas.height / rect.height
+        };
+    }
+
+    /**
+     * 获取以图片像素计的画笔半径（画笔大小按预览显示尺寸设定）
+     * @returns {number}
+     */
+    getBrushRadius() {
+        const { canvas, brushSize } = this.elements;
+        const rect = canvas.getBoundingClientRect();
+        return parseFloat(brushSize.value) / 2 * canvas.width / (rect.width || canvas.width);
+    }
+
+    /**
+     * 指针按下：取样或开始涂抹
+     * @param {PointerEvent} event 指针事件
+     */
+    handlePointerDown(event) {
+        if (!this.imageData || this.activePointerId !== null || !event.isPrimary) return;
+        if (event.pointerType === 'mouse' && event.button !== 0) return;
+
+        event.preventDefault();
+        const point = this.getPointerPoint(event);
+        const { width, height } = this.imageData;
+        const x = Utils.clamp(Math.floor(point.x), 0, width - 1);
+        const y = Utils.clamp(Math.floor(point.y), 0, height - 1);
+
+        if (this.tool === 'pick') {
+            if (this.mode === 'wand') {
+                this.seeds.push({ x, y });
+            } else {
+                this.keyColor = BackgroundRemover.getColor(this.imageData, x, y);
+                this.elements.keyColor.value = BackgroundRemovalDialog.formatColor(this.keyColor);
+            }
+            this.update(true);
+            return;
+        }
+
+        this.elements.canvas.setPointerCapture(event.pointerId);
+        this.activePointerId = event.pointerId;
+        this.lastPoint = point;
+        this.paintTo(point);
+    }
+
+    /**
+     * 指针移动：继续涂抹
+     * @param {PointerEvent} event 指针事件
+     */
+    handlePointerMove(event) {
+        if (event.pointerId !== this.activePointerId) return;
+
+        event.preventDefault();
+        this.paintTo(this.getPointerPoint(event));
+    }
+
+    /**
+     * 指针抬起：结束涂抹
+     * @param {PointerEvent} event 指针事件
+     */
+    handlePointerUp(event) {
+        if (event.pointerId !== this.activePointerId) return;
+
+        this.activePointerId = null;
+        this.lastPoint = null;
+    }
+
+    /**
+     * 从上一个点涂抹到指定点
+     * @param {Object} point 图片像素坐标
+     */
+    paintTo(point) {
+        const { width, height } = this.imageData;
+
+        BackgroundRemover.paint(
+            this.brushMask,
+            width,
+            height,
+            this.lastPoint,
+            point,
+            this.getBrushRadius(),
+            this.tool === 'keep' ? 1 : 2
+        );
+
+        this.lastPoint = point;
+        this.scheduleUpdate(false);
+    }
+
+    /**
+     * 键盘处理：Esc 取消
+     * @param {KeyboardEvent} event 键盘事件
+     */
+    handleKeyDown(event) {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            this.close(null);
+        }
+    }
+
+    /**
+     * 读取图片像素，超过处理尺寸时等比缩小
+     * @param {HTMLImageElement} image 图片对象
+     * @returns {ImageData}
+     */
+    static readPixels(image) {
+        const scale = Math.min(1, BackgroundRemover.MAX_SIZE / Math.max(image.naturalWidth, image.naturalHeight));
+        const width = Math.max(1, Math.round(image.naturalWidth * scale));
+        const height = Math.max(1, Math.round(image.naturalHeight * scale));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0, width, height);
+        return ctx.getImageData(0, 0, width, height);
+    }
+
+    /**
+     * 解析 #RRGGBB 颜色
+     * @param {string} value 颜色字符串
+     * @returns {Object} {r, g, b}
+     */
+    static parseColor(value) {
+        const hex = parseInt(value.slice(1), 16);
+        return { r: (hex >> 16) & 255, g: (hex >> 8) & 255, b: hex & 255 };
+    }
+
+    /**
+     * 把颜色格式化为 #RRGGBB
+     * @param {Object} color {r, g, b}
+     * @returns {string}
+     */
+    static formatColor(color) {
+        return '#' + [color.r, color.g, color.b]
+            .map(value => value.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * 销毁对话框
+     */
+    destroy() {
+        if (this.resolve) {
+            this.close(null);
+        }
+
+        const { canvas } = this.elements;
+        canvas.removeEventListener('pointerdown', this.handlePointerDown);
+        canvas.removeEventListener('pointermove', this.handlePointerMove);
+        canvas.removeEventListener('pointerup', this.handlePointerUp);
+        canvas.removeEventListener('pointercancel', this.handlePointerUp);
+    }
+}
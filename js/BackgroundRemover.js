@@ -0,0 +1,316 @@
+/**
+ * 背景移除类
+ * 在浏览器本地计算图片的透明遮罩：魔棒（按容差泛洪填充）和边缘感知的色度抠图，
+ * 配合手动保留/擦除画笔和羽化。所有计算只读写像素数组，图片不会离开本机
+ */
+
+class BackgroundRemover {
+    /**
+     * 计算两种颜色的距离
+     * @param {Uint8ClampedArray} data 像素数据
+     * @param {number} index 像素起始下标
+     * @param {Object} color {r, g, b}
+     * @returns {number} 0-100
+     */
+    static colorDistance(data, index, color) {
+        const dr = data[index] - color.r;
+        const dg = data[index + 1] - color.g;
+        const db = data[index + 2] - color.b;
+        return Math.sqrt(dr * dr + dg * dg + db * db) / BackgroundRemover.MAX_DISTANCE * 100;
+    }
+
+    /**
+     * 读取像素颜色
+     * @param {ImageData} imageData 像素数据
+     * @param {number} x X坐标
+     * @param {number} y Y坐标
+     * @returns {Object} {r, g, b}
+     */
+    static getColor(imageData, x, y) {
+        const index = (y * imageData.width + x) * 4;
+        const { data } = imageData;
+        return { r: data[index], g: data[index + 1], b: data[index + 2] };
+    }
+
+    /**
+     * 魔棒：从每个取样点向四周泛洪，颜色与取样点相近的连通区域视为背景
+     * @param {ImageData} imageData 像素数据
+     * @param {Object[]} seeds 取样点 {x, y}（像素坐标）
+     * @param {number} tolerance 容差 (0-100)
+     * @returns {Uint8ClampedArray} 遮罩，255 为保留、0 为移除
+     */
+    static magicWand(imageData, seeds, tolerance) {
+        const { data, width, height } = imageData;
+        const alpha = new Uint8ClampedArray(width * height).fill(255);
+        const visited = new Uint8Array(width * height);
+        const stack = new Int32Array(width * height);
+
+        seeds.forEach(seed => {
+            const sx = Math.round(seed.x);
+            const sy = Math.round(seed.y);
+            if (sx < 0 || sy < 0 || sx >= width || sy >= height) return;
+
+            const color = BackgroundRemover.getColor(imageData, sx, sy);
+            visited.fill(0);
+
+            let top = 0;
+            stack[top++] = sy * width + sx;
+            visited[sy * width + sx] = 1;
+
+            while (top > 0) {
+                const index = stack[--top];
+                alpha[index] = 0;
+
+                const x = index % width;
+                const neighbors = [
+                    x > 0 ? index - 1 : -1,
+                    x < width - 1 ? index + 1 : -1,
+                    index - width,
+                    index + width
+                ];
+
+                neighbors.forEach(next => {
+                    if (next < 0 || next >= width * height || visited[next]) return;
+                    visited[next] = 1;
+                    if (BackgroundRemover.colorDistance(data, next * 4, color) <= tolerance) {
+                        stack[top++] = next;
+                    }
+                });
+            }
+        });
+
+        return alpha;
+    }
+
+    /**
+     * 色度抠图：移除与背景色相近的所有像素
+     * 过渡带内按边缘强度保留：平坦区域（背景上的渐变、阴影和噪点）直接去掉，
+     * 物体轮廓处的抗锯齿像素保留半透明，避免边缘发硬
+     * @param {ImageData} imageData 像素数据
+     * @param {Object} keyColor 背景色 {r, g, b}
+     * @param {number} tolerance 容差 (0-100)
+     * @param {number} softness 过渡宽度 (0-100)
+     * @returns {Uint8ClampedArray} 遮罩，255 为保留、0 为移除
+     */
+    static chromaKey(imageData, keyColor, tolerance, softness) {
+        const { data, width, height } = imageData;
+        const alpha = new Uint8ClampedArray(width * height);
+        const edges = BackgroundRemover.edgeStrength(imageData);
+        const band = Math.max(softness, 0.001);
+
+        for (let i = 0; i < alpha.length; i++) {
+            const distance = BackgroundRemover.colorDistance(data, i * 4, keyColor);
+
+            if (distance <= tolerance) {
+                alpha[i] = 0;
+            } else if (distance >= tolerance + band) {
+                alpha[i] = 255;
+            } else {
+                const ratio = (distance - tolerance) / band;
+                alpha[i] = ratio * Math.min(1, edges[i] * 2) * 255;
+            }
+        }
+
+        return alpha;
+    }
+
+    /**
+     * 计算每个像素的边缘强度（亮度的 Sobel 梯度）
+     * @param {ImageData} imageData 像素数据
+     * @returns {Float32Array} 0-1
+     */
+    static edgeStrength(imageData) {
+        const { data, width, height } = imageData;
+        const luminance = new Float32Array(width * height);
+        const edges = new Float32Array(width * height);
+
+        for (let i = 0; i < luminance.length; i++) {
+            luminance[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+        }
+
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                const gx = luminance[i - width + 1] + 2 * luminance[i + 1] + luminance[i + width + 1] -
+                    luminance[i - width - 1] - 2 * luminance[i - 1] - luminance[i + width - 1];
+                const gy = luminance[i + width - 1] + 2 * luminance[i + width] + luminance[i + width + 1] -
+                    luminance[i - width - 1] - 2 * luminance[i - width] - luminance[i - width + 1];
+                edges[i] = Math.min(1, Math.sqrt(gx * gx + gy * gy) / 510);
+            }
+        }
+
+        return edges;
+    }
+
+    /**
+     * 估计背景色（取图片四周像素各通道的中位数）
+     * @param {ImageData} imageData 像素数据
+     * @returns {Object} {r, g, b}
+     */
+    static estimateBackground(imageData) {
+        const { width, height } = imageData;
+        const channels = [[], [], []];
+
+        const sample = (x, y) => {
+            const color = BackgroundRemover.getColor(imageData, x, y);
+            channels[0].push(color.r);
+            channels[1].push(color.g);
+            channels[2].push(color.b);
+        };
+
+        for (let x = 0; x < width; x++) {
+            sample(x, 0);
+            sample(x, height - 1);
+        }
+        for (let y = 1; y < height - 1; y++) {
+            sample(0, y);
+            sample(width - 1, y);
+        }
+
+        const [r, g, b] = channels.map(values => {
+            values.sort((a, b) => a - b);
+            return values[Math.floor(values.length / 2)];
+        });
+
+        return { r, g, b };
+    }
+
+    /**
+     * 在画笔遮罩上画一段线（保留或擦除）
+     * @param {Uint8Array} brushMask 画笔遮罩，0 未涂抹、1 保留、2 擦除（原地修改）
+     * @param {number} width 宽度
+     * @param {number} height 高度
+     * @param {Object} from 起点 {x, y}
+     * @param {Object} to 终点 {x, y}
+     * @param {number} radius 半径（像素）
+     * @param {number} value 1 保留、2 擦除
+     */
+    static paint(brushMask, width, height, from, to, radius, value) {
+        const distance = Utils.getDistance(from, to);
+        const steps = Math.max(1, Math.ceil(distance / Math.max(1, radius / 2)));
+
+        for (let step = 0; step <= steps; step++) {
+            const cx = from.x + (to.x - from.x) * step / steps;
+            const cy = from.y + (to.y - from.y) * step / steps;
+
+            const minX = Math.max(0, Math.floor(cx - radius));
+            const maxX = Math.min(width - 1, Math.ceil(cx + radius));
+            const minY = Math.max(0, Math.floor(cy - radius));
+            const maxY = Math.min(height - 1, Math.ceil(cy + radius));
+
+            for (let y = minY; y <= maxY; y++) {
+                for (let x = minX; x <= maxX; x++) {
+                    const dx = x - cx;
+                    const dy = y - cy;
+                    if (dx * dx + dy * dy <= radius * radius) {
+                        brushMask[y * width + x] = value;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * 合成最终遮罩：画笔涂抹优先于自动计算的结果，然后羽化边缘
+     * @param {Uint8ClampedArray} alpha 自动计算的遮罩
+     * @param {Uint8Array} brushMask 画笔遮罩
+     * @param {number} width 宽度
+     * @param {number} height 高度
+     * @param {number} feather 羽化半径（像素）
+     * @returns {Uint8ClampedArray} 最终遮罩
+     */
+    static combine(alpha, brushMask, width, height, feather) {
+        let result = new Uint8ClampedArray(alpha.length);
+
+        for (let i = 0; i < alpha.length; i++) {
+            if (brushMask[i] === 1) {
+                result[i] = 255;
+            } else if (brushMask[i] === 2) {
+                result[i] = 0;
+            } else {
+                result[i] = alpha[i];
+            }
+        }
+
+        const radius = Math.round(feather);
+        if (radius > 0) {
+            // 两次盒式模糊近似高斯模糊
+            result = BackgroundRemover.boxBlur(result, width, height, radius);
+            result = BackgroundRemover.boxBlur(result, width, height, radius);
+        }
+
+        return result;
+    }
+
+    /**
+     * 盒式模糊（先水平后垂直）
+     * @param {Uint8ClampedArray} values 单通道数据
+     * @param {number} width 宽度
+     * @param {number} height 高度
+     * @param {number} radius 半径
+     * @returns {Uint8ClampedArray} 模糊后的数据
+     */
+    static boxBlur(values, width, height, radius) {
+        const temp = new Uint8ClampedArray(values.length);
+        const result = new Uint8ClampedArray(values.length);
+
+        const blurLine = (source, target, start, stride, length) => {
+            let sum = 0;
+            const at = (i) => source[start + Utils.clamp(i, 0, length - 1) * stride];
+
+            for (let i = -radius; i <= radius; i++) {
+                sum += at(i);
+            }
+
+            for (let i = 0; i < length; i++) {
+                target[start + i * stride] = sum / (radius * 2 + 1);
+                sum += at(i + radius + 1) - at(i - radius);
+            }
+        };
+
+        for (let y = 0; y < height; y++) {
+            blurLine(values, temp, y * width, 1, width);
+        }
+        for (let x = 0; x < width; x++) {
+            blurLine(temp, result, x, width, height);
+        }
+
+        return result;
+    }
+
+    /**
+     * 生成带透明通道的结果
+     * 色度抠图时去除半透明边缘上残留的背景色
+     * @param {ImageData} imageData 原图像素
+     * @param {Uint8ClampedArray} alpha 最终遮罩
+     * @param {Object|null} keyColor 需要去除的背景色（可选）
+     * @returns {ImageData} 新的像素数据
+     */
+    static applyMask(imageData, alpha, keyColor = null) {
+        const { width, height } = imageData;
+        const result = new ImageData(new Uint8ClampedArray(imageData.data), width, height);
+        const { data } = result;
+
+        for (let i = 0; i < alpha.length; i++) {
+            const index = i * 4;
+            const value = Math.min(alpha[i], data[index + 3]);
+
+            if (keyColor && value > 0 && value < 255) {
+                const fraction = value / 255;
+                data[index] = (data[index] - (1 - fraction) * keyColor.r) / fraction;
+                data[index + 1] = (data[index + 1] - (1 - fraction) * keyColor.g) / fraction;
+                data[index + 2] = (data[index + 2] - (1 - fraction) * keyColor.b) / fraction;
+            }
+
+            data[index + 3] = value;
+        }
+
+        return result;
+    }
+}
+
+// RGB 空间中的最大距离，用于把颜色距离换算成百分比
+BackgroundRemover.MAX_DISTANCE = Math.sqrt(255 * 255 * 3);
+
+// 处理时的最长边（像素）；贴纸显示不超过 120 单位，4x 导出也足够清晰
+BackgroundRemover.MAX_SIZE = 1024;
@@ -0,0 +1,400 @@
+/**
+ * 画笔笔迹类
+ * 以平滑矢量路径保存一笔手绘，作为贴纸参与选择、变换和撤销
+ */
+
+class BrushStroke extends Sticker {
+    /**
+     * 构造函数
+     * @param {Object[]} points 本地坐标点数组 [{x, y, pressure}]，以贴纸中心为原点
+     * @param {number} x X坐标
+     * @param {number} y Y坐标
+     * @param {Object} options 可选参数（包含笔刷样式）
+     */
+    constructor(points, x, y, options = {}) {
+        super('stroke', points || [], x, y, options);
+
+        this.size = options.size || 8;
+        this.color = options.color || '#FF3B30';
+        this.mode = options.mode || 'pen'; // 'pen' 或 'highlighter'
+        this.hasPressure = !!options.hasPressure;
+    }
+
+    /**
+     * 获取默认图层名称
+     * @returns {string}
+     */
+    getDefaultName() {
+        return this.mode === 'highlighter' ? '荧光笔' : '笔迹';
+    }
+
+    /**
+     * 根据压感计算某一点的笔触宽度
+     * @param {Object} point 笔迹点
+     * @returns {number} 宽度
+     */
+    getWidthAt(point) {
+        if (!this.hasPressure) return this.size;
+
+        const pressure = point.pressure !== undefined ? point.pressure : 0.5;
+        return this.size * (0.3 + 1.4 * pressure);
+    }
+
+    /**
+     * 获取最大笔触宽度
+     * @returns {number}
+     */
+    getMaxWidth() {
+        return this.data.reduce((max, point) => Math.max(max, this.getWidthAt(point)), this.size);
+    }
+
+    /**
+     * 使用画布坐标点重设笔迹
+     * 重新计算包围盒，并把点转换为以中心为原点的本地坐标
+     * @param {Object[]} canvasPoints 画布坐标点数组 [{x, y, pressure}]
+     */
+    setCanvasPoints(canvasPoints) {
+        if (canvasPoints.length === 0) return;
+
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        canvasPoints.forEach(point => {
+            minX = Math.min(minX, point.x);
+            minY = Math.min(minY, point.y);
+            maxX = Math.max(maxX, point.x);
+            maxY = Math.max(maxY, point.y);
+        });
+
+        // 包围盒预留半个笔触宽度
+        const padding = Math.max(...canvasPoints.map(point => this.getWidthAt(point))) / 2;
+
+        this.rotation = 0;
+        this.scale = 1;
+        this.x = minX - padding;
+        this.y = minY - padding;
+        this.width = maxX - minX + padding * 2;
+        this.height = maxY - minY + padding * 2;
+
+        const centerX = this.x + this.width / 2;
+        const centerY = this.y + this.height / 2;
+
+        this.data = canvasPoints.map(point => ({
+            x: point.x - centerX,
+            y: point.y - centerY,
+            pressure: point.pressure
+        }));
+    }
+
+    /**
+     * 笔迹可以分别拉伸宽高
+     * @returns {Object} {x, y}
+     */
+    getResizeAxes() {
+        return { x: true, y: true };
+    }
+
+    /**
+     * 非等比拉伸笔迹：按比例移动各点，笔触粗细不变
+     * @param {number} scaleX 宽度变化比例
+     * @param {number} scaleY 高度变化比例
+     */
+    stretch(scaleX, scaleY) {
+        const oldWidth = this.width;
+        const oldHeight = this.height;
+
+        super.stretch(scaleX, scaleY);
+
+        // 以实际得到的尺寸换算，避免最小尺寸限制后点与包围盒不一致
+        const ratioX = this.width / oldWidth;
+        const ratioY = this.height / oldHeight;
+        this.data = this.data.map(point => ({
+            ...point,
+            x: point.x * ratioX,
+            y: point.y * ratioY
+        }));
+    }
+
+    /**
+     * 将本地坐标点转换为画布坐标
+     * @param {Object} point 本地坐标点
+     * @returns {Object} 画布坐标点
+     */
+    toCanvasPoint(point) {
+        const center = this.getCenter();
+        const cos = Math.cos(this.rotation);
+        const sin = Math.sin(this.rotation);
+        const x = point.x * this.scale;
+        const y = point.y * this.scale;
+
+        return {
+            x: center.x + x * cos - y * sin,
+            y: center.y + x * sin + y * cos,
+            pressure: point.pressure
+        };
+    }
+
+    /**
+     * 检测点是否落在笔迹上
+     * @param {number} x X坐标
+     * @param {number} y Y坐标
+     * @returns {boolean}
+     */
+    containsPoint(x, y) {
+        const local = this.toLocalPoint(x, y);
+        const tolerance = 4 / this.scale;
+        const points = this.data;
+
+        if (points.length === 1) {
+            return Utils.getDistance(local, points[0]) <= this.getWidthAt(points[0]) / 2 + tolerance;
+        }
+
+        for (let i = 1; i < points.length; i++) {
+            const halfWidth = Math.max(this.getWidthAt(points[i - 1]), this.getWidthAt(points[i])) / 2;
+            if (Utils.getDistanceToSegment(local, points[i - 1], points[i]) <= halfWidth + tolerance) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * 用橡皮擦擦除笔迹
+     * 被擦到的点会被移除，剩余部分拆分为若干段画布坐标点
+     * @param {Object} center 橡皮擦中心（画布坐标）
+     * @param {number} radius 橡皮擦半径（画布像素）
+     * @returns {Object[][]|null} 剩余的点段；未擦到任何点时返回null
+     */
+    erase(center, radius) {
+        const canvasPoints = this.densify(this.data.map(point => this.toCanvasPoint(point)), radius / 2);
+        const segments = [];
+        let current = [];
+        let erased = false;
+
+        canvasPoints.forEach(point => {
+            const reach = radius + (this.getWidthAt(point) * this.scale) / 2;
+
+            if (Utils.getDistance(point, center) <= reach) {
+                erased = true;
+                if (current.length > 0) {
+                    segments.push(current);
+                    current = [];
+                }
+            } else {
+                current.push(point);
+            }
+        });
+
+        if (current.length > 0) {
+            segments.push(current);
+        }
+
+        return erased ? segments : null;
+    }
+
+    /**
+     * 在间距过大的相邻点之间插值，保证擦除精度
+     * @param {Object[]} points 点数组
+     * @param {number} maxGap 最大间距
+     * @returns {Object[]} 插值后的点数组
+     */
+    densify(points, maxGap) {
+        if (points.length < 2 || maxGap <= 0) return points;
+
+        const result = [points[0]];
+
+        for (let i = 1; i < points.length; i++) {
+            const prev = points[i - 1];
+            const point = points[i];
+            const steps = Math.floor(Utils.getDistance(prev, point) / maxGap);
+
+            for (let step = 1; step < steps; step++) {
+                const t = step / steps;
+                result.push({
+                    x: prev.x + (point.x - prev.x) * t,
+                    y: prev.y + (point.y - prev.y) * t,
+                    pressure: prev.pressure !== undefined
+                        ? prev.pressure + (point.pressure - prev.pressure) * t
+                        : undefined
+                });
+            }
+
+            result.push(point);
+        }
+
+        return result;
+    }
+
+    /**
+     * 在已变换到贴纸中心的上下文中绘制笔迹
+     * 编辑器与导出共用，按矢量路径重新绘制
+     * @param {CanvasRenderingContext2D} ctx 绘图上下文
+     */
+    drawContent(ctx) {
+        const points = this.data;
+        if (points.length === 0) return;
+
+        if (this.mode === 'highlighter') {
+            ctx.globalCompositeOperation = 'multiply';
+        }
+
+        ctx.fillStyle = this.color;
+        ctx.strokeStyle = this.color;
+
+        // 单个点绘制为圆点
+        if (points.length === 1) {
+            ctx.beginPath();
+            ctx.arc(points[0].x, points[0].y, this.getWidthAt(points[0]) / 2, 0, Math.PI * 2);
+            ctx.fill();
+            return;
+        }
+
+        if (this.hasPressure) {
+            this.fillVariableWidthOutline(ctx);
+        } else {
+            ctx.lineWidth = this.size;
+            ctx.lineCap = this.mode === 'highlighter' ? 'square' : 'round';
+            ctx.lineJoin = 'round';
+            ctx.beginPath();
+            this.traceSmoothPath(ctx, points);
+            ctx.stroke();
+        }
+    }
+
+    /**
+     * 用二次曲线经过相邻点的中点，构建平滑路径
+     * @param {CanvasRenderingContext2D} ctx 绘图上下文
+     * @param {Object[]} points 点数组
+     */
+    traceSmoothPath(ctx, points) {
+        ctx.moveTo(points[0].x, points[0].y);
+
+        for (let i = 1; i < points.length - 1; i++) {
+            const midX = (points[i].x + points[i + 1].x) / 2;
+            const midY = (points[i].y + points[i + 1].y) / 2;
+            ctx.quadraticCurveTo(points[i].x, points[i].y, midX, midY);
+        }
+
+        const last = points[points.length - 1];
+        ctx.lineTo(last.x, last.y);
+    }
+
+    /**
+     * 绘制带压感的笔迹
+     * 沿法线方向偏移得到左右两条边，首尾以半圆连接成一个闭合轮廓后整体填充，
+     * 避免分段描边在半透明时出现叠加痕迹
+     * @param {CanvasRenderingContext2D} ctx 绘图上下文
+     */
+    fillVariableWidthOutline(ctx) {
+        const points = this.data;
+        const left = [];
+        const right = [];
+        const normals = [];
+
+        points.forEach((point, i) => {
+            const prev = points[Math.max(i - 1, 0)];
+            const next = points[Math.min(i + 1, points.length - 1)];
+            const length = Utils.getDistance(prev, next) || 1;
+            const normal = { x: -(next.y - prev.y) / length, y: (next.x - prev.x) / length };
+            const half = this.getWidthAt(point) / 2;
+
+            normals.push(normal);
+            left.push({ x: point.x + normal.x * half, y: point.y + normal.y * half });
+            right.push({ x: point.x - normal.x * half, y: point.y - normal.y * half });
+        });
+
+        const first = points[0];
+        const last = points[points.length - 1];
+        const startAngle = Math.atan2(normals[0].y, normals[0].x);
+        const endAngle = Math.atan2(normals[normals.length - 1].y, normals[normals.length - 1].x);
+
+        ctx.beginPath();
+        this.traceSmoothPath(ctx, left);
+        ctx.arc(last.x, last.y, this.getWidthAt(last) / 2, endAngle, endAngle - Math.PI, true);
+
+        const reversedRight = right.slice().reverse();
+        for (let i = 1; i < reversedRight.length - 1; i++) {
+            const midX = (reversedRight[i].x + reversedRight[i + 1].x) / 2;
+            const midY = (reversedRight[i].y + reversedRight[i + 1].y) / 2;
+            ctx.quadraticCurveTo(reversedRight[i].x, reversedRight[i].y, midX, midY);
+        }
+        ctx.lineTo(reversedRight[reversedRight.length - 1].x, reversedRight[reversedRight.length - 1].y);
+
+        ctx.arc(first.x, first.y, this.getWidthAt(first) / 2, startAngle + Math.PI, startAngle, true);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    /**
+     * 获取笔刷样式
+     * @returns {Object} 样式属性
+     */
+    getStyle() {
+        return {
+            size: this.size,
+            color: this.color,
+            mode: this.mode,
+            hasPressure: this.hasPressure
+        };
+    }
+
+    /**
+     * 克隆笔迹
+     * @returns {BrushStroke} 新的笔迹实例
+     */
+    clone() {
+        return new BrushStroke(this.data.map(point => ({ ...point })), this.x + 20, this.y + 20, {
+            ...this.getStyle(),
+            width: this.width,
+            height: this.height,
+            rotation: this.rotation,
+            scale: this.scale,
+            opacity: this.opacity,
+            name: this.name,
+            visible: this.visible,
+            locked: this.locked,
+            effects: this.effects
+        });
+    }
+
+    /**
+     * 序列化笔迹数据
+     * 坐标保留两位小数以控制历史记录体积
+     * @returns {Object} 序列化后的数据
+     */
+    serialize() {
+        const round = value => Math.round(value * 100) / 100;
+
+        return {
+            ...super.serialize(),
+            data: this.data.map(point => ({
+                x: round(point.x),
+                y: round(point.y),
+                pressure: point.pressure !== undefined ? round(point.pressure) : undefined
+            })),
+            ...this.getStyle()
+        };
+    }
+
+    /**
+     * 从序列化数据创建笔迹
+     * @param {Object} data 序列化数据
+     * @returns {BrushStroke} 笔迹实例
+     */
+    static deserialize(data) {
+        const stroke = new BrushStroke(data.data.map(point => ({ ...point })), data.x, data.y, data);
+        stroke.id = data.id;
+        return stroke;
+    }
+
+    /**
+     * 由画布坐标点创建笔迹
+     * @param {Object[]} canvasPoints 画布坐标点数组
+     * @param {Object} options 笔刷样式
+     * @returns {BrushStroke} 笔迹实例
+     */
+    static fromCanvasPoints(canvasPoints, options = {}) {
+        const stroke = new BrushStroke([], 0, 0, options);
+        stroke.setCanvasPoints(canvasPoints);
+        return stroke;
+    }
+}
@@ -0,0 +1,318 @@
+/**
+ * 画笔工具类
+ * 处理画笔、荧光笔和橡皮擦的指针输入，支持触控笔压感
+ */
+
+class BrushTool {
+    /**
+     * 构造函数
+     * @param {HTMLCanvasElement} canvas Canvas元素
+     * @param {ImageEditor} editor 编辑器实例
+     */
+    constructor(canvas, editor) {
+        this.canvas = canvas;
+        this.editor = editor;
+
+        // 笔刷设置
+        this.settings = {
+            size: 8,
+            color: '#FF3B30',
+            opacity: 1
+        };
+
+        // 输入平滑系数（0 不平滑，越接近 1 越平滑）
+        this.smoothing = 0.5;
+
+        // 绘制状态
+        this.activePointerId = null;
+        this.currentStroke = null;
+        this.canvasPoints = [];
+        this.lastSmoothedPoint = null;
+        this.hasErased = false;
+        this.renderScheduled = false;
+
+        this.elements = {};
+
+        // 绑定方法上下文
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handleToolChange = this.handleToolChange.bind(this);
+
+        this.initialize();
+    }
+
+    /**
+     * 初始化画笔工具
+     */
+    initialize() {
+        this.canvas.addEventListener('pointerdown', this.handlePointerDown);
+        this.canvas.addEventListener('pointermove', this.handlePointerMove);
+        this.canvas.addEventListener('pointerup', this.handlePointerUp);
+        this.canvas.addEventListener('pointercancel', this.handlePointerUp);
+
+        this.editor.on('toolchange', this.handleToolChange);
+
+        this.getElements();
+        this.bindPanelEvents();
+        this.syncPanel();
+    }
+
+    /**
+     * 获取面板DOM元素引用
+     */
+    getElements() {
+        this.elements = {
+            toolBtns: document.querySelectorAll('.brush-tool-btn'),
+            size: document.getElementById('brushSize'),
+            color: document.getElementById('brushColor'),
+            opacity: document.getElementById('brushOpacity')
+        };
+    }
+
+    /**
+     * 绑定面板事件
+     */
+    bindPanelEvents() {
+        const { toolBtns, size, color, opacity } = this.elements;
+
+        toolBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.editor.setTool(btn.dataset.tool);
+            });
+        });
+
+        size.addEventListener('input', () => {
+            this.settings.size = parseFloat(size.value);
+        });
+
+        color.addEventListener('input', () => {
+            this.settings.color = color.value;
+        });
+
+        opacity.addEventListener('input', () => {
+            this.settings.opacity = parseFloat(opacity.value);
+        });
+    }
+
+    /**
+     * 同步面板控件
+     */
+    syncPanel() {
+        const { toolBtns, size, color, opacity } = this.elements;
+
+        toolBtns.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tool === this.editor.activeTool);
+        });
+
+        size.value = this.settings.size;
+        color.value = this.settings.color;
+        opacity.value = this.settings.opacity;
+    }
+
+    /**
+     * 工具切换处理
+     * @param {string} tool 当前工具
+     */
+    handleToolChange(tool) {
+        this.canvas.style.cursor = this.isDrawingTool(tool) ? 'crosshair' : 'default';
+        this.syncPanel();
+    }
+
+    /**
+     * 是否为绘制类工具
+     * @param {string} tool 工具名称
+     * @returns {boolean}
+     */
+    isDrawingTool(tool = this.editor.activeTool) {
+        return tool === 'brush' || tool === 'highlighter' || tool === 'eraser';
+    }
+
+    /**
+     * 指针按下处理
+     * @param {PointerEvent} event 指针事件
+     */
+    handlePointerDown(event) {
+        if (!this.editor.originalImage || !this.isDrawingTool()) return;
+        if (this.activePointerId !== null || !event.isPrimary) return;
+        if (event.pointerType === 'mouse' && event.button !== 0) return;
+
+        event.preventDefault();
+        this.canvas.setPointerCapture(event.pointerId);
+        this.activePointerId = event.pointerId;
+
+        const point = this.getPointerPoint(event);
+
+        if (this.editor.activeTool === 'eraser') {
+            this.hasErased = false;
+            this.eraseAt(point);
+            return;
+        }
+
+        const isHighlighter = this.editor.activeTool === 'highlighter';
+
+        this.lastSmoothedPoint = point;
+        this.canvasPoints = [point];
+        this.currentStroke = BrushStroke.fromCanvasPoints(this.canvasPoints, {
+            size: isHighlighter ? this.settings.size * 3 : this.settings.size,
+            color: this.settings.color,
+            mode: isHighlighter ? 'highlighter' : 'pen',
+            hasPressure: event.pointerType === 'pen',
+            opacity: isHighlighter ? Math.min(this.settings.opacity, 0.5) : this.settings.opacity
+        });
+
+        this.editor.stickers.push(this.currentStroke);
+        this.scheduleRender();
+    }
+
+    /**
+     * 指针移动处理
+     * @param {PointerEvent} event 指针事件
+     */
+    handlePointerMove(event) {
+        if (event.pointerId !== this.activePointerId) return;
+
+        event.preventDefault();
+
+        // 合并事件可以提供更高采样率的点
+        const events = event.getCoalescedEvents ? event.getCoalescedEvents() : [event];
+        const samples = events.length > 0 ? events : [event];
+
+        samples.forEach(sample => {
+            const point = this.getPointerPoint(sample);
+
+            if (this.editor.activeTool === 'eraser') {
+                this.eraseAt(point);
+            } else if (this.currentStroke) {
+                this.addStrokePoint(point);
+            }
+        });
+
+        if (this.currentStroke) {
+            this.currentStroke.setCanvasPoints(this.canvasPoints);
+            this.scheduleRender();
+        }
+    }
+
+    /**
+     * 指针抬起处理
+     * @param {PointerEvent} event 指针事件
+     */
+    handlePointerUp(event) {
+        if (event.pointerId !== this.activePointerId) return;
+
+        this.activePointerId = null;
+
+        if (this.currentStroke) {
+            const stroke = this.currentStroke;
+            stroke.setCanvasPoints(this.canvasPoints);
+            this.currentStroke = null;
+            this.canvasPoints = [];
+            this.editor.renderCanvas();
+            this.editor.saveState(`绘制 ${stroke.getDisplayName()}`);
+        } else if (this.hasErased) {
+            this.hasErased = false;
+            this.editor.saveState('擦除');
+        }
+    }
+
+    /**
+     * 读取指针在画布上的坐标与压感
+     * @param {PointerEvent} event 指针事件
+     * @returns {Object} {x, y, pressure}
+     */
+    getPointerPoint(event) {
+        const pos = Utils.getCanvasCoordinates(event, this.canvas);
+        return {
+            x: pos.x,
+            y: pos.y,
+            pressure: event.pointerType === 'pen' ? event.pressure : 0.5
+        };
+    }
+
+    /**
+     * 添加平滑后的笔迹点
+     * @param {Object} point 原始点
+     */
+    addStrokePoint(point) {
+        const last = this.lastSmoothedPoint;
+        const factor = 1 - this.smoothing;
+
+        const smoothed = {
+            x: last.x + (point.x - last.x) * factor,
+            y: last.y + (point.y - last.y) * factor,
+            pressure: last.pressure + (point.pressure - last.pressure) * factor
+        };
+
+        // 忽略过于密集的点
+        if (Utils.getDistance(smoothed, last) < 1) return;
+
+        this.lastSmoothedPoint = smoothed;
+        this.canvasPoints.push(smoothed);
+    }
+
+    /**
+     * 在指定位置擦除笔迹
+     * 被擦断的笔迹拆分为多条新笔迹，保持原有的图层顺序
+     * @param {Object} point 橡皮擦中心
+     */
+    eraseAt(point) {
+        const radius = this.settings.size;
+        const stickers = this.editor.stickers;
+        let changed = false;
+
+        for (let i = stickers.length - 1; i >= 0; i--) {
+            const stroke = stickers[i];
+            if (stroke.type !== 'stroke' || !stroke.visible || stroke.locked) continue;
+
+            const segments = stroke.erase(point, radius);
+            if (!segments) continue;
+
+            const replacements = segments.map(points => BrushStroke.fromCanvasPoints(points, {
+                ...stroke.getStyle(),
+                size: stroke.size * stroke.scale,
+                opacity: stroke.opacity,
+                name: stroke.name,
+                effects: stroke.effects
+            }));
+
+            stickers.splice(i, 1, ...replacements);
+
+            this.editor.removeFromSelection([stroke]);
+            changed = true;
+        }
+
+        if (changed) {
+            this.hasErased = true;
+            this.scheduleRender();
+        }
+    }
+
+    /**
+     * 合并同一帧内的多次重绘
+     */
+    scheduleRender() {
+        if (this.renderScheduled) return;
+
+        this.renderScheduled = true;
+        requestAnimationFrame(() => {
+            this.renderScheduled = false;
+            if (this.editor) {
+                this.editor.renderCanvas();
+            }
+        });
+    }
+
+    /**
+     * 销毁画笔工具
+     */
+    destroy() {
+        this.canvas.removeEventListener('pointerdown', this.handlePointerDown);
+        this.canvas.removeEventListener('pointermove', this.handlePointerMove);
+        this.canvas.removeEventListener('pointerup', this.handlePointerUp);
+        this.canvas.removeEventListener('pointercancel', this.handlePointerUp);
+
+        this.editor.off('toolchange', this.handleToolChange);
+        this.editor = null;
+    }
+}
@@ -0,0 +1,316 @@
+/**
+ * 画布边框类
+ * 以参数形式描述背景图片四周的边距和画布的背景填充（透明、纯色、渐变、图案或模糊原图）。
+ * 画布尺寸为变换后的图片尺寸加上边距，图片绘制在左上边距之后；
+ * 填充铺满整个画布，位于图片之下，因此空白画布（透明背景图片）整体显示为填充
+ */
+
+class CanvasFrame {
+    /**
+     * 获取默认参数（无边距、透明填充）
+     * @returns {Object} {top, right, bottom, left, fill, color, color2, angle, pattern, blur}
+     */
+    static getDefaults() {
+        return {
+            top: 0,
+            right: 0,
+            bottom: 0,
+            left: 0,
+            fill: 'none',
+            color: '#FFFFFF',
+            color2: '#FFD1E3',
+            angle: 135,
+            pattern: 'dots',
+            blur: 40
+        };
+    }
+
+    /**
+     * 补全参数并限制取值范围
+     * @param {Object} frame 边框参数
+     * @returns {Object} 完整的边框参数
+     */
+    static normalize(frame) {
+        const settings = { ...CanvasFrame.getDefaults(), ...(frame || {}) };
+        const padding = value => Math.round(Utils.clamp(parseFloat(value) || 0, 0, CanvasFrame.MAX_PADDING));
+        const isColor = value => /^#[0-9a-f]{6}$/i.test(value);
+        const defaults = CanvasFrame.getDefaults();
+
+        return {
+            top: padding(settings.top),
+            right: padding(settings.right),
+            bottom: padding(settings.bottom),
+            left: padding(settings.left),
+            fill: CanvasFrame.FILLS.some(f => f.id === settings.fill) ? settings.fill : defaults.fill,
+            color: isColor(settings.color) ? settings.color.toUpperCase() : defaults.color,
+            color2: isColor(settings.color2) ? settings.color2.toUpperCase() : defaults.color2,
+            angle: ((Math.round(parseFloat(settings.angle) || 0) % 360) + 360) % 360,
+            pattern: CanvasFrame.PATTERNS.some(p => p.id === settings.pattern) ? settings.pattern : defaults.pattern,
+            blur: Utils.clamp(parseFloat(settings.blur) || 0, 0, CanvasFrame.MAX_BLUR)
+        };
+    }
+
+    /**
+     * 判断两组参数是否相同
+     * @param {Object} a 边框参数
+     * @param {Object} b 边框参数
+     * @returns {boolean}
+     */
+    static equals(a, b) {
+        return Object.keys(CanvasFrame.getDefaults()).every(key => a[key] === b[key]);
+    }
+
+    /**
+     * 获取画布尺寸（图片尺寸加上边距）
+     * @param {Object} size 变换后的图片尺寸 {width, height}
+     * @param {Object} frame 边框参数
+     * @returns {Object} {width, height}
+     */
+    static getCanvasSize(size, frame) {
+        return {
+            width: size.width + frame.left + frame.right,
+            height: size.height + frame.top + frame.bottom
+        };
+    }
+
+    /**
+     * 计算把图片居中扩展到指定宽高比所需的边距（只增加不裁剪）
+     * @param {Object} size 变换后的图片尺寸 {width, height}
+     * @param {number} ratio 宽高比
+     * @returns {Object} {top, right, bottom, left}
+     */
+    static getAspectPadding(size, ratio) {
+        let width = size.width;
+        let height = size.height;
+
+        if (width / height > ratio) {
+            height = Math.round(width / ratio);
+        } else {
+            width = Math.round(height * ratio);
+        }
+
+        const horizontal = Math.min(width - size.width, CanvasFrame.MAX_PADDING * 2);
+        const vertical = Math.min(height - size.height, CanvasFrame.MAX_PADDING * 2);
+
+        return {
+            top: Math.floor(vertical / 2),
+            right: Math.ceil(horizontal / 2),
+            bottom: Math.ceil(vertical / 2),
+            left: Math.floor(horizontal / 2)
+        };
+    }
+
+    /**
+     * 绘制背景填充，铺满整个画布
+     * @param {CanvasRenderingContext2D} ctx 绘图上下文（原点为画布左上角）
+     * @param {Object} frame 边框参数
+     * @param {number} width 画布宽度
+     * @param {number} height 画布高度
+     * @param {Function} drawImage 模糊填充时调用 drawImage(ctx) 在原点绘制变换后的图片
+     * @param {Object} imageSize 变换后的图片尺寸 {width, height}
+     */
+    static drawFill(ctx, frame, width, height, drawImage, imageSize) {
+        if (frame.fill === 'none') return;
+
+        ctx.save();
+
+        if (frame.fill === 'gradient') {
+            ctx.fillStyle = CanvasFrame.createGradient(ctx, frame, width, height);
+        } else {
+            ctx.fillStyle = frame.color;
+        }
+        ctx.fillRect(0, 0, width, height);
+
+        if (frame.fill === 'pattern') {
+            CanvasFrame.drawPattern(ctx, frame, width, height);
+        } else if (frame.fill === 'blur') {
+            CanvasFrame.drawBlurredImage(ctx, frame, width, height, drawImage, imageSize);
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * 生成按角度穿过整个画布的线性渐变
+     * @param {CanvasRenderingContext2D} ctx 绘图上下文
+     * @param {Object} frame 边框参数
+     * @param {number} width 画布宽度
+     * @param {number} height 画布高度
+     * @returns {CanvasGradient}
+     */
+    static createGradient(ctx, frame, width, height) {
+        const angle = Utils.degreesToRadians(frame.angle);
+        const dx = Math.cos(angle);
+        const dy = Math.sin(angle);
+
+        // 渐变线长度取画布在该方向上的投影，两端颜色正好落在角上
+        const half = (Math.abs(width * dx) + Math.abs(height * dy)) / 2;
+        const cx = width / 2;
+        const cy = height / 2;
+
+        const gradient = ctx.createLinearGradient(cx - dx * half, cy - dy * half, cx + dx * half, cy + dy * half);
+        gradient.addColorStop(0, frame.color);
+        gradient.addColorStop(1, frame.color2);
+        return gradient;
+    }
+
+    /**
+     * 以矢量方式绘制图案（底色为第一种颜色，图案为第二种颜色），导出放大时依然清晰
+     * @param {CanvasRenderingContext2D} ctx 绘图上下文
+     * @param {Object} frame 边框参数
+     * @param {number} width 画布宽度
+     * @param {number} height 画布高度
+     */
+    static drawPattern(ctx, frame, width, height) {
+        const cell = Math.max(8, Math.min(width, height) / CanvasFrame.PATTERN_CELLS);
+        const columns = Math.ceil(width / cell);
+        const rows = Math.ceil(height / cell);
+
+        ctx.fillStyle = frame.color2;
+        ctx.strokeStyle = frame.color2;
+        ctx.beginPath();
+
+        switch (frame.pattern) {
+            case 'dots':
+                for (let row = 0; row <= rows; row++) {
+                    // 隔行错开半格
+                    const offset = row % 2 === 0 ? cell / 2 : 0;
+                    for (let column = 0; column <= columns; column++) {
+                        const x = column * cell + offset;
+                        const y = row * cell + cell / 2;
+                        ctx.moveTo(x + cell * 0.18, y);
+                        ctx.arc(x, y, cell * 0.18, 0, Math.PI * 2);
+                    }
+                }
+                ctx.fill();
+                break;
+
+            case 'stripes':
+                ctx.lineWidth = cell / 4;
+                for (let i = -rows; i <= columns; i++) {
+                    ctx.moveTo(i * cell, 0);
+                    ctx.lineTo(i * cell + height, height);
+                }
+                ctx.stroke();
+                break;
+
+            case 'grid':
+                ctx.lineWidth = Math.max(1, cell / 16);
+                for (let column = 1; column <= columns; column++) {
+                    ctx.moveTo(column * cell, 0);
+                    ctx.lineTo(column * cell, height);
+                }
+                for (let row = 1; row <= rows; row++) {
+                    ctx.moveTo(0, row * cell);
+                    ctx.lineTo(width, row * cell);
+                }
+                ctx.stroke();
+                break;
+
+            case 'checker':
+                for (let row = 0; row < rows; row++) {
+                    for (let column = row % 2; column < columns; column += 2) {
+                        ctx.rect(column * cell, row * cell, cell, cell);
+                    }
+                }
+                ctx.fill();
+                break;
+        }
+    }
+
+    /**
+     * 绘制放大铺满画布并模糊的图片（多出的部分用于遮住模糊后变淡的边缘）
+     * @param {CanvasRenderingContext2D} ctx 绘图上下文
+     * @param {Object} frame 边框参数
+     * @param {number} width 画布宽度
+     * @param {number} height 画布高度
+     * @param {Function} drawImage 在原点绘制变换后的图片
+     * @param {Object} imageSize 变换后的图片尺寸 {width, height}
+     */
+    static drawBlurredImage(ctx, frame, width, height, drawImage, imageSize) {
+        if (!drawImage || !imageSize) return;
+
+        const margin = frame.blur * 2;
+        const scale = Math.max(
+            (width + margin * 2) / imageSize.width,
+            (height + margin * 2) / imageSize.height
+        );
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(0, 0, width, height);
+        ctx.clip();
+
+        // Canvas 滤镜的模糊半径不随变换缩放，按导出倍数换算
+        if (frame.blur > 0 && typeof ctx.filter === 'string') {
+            ctx.filter = `blur(${frame.blur * StickerEffects.getTransformInfo(ctx).scale}px)`;
+        }
+
+        ctx.translate(width / 2, height / 2);
+        ctx.scale(scale, scale);
+        ctx.translate(-imageSize.width / 2, -imageSize.height / 2);
+        drawImage(ctx);
+
+        ctx.restore();
+    }
+
+    /**
+     * 生成指定尺寸的透明图片，作为空白画布的背景图片
+     * @param {number} width 宽度
+     * @param {number} height 高度
+     * @returns {Promise<HTMLImageElement>}
+     */
+    static createBlankImage(width, height) {
+        return new Promise((resolve, reject) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(Utils.loadImageFile(blob));
+                } else {
+                    reject(new Error('无法创建空白画布'));
+                }
+            }, 'image/png');
+        });
+    }
+}
+
+// 每边边距的上限（像素）
+CanvasFrame.MAX_PADDING = 4000;
+
+// 模糊填充的最大半径（像素）
+CanvasFrame.MAX_BLUR = 100;
+
+// 图案在画布短边上重复的次数
+CanvasFrame.PATTERN_CELLS = 24;
+
+// 空白画布的尺寸范围（像素）
+CanvasFrame.MIN_SIZE = 16;
+CanvasFrame.MAX_SIZE = 8000;
+
+// 填充方式；空白画布只提供纯色、渐变和图案
+CanvasFrame.FILLS = [
+    { id: 'none', label: '透明' },
+    { id: 'color', label: '纯色' },
+    { id: 'gradient', label: '渐变' },
+    { id: 'pattern', label: '图案' },
+    { id: 'blur', label: '模糊原图' }
+];
+
+// 图案样式
+CanvasFrame.PATTERNS = [
+    { id: 'dots', label: '波点' },
+    { id: 'stripes', label: '斜纹' },
+    { id: 'grid', label: '网格' },
+    { id: 'checker', label: '棋盘格' }
+];
+
+// 空白画布的尺寸预设
+CanvasFrame.SIZE_PRESETS = [
+    { id: 'square', label: '方形 1080×1080', width: 1080, height: 1080 },
+    { id: 'portrait', label: '竖版 1080×1350', width: 1080, height: 1350 },
+    { id: 'story', label: '快拍 1080×1920', width: 1080, height: 1920 },
+    { id: 'landscape', label: '横版 1920×1080', width: 1920, height: 1080 },
+    { id: 'a4', label: 'A4 2480×3508', width: 2480, height: 3508 }
+];
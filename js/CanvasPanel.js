@@ -0,0 +1,206 @@
+/**
+ * 画布面板类
+ * 设置背景图片四周的边距（可一键扩展到常用比例）和画布的背景填充。
+ * 颜色和滑块拖动时实时预览，松开后记录历史
+ */
+
+class CanvasPanel {
+    /**
+     * 构造函数
+     * @param {ImageEditor} editor 编辑器实例
+     */
+    constructor(editor) {
+        this.editor = editor;
+        this.elements = {};
+
+        this.sync = this.sync.bind(this);
+
+        this.initialize();
+    }
+
+    /**
+     * 初始化面板
+     */
+    initialize() {
+        this.getElements();
+        this.populateControls();
+        this.bindEvents();
+
+        this.editor.on('statechange', this.sync);
+
+        this.sync();
+    }
+
+    /**
+     * 获取DOM元素引用
+     */
+    getElements() {
+        this.elements = {
+            panel: document.getElementById('canvasPanel'),
+            ratios: document.getElementById('canvasPadRatios'),
+            paddings: {
+                top: document.getElementById('canvasPadTop'),
+                right: document.getElementById('canvasPadRight'),
+                bottom: document.getElementById('canvasPadBottom'),
+                left: document.getElementById('canvasPadLeft')
+            },
+            fill: document.getElementById('canvasFill'),
+            color: document.getElementById('canvasColor'),
+            color2: document.getElementById('canvasColor2'),
+            angle: document.getElementById('canvasAngle'),
+            pattern: document.getElementById('canvasPattern'),
+            blur: document.getElementById('canvasBlur')
+        };
+    }
+
+    /**
+     * 生成比例按钮和下拉选项
+     */
+    populateControls() {
+        const { ratios, fill, pattern } = this.elements;
+
+        const none = document.createElement('button');
+        none.dataset.ratio = 'none';
+        none.textContent = '无';
+        ratios.appendChild(none);
+
+        CanvasPanel.getRatios().forEach(item => {
+            const btn = document.createElement('button');
+            btn.dataset.ratio = item.id;
+            btn.textContent = item.label;
+            ratios.appendChild(btn);
+        });
+
+        CanvasFrame.FILLS.forEach(item => {
+            const option = document.createElement('option');
+            option.value = item.id;
+            option.textContent = item.label;
+            fill.appendChild(option);
+        });
+        CanvasFrame.PATTERNS.forEach(item => {
+            const option = document.createElement('option');
+            option.value = item.id;
+            option.textContent = item.label;
+            pattern.appendChild(option);
+        });
+    }
+
+    /**
+     * 绑定事件处理器
+     */
+    bindEvents() {
+        const { ratios, paddings, fill, color, color2, angle, pattern, blur } = this.elements;
+
+        // 扩展到指定比例（事件委托）
+        ratios.addEventListener('click', (e) => {
+            const btn = e.target.closest('button');
+            if (!btn || btn.classList.contains('active')) return;
+
+            const padding = this.getRatioPadding(btn.dataset.ratio);
+            const label = btn.dataset.ratio === 'none' ? '移除画布边距' : `扩展画布为 ${btn.textContent}`;
+            this.editor.setCanvasFrame(padding, true, label);
+        });
+
+        Object.keys(paddings).forEach(side => {
+            paddings[side].addEventListener('change', () => {
+                this.editor.setCanvasFrame({ [side]: parseFloat(paddings[side].value) }, true, '画布边距');
+            });
+        });
+
+        fill.addEventListener('change', () => {
+            this.editor.setCanvasFrame({ fill: fill.value }, true, '画布背景');
+        });
+
+        pattern.addEventListener('change', () => {
+            this.editor.setCanvasFrame({ pattern: pattern.value }, true, '画布背景');
+        });
+
+        // 颜色和滑块：拖动时实时预览，松开时记录历史
+        const previewKeys = { color, color2, angle, blur };
+        Object.keys(previewKeys).forEach(key => {
+            const input = previewKeys[key];
+            const read = () => ({ [key]: input.type === 'range' ? parseFloat(input.value) : input.value });
+
+            input.addEventListener('input', () => this.editor.setCanvasFrame(read(), false));
+            input.addEventListener('change', () => this.editor.setCanvasFrame(read(), true, '画布背景'));
+        });
+    }
+
+    /**
+     * 计算按比例扩展所需的边距
+     * @param {string} id 比例标识，'none' 表示移除边距
+     * @returns {Object} {top, right, bottom, left}
+     */
+    getRatioPadding(id) {
+        const item = CanvasPanel.getRatios().find(r => r.id === id);
+        if (!item) {
+            return { top: 0, right: 0, bottom: 0, left: 0 };
+        }
+
+        return CanvasFrame.getAspectPadding(this.editor.getImageSize(), item.ratio);
+    }
+
+    /**
+     * 按编辑器的边框参数同步控件
+     */
+    sync() {
+        if (!this.editor) return;
+
+        const { panel, ratios, paddings, fill, color, color2, angle, pattern, blur } = this.elements;
+        const frame = this.editor.canvasFrame;
+        const hasImage = !!this.editor.originalImage;
+
+        panel.querySelectorAll('input, select, button').forEach(control => {
+            control.disabled = !hasImage;
+        });
+
+        Object.keys(paddings).forEach(side => {
+            paddings[side].value = frame[side];
+        });
+
+        fill.value = frame.fill;
+        color.value = frame.color;
+        color2.value = frame.color2;
+        angle.value = frame.angle;
+        pattern.value = frame.pattern;
+        blur.value = frame.blur;
+
+        // 只显示当前填充方式用到的参数
+        Object.keys(CanvasPanel.FILL_PARAMS).forEach(key => {
+            const row = this.elements[key].closest('.property-row');
+            row.classList.toggle('hidden', !CanvasPanel.FILL_PARAMS[key].includes(frame.fill));
+        });
+
+        // 当前边距正好是某个比例的扩展结果时高亮该比例
+        ratios.querySelectorAll('button').forEach(btn => {
+            const padding = hasImage ? this.getRatioPadding(btn.dataset.ratio) : null;
+            const active = !!padding && Object.keys(padding).every(side => padding[side] === frame[side]);
+            btn.classList.toggle('active', active);
+        });
+    }
+
+    /**
+     * 获取可扩展到的比例（裁剪比例中除自由以外的部分）
+     * @returns {Object[]} [{id, label, ratio}]
+     */
+    static getRatios() {
+        return ImageTransform.ASPECT_RATIOS.filter(item => item.ratio);
+    }
+
+    /**
+     * 销毁面板
+     */
+    destroy() {
+        this.editor.off('statechange', this.sync);
+        this.editor = null;
+    }
+}
+
+// 各参数在哪些填充方式下显示
+CanvasPanel.FILL_PARAMS = {
+    color: ['color', 'gradient', 'pattern'],
+    color2: ['gradient', 'pattern'],
+    angle: ['gradient'],
+    pattern: ['pattern'],
+    blur: ['blur']
+};
@@ -0,0 +1,467 @@
+/**
+ * 裁剪工具类
+ * 处理裁剪模式下的面板操作（比例、90° 旋转、翻转、拉直）和裁剪框的拖动，
+ * 修改只作用于编辑器的 cropDraft，点击完成后才作为一步操作应用
+ */
+
+class CropTool {
+    /**
+     * 构造函数
+     * @param {HTMLCanvasElement} canvas Canvas元素
+     * @param {ImageEditor} editor 编辑器实例
+     */
+    constructor(canvas, editor) {
+        this.canvas = canvas;
+        this.editor = editor;
+
+        // 当前裁剪比例ID
+        this.ratioId = 'free';
+
+        // 拖动状态：{handle, startPoint, startCrop}
+        this.activePointerId = null;
+        this.drag = null;
+
+        // 拉直开始前的裁剪框，拉直过程中裁剪框从它缩小，回到 0° 时恢复
+        this.straightenBase = null;
+
+        this.elements = {};
+
+        // 绑定方法上下文
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handleToolChange = this.handleToolChange.bind(this);
+        this.syncPanel = this.syncPanel.bind(this);
+
+        this.initialize();
+    }
+
+    /**
+     * 初始化裁剪工具
+     */
+    initialize() {
+        this.canvas.addEventListener('pointerdown', this.handlePointerDown);
+        this.canvas.addEventListener('pointermove', this.handlePointerMove);
+        this.canvas.addEventListener('pointerup', this.handlePointerUp);
+        this.canvas.addEventListener('pointercancel', this.handlePointerUp);
+
+        this.editor.on('toolchange', this.handleToolChange);
+        this.editor.on('statechange', this.syncPanel);
+
+        this.getElements();
+        this.populateRatios();
+        this.bindPanelEvents();
+        this.syncPanel();
+    }
+
+    /**
+     * 获取面板DOM元素引用
+     */
+    getElements() {
+        this.elements = {
+            startBtn: document.getElementById('cropStartBtn'),
+            panel: document.getElementById('cropPanel'),
+            ratios: document.getElementById('cropRatios'),
+            rotateLeftBtn: document.getElementById('cropRotateLeftBtn'),
+            rotateRightBtn: document.getElementById('cropRotateRightBtn'),
+            flipHBtn: document.getElementById('cropFlipHBtn'),
+            flipVBtn: document.getElementById('cropFlipVBtn'),
+            straighten: document.getElementById('cropStraighten'),
+            resetBtn: document.getElementById('cropResetBtn'),
+            cancelBtn: document.getElementById('cropCancelBtn'),
+            applyBtn: document.getElementById('cropApplyBtn')
+        };
+    }
+
+    /**
+     * 生成裁剪比例按钮
+     */
+    populateRatios() {
+        ImageTransform.ASPECT_RATIOS.forEach(aspect => {
+            const btn = document.createElement('button');
+            btn.className = 'crop-ratio-btn';
+            btn.dataset.ratio = aspect.id;
+            btn.textContent = aspect.label;
+            this.elements.ratios.appendChild(btn);
+        });
+    }
+
+    /**
+     * 绑定面板事件
+     */
+    bindPanelEvents() {
+        const {
+            startBtn, ratios, rotateLeftBtn, rotateRightBtn, flipHBtn, flipVBtn,
+            straighten, resetBtn, cancelBtn, applyBtn
+        } = this.elements;
+
+        startBtn.addEventListener('click', () => this.editor.setTool('crop'));
+
+        ratios.addEventListener('click', (e) => {
+            const btn = e.target.closest('.crop-ratio-btn');
+            if (btn) {
+                this.setRatio(btn.dataset.ratio);
+            }
+        });
+
+        rotateLeftBtn.addEventListener('click', () => this.rotate(-1));
+        rotateRightBtn.addEventListener('click', () => this.rotate(1));
+        flipHBtn.addEventListener('click', () => this.flip('horizontal'));
+        flipVBtn.addEventListener('click', () => this.flip('vertical'));
+
+        // 拉直：拖动过程中以开始时的裁剪框为基准
+        straighten.addEventListener('input', () => this.setStraighten(parseFloat(straighten.value)));
+        straighten.addEventListener('change', () => {
+            this.straightenBase = null;
+        });
+        straighten.addEventListener('dblclick', () => {
+            this.setStraighten(0);
+            this.straightenBase = null;
+        });
+
+        resetBtn.addEventListener('click', () => this.resetDraft());
+        cancelBtn.addEventListener('click', () => this.editor.setTool('select'));
+        applyBtn.addEventListener('click', () => this.editor.applyCrop());
+    }
+
+    /**
+     * 工具变化处理
+     */
+    handleToolChange() {
+        this.drag = null;
+        this.activePointerId = null;
+        this.straightenBase = null;
+        this.canvas.style.cursor = 'default';
+
+        // 每次进入裁剪模式时，已有裁剪沿用自由比例
+        if (this.editor.activeTool === 'crop') {
+            this.ratioId = 'free';
+        }
+
+        this.syncPanel();
+    }
+
+    /**
+     * 同步面板显示
+     */
+    syncPanel() {
+        if (!this.editor) return;
+
+        const { startBtn, panel, ratios, straighten } = this.elements;
+        const draft = this.editor.cropDraft;
+
+        startBtn.disabled = !this.editor.originalImage;
+        startBtn.classList.toggle('hidden', !!draft);
+        panel.classList.toggle('hidden', !draft);
+
+        if (!draft) return;
+
+        straighten.value = draft.straighten;
+        ratios.querySelectorAll('.crop-ratio-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.ratio === this.ratioId);
+        });
+    }
+
+    /**
+     * 获取当前比例（自由比例为 null）
+     * @returns {number|null}
+     */
+    getRatio() {
+        const aspect = ImageTransform.ASPECT_RATIOS.find(a => a.id === this.ratioId);
+        return aspect ? aspect.ratio : null;
+    }
+
+    /**
+     * 更新编辑器中的裁剪草稿
+     * @param {Object} draft 变换参数
+     */
+    updateDraft(draft) {
+        this.editor.setCropDraft(draft);
+        this.syncPanel();
+    }
+
+    /**
+     * 设置裁剪比例，固定比例时裁剪框改为该比例下最大的居中区域
+     * @param {string} ratioId 比例ID
+     */
+    setRatio(ratioId) {
+        const draft = this.editor.cropDraft;
+        if (!draft) return;
+
+        this.ratioId = ratioId;
+        this.straightenBase = null;
+
+        const ratio = this.getRatio();
+        if (ratio) {
+            this.updateDraft({
+                ...draft,
+                crop: ImageTransform.getAspectCrop(ratio, this.editor.originalImage, draft)
+            });
+        } else {
+            this.syncPanel();
+        }
+    }
+
+    /**
+     * 旋转 90°
+     * @param {number} direction 1 为顺时针，-1 为逆时针
+     */
+    rotate(direction) {
+        const draft = this.editor.cropDraft;
+        if (!draft) return;
+
+        const image = this.editor.originalImage;
+        const rotated = ImageTransform.rotate(draft, image, direction);
+
+        // 固定比例保持原来的方向
+        const ratio = this.getRatio();
+        if (ratio) {
+            rotated.crop = ImageTransform.getAspectCrop(ratio, image, rotated);
+        }
+
+        this.straightenBase = null;
+        this.updateDraft(rotated);
+    }
+
+    /**
+     * 翻转
+     * @param {string} axis 'horizontal' 或 'vertical'
+     */
+    flip(axis) {
+        const draft = this.editor.cropDraft;
+        if (!draft) return;
+
+        this.straightenBase = null;
+        this.updateDraft(ImageTransform.flip(draft, this.editor.originalImage, axis));
+    }
+
+    /**
+     * 设置拉直角度，裁剪框缩小到不露出空白
+     * @param {number} degrees 角度
+     */
+    setStraighten(degrees) {
+        const draft = this.editor.cropDraft;
+        if (!draft) return;
+
+        if (!this.straightenBase) {
+            this.straightenBase = { ...draft.crop };
+        }
+
+        const straightened = { ...draft, straighten: degrees };
+        straightened.crop = ImageTransform.fitCrop(this.straightenBase, this.editor.originalImage, straightened);
+        this.updateDraft(straightened);
+    }
+
+    /**
+     * 还原为不裁剪、不旋转、不翻转
+     */
+    resetDraft() {
+        if (!this.editor.cropDraft) return;
+
+        const defaults = ImageTransform.getDefaults();
+        defaults.crop = ImageTransform.getCrop(this.editor.originalImage, defaults);
+
+        this.ratioId = 'free';
+        this.straightenBase = null;
+        this.updateDraft(defaults);
+    }
+
+    /**
+     * 查找指定位置的裁剪框控制点
+     * @param {Object} point 画布坐标
+     * @returns {string|null} 控制点方位、'move'（框内）或 null
+     */
+    getHandleAt(point) {
+        const crop = this.editor.cropDraft.crop;
+        const tolerance = ImageEditor.CROP_HANDLE_SIZE * this.editor.getScreenPixelSize();
+
+        const handle = ImageEditor.getCropHandles(crop).find(h =>
+            Math.abs(point.x - h.x) <= tolerance && Math.abs(point.y - h.y) <= tolerance
+        );
+        if (handle) return handle.name;
+
+        if (Utils.isPointInRect(point.x, point.y, crop)) return 'move';
+
+        return null;
+    }
+
+    /**
+     * 指针按下：开始移动或缩放裁剪框
+     * @param {PointerEvent} event 指针事件
+     */
+    handlePointerDown(event) {
+        if (!this.editor.cropDraft) return;
+        if (this.activePointerId !== null || !event.isPrimary) return;
+        if (event.pointerType === 'mouse' && event.button !== 0) return;
+
+        const point = Utils.getCanvasCoordinates(event, this.canvas);
+        const handle = this.getHandleAt(point);
+        if (!handle) return;
+
+        event.preventDefault();
+        this.canvas.setPointerCapture(event.pointerId);
+        this.activePointerId = event.pointerId;
+        this.straightenBase = null;
+        this.drag = {
+            handle,
+            startPoint: point,
+            startCrop: { ...this.editor.cropDraft.crop }
+        };
+    }
+
+    /**
+     * 指针移动：更新裁剪框，未拖动时更新光标
+     * @param {PointerEvent} event 指针事件
+     */
+    handlePointerMove(event) {
+        if (!this.editor.cropDraft) return;
+
+        const point = Utils.getCanvasCoordinates(event, this.canvas);
+
+        if (event.pointerId !== this.activePointerId) {
+            const handle = this.getHandleAt(point);
+            this.canvas.style.cursor = CropTool.CURSORS[handle] || 'default';
+            return;
+        }
+
+        event.preventDefault();
+
+        const { handle, startPoint, startCrop } = this.drag;
+        const dx = point.x - startPoint.x;
+        const dy = point.y - startPoint.y;
+
+        const target = handle === 'move'
+            ? { ...startCrop, x: startCrop.x + dx, y: startCrop.y + dy }
+            : CropTool.resizeCrop(startCrop, handle, dx, dy, this.getRatio());
+
+        const draft = this.editor.cropDraft;
+        this.editor.setCropDraft({
+            ...draft,
+            crop: this.constrainCrop(draft.crop, target)
+        });
+    }
+
+    /**
+     * 指针抬起：结束拖动
+     * @param {PointerEvent} event 指针事件
+     */
+    handlePointerUp(event) {
+        if (event.pointerId !== this.activePointerId) return;
+
+        this.activePointerId = null;
+        this.drag = null;
+    }
+
+    /**
+     * 限制裁剪框不超出图片：目标超出时取从当前位置到目标之间最远的合法位置
+     * @param {Object} current 当前裁剪框（合法）
+     * @param {Object} target 目标裁剪框
+     * @returns {Object} 裁剪框
+     */
+    constrainCrop(current, target) {
+        const image = this.editor.originalImage;
+        const draft = this.editor.cropDraft;
+
+        if (ImageTransform.containsCrop(target, image, draft)) {
+            return target;
+        }
+
+        const interpolate = t => ({
+            x: current.x + (target.x - current.x) * t,
+            y: current.y + (target.y - current.y) * t,
+            width: current.width + (target.width - current.width) * t,
+            height: current.height + (target.height - current.height) * t
+        });
+
+        let low = 0;
+        let high = 1;
+        for (let i = 0; i < 12; i++) {
+            const mid = (low + high) / 2;
+            if (ImageTransform.containsCrop(interpolate(mid), image, draft)) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+
+        return interpolate(low);
+    }
+
+    /**
+     * 按控制点缩放裁剪框，固定比例时保持比例
+     * @param {Object} start 开始拖动时的裁剪框
+     * @param {string} handle 控制点方位
+     * @param {number} dx X方向移动距离
+     * @param {number} dy Y方向移动距离
+     * @param {number|null} ratio 宽高比
+     * @returns {Object} 裁剪框
+     */
+    static resizeCrop(start, handle, dx, dy, ratio) {
+        const min = CropTool.MIN_SIZE;
+        let left = start.x;
+        let top = start.y;
+        let right = start.x + start.width;
+        let bottom = start.y + start.height;
+
+        if (handle.includes('w')) left = Math.min(left + dx, right - min);
+        if (handle.includes('e')) right = Math.max(right + dx, left + min);
+        if (handle.includes('n')) top = Math.min(top + dy, bottom - min);
+        if (handle.includes('s')) bottom = Math.max(bottom + dy, top + min);
+
+        let width = right - left;
+        let height = bottom - top;
+
+        if (ratio) {
+            if (handle.length === 2) {
+                // 拖动四角：取拖出的矩形内该比例的最大区域，对角固定
+                if (width / height > ratio) {
+                    width = height * ratio;
+                } else {
+                    height = width / ratio;
+                }
+                if (handle.includes('w')) left = right - width;
+                if (handle.includes('n')) top = bottom - height;
+            } else if (handle === 'e' || handle === 'w') {
+                // 拖动左右边：高度随宽度变化，垂直方向居中
+                height = width / ratio;
+                top = start.y + start.height / 2 - height / 2;
+            } else {
+                // 拖动上下边：宽度随高度变化，水平方向居中
+                width = height * ratio;
+                left = start.x + start.width / 2 - width / 2;
+            }
+        }
+
+        return { x: left, y: top, width, height };
+    }
+
+    /**
+     * 销毁裁剪工具
+     */
+    destroy() {
+        this.canvas.removeEventListener('pointerdown', this.handlePointerDown);
+        this.canvas.removeEventListener('pointermove', this.handlePointerMove);
+        this.canvas.removeEventListener('pointerup', this.handlePointerUp);
+        this.canvas.removeEventListener('pointercancel', this.handlePointerUp);
+
+        this.editor.off('toolchange', this.handleToolChange);
+        this.editor.off('statechange', this.syncPanel);
+        this.editor = null;
+    }
+}
+
+// 裁剪框的最小尺寸（图片像素）
+CropTool.MIN_SIZE = 20;
+
+// 各控制点对应的光标
+CropTool.CURSORS = {
+    nw: 'nwse-resize',
+    se: 'nwse-resize',
+    ne: 'nesw-resize',
+    sw: 'nesw-resize',
+    n: 'ns-resize',
+    s: 'ns-resize',
+    e: 'ew-resize',
+    w: 'ew-resize',
+    move: 'move'
+};
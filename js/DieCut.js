@@ -0,0 +1,408 @@
+/**
+ * 模切白边类
+ * 沿图片透明通道描出轮廓，为图片贴纸绘制跟随外形的白边（或彩色边）和淡淡的投影，
+ * 效果类似 iOS 信息中的贴纸。轮廓以矢量路径保存，每个资源只计算一次，
+ * 编辑器和任意倍数导出都按同一路径绘制
+ */
+
+class DieCut {
+    /**
+     * 补全模切参数
+     * @param {Object} options 模切参数（可以只包含部分参数）
+     * @returns {Object} {enabled, width, color, shadow}
+     */
+    static normalize(options = {}) {
+        const settings = { ...DieCut.DEFAULTS, ...(options || {}) };
+
+        return {
+            enabled: !!settings.enabled,
+            width: Utils.clamp(parseFloat(settings.width) || 0, DieCut.MIN_WIDTH, DieCut.MAX_WIDTH),
+            color: settings.color,
+            shadow: !!settings.shadow
+        };
+    }
+
+    /**
+     * 计算白边和投影超出贴纸范围的距离（本地单位）
+     * @param {Sticker} sticker 贴纸对象
+     * @returns {number}
+     */
+    static getPadding(sticker) {
+        const settings = sticker.dieCut;
+        if (sticker.type !== 'image' || !settings || !settings.enabled) return 0;
+
+        return Math.ceil(settings.shadow ? settings.width * 3 : settings.width);
+    }
+
+    /**
+     * 获取图片的轮廓信息（按资源ID或图片对象缓存）
+     * @param {HTMLImageElement} image 图片对象
+     * @param {string} assetId 资源ID（可选）
+     * @returns {Object|null} {contours, hasTransparency}；无法读取像素时返回null
+     */
+    static getOutline(image, assetId = null) {
+        if (!image || !image.naturalWidth || !image.naturalHeight) return null;
+
+        if (assetId && DieCut.assetCache.has(assetId)) {
+            return DieCut.assetCache.get(assetId);
+        }
+        if (DieCut.imageCache.has(image)) {
+            return DieCut.imageCache.get(image);
+        }
+
+        let outline = null;
+        try {
+            outline = DieCut.traceImage(image);
+        } catch (error) {
+            console.warn('贴纸轮廓计算失败:', error);
+        }
+
+        if (assetId) {
+            DieCut.assetCache.set(assetId, outline);
+        }
+        DieCut.imageCache.set(image, outline);
+
+        return outline;
+    }
+
+    /**
+     * 判断图片是否含有透明区域
+     * @param {HTMLImageElement} image 图片对象
+     * @param {string} assetId 资源ID（可选）
+     * @returns {boolean}
+     */
+    static hasTransparency(image, assetId = null) {
+        const outline = DieCut.getOutline(image, assetId);
+        return !!outline && outline.hasTransparency;
+    }
+
+    /**
+     * 在已变换到贴纸中心的上下文中绘制白边和投影（图片本身由调用方绘制）
+     * @param {CanvasRenderingContext2D} ctx 绘图上下文
+     * @param {Sticker} sticker 图片贴纸
+     */
+    static draw(ctx, sticker) {
+        const settings = sticker.dieCut;
+        if (!settings || !settings.enabled) return;
+
+        const outline = DieCut.getOutline(sticker.data, sticker.assetId);
+        if (!outline || outline.contours.length === 0) return;
+
+        const path = DieCut.buildPath(outline.contours, sticker.width, sticker.height);
+
+        ctx.save();
+        ctx.lineJoin = 'round';
+        ctx.lineCap = 'round';
+        ctx.lineWidth = settings.width * 2;
+        ctx.strokeStyle = settings.color;
+        ctx.fillStyle = settings.color;
+
+        // 阴影参数不受变换影响，按当前缩放换算成像素，保证导出时比例一致
+        if (settings.shadow) {
+            const { scale } = StickerEffects.getTransformInfo(ctx);
+            ctx.save();
+            ctx.shadowColor = 'rgba(0, 0, 0, 0.25)';
+            ctx.shadowBlur = settings.width * 1.5 * scale;
+            ctx.shadowOffsetY = settings.width * 0.5 * scale;
+            ctx.stroke(path);
+            ctx.restore();
+        }
+
+        ctx.fill(path);
+        ctx.stroke(path);
+        ctx.restore();
+    }
+
+    /**
+     * 由归一化轮廓生成贴纸本地坐标下的平滑路径
+     * 相邻顶点之间用二次曲线连接，消除像素描边产生的锯齿
+     * @param {Object[][]} contours 轮廓（坐标范围 0-1）
+     * @param {number} width 贴纸宽度
+     * @param {number} height 贴纸高度
+     * @returns {Path2D}
+     */
+    static buildPath(contours, width, height) {
+        const path = new Path2D();
+
+        contours.forEach(contour => {
+            const points = contour.map(point => ({
+                x: (point.x - 0.5) * width,
+                y: (point.y - 0.5) * height
+            }));
+            const count = points.length;
+            const mid = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+            const start = mid(points[count - 1], points[0]);
+            path.moveTo(start.x, start.y);
+
+            for (let i = 0; i < count; i++) {
+                const next = mid(points[i], points[(i + 1) % count]);
+                path.quadraticCurveTo(points[i].x, points[i].y, next.x, next.y);
+            }
+
+            path.closePath();
+        });
+
+        return path;
+    }
+
+    /**
+     * 分析图片的透明通道，描出每个不透明区域的外轮廓
+     * 在缩小的分析图上计算，内部的透明洞会被填满
+     * @param {HTMLImageElement} image 图片对象
+     * @returns {Object} {contours, hasTransparency}
+     */
+    static traceImage(image) {
+        const fit = Math.min(1, DieCut.ANALYSIS_SIZE / Math.max(image.naturalWidth, image.naturalHeight));
+        const innerWidth = Math.max(1, Math.round(image.naturalWidth * fit));
+        const innerHeight = Math.max(1, Math.round(image.naturalHeight * fit));
+
+        // 四周留 1 像素透明边，保证轮廓闭合
+        const width = innerWidth + 2;
+        const height = innerHeight + 2;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 1, 1, innerWidth, innerHeight);
+
+        const { data } = ctx.getImageData(0, 0, width, height);
+        const mask = new Uint8Array(width * height);
+        let hasTransparency = false;
+
+        for (let y = 1; y <= innerHeight; y++) {
+            for (let x = 1; x <= innerWidth; x++) {
+                const alpha = data[(y * width + x) * 4 + 3];
+                if (alpha < 250) hasTransparency = true;
+                if (alpha >= DieCut.ALPHA_THRESHOLD) mask[y * width + x] = 1;
+            }
+        }
+
+        DieCut.fillHoles(mask, width, height);
+
+        const contours = DieCut.traceContours(mask, width, height).map(contour =>
+            DieCut.simplify(contour, 1).map(point => ({
+                x: (point.x - 1) / innerWidth,
+                y: (point.y - 1) / innerHeight
+            }))
+        ).filter(contour => contour.length >= 3);
+
+        return { contours, hasTransparency };
+    }
+
+    /**
+     * 填满不与外部相连的透明区域
+     * @param {Uint8Array} mask 不透明掩码（原地修改）
+     * @param {number} width 宽度
+     * @param {number} height 高度
+     */
+    static fillHoles(mask, width, height) {
+        const outside = new Uint8Array(width * height);
+        const stack = [0];
+        outside[0] = 1;
+
+        while (stack.length > 0) {
+            const index = stack.pop();
+            const x = index % width;
+            const y = (index - x) / width;
+
+            [[x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]].forEach(([nx, ny]) => {
+                if (nx < 0 || ny < 0 || nx >= width || ny >= height) return;
+                const next = ny * width + nx;
+                if (!outside[next] && !mask[next]) {
+                    outside[next] = 1;
+                    stack.push(next);
+                }
+            });
+        }
+
+        for (let i = 0; i < mask.length; i++) {
+            if (!outside[i]) mask[i] = 1;
+        }
+    }
+
+    /**
+     * 沿像素边界追踪每个连通区域（四连通）的外轮廓
+     * @param {Uint8Array} mask 不透明掩码（已填洞）
+     * @param {number} width 宽度
+     * @param {number} height 高度
+     * @returns {Object[][]} 轮廓顶点（像素角点坐标）
+     */
+    static traceContours(mask, width, height) {
+        const labels = new Int32Array(width * height);
+        const contours = [];
+        let label = 0;
+
+        for (let i = 0; i < mask.length; i++) {
+            if (!mask[i] || labels[i]) continue;
+
+            label++;
+            const area = DieCut.labelRegion(mask, labels, width, height, i, label);
+
+            // 忽略零星的噪点
+            if (area < DieCut.MIN_REGION_AREA) continue;
+
+            const x0 = i % width;
+            const y0 = (i - x0) / width;
+            contours.push(DieCut.traceRegion(labels, width, height, x0, y0, label));
+        }
+
+        return contours;
+    }
+
+    /**
+     * 标记一个连通区域
+     * @returns {number} 区域面积（像素数）
+     */
+    static labelRegion(mask, labels, width, height, start, label) {
+        const stack = [start];
+        labels[start] = label;
+        let area = 0;
+
+        while (stack.length > 0) {
+            const index = stack.pop();
+            const x = index % width;
+            const y = (index - x) / width;
+            area++;
+
+            [[x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]].forEach(([nx, ny]) => {
+                if (nx < 0 || ny < 0 || nx >= width || ny >= height) return;
+                const next = ny * width + nx;
+                if (mask[next] && !labels[next]) {
+                    labels[next] = label;
+                    stack.push(next);
+                }
+            });
+        }
+
+        return area;
+    }
+
+    /**
+     * 从区域最上方最左侧的像素开始，顺时针沿边界行走（区域始终在右手边）
+     * @returns {Object[]} 轮廓转角点
+     */
+    static traceRegion(labels, width, height, x0, y0, label) {
+        const inside = (x, y) => x >= 0 && y >= 0 && x < width && y < height && labels[y * width + x] === label;
+
+        // 方向：0 右、1 下、2 左、3 上
+        const steps = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+        // 各方向前方右侧和左侧像素相对角点的偏移
+        const aheadRight = [[0, 0], [-1, 0], [-1, -1], [0, -1]];
+        const aheadLeft = [[0, -1], [0, 0], [-1, 0], [-1, -1]];
+
+        const points = [];
+        let x = x0;
+        let y = y0;
+        let direction = 0;
+        const maxSteps = width * height * 4;
+
+        for (let i = 0; i < maxSteps; i++) {
+            const right = inside(x + aheadRight[direction][0], y + aheadRight[direction][1]);
+            const left = inside(x + aheadLeft[direction][0], y + aheadLeft[direction][1]);
+
+            let next = direction;
+            if (!right) {
+                next = (direction + 1) % 4;
+            } else if (left) {
+                next = (direction + 3) % 4;
+            }
+
+            if (next !== direction || points.length === 0) {
+                points.push({ x, y });
+            }
+            direction = next;
+
+            // 转弯后在同一角点重新判断
+            if (!right || left) continue;
+
+            x += steps[direction][0];
+            y += steps[direction][1];
+
+            // 起点角只与一个区域像素相邻，回到起点即完成一圈
+            if (x === x0 && y === y0) break;
+        }
+
+        return points;
+    }
+
+    /**
+     * 用 Douglas-Peucker 算法简化闭合轮廓
+     * @param {Object[]} points 顶点
+     * @param {number} tolerance 允许的偏差（像素）
+     * @returns {Object[]} 简化后的顶点
+     */
+    static simplify(points, tolerance) {
+        if (points.length <= 4) return points;
+
+        // 以离起点最远的点把闭合轮廓拆成两段分别简化
+        let farthest = 0;
+        let maxDistance = -1;
+        points.forEach((point, index) => {
+            const distance = Utils.getDistance(points[0], point);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                farthest = index;
+            }
+        });
+
+        const first = DieCut.simplifyOpen(points.slice(0, farthest + 1), tolerance);
+        const second = DieCut.simplifyOpen(points.slice(farthest).concat([points[0]]), tolerance);
+
+        return first.slice(0, -1).concat(second.slice(0, -1));
+    }
+
+    /**
+     * 简化开放折线
+     * @param {Object[]} points 顶点
+     * @param {number} tolerance 允许的偏差（像素）
+     * @returns {Object[]} 简化后的顶点（保留首尾）
+     */
+    static simplifyOpen(points, tolerance) {
+        if (points.length <= 2) return points;
+
+        const start = points[0];
+        const end = points[points.length - 1];
+        const length = Utils.getDistance(start, end) || 1;
+
+        let index = 0;
+        let maxDistance = 0;
+        for (let i = 1; i < points.length - 1; i++) {
+            const distance = Math.abs(
+                (end.x - start.x) * (start.y - points[i].y) - (start.x - points[i].x) * (end.y - start.y)
+            ) / length;
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                index = i;
+            }
+        }
+
+        if (maxDistance <= tolerance) {
+            return [start, end];
+        }
+
+        const left = DieCut.simplifyOpen(points.slice(0, index + 1), tolerance);
+        const right = DieCut.simplifyOpen(points.slice(index), tolerance);
+        return left.slice(0, -1).concat(right);
+    }
+}
+
+// 默认参数：白边宽度以贴纸本地单位计
+DieCut.DEFAULTS = {
+    enabled: false,
+    width: 6,
+    color: '#FFFFFF',
+    shadow: true
+};
+DieCut.MIN_WIDTH = 1;
+DieCut.MAX_WIDTH = 30;
+
+// 轮廓分析参数
+DieCut.ANALYSIS_SIZE = 256;
+DieCut.ALPHA_THRESHOLD = 64;
+DieCut.MIN_REGION_AREA = 8;
+
+// 轮廓缓存：资源ID -> 轮廓；没有资源ID的图片按图片对象缓存
+DieCut.assetCache = new Map();
+DieCut.imageCache = new WeakMap();
@@ -0,0 +1,175 @@
+/**
+ * 文档差异类
+ * 比较操作前后的文档快照，只记录发生变化的部分：变化的贴纸（操作前后的序列化数据）、
+ * 贴纸顺序（增删或调整顺序时）、背景调整、变换和画布边框，以及选中的贴纸。
+ * 历史记录的每条命令只保存差异，撤销和重做时把差异的一侧应用到当前快照上
+ */
+
+class DocumentDelta {
+    /**
+     * 比较两个快照
+     * @param {Object} before 操作前的快照（ImageEditor.captureState 的结果）
+     * @param {Object} after 操作后的快照
+     * @returns {Object} 差异 {stickers, order, properties, selection}
+     */
+    static diff(before, after) {
+        const beforeMap = DocumentDelta.mapStickers(before.stickers);
+        const afterMap = DocumentDelta.mapStickers(after.stickers);
+
+        // 新增、删除和修改的贴纸
+        const stickers = [];
+        afterMap.forEach((data, key) => {
+            const previous = beforeMap.get(key) || null;
+            if (!previous || DocumentDelta.serialize(previous) !== DocumentDelta.serialize(data)) {
+                stickers.push({ key, before: previous, after: data });
+            }
+        });
+        beforeMap.forEach((data, key) => {
+            if (!afterMap.has(key)) {
+                stickers.push({ key, before: data, after: null });
+            }
+        });
+
+        // 贴纸顺序只在增删或调整顺序时记录
+        const beforeOrder = Array.from(beforeMap.keys());
+        const afterOrder = Array.from(afterMap.keys());
+        const order = beforeOrder.join('\n') === afterOrder.join('\n')
+            ? null
+            : { before: beforeOrder, after: afterOrder };
+
+        // 背景调整、变换和画布边框只记录变化的一项
+        const properties = { before: {}, after: {} };
+        DocumentDelta.PROPERTY_KEYS.forEach(key => {
+            if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+                properties.before[key] = Utils.deepClone(before[key]);
+                properties.after[key] = Utils.deepClone(after[key]);
+            }
+        });
+
+        return {
+            stickers,
+            order,
+            properties,
+            selection: { before: before.selectedStickerIds, after: after.selectedStickerIds }
+        };
+    }
+
+    /**
+     * 把差异的一侧应用到快照上，得到新的快照
+     * @param {Object} state 快照（差异另一侧对应的状态）
+     * @param {Object} delta 差异
+     * @param {string} side 'before'（撤销）或 'after'（重做）
+     * @returns {Object} 新的快照
+     */
+    static apply(state, delta, side) {
+        const map = DocumentDelta.mapStickers(state.stickers);
+
+        delta.stickers.forEach(change => {
+            if (change[side]) {
+                map.set(change.key, change[side]);
+            } else {
+                map.delete(change.key);
+            }
+        });
+
+        const order = delta.order ? delta.order[side] : Array.from(map.keys());
+        const stickers = order.filter(key => map.has(key)).map(key => map.get(key));
+
+        const result = { ...state, stickers };
+        Object.keys(delta.properties[side]).forEach(key => {
+            result[key] = Utils.deepClone(delta.properties[side][key]);
+        });
+        result.selectedStickerIds = delta.selection[side];
+        result.assetIds = AssetStore.collectIds(stickers);
+
+        return result;
+    }
+
+    /**
+     * 合并连续的两个差异：保留第一个的操作前状态和第二个的操作后状态
+     * @param {Object} first 较早的差异
+     * @param {Object} second 较晚的差异
+     * @returns {Object} 合并后的差异
+     */
+    static merge(first, second) {
+        const changes = new Map(first.stickers.map(change => [change.key, { ...change }]));
+        second.stickers.forEach(change => {
+            const existing = changes.get(change.key);
+            if (existing) {
+                existing.after = change.after;
+            } else {
+                changes.set(change.key, { ...change });
+            }
+        });
+
+        // 第一个差异没有改变顺序时，它之前的顺序就是第二个差异之前的顺序
+        const order = first.order || second.order
+            ? {
+                before: (first.order || second.order).before,
+                after: (second.order || first.order).after
+            }
+            : null;
+
+        return {
+            stickers: Array.from(changes.values()),
+            order,
+            properties: {
+                before: { ...second.properties.before, ...first.properties.before },
+                after: { ...first.properties.after, ...second.properties.after }
+            },
+            selection: { before: first.selection.before, after: second.selection.after }
+        };
+    }
+
+    /**
+     * 收集差异中（操作前后）引用的图片资源ID
+     * @param {Object} delta 差异
+     * @returns {string[]} 资源ID（可能重复，与引用次数一致）
+     */
+    static collectAssetIds(delta) {
+        const stickers = [];
+        delta.stickers.forEach(change => {
+            if (change.before) stickers.push(change.before);
+            if (change.after) stickers.push(change.after);
+        });
+        return AssetStore.collectIds(stickers);
+    }
+
+    /**
+     * 按键整理贴纸数据，键为贴纸 ID 加上相同 ID 之前出现的次数（项目文件中的 ID 可能重复）
+     * @param {Object[]} stickers 序列化的贴纸数据
+     * @returns {Map<string, Object>} 保持贴纸顺序
+     */
+    static mapStickers(stickers) {
+        const map = new Map();
+        const counts = {};
+
+        stickers.forEach(data => {
+            const count = counts[data.id] || 0;
+            counts[data.id] = count + 1;
+            map.set(`${data.id}#${count}`, data);
+        });
+
+        return map;
+    }
+
+    /**
+     * 序列化贴纸数据用于比较，结果按数据对象缓存（快照中的数据不会被修改）
+     * @param {Object} data 序列化的贴纸数据
+     * @returns {string}
+     */
+    static serialize(data) {
+        let text = DocumentDelta.cache.get(data);
+        if (text === undefined) {
+            text = JSON.stringify(data);
+            DocumentDelta.cache.set(data, text);
+        }
+        return text;
+    }
+}
+
+// 快照中贴纸以外、需要比较的文档属性
+DocumentDelta.PROPERTY_KEYS = ['adjustments', 'imageTransform', 'canvasFrame'];
+
+// 贴纸数据 -> JSON 文本
+DocumentDelta.cache = new WeakMap();
@@ -0,0 +1,239 @@
+/**
+ * 效果面板类
+ * 编辑选中贴纸的投影、描边、外发光、高斯模糊和颜色叠加，以及图片贴纸的模切白边，
+ * 拖动滑块时实时预览，松开后记录历史
+ */
+
+class EffectsPanel {
+    /**
+     * 构造函数
+     * @param {ImageEditor} editor 编辑器实例
+     */
+    constructor(editor) {
+        this.editor = editor;
+        this.elements = {};
+
+        this.sync = this.sync.bind(this);
+
+        this.initialize();
+    }
+
+    /**
+     * 初始化面板
+     */
+    initialize() {
+        this.getElements();
+        this.populateControls();
+        this.bindEvents();
+
+        this.editor.on('selectionchange', this.sync);
+        this.editor.on('statechange', this.sync);
+
+        this.sync();
+    }
+
+    /**
+     * 获取DOM元素引用
+     */
+    getElements() {
+        this.elements = {
+            panel: document.getElementById('effectsPanel'),
+            empty: document.getElementById('effectsEmpty'),
+            dieCutGroup: document.getElementById('dieCutGroup'),
+            dieCutEnabled: document.getElementById('dieCutEnabled'),
+            dieCutWidth: document.getElementById('dieCutWidth'),
+            dieCutColor: document.getElementById('dieCutColor'),
+            dieCutShadow: document.getElementById('dieCutShadow')
+        };
+    }
+
+    /**
+     * 按效果定义生成开关和参数控件
+     */
+    populateControls() {
+        const { panel } = this.elements;
+
+        StickerEffects.EFFECTS.forEach(effect => {
+            const group = document.createElement('div');
+            group.className = 'effect-group';
+            group.dataset.effect = effect.key;
+
+            const toggle = document.createElement('label');
+            toggle.className = 'property-row effect-toggle';
+
+            const title = document.createElement('span');
+            title.textContent = effect.label;
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.dataset.param = 'enabled';
+
+            toggle.appendChild(title);
+            toggle.appendChild(checkbox);
+            group.appendChild(toggle);
+
+            const params = document.createElement('div');
+            params.className = 'effect-params';
+
+            effect.params.forEach(param => {
+                const row = document.createElement('label');
+                row.className = 'property-row';
+
+                const name = document.createElement('span');
+                name.textContent = param.label;
+
+                const input = document.createElement('input');
+                input.dataset.param = param.key;
+                if (param.type === 'color') {
+                    input.type = 'color';
+                } else {
+                    input.type = 'range';
+                    input.min = param.min;
+                    input.max = param.max;
+                    input.step = param.step;
+                }
+
+                row.appendChild(name);
+                row.appendChild(input);
+                params.appendChild(row);
+            });
+
+            group.appendChild(params);
+            panel.appendChild(group);
+        });
+    }
+
+    /**
+     * 绑定事件处理器
+     */
+    bindEvents() {
+        const { panel } = this.elements;
+
+        // 参数控件：拖动或取色时实时预览
+        panel.addEventListener('input', (e) => {
+            const change = this.readChange(e.target);
+            if (!change || change.param === 'enabled') return;
+
+            this.editor.setSelectionEffect(change.effect, { [change.param]: change.value }, false);
+        });
+
+        // 松开滑块、关闭取色器或切换开关时记录历史
+        panel.addEventListener('change', (e) => {
+            const change = this.readChange(e.target);
+            if (!change) return;
+
+            this.editor.setSelectionEffect(change.effect, { [change.param]: change.value });
+        });
+
+        this.bindDieCutEvents();
+    }
+
+    /**
+     * 绑定模切白边控件事件
+     */
+    bindDieCutEvents() {
+        const { dieCutEnabled, dieCutWidth, dieCutColor, dieCutShadow } = this.elements;
+
+        dieCutEnabled.addEventListener('change', () => {
+            this.editor.setSelectionDieCut({ enabled: dieCutEnabled.checked });
+        });
+
+        dieCutWidth.addEventListener('input', () => {
+            this.editor.setSelectionDieCut({ width: parseFloat(dieCutWidth.value) }, false);
+        });
+
+        dieCutWidth.addEventListener('change', () => {
+            this.editor.setSelectionDieCut({ width: parseFloat(dieCutWidth.value) });
+        });
+
+        dieCutColor.addEventListener('input', () => {
+            this.editor.setSelectionDieCut({ color: dieCutColor.value }, false);
+        });
+
+        dieCutColor.addEventListener('change', () => {
+            this.editor.setSelectionDieCut({ color: dieCutColor.value });
+        });
+
+        dieCutShadow.addEventListener('change', () => {
+            this.editor.setSelectionDieCut({ shadow: dieCutShadow.checked });
+        });
+    }
+
+    /**
+     * 读取控件对应的效果参数
+     * @param {HTMLInputElement} input 控件
+     * @returns {Object|null} {effect, param, value}
+     */
+    readChange(input) {
+        const group = input.closest('.effect-group');
+        if (!group || !input.dataset.param) return null;
+
+        let value = input.value;
+        if (input.type === 'checkbox') {
+            value = input.checked;
+        } else if (input.type === 'range') {
+            value = parseFloat(input.value);
+        }
+
+        return { effect: group.dataset.effect, param: input.dataset.param, value };
+    }
+
+    /**
+     * 按选中的贴纸同步面板
+     * 多选时显示第一个选中贴纸的值
+     */
+    sync() {
+        if (!this.editor) return;
+
+        const { panel, empty } = this.elements;
+        const sticker = this.editor.selectedStickers[0];
+
+        panel.classList.toggle('hidden', !sticker);
+        empty.classList.toggle('hidden', !!sticker);
+        if (!sticker) return;
+
+        panel.querySelectorAll('.effect-group').forEach(group => {
+            const values = sticker.effects[group.dataset.effect];
+
+            group.querySelectorAll('[data-param]').forEach(input => {
+                const value = values[input.dataset.param];
+                if (input.type === 'checkbox') {
+                    input.checked = value;
+                } else {
+                    input.value = value;
+                }
+            });
+
+            group.classList.toggle('enabled', values.enabled);
+        });
+
+        this.syncDieCut();
+    }
+
+    /**
+     * 同步模切白边控件，只在选中图片贴纸时显示
+     */
+    syncDieCut() {
+        const { dieCutGroup, dieCutEnabled, dieCutWidth, dieCutColor, dieCutShadow } = this.elements;
+        const image = this.editor.selectedStickers.find(sticker => sticker.type === 'image');
+
+        dieCutGroup.classList.toggle('hidden', !image);
+        if (!image) return;
+
+        const settings = image.dieCut;
+        dieCutEnabled.checked = settings.enabled;
+        dieCutWidth.value = settings.width;
+        dieCutColor.value = settings.color;
+        dieCutShadow.checked = settings.shadow;
+        dieCutGroup.classList.toggle('enabled', settings.enabled);
+    }
+
+    /**
+     * 销毁面板
+     */
+    destroy() {
+        this.editor.off('selectionchange', this.sync);
+        this.editor.off('statechange', this.sync);
+        this.editor = null;
+    }
+}
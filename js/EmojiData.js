@@ -0,0 +1,1817 @@
+/**
+ * 表情数据（由 tools/build-emoji-data.js 生成，请勿手动修改）
+ * 来源为 Unicode 15.1 的 emoji-test.txt 和 tools/emoji-zh.txt 中的中文关键词。
+ * 每个表情为 {e, n, k, t, g}：表情、英文名称、中文关键词、五种肤色变体（可选）、
+ * 男性和女性版本 {man, woman}（可选，各自含 e 和可选的 t）
+ */
+
+const EmojiData = {
+    version: "15.1",
+    categories: [
+        {
+            id: "smileys",
+            label: "笑脸与情感",
+            icon: "😀",
+            emojis: [
+                { e: "😀", n: "grinning face", k: "笑脸 嘿嘿 开心 高兴" },
+                { e: "😃", n: "grinning face with big eyes", k: "大笑 开心 哈哈" },
+                { e: "😄", n: "grinning face with smiling eyes", k: "眯眼笑 开心 哈哈" },
+                { e: "😁", n: "beaming face with smiling eyes", k: "嘻嘻 露齿笑 开心" },
+                { e: "😆", n: "grinning squinting face", k: "斜眼笑 大笑 哈哈" },
+                { e: "😅", n: "grinning face with sweat", k: "苦笑 尴尬 流汗" },
+                { e: "🤣", n: "rolling on the floor laughing", k: "笑得打滚 笑死 大笑" },
+                { e: "😂", n: "face with tears of joy", k: "笑哭 喜极而泣 笑出眼泪" },
+                { e: "🙂", n: "slightly smiling face", k: "微笑 呵呵" },
+                { e: "🙃", n: "upside-down face", k: "倒脸 无语 反话" },
+                { e: "🫠", n: "melting face", k: "融化 尴尬 羞" },
+                { e: "😉", n: "winking face", k: "眨眼 调皮 使眼色" },
+                { e: "😊", n: "smiling face with smiling eyes", k: "羞涩微笑 开心 可爱" },
+                { e: "😇", n: "smiling face with halo", k: "天使 光环 乖巧" },
+                { e: "🥰", n: "smiling face with hearts", k: "喜欢 爱心 被爱 幸福" },
+                { e: "😍", n: "smiling face with heart-eyes", k: "花痴 爱心眼 喜欢 爱慕" },
+                { e: "🤩", n: "star-struck", k: "星星眼 崇拜 哇" },
+                { e: "😘", n: "face blowing a kiss", k: "飞吻 亲亲 么么哒" },
+                { e: "😗", n: "kissing face", k: "亲亲 嘟嘴" },
+                { e: "☺️", n: "smiling face", k: "微笑 笑脸" },
+                { e: "😚", n: "kissing face with closed eyes", k: "闭眼亲亲 么么哒" },
+                { e: "😙", n: "kissing face with smiling eyes", k: "微笑亲亲 吹口哨" },
+                { e: "🥲", n: "smiling face with tear", k: "含泪微笑 感动 强颜欢笑" },
+                { e: "😋", n: "face savoring food", k: "好吃 美味 馋" },
+                { e: "😛", n: "face with tongue", k: "吐舌头 调皮" },
+                { e: "😜", n: "winking face with tongue", k: "眨眼吐舌 调皮 开玩笑" },
+                { e: "🤪", n: "zany face", k: "滑稽 疯狂 搞怪" },
+                { e: "😝", n: "squinting face with tongue", k: "眯眼吐舌 调皮 恶心" },
+                { e: "🤑", n: "money-mouth face", k: "发财 见钱眼开 钱" },
+                { e: "🤗", n: "smiling face with open hands", k: "拥抱 抱抱" },
+                { e: "🤭", n: "face with hand over mouth", k: "捂嘴笑 偷笑" },
+                { e: "🫢", n: "face with open eyes and hand over mouth", k: "捂嘴 震惊 吃惊" },
+                { e: "🫣", n: "face with peeking eye", k: "偷看 害羞 不敢看" },
+                { e: "🤫", n: "shushing face", k: "嘘 安静 保密" },
+                { e: "🤔", n: "thinking face", k: "思考 想一想 疑问 嗯" },
+                { e: "🫡", n: "saluting face", k: "敬礼 遵命 收到" },
+                { e: "🤐", n: "zipper-mouth face", k: "闭嘴 拉链嘴 保密" },
+                { e: "🤨", n: "face with raised eyebrow", k: "挑眉 怀疑 质疑" },
+                { e: "😐", n: "neutral face", k: "面无表情 平静 无感" },
+                { e: "😑", n: "expressionless face", k: "无语 冷漠 面无表情" },
+                { e: "😶", n: "face without mouth", k: "没有嘴 沉默 无言" },
+                { e: "🫥", n: "dotted line face", k: "虚线脸 隐身 透明 内向" },
+                { e: "😶‍🌫️", n: "face in clouds", k: "云中脸 迷糊 恍惚" },
+                { e: "😏", n: "smirking face", k: "得意 坏笑 嘚瑟" },
+                { e: "😒", n: "unamused face", k: "不高兴 不屑 嫌弃" },
+                { e: "🙄", n: "face with rolling eyes", k: "翻白眼 无语 不耐烦" },
+                { e: "😬", n: "grimacing face", k: "龇牙 尴尬 紧张" },
+                { e: "😮‍💨", n: "face exhaling", k: "叹气 呼气 松口气" },
+                { e: "🤥", n: "lying face", k: "说谎 匹诺曹 长鼻子" },
+                { e: "🫨", n: "shaking face", k: "震惊 发抖 颤抖" },
+                { e: "🙂‍↔️", n: "head shaking horizontally", k: "摇头 不要 否定" },
+                { e: "🙂‍↕️", n: "head shaking vertically", k: "点头 同意 是的" },
+                { e: "😌", n: "relieved face", k: "释然 放松 欣慰" },
+                { e: "😔", n: "pensive face", k: "沉思 失落 伤心" },
+                { e: "😪", n: "sleepy face", k: "困 瞌睡 鼻涕泡" },
+                { e: "🤤", n: "drooling face", k: "流口水 馋" },
+                { e: "😴", n: "sleeping face", k: "睡觉 睡着 晚安" },
+                { e: "😷", n: "face with medical mask", k: "口罩 生病 感冒" },
+                { e: "🤒", n: "face with thermometer", k: "发烧 体温计 生病" },
+                { e: "🤕", n: "face with head-bandage", k: "受伤 绷带 头疼" },
+                { e: "🤢", n: "nauseated face", k: "恶心 想吐" },
+                { e: "🤮", n: "face vomiting", k: "呕吐 吐了 恶心" },
+                { e: "🤧", n: "sneezing face", k: "打喷嚏 感冒 纸巾" },
+                { e: "🥵", n: "hot face", k: "热 好热 中暑 出汗" },
+                { e: "🥶", n: "cold face", k: "冷 好冷 冻僵" },
+                { e: "🥴", n: "woozy face", k: "晕乎乎 醉了 迷糊" },
+                { e: "😵", n: "face with crossed-out eyes", k: "晕倒 头晕 叉叉眼" },
+                { e: "😵‍💫", n: "face with spiral eyes", k: "头晕 晕 转圈圈" },
+                { e: "🤯", n: "exploding head", k: "炸裂 震惊 脑袋爆炸" },
+                { e: "🤠", n: "cowboy hat face", k: "牛仔 帽子" },
+                { e: "🥳", n: "partying face", k: "派对 庆祝 生日 聚会" },
+                { e: "🥸", n: "disguised face", k: "伪装 乔装 眼镜 胡子" },
+                { e: "😎", n: "smiling face with sunglasses", k: "墨镜 酷 帅" },
+                { e: "🤓", n: "nerd face", k: "书呆子 学霸 眼镜" },
+                { e: "🧐", n: "face with monocle", k: "单片眼镜 审视 仔细看" },
+                { e: "😕", n: "confused face", k: "困惑 疑惑 不解" },
+                { e: "🫤", n: "face with diagonal mouth", k: "撇嘴 怀疑 不确定" },
+                { e: "😟", n: "worried face", k: "担心 忧虑" },
+                { e: "🙁", n: "slightly frowning face", k: "有点不开心 皱眉" },
+                { e: "☹️", n: "frowning face", k: "不开心 皱眉 难过" },
+                { e: "😮", n: "face with open mouth", k: "张嘴 惊讶 哇" },
+                { e: "😯", n: "hushed face", k: "安静 吃惊 愣住" },
+                { e: "😲", n: "astonished face", k: "震惊 吃惊 惊呆" },
+                { e: "😳", n: "flushed face", k: "脸红 害羞 尴尬" },
+                { e: "🥺", n: "pleading face", k: "可怜 求求 拜托 委屈" },
+                { e: "🥹", n: "face holding back tears", k: "忍住眼泪 感动 委屈" },
+                { e: "😦", n: "frowning face with open mouth", k: "皱眉张嘴 失望" },
+                { e: "😧", n: "anguished face", k: "痛苦 苦恼" },
+                { e: "😨", n: "fearful face", k: "害怕 恐惧" },
+                { e: "😰", n: "anxious face with sweat", k: "焦虑 紧张 冷汗" },
+                { e: "😥", n: "sad but relieved face", k: "失望但释然 难过 流汗" },
+                { e: "😢", n: "crying face", k: "哭 难过 流泪" },
+                { e: "😭", n: "loudly crying face", k: "大哭 嚎啕大哭 伤心" },
+                { e: "😱", n: "face screaming in fear", k: "惊恐 尖叫 吓死" },
+                { e: "😖", n: "confounded face", k: "困扰 纠结 抓狂" },
+                { e: "😣", n: "persevering face", k: "坚持 忍耐 难受" },
+                { e: "😞", n: "disappointed face", k: "失望 沮丧" },
+                { e: "😓", n: "downcast face with sweat", k: "沮丧 冷汗 无奈" },
+                { e: "😩", n: "weary face", k: "疲惫 累 崩溃" },
+                { e: "😫", n: "tired face", k: "累 疲倦 好累" },
+                { e: "🥱", n: "yawning face", k: "打哈欠 困 无聊" },
+                { e: "😤", n: "face with steam from nose", k: "生气 哼 气呼呼" },
+                { e: "😡", n: "enraged face", k: "愤怒 暴怒 生气" },
+                { e: "😠", n: "angry face", k: "生气 愤怒" },
+                { e: "🤬", n: "face with symbols on mouth", k: "骂人 脏话 愤怒" },
+                { e: "😈", n: "smiling face with horns", k: "恶魔 坏笑 小恶魔" },
+                { e: "👿", n: "angry face with horns", k: "恶魔 生气 魔鬼" },
+                { e: "💀", n: "skull", k: "骷髅 头骨 死了" },
+                { e: "☠️", n: "skull and crossbones", k: "骷髅旗 海盗 危险 毒" },
+                { e: "💩", n: "pile of poo", k: "便便 大便 屎" },
+                { e: "🤡", n: "clown face", k: "小丑" },
+                { e: "👹", n: "ogre", k: "食人魔 鬼怪 般若" },
+                { e: "👺", n: "goblin", k: "天狗 妖怪" },
+                { e: "👻", n: "ghost", k: "幽灵 鬼 万圣节" },
+                { e: "👽", n: "alien", k: "外星人 UFO" },
+                { e: "👾", n: "alien monster", k: "外星怪物 游戏 像素" },
+                { e: "🤖", n: "robot", k: "机器人" },
+                { e: "😺", n: "grinning cat", k: "笑脸猫 猫 开心" },
+                { e: "😸", n: "grinning cat with smiling eyes", k: "眯眼笑猫 猫 开心" },
+                { e: "😹", n: "cat with tears of joy", k: "笑哭猫 猫" },
+                { e: "😻", n: "smiling cat with heart-eyes", k: "花痴猫 猫 爱心" },
+                { e: "😼", n: "cat with wry smile", k: "坏笑猫 猫 得意" },
+                { e: "😽", n: "kissing cat", k: "亲亲猫 猫" },
+                { e: "🙀", n: "weary cat", k: "惊恐猫 猫 疲惫" },
+                { e: "😿", n: "crying cat", k: "哭泣猫 猫 难过" },
+                { e: "😾", n: "pouting cat", k: "生气猫 猫 噘嘴" },
+                { e: "🙈", n: "see-no-evil monkey", k: "非礼勿视 捂眼猴 猴子 不看" },
+                { e: "🙉", n: "hear-no-evil monkey", k: "非礼勿听 捂耳猴 猴子" },
+                { e: "🙊", n: "speak-no-evil monkey", k: "非礼勿言 捂嘴猴 猴子" },
+                { e: "💌", n: "love letter", k: "情书 信 爱心" },
+                { e: "💘", n: "heart with arrow", k: "一箭穿心 丘比特 爱心" },
+                { e: "💝", n: "heart with ribbon", k: "系丝带的心 礼物 爱心" },
+                { e: "💖", n: "sparkling heart", k: "闪亮的心 爱心" },
+                { e: "💗", n: "growing heart", k: "变大的心 心动 爱心" },
+                { e: "💓", n: "beating heart", k: "心跳 心动 爱心" },
+                { e: "💞", n: "revolving hearts", k: "旋转的心 爱心" },
+                { e: "💕", n: "two hearts", k: "两颗心 爱心 恋爱" },
+                { e: "💟", n: "heart decoration", k: "心形装饰 爱心" },
+                { e: "❣️", n: "heart exclamation", k: "心形感叹号 爱心" },
+                { e: "💔", n: "broken heart", k: "心碎 失恋 伤心" },
+                { e: "❤️‍🔥", n: "heart on fire", k: "燃烧的心 热恋 爱心 火" },
+                { e: "❤️‍🩹", n: "mending heart", k: "愈合的心 绷带 爱心 治愈" },
+                { e: "❤️", n: "red heart", k: "红心 爱心 爱 喜欢" },
+                { e: "🩷", n: "pink heart", k: "粉色的心 粉心 爱心" },
+                { e: "🧡", n: "orange heart", k: "橙心 爱心" },
+                { e: "💛", n: "yellow heart", k: "黄心 爱心" },
+                { e: "💚", n: "green heart", k: "绿心 爱心" },
+                { e: "💙", n: "blue heart", k: "蓝心 爱心" },
+                { e: "🩵", n: "light blue heart", k: "浅蓝色的心 浅蓝心 爱心" },
+                { e: "💜", n: "purple heart", k: "紫心 爱心" },
+                { e: "🤎", n: "brown heart", k: "棕心 爱心" },
+                { e: "🖤", n: "black heart", k: "黑心 爱心" },
+                { e: "🩶", n: "grey heart", k: "灰心 爱心" },
+                { e: "🤍", n: "white heart", k: "白心 爱心" },
+                { e: "💋", n: "kiss mark", k: "唇印 吻 口红" },
+                { e: "💯", n: "hundred points", k: "一百分 满分 100" },
+                { e: "💢", n: "anger symbol", k: "生气符号 愤怒" },
+                { e: "💥", n: "collision", k: "爆炸 碰撞 砰" },
+                { e: "💫", n: "dizzy", k: "头晕 星星 眩晕" },
+                { e: "💦", n: "sweat droplets", k: "汗滴 水滴" },
+                { e: "💨", n: "dashing away", k: "飞奔 冲 一阵风" },
+                { e: "🕳️", n: "hole", k: "洞 黑洞" },
+                { e: "💬", n: "speech balloon", k: "对话框 气泡 说话 聊天" },
+                { e: "👁️‍🗨️", n: "eye in speech bubble", k: "对话框中的眼睛 目击" },
+                { e: "🗨️", n: "left speech bubble", k: "左对话框 说话 气泡" },
+                { e: "🗯️", n: "right anger bubble", k: "愤怒对话框 生气" },
+                { e: "💭", n: "thought balloon", k: "思考气泡 想法 想" },
+                { e: "💤", n: "ZZZ", k: "睡觉 打呼 困 zzz" }
+            ]
+        },
+        {
+            id: "people",
+            label: "人物与身体",
+            icon: "👋",
+            emojis: [
+                { e: "👋", n: "waving hand", k: "挥手 你好 再见 拜拜", t: ["👋🏻","👋🏼","👋🏽","👋🏾","👋🏿"] },
+                { e: "🤚", n: "raised back of hand", k: "手背 举手", t: ["🤚🏻","🤚🏼","🤚🏽","🤚🏾","🤚🏿"] },
+                { e: "🖐️", n: "hand with fingers splayed", k: "张开手掌 五指", t: ["🖐🏻","🖐🏼","🖐🏽","🖐🏾","🖐🏿"] },
+                { e: "✋", n: "raised hand", k: "举手 击掌 停", t: ["✋🏻","✋🏼","✋🏽","✋🏾","✋🏿"] },
+                { e: "🖖", n: "vulcan salute", k: "瓦肯举手礼 星际迷航", t: ["🖖🏻","🖖🏼","🖖🏽","🖖🏾","🖖🏿"] },
+                { e: "🫱", n: "rightwards hand", k: "向右的手", t: ["🫱🏻","🫱🏼","🫱🏽","🫱🏾","🫱🏿"] },
+                { e: "🫲", n: "leftwards hand", k: "向左的手", t: ["🫲🏻","🫲🏼","🫲🏽","🫲🏾","🫲🏿"] },
+                { e: "🫳", n: "palm down hand", k: "手掌向下", t: ["🫳🏻","🫳🏼","🫳🏽","🫳🏾","🫳🏿"] },
+                { e: "🫴", n: "palm up hand", k: "手掌向上 给", t: ["🫴🏻","🫴🏼","🫴🏽","🫴🏾","🫴🏿"] },
+                { e: "🫷", n: "leftwards pushing hand", k: "向左推 拒绝", t: ["🫷🏻","🫷🏼","🫷🏽","🫷🏾","🫷🏿"] },
+                { e: "🫸", n: "rightwards pushing hand", k: "向右推 击掌", t: ["🫸🏻","🫸🏼","🫸🏽","🫸🏾","🫸🏿"] },
+                { e: "👌", n: "OK hand", k: "OK 好的 没问题", t: ["👌🏻","👌🏼","👌🏽","👌🏾","👌🏿"] },
+                { e: "🤌", n: "pinched fingers", k: "捏手指 意大利手势", t: ["🤌🏻","🤌🏼","🤌🏽","🤌🏾","🤌🏿"] },
+                { e: "🤏", n: "pinching hand", k: "一点点 捏", t: ["🤏🏻","🤏🏼","🤏🏽","🤏🏾","🤏🏿"] },
+                { e: "✌️", n: "victory hand", k: "胜利 耶 剪刀手 比耶", t: ["✌🏻","✌🏼","✌🏽","✌🏾","✌🏿"] },
+                { e: "🤞", n: "crossed fingers", k: "祈祷好运 交叉手指", t: ["🤞🏻","🤞🏼","🤞🏽","🤞🏾","🤞🏿"] },
+                { e: "🫰", n: "hand with index finger and thumb crossed", k: "比心 手指爱心", t: ["🫰🏻","🫰🏼","🫰🏽","🫰🏾","🫰🏿"] },
+                { e: "🤟", n: "love-you gesture", k: "爱你 我爱你手势", t: ["🤟🏻","🤟🏼","🤟🏽","🤟🏾","🤟🏿"] },
+                { e: "🤘", n: "sign of the horns", k: "摇滚 金属礼", t: ["🤘🏻","🤘🏼","🤘🏽","🤘🏾","🤘🏿"] },
+                { e: "🤙", n: "call me hand", k: "打电话给我 六六六", t: ["🤙🏻","🤙🏼","🤙🏽","🤙🏾","🤙🏿"] },
+                { e: "👈", n: "backhand index pointing left", k: "向左指 左边", t: ["👈🏻","👈🏼","👈🏽","👈🏾","👈🏿"] },
+                { e: "👉", n: "backhand index pointing right", k: "向右指 右边", t: ["👉🏻","👉🏼","👉🏽","👉🏾","👉🏿"] },
+                { e: "👆", n: "backhand index pointing up", k: "向上指 上面", t: ["👆🏻","👆🏼","👆🏽","👆🏾","👆🏿"] },
+                { e: "🖕", n: "middle finger", k: "中指 鄙视", t: ["🖕🏻","🖕🏼","🖕🏽","🖕🏾","🖕🏿"] },
+                { e: "👇", n: "backhand index pointing down", k: "向下指 下面", t: ["👇🏻","👇🏼","👇🏽","👇🏾","👇🏿"] },
+                { e: "☝️", n: "index pointing up", k: "食指向上 第一 注意", t: ["☝🏻","☝🏼","☝🏽","☝🏾","☝🏿"] },
+                { e: "🫵", n: "index pointing at the viewer", k: "指向你 就是你", t: ["🫵🏻","🫵🏼","🫵🏽","🫵🏾","🫵🏿"] },
+                { e: "👍", n: "thumbs up", k: "点赞 赞 好 棒 大拇指", t: ["👍🏻","👍🏼","👍🏽","👍🏾","👍🏿"] },
+                { e: "👎", n: "thumbs down", k: "踩 差评 不好 倒赞", t: ["👎🏻","👎🏼","👎🏽","👎🏾","👎🏿"] },
+                { e: "✊", n: "raised fist", k: "举拳 加油 力量", t: ["✊🏻","✊🏼","✊🏽","✊🏾","✊🏿"] },
+                { e: "👊", n: "oncoming fist", k: "拳头 碰拳", t: ["👊🏻","👊🏼","👊🏽","👊🏾","👊🏿"] },
+                { e: "🤛", n: "left-facing fist", k: "向左的拳头 碰拳", t: ["🤛🏻","🤛🏼","🤛🏽","🤛🏾","🤛🏿"] },
+                { e: "🤜", n: "right-facing fist", k: "向右的拳头 碰拳", t: ["🤜🏻","🤜🏼","🤜🏽","🤜🏾","🤜🏿"] },
+                { e: "👏", n: "clapping hands", k: "鼓掌 拍手 棒", t: ["👏🏻","👏🏼","👏🏽","👏🏾","👏🏿"] },
+                { e: "🙌", n: "raising hands", k: "举双手 欢呼 万岁", t: ["🙌🏻","🙌🏼","🙌🏽","🙌🏾","🙌🏿"] },
+                { e: "🫶", n: "heart hands", k: "双手比心 爱心", t: ["🫶🏻","🫶🏼","🫶🏽","🫶🏾","🫶🏿"] },
+                { e: "👐", n: "open hands", k: "张开双手 拥抱", t: ["👐🏻","👐🏼","👐🏽","👐🏾","👐🏿"] },
+                { e: "🤲", n: "palms up together", k: "双手合捧 祈求", t: ["🤲🏻","🤲🏼","🤲🏽","🤲🏾","🤲🏿"] },
+                { e: "🤝", n: "handshake", k: "握手 合作 成交", t: ["🤝🏻","🤝🏼","🤝🏽","🤝🏾","🤝🏿"] },
+                { e: "🙏", n: "folded hands", k: "双手合十 拜托 祈祷 谢谢", t: ["🙏🏻","🙏🏼","🙏🏽","🙏🏾","🙏🏿"] },
+                { e: "✍️", n: "writing hand", k: "写字 书写", t: ["✍🏻","✍🏼","✍🏽","✍🏾","✍🏿"] },
+                { e: "💅", n: "nail polish", k: "指甲油 美甲", t: ["💅🏻","💅🏼","💅🏽","💅🏾","💅🏿"] },
+                { e: "🤳", n: "selfie", k: "自拍", t: ["🤳🏻","🤳🏼","🤳🏽","🤳🏾","🤳🏿"] },
+                { e: "💪", n: "flexed biceps", k: "肌肉 强壮 加油 健身", t: ["💪🏻","💪🏼","💪🏽","💪🏾","💪🏿"] },
+                { e: "🦾", n: "mechanical arm", k: "机械臂 义肢" },
+                { e: "🦿", n: "mechanical leg", k: "机械腿 义肢" },
+                { e: "🦵", n: "leg", k: "腿", t: ["🦵🏻","🦵🏼","🦵🏽","🦵🏾","🦵🏿"] },
+                { e: "🦶", n: "foot", k: "脚", t: ["🦶🏻","🦶🏼","🦶🏽","🦶🏾","🦶🏿"] },
+                { e: "👂", n: "ear", k: "耳朵 听", t: ["👂🏻","👂🏼","👂🏽","👂🏾","👂🏿"] },
+                { e: "🦻", n: "ear with hearing aid", k: "助听器 耳朵", t: ["🦻🏻","🦻🏼","🦻🏽","🦻🏾","🦻🏿"] },
+                { e: "👃", n: "nose", k: "鼻子 闻", t: ["👃🏻","👃🏼","👃🏽","👃🏾","👃🏿"] },
+                { e: "🧠", n: "brain", k: "大脑 聪明 脑子" },
+                { e: "🫀", n: "anatomical heart", k: "心脏 器官" },
+                { e: "🫁", n: "lungs", k: "肺 呼吸" },
+                { e: "🦷", n: "tooth", k: "牙齿 牙医" },
+                { e: "🦴", n: "bone", k: "骨头" },
+                { e: "👀", n: "eyes", k: "眼睛 看 瞄" },
+                { e: "👁️", n: "eye", k: "眼睛 单眼" },
+                { e: "👅", n: "tongue", k: "舌头" },
+                { e: "👄", n: "mouth", k: "嘴 嘴唇" },
+                { e: "🫦", n: "biting lip", k: "咬嘴唇 紧张 心动" },
+                { e: "👶", n: "baby", k: "婴儿 宝宝", t: ["👶🏻","👶🏼","👶🏽","👶🏾","👶🏿"] },
+                { e: "🧒", n: "child", k: "儿童 小孩", t: ["🧒🏻","🧒🏼","🧒🏽","🧒🏾","🧒🏿"] },
+                { e: "👦", n: "boy", k: "男孩", t: ["👦🏻","👦🏼","👦🏽","👦🏾","👦🏿"] },
+                { e: "👧", n: "girl", k: "女孩", t: ["👧🏻","👧🏼","👧🏽","👧🏾","👧🏿"] },
+                { e: "🧑", n: "person", k: "人 成人 男人 女人", t: ["🧑🏻","🧑🏼","🧑🏽","🧑🏾","🧑🏿"], g: { man: { e: "👨", t: ["👨🏻","👨🏼","👨🏽","👨🏾","👨🏿"] }, woman: { e: "👩", t: ["👩🏻","👩🏼","👩🏽","👩🏾","👩🏿"] } } },
+                { e: "👱", n: "person: blond hair", k: "金发 黄头发", t: ["👱🏻","👱🏼","👱🏽","👱🏾","👱🏿"], g: { man: { e: "👱‍♂️", t: ["👱🏻‍♂️","👱🏼‍♂️","👱🏽‍♂️","👱🏾‍♂️","👱🏿‍♂️"] }, woman: { e: "👱‍♀️", t: ["👱🏻‍♀️","👱🏼‍♀️","👱🏽‍♀️","👱🏾‍♀️","👱🏿‍♀️"] } } },
+                { e: "🧔", n: "person: beard", k: "胡子 大胡子", t: ["🧔🏻","🧔🏼","🧔🏽","🧔🏾","🧔🏿"], g: { man: { e: "🧔‍♂️", t: ["🧔🏻‍♂️","🧔🏼‍♂️","🧔🏽‍♂️","🧔🏾‍♂️","🧔🏿‍♂️"] }, woman: { e: "🧔‍♀️", t: ["🧔🏻‍♀️","🧔🏼‍♀️","🧔🏽‍♀️","🧔🏾‍♀️","🧔🏿‍♀️"] } } },
+                { e: "🧑‍🦰", n: "person: red hair", k: "红发 红头发", t: ["🧑🏻‍🦰","🧑🏼‍🦰","🧑🏽‍🦰","🧑🏾‍🦰","🧑🏿‍🦰"], g: { man: { e: "👨‍🦰", t: ["👨🏻‍🦰","👨🏼‍🦰","👨🏽‍🦰","👨🏾‍🦰","👨🏿‍🦰"] }, woman: { e: "👩‍🦰", t: ["👩🏻‍🦰","👩🏼‍🦰","👩🏽‍🦰","👩🏾‍🦰","👩🏿‍🦰"] } } },
+                { e: "🧑‍🦱", n: "person: curly hair", k: "卷发", t: ["🧑🏻‍🦱","🧑🏼‍🦱","🧑🏽‍🦱","🧑🏾‍🦱","🧑🏿‍🦱"], g: { man: { e: "👨‍🦱", t: ["👨🏻‍🦱","👨🏼‍🦱","👨🏽‍🦱","👨🏾‍🦱","👨🏿‍🦱"] }, woman: { e: "👩‍🦱", t: ["👩🏻‍🦱","👩🏼‍🦱","👩🏽‍🦱","👩🏾‍🦱","👩🏿‍🦱"] } } },
+                { e: "🧑‍🦳", n: "person: white hair", k: "白发 白头发", t: ["🧑🏻‍🦳","🧑🏼‍🦳","🧑🏽‍🦳","🧑🏾‍🦳","🧑🏿‍🦳"], g: { man: { e: "👨‍🦳", t: ["👨🏻‍🦳","👨🏼‍🦳","👨🏽‍🦳","👨🏾‍🦳","👨🏿‍🦳"] }, woman: { e: "👩‍🦳", t: ["👩🏻‍🦳","👩🏼‍🦳","👩🏽‍🦳","👩🏾‍🦳","👩🏿‍🦳"] } } },
+                { e: "🧑‍🦲", n: "person: bald", k: "光头 秃头", t: ["🧑🏻‍🦲","🧑🏼‍🦲","🧑🏽‍🦲","🧑🏾‍🦲","🧑🏿‍🦲"], g: { man: { e: "👨‍🦲", t: ["👨🏻‍🦲","👨🏼‍🦲","👨🏽‍🦲","👨🏾‍🦲","👨🏿‍🦲"] }, woman: { e: "👩‍🦲", t: ["👩🏻‍🦲","👩🏼‍🦲","👩🏽‍🦲","👩🏾‍🦲","👩🏿‍🦲"] } } },
+                { e: "🧓", n: "older person", k: "老人", t: ["🧓🏻","🧓🏼","🧓🏽","🧓🏾","🧓🏿"] },
+                { e: "👴", n: "old man", k: "老爷爷 老大爷 男性老人", t: ["👴🏻","👴🏼","👴🏽","👴🏾","👴🏿"] },
+                { e: "👵", n: "old woman", k: "老奶奶 老太太 女性老人", t: ["👵🏻","👵🏼","👵🏽","👵🏾","👵🏿"] },
+                { e: "🙍", n: "person frowning", k: "皱眉 不高兴", t: ["🙍🏻","🙍🏼","🙍🏽","🙍🏾","🙍🏿"], g: { man: { e: "🙍‍♂️", t: ["🙍🏻‍♂️","🙍🏼‍♂️","🙍🏽‍♂️","🙍🏾‍♂️","🙍🏿‍♂️"] }, woman: { e: "🙍‍♀️", t: ["🙍🏻‍♀️","🙍🏼‍♀️","🙍🏽‍♀️","🙍🏾‍♀️","🙍🏿‍♀️"] } } },
+                { e: "🙎", n: "person pouting", k: "噘嘴 生气", t: ["🙎🏻","🙎🏼","🙎🏽","🙎🏾","🙎🏿"], g: { man: { e: "🙎‍♂️", t: ["🙎🏻‍♂️","🙎🏼‍♂️","🙎🏽‍♂️","🙎🏾‍♂️","🙎🏿‍♂️"] }, woman: { e: "🙎‍♀️", t: ["🙎🏻‍♀️","🙎🏼‍♀️","🙎🏽‍♀️","🙎🏾‍♀️","🙎🏿‍♀️"] } } },
+                { e: "🙅", n: "person gesturing NO", k: "做不行手势 不行 禁止 叉", t: ["🙅🏻","🙅🏼","🙅🏽","🙅🏾","🙅🏿"], g: { man: { e: "🙅‍♂️", t: ["🙅🏻‍♂️","🙅🏼‍♂️","🙅🏽‍♂️","🙅🏾‍♂️","🙅🏿‍♂️"] }, woman: { e: "🙅‍♀️", t: ["🙅🏻‍♀️","🙅🏼‍♀️","🙅🏽‍♀️","🙅🏾‍♀️","🙅🏿‍♀️"] } } },
+                { e: "🙆", n: "person gesturing OK", k: "做OK手势 可以 圈", t: ["🙆🏻","🙆🏼","🙆🏽","🙆🏾","🙆🏿"], g: { man: { e: "🙆‍♂️", t: ["🙆🏻‍♂️","🙆🏼‍♂️","🙆🏽‍♂️","🙆🏾‍♂️","🙆🏿‍♂️"] }, woman: { e: "🙆‍♀️", t: ["🙆🏻‍♀️","🙆🏼‍♀️","🙆🏽‍♀️","🙆🏾‍♀️","🙆🏿‍♀️"] } } },
+                { e: "💁", n: "person tipping hand", k: "前台 服务 信息", t: ["💁🏻","💁🏼","💁🏽","💁🏾","💁🏿"], g: { man: { e: "💁‍♂️", t: ["💁🏻‍♂️","💁🏼‍♂️","💁🏽‍♂️","💁🏾‍♂️","💁🏿‍♂️"] }, woman: { e: "💁‍♀️", t: ["💁🏻‍♀️","💁🏼‍♀️","💁🏽‍♀️","💁🏾‍♀️","💁🏿‍♀️"] } } },
+                { e: "🙋", n: "person raising hand", k: "举手 提问 我", t: ["🙋🏻","🙋🏼","🙋🏽","🙋🏾","🙋🏿"], g: { man: { e: "🙋‍♂️", t: ["🙋🏻‍♂️","🙋🏼‍♂️","🙋🏽‍♂️","🙋🏾‍♂️","🙋🏿‍♂️"] }, woman: { e: "🙋‍♀️", t: ["🙋🏻‍♀️","🙋🏼‍♀️","🙋🏽‍♀️","🙋🏾‍♀️","🙋🏿‍♀️"] } } },
+                { e: "🧏", n: "deaf person", k: "聋人 听障", t: ["🧏🏻","🧏🏼","🧏🏽","🧏🏾","🧏🏿"] },
+                { e: "🧏‍♂️", n: "deaf man", k: "聋人 男 听障", t: ["🧏🏻‍♂️","🧏🏼‍♂️","🧏🏽‍♂️","🧏🏾‍♂️","🧏🏿‍♂️"] },
+                { e: "🧏‍♀️", n: "deaf woman", k: "聋人 女 听障", t: ["🧏🏻‍♀️","🧏🏼‍♀️","🧏🏽‍♀️","🧏🏾‍♀️","🧏🏿‍♀️"] },
+                { e: "🙇", n: "person bowing", k: "鞠躬 道歉 对不起", t: ["🙇🏻","🙇🏼","🙇🏽","🙇🏾","🙇🏿"], g: { man: { e: "🙇‍♂️", t: ["🙇🏻‍♂️","🙇🏼‍♂️","🙇🏽‍♂️","🙇🏾‍♂️","🙇🏿‍♂️"] }, woman: { e: "🙇‍♀️", t: ["🙇🏻‍♀️","🙇🏼‍♀️","🙇🏽‍♀️","🙇🏾‍♀️","🙇🏿‍♀️"] } } },
+                { e: "🤦", n: "person facepalming", k: "捂脸 无语 扶额", t: ["🤦🏻","🤦🏼","🤦🏽","🤦🏾","🤦🏿"], g: { man: { e: "🤦‍♂️", t: ["🤦🏻‍♂️","🤦🏼‍♂️","🤦🏽‍♂️","🤦🏾‍♂️","🤦🏿‍♂️"] }, woman: { e: "🤦‍♀️", t: ["🤦🏻‍♀️","🤦🏼‍♀️","🤦🏽‍♀️","🤦🏾‍♀️","🤦🏿‍♀️"] } } },
+                { e: "🤷", n: "person shrugging", k: "耸肩 无所谓 不知道", t: ["🤷🏻","🤷🏼","🤷🏽","🤷🏾","🤷🏿"], g: { man: { e: "🤷‍♂️", t: ["🤷🏻‍♂️","🤷🏼‍♂️","🤷🏽‍♂️","🤷🏾‍♂️","🤷🏿‍♂️"] }, woman: { e: "🤷‍♀️", t: ["🤷🏻‍♀️","🤷🏼‍♀️","🤷🏽‍♀️","🤷🏾‍♀️","🤷🏿‍♀️"] } } },
+                { e: "🧑‍⚕️", n: "health worker", k: "医生 医护人员 护士", t: ["🧑🏻‍⚕️","🧑🏼‍⚕️","🧑🏽‍⚕️","🧑🏾‍⚕️","🧑🏿‍⚕️"], g: { man: { e: "👨‍⚕️", t: ["👨🏻‍⚕️","👨🏼‍⚕️","👨🏽‍⚕️","👨🏾‍⚕️","👨🏿‍⚕️"] }, woman: { e: "👩‍⚕️", t: ["👩🏻‍⚕️","👩🏼‍⚕️","👩🏽‍⚕️","👩🏾‍⚕️","👩🏿‍⚕️"] } } },
+                { e: "🧑‍🎓", n: "student", k: "学生 毕业", t: ["🧑🏻‍🎓","🧑🏼‍🎓","🧑🏽‍🎓","🧑🏾‍🎓","🧑🏿‍🎓"], g: { man: { e: "👨‍🎓", t: ["👨🏻‍🎓","👨🏼‍🎓","👨🏽‍🎓","👨🏾‍🎓","👨🏿‍🎓"] }, woman: { e: "👩‍🎓", t: ["👩🏻‍🎓","👩🏼‍🎓","👩🏽‍🎓","👩🏾‍🎓","👩🏿‍🎓"] } } },
+                { e: "🧑‍🏫", n: "teacher", k: "老师 教师", t: ["🧑🏻‍🏫","🧑🏼‍🏫","🧑🏽‍🏫","🧑🏾‍🏫","🧑🏿‍🏫"], g: { man: { e: "👨‍🏫", t: ["👨🏻‍🏫","👨🏼‍🏫","👨🏽‍🏫","👨🏾‍🏫","👨🏿‍🏫"] }, woman: { e: "👩‍🏫", t: ["👩🏻‍🏫","👩🏼‍🏫","👩🏽‍🏫","👩🏾‍🏫","👩🏿‍🏫"] } } },
+                { e: "🧑‍⚖️", n: "judge", k: "法官", t: ["🧑🏻‍⚖️","🧑🏼‍⚖️","🧑🏽‍⚖️","🧑🏾‍⚖️","🧑🏿‍⚖️"], g: { man: { e: "👨‍⚖️", t: ["👨🏻‍⚖️","👨🏼‍⚖️","👨🏽‍⚖️","👨🏾‍⚖️","👨🏿‍⚖️"] }, woman: { e: "👩‍⚖️", t: ["👩🏻‍⚖️","👩🏼‍⚖️","👩🏽‍⚖️","👩🏾‍⚖️","👩🏿‍⚖️"] } } },
+                { e: "🧑‍🌾", n: "farmer", k: "农民 农夫", t: ["🧑🏻‍🌾","🧑🏼‍🌾","🧑🏽‍🌾","🧑🏾‍🌾","🧑🏿‍🌾"], g: { man: { e: "👨‍🌾", t: ["👨🏻‍🌾","👨🏼‍🌾","👨🏽‍🌾","👨🏾‍🌾","👨🏿‍🌾"] }, woman: { e: "👩‍🌾", t: ["👩🏻‍🌾","👩🏼‍🌾","👩🏽‍🌾","👩🏾‍🌾","👩🏿‍🌾"] } } },
+                { e: "🧑‍🍳", n: "cook", k: "厨师 做饭", t: ["🧑🏻‍🍳","🧑🏼‍🍳","🧑🏽‍🍳","🧑🏾‍🍳","🧑🏿‍🍳"], g: { man: { e: "👨‍🍳", t: ["👨🏻‍🍳","👨🏼‍🍳","👨🏽‍🍳","👨🏾‍🍳","👨🏿‍🍳"] }, woman: { e: "👩‍🍳", t: ["👩🏻‍🍳","👩🏼‍🍳","👩🏽‍🍳","👩🏾‍🍳","👩🏿‍🍳"] } } },
+                { e: "🧑‍🔧", n: "mechanic", k: "技工 修理工 机修工", t: ["🧑🏻‍🔧","🧑🏼‍🔧","🧑🏽‍🔧","🧑🏾‍🔧","🧑🏿‍🔧"], g: { man: { e: "👨‍🔧", t: ["👨🏻‍🔧","👨🏼‍🔧","👨🏽‍🔧","👨🏾‍🔧","👨🏿‍🔧"] }, woman: { e: "👩‍🔧", t: ["👩🏻‍🔧","👩🏼‍🔧","👩🏽‍🔧","👩🏾‍🔧","👩🏿‍🔧"] } } },
+                { e: "🧑‍🏭", n: "factory worker", k: "工人 工厂", t: ["🧑🏻‍🏭","🧑🏼‍🏭","🧑🏽‍🏭","🧑🏾‍🏭","🧑🏿‍🏭"], g: { man: { e: "👨‍🏭", t: ["👨🏻‍🏭","👨🏼‍🏭","👨🏽‍🏭","👨🏾‍🏭","👨🏿‍🏭"] }, woman: { e: "👩‍🏭", t: ["👩🏻‍🏭","👩🏼‍🏭","👩🏽‍🏭","👩🏾‍🏭","👩🏿‍🏭"] } } },
+                { e: "🧑‍💼", n: "office worker", k: "上班族 白领 职员", t: ["🧑🏻‍💼","🧑🏼‍💼","🧑🏽‍💼","🧑🏾‍💼","🧑🏿‍💼"], g: { man: { e: "👨‍💼", t: ["👨🏻‍💼","👨🏼‍💼","👨🏽‍💼","👨🏾‍💼","👨🏿‍💼"] }, woman: { e: "👩‍💼", t: ["👩🏻‍💼","👩🏼‍💼","👩🏽‍💼","👩🏾‍💼","👩🏿‍💼"] } } },
+                { e: "🧑‍🔬", n: "scientist", k: "科学家 化学", t: ["🧑🏻‍🔬","🧑🏼‍🔬","🧑🏽‍🔬","🧑🏾‍🔬","🧑🏿‍🔬"], g: { man: { e: "👨‍🔬", t: ["👨🏻‍🔬","👨🏼‍🔬","👨🏽‍🔬","👨🏾‍🔬","👨🏿‍🔬"] }, woman: { e: "👩‍🔬", t: ["👩🏻‍🔬","👩🏼‍🔬","👩🏽‍🔬","👩🏾‍🔬","👩🏿‍🔬"] } } },
+                { e: "🧑‍💻", n: "technologist", k: "程序员 技术员 电脑", t: ["🧑🏻‍💻","🧑🏼‍💻","🧑🏽‍💻","🧑🏾‍💻","🧑🏿‍💻"], g: { man: { e: "👨‍💻", t: ["👨🏻‍💻","👨🏼‍💻","👨🏽‍💻","👨🏾‍💻","👨🏿‍💻"] }, woman: { e: "👩‍💻", t: ["👩🏻‍💻","👩🏼‍💻","👩🏽‍💻","👩🏾‍💻","👩🏿‍💻"] } } },
+                { e: "🧑‍🎤", n: "singer", k: "歌手 唱歌 明星", t: ["🧑🏻‍🎤","🧑🏼‍🎤","🧑🏽‍🎤","🧑🏾‍🎤","🧑🏿‍🎤"], g: { man: { e: "👨‍🎤", t: ["👨🏻‍🎤","👨🏼‍🎤","👨🏽‍🎤","👨🏾‍🎤","👨🏿‍🎤"] }, woman: { e: "👩‍🎤", t: ["👩🏻‍🎤","👩🏼‍🎤","👩🏽‍🎤","👩🏾‍🎤","👩🏿‍🎤"] } } },
+                { e: "🧑‍🎨", n: "artist", k: "艺术家 画家", t: ["🧑🏻‍🎨","🧑🏼‍🎨","🧑🏽‍🎨","🧑🏾‍🎨","🧑🏿‍🎨"], g: { man: { e: "👨‍🎨", t: ["👨🏻‍🎨","👨🏼‍🎨","👨🏽‍🎨","👨🏾‍🎨","👨🏿‍🎨"] }, woman: { e: "👩‍🎨", t: ["👩🏻‍🎨","👩🏼‍🎨","👩🏽‍🎨","👩🏾‍🎨","👩🏿‍🎨"] } } },
+                { e: "🧑‍✈️", n: "pilot", k: "飞行员 机长", t: ["🧑🏻‍✈️","🧑🏼‍✈️","🧑🏽‍✈️","🧑🏾‍✈️","🧑🏿‍✈️"], g: { man: { e: "👨‍✈️", t: ["👨🏻‍✈️","👨🏼‍✈️","👨🏽‍✈️","👨🏾‍✈️","👨🏿‍✈️"] }, woman: { e: "👩‍✈️", t: ["👩🏻‍✈️","👩🏼‍✈️","👩🏽‍✈️","👩🏾‍✈️","👩🏿‍✈️"] } } },
+                { e: "🧑‍🚀", n: "astronaut", k: "宇航员 航天员", t: ["🧑🏻‍🚀","🧑🏼‍🚀","🧑🏽‍🚀","🧑🏾‍🚀","🧑🏿‍🚀"], g: { man: { e: "👨‍🚀", t: ["👨🏻‍🚀","👨🏼‍🚀","👨🏽‍🚀","👨🏾‍🚀","👨🏿‍🚀"] }, woman: { e: "👩‍🚀", t: ["👩🏻‍🚀","👩🏼‍🚀","👩🏽‍🚀","👩🏾‍🚀","👩🏿‍🚀"] } } },
+                { e: "🧑‍🚒", n: "firefighter", k: "消防员", t: ["🧑🏻‍🚒","🧑🏼‍🚒","🧑🏽‍🚒","🧑🏾‍🚒","🧑🏿‍🚒"], g: { man: { e: "👨‍🚒", t: ["👨🏻‍🚒","👨🏼‍🚒","👨🏽‍🚒","👨🏾‍🚒","👨🏿‍🚒"] }, woman: { e: "👩‍🚒", t: ["👩🏻‍🚒","👩🏼‍🚒","👩🏽‍🚒","👩🏾‍🚒","👩🏿‍🚒"] } } },
+                { e: "👮", n: "police officer", k: "警察 警官", t: ["👮🏻","👮🏼","👮🏽","👮🏾","👮🏿"], g: { man: { e: "👮‍♂️", t: ["👮🏻‍♂️","👮🏼‍♂️","👮🏽‍♂️","👮🏾‍♂️","👮🏿‍♂️"] }, woman: { e: "👮‍♀️", t: ["👮🏻‍♀️","👮🏼‍♀️","👮🏽‍♀️","👮🏾‍♀️","👮🏿‍♀️"] } } },
+                { e: "🕵️", n: "detective", k: "侦探 私家侦探", t: ["🕵🏻","🕵🏼","🕵🏽","🕵🏾","🕵🏿"], g: { man: { e: "🕵️‍♂️", t: ["🕵🏻‍♂️","🕵🏼‍♂️","🕵🏽‍♂️","🕵🏾‍♂️","🕵🏿‍♂️"] }, woman: { e: "🕵️‍♀️", t: ["🕵🏻‍♀️","🕵🏼‍♀️","🕵🏽‍♀️","🕵🏾‍♀️","🕵🏿‍♀️"] } } },
+                { e: "💂", n: "guard", k: "卫兵 警卫", t: ["💂🏻","💂🏼","💂🏽","💂🏾","💂🏿"], g: { man: { e: "💂‍♂️", t: ["💂🏻‍♂️","💂🏼‍♂️","💂🏽‍♂️","💂🏾‍♂️","💂🏿‍♂️"] }, woman: { e: "💂‍♀️", t: ["💂🏻‍♀️","💂🏼‍♀️","💂🏽‍♀️","💂🏾‍♀️","💂🏿‍♀️"] } } },
+                { e: "🥷", n: "ninja", k: "忍者", t: ["🥷🏻","🥷🏼","🥷🏽","🥷🏾","🥷🏿"] },
+                { e: "👷", n: "construction worker", k: "建筑工人 施工", t: ["👷🏻","👷🏼","👷🏽","👷🏾","👷🏿"], g: { man: { e: "👷‍♂️", t: ["👷🏻‍♂️","👷🏼‍♂️","👷🏽‍♂️","👷🏾‍♂️","👷🏿‍♂️"] }, woman: { e: "👷‍♀️", t: ["👷🏻‍♀️","👷🏼‍♀️","👷🏽‍♀️","👷🏾‍♀️","👷🏿‍♀️"] } } },
+                { e: "🫅", n: "person with crown", k: "戴王冠的人 君主", t: ["🫅🏻","🫅🏼","🫅🏽","🫅🏾","🫅🏿"] },
+                { e: "🤴", n: "prince", k: "王子", t: ["🤴🏻","🤴🏼","🤴🏽","🤴🏾","🤴🏿"] },
+                { e: "👸", n: "princess", k: "公主", t: ["👸🏻","👸🏼","👸🏽","👸🏾","👸🏿"] },
+                { e: "👳", n: "person wearing turban", k: "戴头巾的人 包头巾", t: ["👳🏻","👳🏼","👳🏽","👳🏾","👳🏿"], g: { man: { e: "👳‍♂️", t: ["👳🏻‍♂️","👳🏼‍♂️","👳🏽‍♂️","👳🏾‍♂️","👳🏿‍♂️"] }, woman: { e: "👳‍♀️", t: ["👳🏻‍♀️","👳🏼‍♀️","👳🏽‍♀️","👳🏾‍♀️","👳🏿‍♀️"] } } },
+                { e: "👲", n: "person with skullcap", k: "戴瓜皮帽的人", t: ["👲🏻","👲🏼","👲🏽","👲🏾","👲🏿"] },
+                { e: "🧕", n: "woman with headscarf", k: "戴头巾的女人 头巾", t: ["🧕🏻","🧕🏼","🧕🏽","🧕🏾","🧕🏿"] },
+                { e: "🤵", n: "person in tuxedo", k: "穿燕尾服的人 新郎 礼服", t: ["🤵🏻","🤵🏼","🤵🏽","🤵🏾","🤵🏿"], g: { man: { e: "🤵‍♂️", t: ["🤵🏻‍♂️","🤵🏼‍♂️","🤵🏽‍♂️","🤵🏾‍♂️","🤵🏿‍♂️"] }, woman: { e: "🤵‍♀️", t: ["🤵🏻‍♀️","🤵🏼‍♀️","🤵🏽‍♀️","🤵🏾‍♀️","🤵🏿‍♀️"] } } },
+                { e: "👰", n: "person with veil", k: "戴头纱的人 新娘 婚礼", t: ["👰🏻","👰🏼","👰🏽","👰🏾","👰🏿"], g: { man: { e: "👰‍♂️", t: ["👰🏻‍♂️","👰🏼‍♂️","👰🏽‍♂️","👰🏾‍♂️","👰🏿‍♂️"] }, woman: { e: "👰‍♀️", t: ["👰🏻‍♀️","👰🏼‍♀️","👰🏽‍♀️","👰🏾‍♀️","👰🏿‍♀️"] } } },
+                { e: "🤰", n: "pregnant woman", k: "孕妇 怀孕", t: ["🤰🏻","🤰🏼","🤰🏽","🤰🏾","🤰🏿"] },
+                { e: "🫃", n: "pregnant man", k: "怀孕的男人", t: ["🫃🏻","🫃🏼","🫃🏽","🫃🏾","🫃🏿"] },
+                { e: "🫄", n: "pregnant person", k: "怀孕的人 孕", t: ["🫄🏻","🫄🏼","🫄🏽","🫄🏾","🫄🏿"] },
+                { e: "🤱", n: "breast-feeding", k: "哺乳 母乳", t: ["🤱🏻","🤱🏼","🤱🏽","🤱🏾","🤱🏿"] },
+                { e: "🧑‍🍼", n: "person feeding baby", k: "喂奶 喂宝宝 奶瓶", t: ["🧑🏻‍🍼","🧑🏼‍🍼","🧑🏽‍🍼","🧑🏾‍🍼","🧑🏿‍🍼"], g: { man: { e: "👨‍🍼", t: ["👨🏻‍🍼","👨🏼‍🍼","👨🏽‍🍼","👨🏾‍🍼","👨🏿‍🍼"] }, woman: { e: "👩‍🍼", t: ["👩🏻‍🍼","👩🏼‍🍼","👩🏽‍🍼","👩🏾‍🍼","👩🏿‍🍼"] } } },
+                { e: "👼", n: "baby angel", k: "小天使 天使宝宝", t: ["👼🏻","👼🏼","👼🏽","👼🏾","👼🏿"] },
+                { e: "🎅", n: "Santa Claus", k: "圣诞老人 圣诞节", t: ["🎅🏻","🎅🏼","🎅🏽","🎅🏾","🎅🏿"] },
+                { e: "🤶", n: "Mrs. Claus", k: "圣诞老奶奶 圣诞节", t: ["🤶🏻","🤶🏼","🤶🏽","🤶🏾","🤶🏿"] },
+                { e: "🧑‍🎄", n: "mx claus", k: "圣诞老人 圣诞节", t: ["🧑🏻‍🎄","🧑🏼‍🎄","🧑🏽‍🎄","🧑🏾‍🎄","🧑🏿‍🎄"] },
+                { e: "🦸", n: "superhero", k: "超级英雄", t: ["🦸🏻","🦸🏼","🦸🏽","🦸🏾","🦸🏿"], g: { man: { e: "🦸‍♂️", t: ["🦸🏻‍♂️","🦸🏼‍♂️","🦸🏽‍♂️","🦸🏾‍♂️","🦸🏿‍♂️"] }, woman: { e: "🦸‍♀️", t: ["🦸🏻‍♀️","🦸🏼‍♀️","🦸🏽‍♀️","🦸🏾‍♀️","🦸🏿‍♀️"] } } },
+                { e: "🦹", n: "supervillain", k: "超级反派 坏人", t: ["🦹🏻","🦹🏼","🦹🏽","🦹🏾","🦹🏿"], g: { man: { e: "🦹‍♂️", t: ["🦹🏻‍♂️","🦹🏼‍♂️","🦹🏽‍♂️","🦹🏾‍♂️","🦹🏿‍♂️"] }, woman: { e: "🦹‍♀️", t: ["🦹🏻‍♀️","🦹🏼‍♀️","🦹🏽‍♀️","🦹🏾‍♀️","🦹🏿‍♀️"] } } },
+                { e: "🧙", n: "mage", k: "法师 巫师 魔法", t: ["🧙🏻","🧙🏼","🧙🏽","🧙🏾","🧙🏿"], g: { man: { e: "🧙‍♂️", t: ["🧙🏻‍♂️","🧙🏼‍♂️","🧙🏽‍♂️","🧙🏾‍♂️","🧙🏿‍♂️"] }, woman: { e: "🧙‍♀️", t: ["🧙🏻‍♀️","🧙🏼‍♀️","🧙🏽‍♀️","🧙🏾‍♀️","🧙🏿‍♀️"] } } },
+                { e: "🧚", n: "fairy", k: "仙子 精灵 仙女", t: ["🧚🏻","🧚🏼","🧚🏽","🧚🏾","🧚🏿"], g: { man: { e: "🧚‍♂️", t: ["🧚🏻‍♂️","🧚🏼‍♂️","🧚🏽‍♂️","🧚🏾‍♂️","🧚🏿‍♂️"] }, woman: { e: "🧚‍♀️", t: ["🧚🏻‍♀️","🧚🏼‍♀️","🧚🏽‍♀️","🧚🏾‍♀️","🧚🏿‍♀️"] } } },
+                { e: "🧛", n: "vampire", k: "吸血鬼", t: ["🧛🏻","🧛🏼","🧛🏽","🧛🏾","🧛🏿"], g: { man: { e: "🧛‍♂️", t: ["🧛🏻‍♂️","🧛🏼‍♂️","🧛🏽‍♂️","🧛🏾‍♂️","🧛🏿‍♂️"] }, woman: { e: "🧛‍♀️", t: ["🧛🏻‍♀️","🧛🏼‍♀️","🧛🏽‍♀️","🧛🏾‍♀️","🧛🏿‍♀️"] } } },
+                { e: "🧜", n: "merperson", k: "人鱼", t: ["🧜🏻","🧜🏼","🧜🏽","🧜🏾","🧜🏿"] },
+                { e: "🧜‍♂️", n: "merman", k: "男人鱼", t: ["🧜🏻‍♂️","🧜🏼‍♂️","🧜🏽‍♂️","🧜🏾‍♂️","🧜🏿‍♂️"] },
+                { e: "🧜‍♀️", n: "mermaid", k: "美人鱼", t: ["🧜🏻‍♀️","🧜🏼‍♀️","🧜🏽‍♀️","🧜🏾‍♀️","🧜🏿‍♀️"] },
+                { e: "🧝", n: "elf", k: "精灵", t: ["🧝🏻","🧝🏼","🧝🏽","🧝🏾","🧝🏿"], g: { man: { e: "🧝‍♂️", t: ["🧝🏻‍♂️","🧝🏼‍♂️","🧝🏽‍♂️","🧝🏾‍♂️","🧝🏿‍♂️"] }, woman: { e: "🧝‍♀️", t: ["🧝🏻‍♀️","🧝🏼‍♀️","🧝🏽‍♀️","🧝🏾‍♀️","🧝🏿‍♀️"] } } },
+                { e: "🧞", n: "genie", k: "精灵 神灯", g: { man: { e: "🧞‍♂️" }, woman: { e: "🧞‍♀️" } } },
+                { e: "🧟", n: "zombie", k: "僵尸 丧尸", g: { man: { e: "🧟‍♂️" }, woman: { e: "🧟‍♀️" } } },
+                { e: "🧌", n: "troll", k: "巨魔 山精" },
+                { e: "💆", n: "person getting massage", k: "按摩 放松", t: ["💆🏻","💆🏼","💆🏽","💆🏾","💆🏿"], g: { man: { e: "💆‍♂️", t: ["💆🏻‍♂️","💆🏼‍♂️","💆🏽‍♂️","💆🏾‍♂️","💆🏿‍♂️"] }, woman: { e: "💆‍♀️", t: ["💆🏻‍♀️","💆🏼‍♀️","💆🏽‍♀️","💆🏾‍♀️","💆🏿‍♀️"] } } },
+                { e: "💇", n: "person getting haircut", k: "理发 剪头发", t: ["💇🏻","💇🏼","💇🏽","💇🏾","💇🏿"], g: { man: { e: "💇‍♂️", t: ["💇🏻‍♂️","💇🏼‍♂️","💇🏽‍♂️","💇🏾‍♂️","💇🏿‍♂️"] }, woman: { e: "💇‍♀️", t: ["💇🏻‍♀️","💇🏼‍♀️","💇🏽‍♀️","💇🏾‍♀️","💇🏿‍♀️"] } } },
+                { e: "🚶", n: "person walking", k: "走路 步行 散步", t: ["🚶🏻","🚶🏼","🚶🏽","🚶🏾","🚶🏿"], g: { man: { e: "🚶‍♂️", t: ["🚶🏻‍♂️","🚶🏼‍♂️","🚶🏽‍♂️","🚶🏾‍♂️","🚶🏿‍♂️"] }, woman: { e: "🚶‍♀️", t: ["🚶🏻‍♀️","🚶🏼‍♀️","🚶🏽‍♀️","🚶🏾‍♀️","🚶🏿‍♀️"] } } },
+                { e: "🚶‍➡️", n: "person walking facing right", k: "向右走 步行 散步", t: ["🚶🏻‍➡️","🚶🏼‍➡️","🚶🏽‍➡️","🚶🏾‍➡️","🚶🏿‍➡️"], g: { man: { e: "🚶‍♂️‍➡️", t: ["🚶🏻‍♂️‍➡️","🚶🏼‍♂️‍➡️","🚶🏽‍♂️‍➡️","🚶🏾‍♂️‍➡️","🚶🏿‍♂️‍➡️"] }, woman: { e: "🚶‍♀️‍➡️", t: ["🚶🏻‍♀️‍➡️","🚶🏼‍♀️‍➡️","🚶🏽‍♀️‍➡️","🚶🏾‍♀️‍➡️","🚶🏿‍♀️‍➡️"] } } },
+                { e: "🧍", n: "person standing", k: "站立 站着", t: ["🧍🏻","🧍🏼","🧍🏽","🧍🏾","🧍🏿"], g: { man: { e: "🧍‍♂️", t: ["🧍🏻‍♂️","🧍🏼‍♂️","🧍🏽‍♂️","🧍🏾‍♂️","🧍🏿‍♂️"] }, woman: { e: "🧍‍♀️", t: ["🧍🏻‍♀️","🧍🏼‍♀️","🧍🏽‍♀️","🧍🏾‍♀️","🧍🏿‍♀️"] } } },
+                { e: "🧎", n: "person kneeling", k: "跪下 下跪", t: ["🧎🏻","🧎🏼","🧎🏽","🧎🏾","🧎🏿"], g: { man: { e: "🧎‍♂️", t: ["🧎🏻‍♂️","🧎🏼‍♂️","🧎🏽‍♂️","🧎🏾‍♂️","🧎🏿‍♂️"] }, woman: { e: "🧎‍♀️", t: ["🧎🏻‍♀️","🧎🏼‍♀️","🧎🏽‍♀️","🧎🏾‍♀️","🧎🏿‍♀️"] } } },
+                { e: "🧎‍➡️", n: "person kneeling facing right", k: "向右跪 下跪", t: ["🧎🏻‍➡️","🧎🏼‍➡️","🧎🏽‍➡️","🧎🏾‍➡️","🧎🏿‍➡️"], g: { man: { e: "🧎‍♂️‍➡️", t: ["🧎🏻‍♂️‍➡️","🧎🏼‍♂️‍➡️","🧎🏽‍♂️‍➡️","🧎🏾‍♂️‍➡️","🧎🏿‍♂️‍➡️"] }, woman: { e: "🧎‍♀️‍➡️", t: ["🧎🏻‍♀️‍➡️","🧎🏼‍♀️‍➡️","🧎🏽‍♀️‍➡️","🧎🏾‍♀️‍➡️","🧎🏿‍♀️‍➡️"] } } },
+                { e: "🧑‍🦯", n: "person with white cane", k: "盲人 拄盲杖", t: ["🧑🏻‍🦯","🧑🏼‍🦯","🧑🏽‍🦯","🧑🏾‍🦯","🧑🏿‍🦯"], g: { man: { e: "👨‍🦯", t: ["👨🏻‍🦯","👨🏼‍🦯","👨🏽‍🦯","👨🏾‍🦯","👨🏿‍🦯"] }, woman: { e: "👩‍🦯", t: ["👩🏻‍🦯","👩🏼‍🦯","👩🏽‍🦯","👩🏾‍🦯","👩🏿‍🦯"] } } },
+                { e: "🧑‍🦯‍➡️", n: "person with white cane facing right", k: "向右走的盲人 盲杖", t: ["🧑🏻‍🦯‍➡️","🧑🏼‍🦯‍➡️","🧑🏽‍🦯‍➡️","🧑🏾‍🦯‍➡️","🧑🏿‍🦯‍➡️"], g: { man: { e: "👨‍🦯‍➡️", t: ["👨🏻‍🦯‍➡️","👨🏼‍🦯‍➡️","👨🏽‍🦯‍➡️","👨🏾‍🦯‍➡️","👨🏿‍🦯‍➡️"] }, woman: { e: "👩‍🦯‍➡️", t: ["👩🏻‍🦯‍➡️","👩🏼‍🦯‍➡️","👩🏽‍🦯‍➡️","👩🏾‍🦯‍➡️","👩🏿‍🦯‍➡️"] } } },
+                { e: "🧑‍🦼", n: "person in motorized wheelchair", k: "电动轮椅", t: ["🧑🏻‍🦼","🧑🏼‍🦼","🧑🏽‍🦼","🧑🏾‍🦼","🧑🏿‍🦼"], g: { man: { e: "👨‍🦼", t: ["👨🏻‍🦼","👨🏼‍🦼","👨🏽‍🦼","👨🏾‍🦼","👨🏿‍🦼"] }, woman: { e: "👩‍🦼", t: ["👩🏻‍🦼","👩🏼‍🦼","👩🏽‍🦼","👩🏾‍🦼","👩🏿‍🦼"] } } },
+                { e: "🧑‍🦼‍➡️", n: "person in motorized wheelchair facing right", k: "向右的电动轮椅", t: ["🧑🏻‍🦼‍➡️","🧑🏼‍🦼‍➡️","🧑🏽‍🦼‍➡️","🧑🏾‍🦼‍➡️","🧑🏿‍🦼‍➡️"], g: { man: { e: "👨‍🦼‍➡️", t: ["👨🏻‍🦼‍➡️","👨🏼‍🦼‍➡️","👨🏽‍🦼‍➡️","👨🏾‍🦼‍➡️","👨🏿‍🦼‍➡️"] }, woman: { e: "👩‍🦼‍➡️", t: ["👩🏻‍🦼‍➡️","👩🏼‍🦼‍➡️","👩🏽‍🦼‍➡️","👩🏾‍🦼‍➡️","👩🏿‍🦼‍➡️"] } } },
+                { e: "🧑‍🦽", n: "person in manual wheelchair", k: "手动轮椅 轮椅", t: ["🧑🏻‍🦽","🧑🏼‍🦽","🧑🏽‍🦽","🧑🏾‍🦽","🧑🏿‍🦽"], g: { man: { e: "👨‍🦽", t: ["👨🏻‍🦽","👨🏼‍🦽","👨🏽‍🦽","👨🏾‍🦽","👨🏿‍🦽"] }, woman: { e: "👩‍🦽", t: ["👩🏻‍🦽","👩🏼‍🦽","👩🏽‍🦽","👩🏾‍🦽","👩🏿‍🦽"] } } },
+                { e: "🧑‍🦽‍➡️", n: "person in manual wheelchair facing right", k: "向右的手动轮椅 轮椅", t: ["🧑🏻‍🦽‍➡️","🧑🏼‍🦽‍➡️","🧑🏽‍🦽‍➡️","🧑🏾‍🦽‍➡️","🧑🏿‍🦽‍➡️"], g: { man: { e: "👨‍🦽‍➡️", t: ["👨🏻‍🦽‍➡️","👨🏼‍🦽‍➡️","👨🏽‍🦽‍➡️","👨🏾‍🦽‍➡️","👨🏿‍🦽‍➡️"] }, woman: { e: "👩‍🦽‍➡️", t: ["👩🏻‍🦽‍➡️","👩🏼‍🦽‍➡️","👩🏽‍🦽‍➡️","👩🏾‍🦽‍➡️","👩🏿‍🦽‍➡️"] } } },
+                { e: "🏃", n: "person running", k: "跑步 奔跑 跑", t: ["🏃🏻","🏃🏼","🏃🏽","🏃🏾","🏃🏿"], g: { man: { e: "🏃‍♂️", t: ["🏃🏻‍♂️","🏃🏼‍♂️","🏃🏽‍♂️","🏃🏾‍♂️","🏃🏿‍♂️"] }, woman: { e: "🏃‍♀️", t: ["🏃🏻‍♀️","🏃🏼‍♀️","🏃🏽‍♀️","🏃🏾‍♀️","🏃🏿‍♀️"] } } },
+                { e: "🏃‍➡️", n: "person running facing right", k: "向右跑 跑步 奔跑", t: ["🏃🏻‍➡️","🏃🏼‍➡️","🏃🏽‍➡️","🏃🏾‍➡️","🏃🏿‍➡️"], g: { man: { e: "🏃‍♂️‍➡️", t: ["🏃🏻‍♂️‍➡️","🏃🏼‍♂️‍➡️","🏃🏽‍♂️‍➡️","🏃🏾‍♂️‍➡️","🏃🏿‍♂️‍➡️"] }, woman: { e: "🏃‍♀️‍➡️", t: ["🏃🏻‍♀️‍➡️","🏃🏼‍♀️‍➡️","🏃🏽‍♀️‍➡️","🏃🏾‍♀️‍➡️","🏃🏿‍♀️‍➡️"] } } },
+                { e: "💃", n: "woman dancing", k: "跳舞的女人 跳舞 舞蹈", t: ["💃🏻","💃🏼","💃🏽","💃🏾","💃🏿"] },
+                { e: "🕺", n: "man dancing", k: "跳舞的男人 跳舞 舞蹈", t: ["🕺🏻","🕺🏼","🕺🏽","🕺🏾","🕺🏿"] },
+                { e: "🕴️", n: "person in suit levitating", k: "悬浮的西装男 漂浮", t: ["🕴🏻","🕴🏼","🕴🏽","🕴🏾","🕴🏿"] },
+                { e: "👯", n: "people with bunny ears", k: "兔女郎 兔耳朵 派对" },
+                { e: "👯‍♂️", n: "men with bunny ears", k: "兔耳朵男人 派对" },
+                { e: "👯‍♀️", n: "women with bunny ears", k: "兔耳朵女人 兔女郎 派对" },
+                { e: "🧖", n: "person in steamy room", k: "桑拿 蒸汽房", t: ["🧖🏻","🧖🏼","🧖🏽","🧖🏾","🧖🏿"], g: { man: { e: "🧖‍♂️", t: ["🧖🏻‍♂️","🧖🏼‍♂️","🧖🏽‍♂️","🧖🏾‍♂️","🧖🏿‍♂️"] }, woman: { e: "🧖‍♀️", t: ["🧖🏻‍♀️","🧖🏼‍♀️","🧖🏽‍♀️","🧖🏾‍♀️","🧖🏿‍♀️"] } } },
+                { e: "🧗", n: "person climbing", k: "攀岩 攀爬", t: ["🧗🏻","🧗🏼","🧗🏽","🧗🏾","🧗🏿"], g: { man: { e: "🧗‍♂️", t: ["🧗🏻‍♂️","🧗🏼‍♂️","🧗🏽‍♂️","🧗🏾‍♂️","🧗🏿‍♂️"] }, woman: { e: "🧗‍♀️", t: ["🧗🏻‍♀️","🧗🏼‍♀️","🧗🏽‍♀️","🧗🏾‍♀️","🧗🏿‍♀️"] } } },
+                { e: "🤺", n: "person fencing", k: "击剑" },
+                { e: "🏇", n: "horse racing", k: "赛马 骑马", t: ["🏇🏻","🏇🏼","🏇🏽","🏇🏾","🏇🏿"] },
+                { e: "⛷️", n: "skier", k: "滑雪" },
+                { e: "🏂", n: "snowboarder", k: "单板滑雪 滑雪板", t: ["🏂🏻","🏂🏼","🏂🏽","🏂🏾","🏂🏿"] },
+                { e: "🏌️", n: "person golfing", k: "高尔夫", t: ["🏌🏻","🏌🏼","🏌🏽","🏌🏾","🏌🏿"], g: { man: { e: "🏌️‍♂️", t: ["🏌🏻‍♂️","🏌🏼‍♂️","🏌🏽‍♂️","🏌🏾‍♂️","🏌🏿‍♂️"] }, woman: { e: "🏌️‍♀️", t: ["🏌🏻‍♀️","🏌🏼‍♀️","🏌🏽‍♀️","🏌🏾‍♀️","🏌🏿‍♀️"] } } },
+                { e: "🏄", n: "person surfing", k: "冲浪", t: ["🏄🏻","🏄🏼","🏄🏽","🏄🏾","🏄🏿"], g: { man: { e: "🏄‍♂️", t: ["🏄🏻‍♂️","🏄🏼‍♂️","🏄🏽‍♂️","🏄🏾‍♂️","🏄🏿‍♂️"] }, woman: { e: "🏄‍♀️", t: ["🏄🏻‍♀️","🏄🏼‍♀️","🏄🏽‍♀️","🏄🏾‍♀️","🏄🏿‍♀️"] } } },
+                { e: "🚣", n: "person rowing boat", k: "划船", t: ["🚣🏻","🚣🏼","🚣🏽","🚣🏾","🚣🏿"], g: { man: { e: "🚣‍♂️", t: ["🚣🏻‍♂️","🚣🏼‍♂️","🚣🏽‍♂️","🚣🏾‍♂️","🚣🏿‍♂️"] }, woman: { e: "🚣‍♀️", t: ["🚣🏻‍♀️","🚣🏼‍♀️","🚣🏽‍♀️","🚣🏾‍♀️","🚣🏿‍♀️"] } } },
+                { e: "🏊", n: "person swimming", k: "游泳", t: ["🏊🏻","🏊🏼","🏊🏽","🏊🏾","🏊🏿"], g: { man: { e: "🏊‍♂️", t: ["🏊🏻‍♂️","🏊🏼‍♂️","🏊🏽‍♂️","🏊🏾‍♂️","🏊🏿‍♂️"] }, woman: { e: "🏊‍♀️", t: ["🏊🏻‍♀️","🏊🏼‍♀️","🏊🏽‍♀️","🏊🏾‍♀️","🏊🏿‍♀️"] } } },
+                { e: "⛹️", n: "person bouncing ball", k: "打篮球 拍球", t: ["⛹🏻","⛹🏼","⛹🏽","⛹🏾","⛹🏿"], g: { man: { e: "⛹️‍♂️", t: ["⛹🏻‍♂️","⛹🏼‍♂️","⛹🏽‍♂️","⛹🏾‍♂️","⛹🏿‍♂️"] }, woman: { e: "⛹️‍♀️", t: ["⛹🏻‍♀️","⛹🏼‍♀️","⛹🏽‍♀️","⛹🏾‍♀️","⛹🏿‍♀️"] } } },
+                { e: "🏋️", n: "person lifting weights", k: "举重 健身", t: ["🏋🏻","🏋🏼","🏋🏽","🏋🏾","🏋🏿"], g: { man: { e: "🏋️‍♂️", t: ["🏋🏻‍♂️","🏋🏼‍♂️","🏋🏽‍♂️","🏋🏾‍♂️","🏋🏿‍♂️"] }, woman: { e: "🏋️‍♀️", t: ["🏋🏻‍♀️","🏋🏼‍♀️","🏋🏽‍♀️","🏋🏾‍♀️","🏋🏿‍♀️"] } } },
+                { e: "🚴", n: "person biking", k: "骑自行车 骑车", t: ["🚴🏻","🚴🏼","🚴🏽","🚴🏾","🚴🏿"], g: { man: { e: "🚴‍♂️", t: ["🚴🏻‍♂️","🚴🏼‍♂️","🚴🏽‍♂️","🚴🏾‍♂️","🚴🏿‍♂️"] }, woman: { e: "🚴‍♀️", t: ["🚴🏻‍♀️","🚴🏼‍♀️","🚴🏽‍♀️","🚴🏾‍♀️","🚴🏿‍♀️"] } } },
+                { e: "🚵", n: "person mountain biking", k: "山地自行车 骑车", t: ["🚵🏻","🚵🏼","🚵🏽","🚵🏾","🚵🏿"], g: { man: { e: "🚵‍♂️", t: ["🚵🏻‍♂️","🚵🏼‍♂️","🚵🏽‍♂️","🚵🏾‍♂️","🚵🏿‍♂️"] }, woman: { e: "🚵‍♀️", t: ["🚵🏻‍♀️","🚵🏼‍♀️","🚵🏽‍♀️","🚵🏾‍♀️","🚵🏿‍♀️"] } } },
+                { e: "🤸", n: "person cartwheeling", k: "侧手翻 体操", t: ["🤸🏻","🤸🏼","🤸🏽","🤸🏾","🤸🏿"], g: { man: { e: "🤸‍♂️", t: ["🤸🏻‍♂️","🤸🏼‍♂️","🤸🏽‍♂️","🤸🏾‍♂️","🤸🏿‍♂️"] }, woman: { e: "🤸‍♀️", t: ["🤸🏻‍♀️","🤸🏼‍♀️","🤸🏽‍♀️","🤸🏾‍♀️","🤸🏿‍♀️"] } } },
+                { e: "🤼", n: "people wrestling", k: "摔跤" },
+                { e: "🤼‍♂️", n: "men wrestling", k: "男子摔跤 摔跤" },
+                { e: "🤼‍♀️", n: "women wrestling", k: "女子摔跤 摔跤" },
+                { e: "🤽", n: "person playing water polo", k: "水球", t: ["🤽🏻","🤽🏼","🤽🏽","🤽🏾","🤽🏿"], g: { man: { e: "🤽‍♂️", t: ["🤽🏻‍♂️","🤽🏼‍♂️","🤽🏽‍♂️","🤽🏾‍♂️","🤽🏿‍♂️"] }, woman: { e: "🤽‍♀️", t: ["🤽🏻‍♀️","🤽🏼‍♀️","🤽🏽‍♀️","🤽🏾‍♀️","🤽🏿‍♀️"] } } },
+                { e: "🤾", n: "person playing handball", k: "手球", t: ["🤾🏻","🤾🏼","🤾🏽","🤾🏾","🤾🏿"], g: { man: { e: "🤾‍♂️", t: ["🤾🏻‍♂️","🤾🏼‍♂️","🤾🏽‍♂️","🤾🏾‍♂️","🤾🏿‍♂️"] }, woman: { e: "🤾‍♀️", t: ["🤾🏻‍♀️","🤾🏼‍♀️","🤾🏽‍♀️","🤾🏾‍♀️","🤾🏿‍♀️"] } } },
+                { e: "🤹", n: "person juggling", k: "杂耍 抛球", t: ["🤹🏻","🤹🏼","🤹🏽","🤹🏾","🤹🏿"], g: { man: { e: "🤹‍♂️", t: ["🤹🏻‍♂️","🤹🏼‍♂️","🤹🏽‍♂️","🤹🏾‍♂️","🤹🏿‍♂️"] }, woman: { e: "🤹‍♀️", t: ["🤹🏻‍♀️","🤹🏼‍♀️","🤹🏽‍♀️","🤹🏾‍♀️","🤹🏿‍♀️"] } } },
+                { e: "🧘", n: "person in lotus position", k: "瑜伽 冥想 打坐 莲花坐", t: ["🧘🏻","🧘🏼","🧘🏽","🧘🏾","🧘🏿"], g: { man: { e: "🧘‍♂️", t: ["🧘🏻‍♂️","🧘🏼‍♂️","🧘🏽‍♂️","🧘🏾‍♂️","🧘🏿‍♂️"] }, woman: { e: "🧘‍♀️", t: ["🧘🏻‍♀️","🧘🏼‍♀️","🧘🏽‍♀️","🧘🏾‍♀️","🧘🏿‍♀️"] } } },
+                { e: "🛀", n: "person taking bath", k: "洗澡 泡澡 浴缸", t: ["🛀🏻","🛀🏼","🛀🏽","🛀🏾","🛀🏿"] },
+                { e: "🛌", n: "person in bed", k: "睡觉 床 晚安", t: ["🛌🏻","🛌🏼","🛌🏽","🛌🏾","🛌🏿"] },
+                { e: "🧑‍🤝‍🧑", n: "people holding hands", k: "手拉手 牵手 朋友", t: ["🧑🏻‍🤝‍🧑🏻","🧑🏼‍🤝‍🧑🏼","🧑🏽‍🤝‍🧑🏽","🧑🏾‍🤝‍🧑🏾","🧑🏿‍🤝‍🧑🏿"] },
+                { e: "👭", n: "women holding hands", k: "牵手的两个女人 牵手", t: ["👭🏻","👭🏼","👭🏽","👭🏾","👭🏿"] },
+                { e: "👫", n: "woman and man holding hands", k: "牵手的情侣 情侣 牵手", t: ["👫🏻","👫🏼","👫🏽","👫🏾","👫🏿"] },
+                { e: "👬", n: "men holding hands", k: "牵手的两个男人 牵手", t: ["👬🏻","👬🏼","👬🏽","👬🏾","👬🏿"] },
+                { e: "💏", n: "kiss", k: "接吻 亲吻 情侣", t: ["💏🏻","💏🏼","💏🏽","💏🏾","💏🏿"] },
+                { e: "👩‍❤️‍💋‍👨", n: "kiss: woman, man", k: "接吻 女 男 情侣" },
+                { e: "👨‍❤️‍💋‍👨", n: "kiss: man, man", k: "接吻 男 男 情侣" },
+                { e: "👩‍❤️‍💋‍👩", n: "kiss: woman, woman", k: "接吻 女 女 情侣" },
+                { e: "💑", n: "couple with heart", k: "情侣 爱心 恋爱", t: ["💑🏻","💑🏼","💑🏽","💑🏾","💑🏿"] },
+                { e: "👩‍❤️‍👨", n: "couple with heart: woman, man", k: "情侣 女 男 爱心" },
+                { e: "👨‍❤️‍👨", n: "couple with heart: man, man", k: "情侣 男 男 爱心" },
+                { e: "👩‍❤️‍👩", n: "couple with heart: woman, woman", k: "情侣 女 女 爱心" },
+                { e: "👨‍👩‍👦", n: "family: man, woman, boy", k: "家庭 爸爸 妈妈 儿子" },
+                { e: "👨‍👩‍👧", n: "family: man, woman, girl", k: "家庭 爸爸 妈妈 女儿" },
+                { e: "👨‍👩‍👧‍👦", n: "family: man, woman, girl, boy", k: "家庭 爸爸 妈妈 女儿 儿子" },
+                { e: "👨‍👩‍👦‍👦", n: "family: man, woman, boy, boy", k: "家庭 爸爸 妈妈 两个儿子" },
+                { e: "👨‍👩‍👧‍👧", n: "family: man, woman, girl, girl", k: "家庭 爸爸 妈妈 两个女儿" },
+                { e: "👨‍👨‍👦", n: "family: man, man, boy", k: "家庭 两个爸爸 儿子" },
+                { e: "👨‍👨‍👧", n: "family: man, man, girl", k: "家庭 两个爸爸 女儿" },
+                { e: "👨‍👨‍👧‍👦", n: "family: man, man, girl, boy", k: "家庭 两个爸爸 女儿 儿子" },
+                { e: "👨‍👨‍👦‍👦", n: "family: man, man, boy, boy", k: "家庭 两个爸爸 两个儿子" },
+                { e: "👨‍👨‍👧‍👧", n: "family: man, man, girl, girl", k: "家庭 两个爸爸 两个女儿" },
+                { e: "👩‍👩‍👦", n: "family: woman, woman, boy", k: "家庭 两个妈妈 儿子" },
+                { e: "👩‍👩‍👧", n: "family: woman, woman, girl", k: "家庭 两个妈妈 女儿" },
+                { e: "👩‍👩‍👧‍👦", n: "family: woman, woman, girl, boy", k: "家庭 两个妈妈 女儿 儿子" },
+                { e: "👩‍👩‍👦‍👦", n: "family: woman, woman, boy, boy", k: "家庭 两个妈妈 两个儿子" },
+                { e: "👩‍👩‍👧‍👧", n: "family: woman, woman, girl, girl", k: "家庭 两个妈妈 两个女儿" },
+                { e: "👨‍👦", n: "family: man, boy", k: "家庭 爸爸 儿子" },
+                { e: "👨‍👦‍👦", n: "family: man, boy, boy", k: "家庭 爸爸 两个儿子" },
+                { e: "👨‍👧", n: "family: man, girl", k: "家庭 爸爸 女儿" },
+                { e: "👨‍👧‍👦", n: "family: man, girl, boy", k: "家庭 爸爸 女儿 儿子" },
+                { e: "👨‍👧‍👧", n: "family: man, girl, girl", k: "家庭 爸爸 两个女儿" },
+                { e: "👩‍👦", n: "family: woman, boy", k: "家庭 妈妈 儿子" },
+                { e: "👩‍👦‍👦", n: "family: woman, boy, boy", k: "家庭 妈妈 两个儿子" },
+                { e: "👩‍👧", n: "family: woman, girl", k: "家庭 妈妈 女儿" },
+                { e: "👩‍👧‍👦", n: "family: woman, girl, boy", k: "家庭 妈妈 女儿 儿子" },
+                { e: "👩‍👧‍👧", n: "family: woman, girl, girl", k: "家庭 妈妈 两个女儿" },
+                { e: "🗣️", n: "speaking head", k: "说话 讲话 发言" },
+                { e: "👤", n: "bust in silhouette", k: "人像 剪影 头像" },
+                { e: "👥", n: "busts in silhouette", k: "人群 剪影 用户" },
+                { e: "🫂", n: "people hugging", k: "拥抱 抱抱" },
+                { e: "👪", n: "family", k: "家庭 家人" },
+                { e: "🧑‍🧑‍🧒", n: "family: adult, adult, child", k: "家庭 两个大人 一个孩子" },
+                { e: "🧑‍🧑‍🧒‍🧒", n: "family: adult, adult, child, child", k: "家庭 两个大人 两个孩子" },
+                { e: "🧑‍🧒", n: "family: adult, child", k: "家庭 大人 孩子" },
+                { e: "🧑‍🧒‍🧒", n: "family: adult, child, child", k: "家庭 大人 两个孩子" },
+                { e: "👣", n: "footprints", k: "脚印 足迹" }
+            ]
+        },
+        {
+            id: "nature",
+            label: "动物与自然",
+            icon: "🐻",
+            emojis: [
+                { e: "🐵", n: "monkey face", k: "猴子 猴脸" },
+                { e: "🐒", n: "monkey", k: "猴子" },
+                { e: "🦍", n: "gorilla", k: "大猩猩" },
+                { e: "🦧", n: "orangutan", k: "猩猩 红毛猩猩" },
+                { e: "🐶", n: "dog face", k: "狗 狗脸 小狗 汪" },
+                { e: "🐕", n: "dog", k: "狗 小狗" },
+                { e: "🦮", n: "guide dog", k: "导盲犬 狗" },
+                { e: "🐕‍🦺", n: "service dog", k: "服务犬 狗" },
+                { e: "🐩", n: "poodle", k: "贵宾犬 泰迪 狗" },
+                { e: "🐺", n: "wolf", k: "狼" },
+                { e: "🦊", n: "fox", k: "狐狸" },
+                { e: "🦝", n: "raccoon", k: "浣熊" },
+                { e: "🐱", n: "cat face", k: "猫 猫脸 喵 猫咪" },
+                { e: "🐈", n: "cat", k: "猫 猫咪" },
+                { e: "🐈‍⬛", n: "black cat", k: "黑猫 猫" },
+                { e: "🦁", n: "lion", k: "狮子" },
+                { e: "🐯", n: "tiger face", k: "老虎 虎脸" },
+                { e: "🐅", n: "tiger", k: "老虎" },
+                { e: "🐆", n: "leopard", k: "豹子 花豹" },
+                { e: "🐴", n: "horse face", k: "马 马脸" },
+                { e: "🫎", n: "moose", k: "驼鹿" },
+                { e: "🫏", n: "donkey", k: "驴" },
+                { e: "🐎", n: "horse", k: "马" },
+                { e: "🦄", n: "unicorn", k: "独角兽" },
+                { e: "🦓", n: "zebra", k: "斑马" },
+                { e: "🦌", n: "deer", k: "鹿" },
+                { e: "🦬", n: "bison", k: "野牛" },
+                { e: "🐮", n: "cow face", k: "奶牛 牛脸" },
+                { e: "🐂", n: "ox", k: "公牛 牛" },
+                { e: "🐃", n: "water buffalo", k: "水牛 牛" },
+                { e: "🐄", n: "cow", k: "奶牛 牛" },
+                { e: "🐷", n: "pig face", k: "猪 猪脸" },
+                { e: "🐖", n: "pig", k: "猪" },
+                { e: "🐗", n: "boar", k: "野猪" },
+                { e: "🐽", n: "pig nose", k: "猪鼻子" },
+                { e: "🐏", n: "ram", k: "公羊 羊" },
+                { e: "🐑", n: "ewe", k: "母羊 绵羊 羊" },
+                { e: "🐐", n: "goat", k: "山羊 羊" },
+                { e: "🐪", n: "camel", k: "骆驼 单峰骆驼" },
+                { e: "🐫", n: "two-hump camel", k: "双峰骆驼 骆驼" },
+                { e: "🦙", n: "llama", k: "羊驼 草泥马" },
+                { e: "🦒", n: "giraffe", k: "长颈鹿" },
+                { e: "🐘", n: "elephant", k: "大象" },
+                { e: "🦣", n: "mammoth", k: "猛犸象" },
+                { e: "🦏", n: "rhinoceros", k: "犀牛" },
+                { e: "🦛", n: "hippopotamus", k: "河马" },
+                { e: "🐭", n: "mouse face", k: "老鼠 鼠脸" },
+                { e: "🐁", n: "mouse", k: "老鼠" },
+                { e: "🐀", n: "rat", k: "大鼠 老鼠" },
+                { e: "🐹", n: "hamster", k: "仓鼠" },
+                { e: "🐰", n: "rabbit face", k: "兔子 兔脸" },
+                { e: "🐇", n: "rabbit", k: "兔子" },
+                { e: "🐿️", n: "chipmunk", k: "花栗鼠 松鼠" },
+                { e: "🦫", n: "beaver", k: "河狸 海狸" },
+                { e: "🦔", n: "hedgehog", k: "刺猬" },
+                { e: "🦇", n: "bat", k: "蝙蝠" },
+                { e: "🐻", n: "bear", k: "熊" },
+                { e: "🐻‍❄️", n: "polar bear", k: "北极熊" },
+                { e: "🐨", n: "koala", k: "考拉 树袋熊" },
+                { e: "🐼", n: "panda", k: "熊猫 大熊猫" },
+                { e: "🦥", n: "sloth", k: "树懒" },
+                { e: "🦦", n: "otter", k: "水獭" },
+                { e: "🦨", n: "skunk", k: "臭鼬" },
+                { e: "🦘", n: "kangaroo", k: "袋鼠" },
+                { e: "🦡", n: "badger", k: "獾" },
+                { e: "🐾", n: "paw prints", k: "爪印 脚印" },
+                { e: "🦃", n: "turkey", k: "火鸡" },
+                { e: "🐔", n: "chicken", k: "鸡" },
+                { e: "🐓", n: "rooster", k: "公鸡" },
+                { e: "🐣", n: "hatching chick", k: "破壳小鸡 小鸡" },
+                { e: "🐤", n: "baby chick", k: "小鸡" },
+                { e: "🐥", n: "front-facing baby chick", k: "正面小鸡 小鸡" },
+                { e: "🐦", n: "bird", k: "鸟" },
+                { e: "🐧", n: "penguin", k: "企鹅" },
+                { e: "🕊️", n: "dove", k: "鸽子 和平鸽" },
+                { e: "🦅", n: "eagle", k: "老鹰" },
+                { e: "🦆", n: "duck", k: "鸭子" },
+                { e: "🦢", n: "swan", k: "天鹅" },
+                { e: "🦉", n: "owl", k: "猫头鹰" },
+                { e: "🦤", n: "dodo", k: "渡渡鸟" },
+                { e: "🪶", n: "feather", k: "羽毛" },
+                { e: "🦩", n: "flamingo", k: "火烈鸟" },
+                { e: "🦚", n: "peacock", k: "孔雀" },
+                { e: "🦜", n: "parrot", k: "鹦鹉" },
+                { e: "🪽", n: "wing", k: "翅膀" },
+                { e: "🐦‍⬛", n: "black bird", k: "黑鸟 乌鸦" },
+                { e: "🪿", n: "goose", k: "鹅" },
+                { e: "🐦‍🔥", n: "phoenix", k: "凤凰 火鸟" },
+                { e: "🐸", n: "frog", k: "青蛙" },
+                { e: "🐊", n: "crocodile", k: "鳄鱼" },
+                { e: "🐢", n: "turtle", k: "乌龟" },
+                { e: "🦎", n: "lizard", k: "蜥蜴" },
+                { e: "🐍", n: "snake", k: "蛇" },
+                { e: "🐲", n: "dragon face", k: "龙 龙头" },
+                { e: "🐉", n: "dragon", k: "龙" },
+                { e: "🦕", n: "sauropod", k: "蜥脚类恐龙 恐龙" },
+                { e: "🦖", n: "T-Rex", k: "霸王龙 恐龙" },
+                { e: "🐳", n: "spouting whale", k: "喷水的鲸 鲸鱼" },
+                { e: "🐋", n: "whale", k: "鲸鱼" },
+                { e: "🐬", n: "dolphin", k: "海豚" },
+                { e: "🦭", n: "seal", k: "海豹" },
+                { e: "🐟", n: "fish", k: "鱼" },
+                { e: "🐠", n: "tropical fish", k: "热带鱼 鱼" },
+                { e: "🐡", n: "blowfish", k: "河豚 鱼" },
+                { e: "🦈", n: "shark", k: "鲨鱼" },
+                { e: "🐙", n: "octopus", k: "章鱼" },
+                { e: "🐚", n: "spiral shell", k: "海螺 贝壳" },
+                { e: "🪸", n: "coral", k: "珊瑚" },
+                { e: "🪼", n: "jellyfish", k: "水母" },
+                { e: "🐌", n: "snail", k: "蜗牛" },
+                { e: "🦋", n: "butterfly", k: "蝴蝶" },
+                { e: "🐛", n: "bug", k: "虫子 毛毛虫" },
+                { e: "🐜", n: "ant", k: "蚂蚁" },
+                { e: "🐝", n: "honeybee", k: "蜜蜂" },
+                { e: "🪲", n: "beetle", k: "甲虫" },
+                { e: "🐞", n: "lady beetle", k: "瓢虫" },
+                { e: "🦗", n: "cricket", k: "蟋蟀" },
+                { e: "🪳", n: "cockroach", k: "蟑螂" },
+                { e: "🕷️", n: "spider", k: "蜘蛛" },
+                { e: "🕸️", n: "spider web", k: "蜘蛛网" },
+                { e: "🦂", n: "scorpion", k: "蝎子" },
+                { e: "🦟", n: "mosquito", k: "蚊子" },
+                { e: "🪰", n: "fly", k: "苍蝇" },
+                { e: "🪱", n: "worm", k: "蠕虫 蚯蚓" },
+                { e: "🦠", n: "microbe", k: "微生物 细菌 病毒" },
+                { e: "💐", n: "bouquet", k: "花束 鲜花" },
+                { e: "🌸", n: "cherry blossom", k: "樱花 花" },
+                { e: "💮", n: "white flower", k: "白花 花" },
+                { e: "🪷", n: "lotus", k: "莲花 荷花" },
+                { e: "🏵️", n: "rosette", k: "花形徽章 玫瑰花结" },
+                { e: "🌹", n: "rose", k: "玫瑰 花" },
+                { e: "🥀", n: "wilted flower", k: "枯萎的花 凋谢" },
+                { e: "🌺", n: "hibiscus", k: "木槿 扶桑花" },
+                { e: "🌻", n: "sunflower", k: "向日葵 太阳花" },
+                { e: "🌼", n: "blossom", k: "花 开花" },
+                { e: "🌷", n: "tulip", k: "郁金香 花" },
+                { e: "🪻", n: "hyacinth", k: "风信子 花" },
+                { e: "🌱", n: "seedling", k: "幼苗 发芽 嫩芽" },
+                { e: "🪴", n: "potted plant", k: "盆栽 植物" },
+                { e: "🌲", n: "evergreen tree", k: "常青树 松树 树" },
+                { e: "🌳", n: "deciduous tree", k: "落叶树 树" },
+                { e: "🌴", n: "palm tree", k: "棕榈树 椰子树 树" },
+                { e: "🌵", n: "cactus", k: "仙人掌" },
+                { e: "🌾", n: "sheaf of rice", k: "稻穗 稻子 水稻" },
+                { e: "🌿", n: "herb", k: "香草 草药" },
+                { e: "☘️", n: "shamrock", k: "三叶草" },
+                { e: "🍀", n: "four leaf clover", k: "四叶草 幸运" },
+                { e: "🍁", n: "maple leaf", k: "枫叶" },
+                { e: "🍂", n: "fallen leaf", k: "落叶 秋天" },
+                { e: "🍃", n: "leaf fluttering in wind", k: "风吹叶落 叶子" },
+                { e: "🪹", n: "empty nest", k: "空巢 鸟巢" },
+                { e: "🪺", n: "nest with eggs", k: "鸟巢 鸟蛋" },
+                { e: "🍄", n: "mushroom", k: "蘑菇" }
+            ]
+        },
+        {
+            id: "food",
+            label: "食物与饮料",
+            icon: "🍔",
+            emojis: [
+                { e: "🍇", n: "grapes", k: "葡萄" },
+                { e: "🍈", n: "melon", k: "甜瓜 哈密瓜" },
+                { e: "🍉", n: "watermelon", k: "西瓜" },
+                { e: "🍊", n: "tangerine", k: "橘子 橙子" },
+                { e: "🍋", n: "lemon", k: "柠檬" },
+                { e: "🍋‍🟩", n: "lime", k: "青柠" },
+                { e: "🍌", n: "banana", k: "香蕉" },
+                { e: "🍍", n: "pineapple", k: "菠萝" },
+                { e: "🥭", n: "mango", k: "芒果" },
+                { e: "🍎", n: "red apple", k: "红苹果 苹果" },
+                { e: "🍏", n: "green apple", k: "青苹果 苹果" },
+                { e: "🍐", n: "pear", k: "梨" },
+                { e: "🍑", n: "peach", k: "桃子" },
+                { e: "🍒", n: "cherries", k: "樱桃" },
+                { e: "🍓", n: "strawberry", k: "草莓" },
+                { e: "🫐", n: "blueberries", k: "蓝莓" },
+                { e: "🥝", n: "kiwi fruit", k: "猕猴桃 奇异果" },
+                { e: "🍅", n: "tomato", k: "番茄 西红柿" },
+                { e: "🫒", n: "olive", k: "橄榄" },
+                { e: "🥥", n: "coconut", k: "椰子" },
+                { e: "🥑", n: "avocado", k: "牛油果" },
+                { e: "🍆", n: "eggplant", k: "茄子" },
+                { e: "🥔", n: "potato", k: "土豆 马铃薯" },
+                { e: "🥕", n: "carrot", k: "胡萝卜" },
+                { e: "🌽", n: "ear of corn", k: "玉米" },
+                { e: "🌶️", n: "hot pepper", k: "辣椒" },
+                { e: "🫑", n: "bell pepper", k: "甜椒 青椒" },
+                { e: "🥒", n: "cucumber", k: "黄瓜" },
+                { e: "🥬", n: "leafy green", k: "绿叶菜 青菜" },
+                { e: "🥦", n: "broccoli", k: "西兰花" },
+                { e: "🧄", n: "garlic", k: "大蒜 蒜" },
+                { e: "🧅", n: "onion", k: "洋葱" },
+                { e: "🥜", n: "peanuts", k: "花生" },
+                { e: "🫘", n: "beans", k: "豆子" },
+                { e: "🌰", n: "chestnut", k: "栗子" },
+                { e: "🫚", n: "ginger root", k: "生姜 姜" },
+                { e: "🫛", n: "pea pod", k: "豌豆荚 豌豆" },
+                { e: "🍄‍🟫", n: "brown mushroom", k: "棕色蘑菇 蘑菇" },
+                { e: "🍞", n: "bread", k: "面包 吐司" },
+                { e: "🥐", n: "croissant", k: "牛角包 可颂" },
+                { e: "🥖", n: "baguette bread", k: "法棍 面包" },
+                { e: "🫓", n: "flatbread", k: "扁面包 饼" },
+                { e: "🥨", n: "pretzel", k: "椒盐卷饼" },
+                { e: "🥯", n: "bagel", k: "贝果 面包圈" },
+                { e: "🥞", n: "pancakes", k: "松饼 煎饼" },
+                { e: "🧇", n: "waffle", k: "华夫饼" },
+                { e: "🧀", n: "cheese wedge", k: "奶酪 芝士" },
+                { e: "🍖", n: "meat on bone", k: "带骨肉 肉" },
+                { e: "🍗", n: "poultry leg", k: "鸡腿 家禽腿" },
+                { e: "🥩", n: "cut of meat", k: "肉块 肉" },
+                { e: "🥓", n: "bacon", k: "培根" },
+                { e: "🍔", n: "hamburger", k: "汉堡 汉堡包" },
+                { e: "🍟", n: "french fries", k: "薯条" },
+                { e: "🍕", n: "pizza", k: "披萨 比萨" },
+                { e: "🌭", n: "hot dog", k: "热狗" },
+                { e: "🥪", n: "sandwich", k: "三明治" },
+                { e: "🌮", n: "taco", k: "墨西哥卷饼 塔可" },
+                { e: "🌯", n: "burrito", k: "墨西哥卷 卷饼" },
+                { e: "🫔", n: "tamale", k: "玉米粽" },
+                { e: "🥙", n: "stuffed flatbread", k: "夹馅饼 卷饼" },
+                { e: "🧆", n: "falafel", k: "炸豆丸子" },
+                { e: "🥚", n: "egg", k: "蛋 鸡蛋" },
+                { e: "🍳", n: "cooking", k: "煎蛋 做饭 平底锅" },
+                { e: "🥘", n: "shallow pan of food", k: "海鲜饭 平底锅" },
+                { e: "🍲", n: "pot of food", k: "一锅食物 炖菜 火锅" },
+                { e: "🫕", n: "fondue", k: "奶酪火锅" },
+                { e: "🥣", n: "bowl with spoon", k: "碗和勺子 麦片 粥" },
+                { e: "🥗", n: "green salad", k: "沙拉 蔬菜沙拉" },
+                { e: "🍿", n: "popcorn", k: "爆米花" },
+                { e: "🧈", n: "butter", k: "黄油" },
+                { e: "🧂", n: "salt", k: "盐" },
+                { e: "🥫", n: "canned food", k: "罐头" },
+                { e: "🍱", n: "bento box", k: "便当 盒饭" },
+                { e: "🍘", n: "rice cracker", k: "米饼 仙贝" },
+                { e: "🍙", n: "rice ball", k: "饭团" },
+                { e: "🍚", n: "cooked rice", k: "米饭 白饭" },
+                { e: "🍛", n: "curry rice", k: "咖喱饭" },
+                { e: "🍜", n: "steaming bowl", k: "拉面 面条 热汤" },
+                { e: "🍝", n: "spaghetti", k: "意大利面 意面" },
+                { e: "🍠", n: "roasted sweet potato", k: "烤红薯 红薯" },
+                { e: "🍢", n: "oden", k: "关东煮" },
+                { e: "🍣", n: "sushi", k: "寿司" },
+                { e: "🍤", n: "fried shrimp", k: "炸虾 天妇罗" },
+                { e: "🍥", n: "fish cake with swirl", k: "鱼板" },
+                { e: "🥮", n: "moon cake", k: "月饼 中秋" },
+                { e: "🍡", n: "dango", k: "团子 丸子" },
+                { e: "🥟", n: "dumpling", k: "饺子" },
+                { e: "🥠", n: "fortune cookie", k: "幸运饼干" },
+                { e: "🥡", n: "takeout box", k: "外卖盒 外卖" },
+                { e: "🦀", n: "crab", k: "螃蟹" },
+                { e: "🦞", n: "lobster", k: "龙虾" },
+                { e: "🦐", n: "shrimp", k: "虾" },
+                { e: "🦑", n: "squid", k: "鱿鱼" },
+                { e: "🦪", n: "oyster", k: "生蚝 牡蛎" },
+                { e: "🍦", n: "soft ice cream", k: "甜筒 冰淇淋" },
+                { e: "🍧", n: "shaved ice", k: "刨冰 冰沙" },
+                { e: "🍨", n: "ice cream", k: "冰淇淋" },
+                { e: "🍩", n: "doughnut", k: "甜甜圈" },
+                { e: "🍪", n: "cookie", k: "饼干 曲奇" },
+                { e: "🎂", n: "birthday cake", k: "生日蛋糕 蛋糕 生日" },
+                { e: "🍰", n: "shortcake", k: "蛋糕 草莓蛋糕" },
+                { e: "🧁", n: "cupcake", k: "纸杯蛋糕" },
+                { e: "🥧", n: "pie", k: "派 馅饼" },
+                { e: "🍫", n: "chocolate bar", k: "巧克力" },
+                { e: "🍬", n: "candy", k: "糖果 糖" },
+                { e: "🍭", n: "lollipop", k: "棒棒糖" },
+                { e: "🍮", n: "custard", k: "布丁" },
+                { e: "🍯", n: "honey pot", k: "蜂蜜 蜜罐" },
+                { e: "🍼", n: "baby bottle", k: "奶瓶" },
+                { e: "🥛", n: "glass of milk", k: "牛奶" },
+                { e: "☕", n: "hot beverage", k: "热饮 咖啡 茶" },
+                { e: "🫖", n: "teapot", k: "茶壶" },
+                { e: "🍵", n: "teacup without handle", k: "茶杯 茶" },
+                { e: "🍶", n: "sake", k: "清酒" },
+                { e: "🍾", n: "bottle with popping cork", k: "香槟 开瓶 庆祝" },
+                { e: "🍷", n: "wine glass", k: "红酒 葡萄酒 酒杯" },
+                { e: "🍸", n: "cocktail glass", k: "鸡尾酒" },
+                { e: "🍹", n: "tropical drink", k: "热带饮料 果汁" },
+                { e: "🍺", n: "beer mug", k: "啤酒" },
+                { e: "🍻", n: "clinking beer mugs", k: "干杯 啤酒" },
+                { e: "🥂", n: "clinking glasses", k: "干杯 碰杯 庆祝" },
+                { e: "🥃", n: "tumbler glass", k: "威士忌 酒杯" },
+                { e: "🫗", n: "pouring liquid", k: "倒饮料 倒水" },
+                { e: "🥤", n: "cup with straw", k: "饮料 吸管杯" },
+                { e: "🧋", n: "bubble tea", k: "奶茶 珍珠奶茶" },
+                { e: "🧃", n: "beverage box", k: "盒装饮料 果汁盒" },
+                { e: "🧉", n: "mate", k: "马黛茶" },
+                { e: "🧊", n: "ice", k: "冰块 冰" },
+                { e: "🥢", n: "chopsticks", k: "筷子" },
+                { e: "🍽️", n: "fork and knife with plate", k: "刀叉和盘子 餐具 吃饭" },
+                { e: "🍴", n: "fork and knife", k: "刀叉 餐具" },
+                { e: "🥄", n: "spoon", k: "勺子" },
+                { e: "🔪", n: "kitchen knife", k: "菜刀 刀" },
+                { e: "🫙", n: "jar", k: "罐子 瓶子" },
+                { e: "🏺", n: "amphora", k: "双耳瓶 陶罐" }
+            ]
+        },
+        {
+            id: "travel",
+            label: "旅行与地点",
+            icon: "✈️",
+            emojis: [
+                { e: "🌍", n: "globe showing Europe-Africa", k: "地球 欧洲 非洲 世界" },
+                { e: "🌎", n: "globe showing Americas", k: "地球 美洲 世界" },
+                { e: "🌏", n: "globe showing Asia-Australia", k: "地球 亚洲 澳洲 世界" },
+                { e: "🌐", n: "globe with meridians", k: "地球仪 经纬线 网络 世界" },
+                { e: "🗺️", n: "world map", k: "世界地图 地图" },
+                { e: "🗾", n: "map of Japan", k: "日本地图" },
+                { e: "🧭", n: "compass", k: "指南针 罗盘" },
+                { e: "🏔️", n: "snow-capped mountain", k: "雪山 山" },
+                { e: "⛰️", n: "mountain", k: "山 高山" },
+                { e: "🌋", n: "volcano", k: "火山" },
+                { e: "🗻", n: "mount fuji", k: "富士山" },
+                { e: "🏕️", n: "camping", k: "露营 帐篷" },
+                { e: "🏖️", n: "beach with umbrella", k: "海滩 沙滩 度假 遮阳伞" },
+                { e: "🏜️", n: "desert", k: "沙漠" },
+                { e: "🏝️", n: "desert island", k: "荒岛 小岛 度假" },
+                { e: "🏞️", n: "national park", k: "国家公园 公园" },
+                { e: "🏟️", n: "stadium", k: "体育场 运动场" },
+                { e: "🏛️", n: "classical building", k: "古典建筑 博物馆" },
+                { e: "🏗️", n: "building construction", k: "建筑工地 施工" },
+                { e: "🧱", n: "brick", k: "砖 砖块" },
+                { e: "🪨", n: "rock", k: "石头 岩石" },
+                { e: "🪵", n: "wood", k: "木头 木材" },
+                { e: "🛖", n: "hut", k: "小屋 茅屋" },
+                { e: "🏘️", n: "houses", k: "房子 住宅区" },
+                { e: "🏚️", n: "derelict house", k: "废弃的房子 破房子" },
+                { e: "🏠", n: "house", k: "房子 家" },
+                { e: "🏡", n: "house with garden", k: "带花园的房子 家" },
+                { e: "🏢", n: "office building", k: "办公楼 写字楼" },
+                { e: "🏣", n: "Japanese post office", k: "日本邮局 邮局" },
+                { e: "🏤", n: "post office", k: "邮局" },
+                { e: "🏥", n: "hospital", k: "医院" },
+                { e: "🏦", n: "bank", k: "银行" },
+                { e: "🏨", n: "hotel", k: "酒店 宾馆" },
+                { e: "🏩", n: "love hotel", k: "情人旅馆 酒店" },
+                { e: "🏪", n: "convenience store", k: "便利店" },
+                { e: "🏫", n: "school", k: "学校" },
+                { e: "🏬", n: "department store", k: "百货商店 商场" },
+                { e: "🏭", n: "factory", k: "工厂" },
+                { e: "🏯", n: "Japanese castle", k: "日本城堡 城堡" },
+                { e: "🏰", n: "castle", k: "城堡" },
+                { e: "💒", n: "wedding", k: "婚礼 结婚 教堂" },
+                { e: "🗼", n: "Tokyo tower", k: "东京塔" },
+                { e: "🗽", n: "Statue of Liberty", k: "自由女神 纽约" },
+                { e: "⛪", n: "church", k: "教堂" },
+                { e: "🕌", n: "mosque", k: "清真寺" },
+                { e: "🛕", n: "hindu temple", k: "印度教神庙 寺庙" },
+                { e: "🕍", n: "synagogue", k: "犹太教堂" },
+                { e: "⛩️", n: "shinto shrine", k: "神社 鸟居" },
+                { e: "🕋", n: "kaaba", k: "克尔白 天房" },
+                { e: "⛲", n: "fountain", k: "喷泉" },
+                { e: "⛺", n: "tent", k: "帐篷 露营" },
+                { e: "🌁", n: "foggy", k: "雾 起雾" },
+                { e: "🌃", n: "night with stars", k: "星空 夜晚 星星" },
+                { e: "🏙️", n: "cityscape", k: "城市 都市 风景" },
+                { e: "🌄", n: "sunrise over mountains", k: "山间日出 日出" },
+                { e: "🌅", n: "sunrise", k: "日出 海上日出" },
+                { e: "🌆", n: "cityscape at dusk", k: "黄昏的城市 傍晚" },
+                { e: "🌇", n: "sunset", k: "日落 夕阳 黄昏" },
+                { e: "🌉", n: "bridge at night", k: "夜晚的桥 夜景" },
+                { e: "♨️", n: "hot springs", k: "温泉" },
+                { e: "🎠", n: "carousel horse", k: "旋转木马 游乐园" },
+                { e: "🛝", n: "playground slide", k: "滑梯 游乐场" },
+                { e: "🎡", n: "ferris wheel", k: "摩天轮 游乐园" },
+                { e: "🎢", n: "roller coaster", k: "过山车 游乐园" },
+                { e: "💈", n: "barber pole", k: "理发店 旋转灯柱" },
+                { e: "🎪", n: "circus tent", k: "马戏团 帐篷" },
+                { e: "🚂", n: "locomotive", k: "火车头 蒸汽机车 火车" },
+                { e: "🚃", n: "railway car", k: "车厢 火车" },
+                { e: "🚄", n: "high-speed train", k: "高铁 动车 火车" },
+                { e: "🚅", n: "bullet train", k: "子弹头列车 新干线 高铁" },
+                { e: "🚆", n: "train", k: "火车 列车" },
+                { e: "🚇", n: "metro", k: "地铁" },
+                { e: "🚈", n: "light rail", k: "轻轨" },
+                { e: "🚉", n: "station", k: "车站 火车站" },
+                { e: "🚊", n: "tram", k: "有轨电车" },
+                { e: "🚝", n: "monorail", k: "单轨列车" },
+                { e: "🚞", n: "mountain railway", k: "登山铁路 火车" },
+                { e: "🚋", n: "tram car", k: "电车车厢" },
+                { e: "🚌", n: "bus", k: "公交车 巴士" },
+                { e: "🚍", n: "oncoming bus", k: "迎面的公交车 巴士" },
+                { e: "🚎", n: "trolleybus", k: "无轨电车" },
+                { e: "🚐", n: "minibus", k: "小巴 面包车" },
+                { e: "🚑", n: "ambulance", k: "救护车" },
+                { e: "🚒", n: "fire engine", k: "消防车" },
+                { e: "🚓", n: "police car", k: "警车" },
+                { e: "🚔", n: "oncoming police car", k: "迎面的警车 警车" },
+                { e: "🚕", n: "taxi", k: "出租车 的士" },
+                { e: "🚖", n: "oncoming taxi", k: "迎面的出租车 出租车" },
+                { e: "🚗", n: "automobile", k: "汽车 小汽车 车" },
+                { e: "🚘", n: "oncoming automobile", k: "迎面的汽车 汽车" },
+                { e: "🚙", n: "sport utility vehicle", k: "越野车 SUV 汽车" },
+                { e: "🛻", n: "pickup truck", k: "皮卡 汽车" },
+                { e: "🚚", n: "delivery truck", k: "货车 快递车 卡车" },
+                { e: "🚛", n: "articulated lorry", k: "大卡车 货车" },
+                { e: "🚜", n: "tractor", k: "拖拉机" },
+                { e: "🏎️", n: "racing car", k: "赛车" },
+                { e: "🏍️", n: "motorcycle", k: "摩托车" },
+                { e: "🛵", n: "motor scooter", k: "电动车 小摩托" },
+                { e: "🦽", n: "manual wheelchair", k: "轮椅 手动轮椅" },
+                { e: "🦼", n: "motorized wheelchair", k: "电动轮椅 轮椅" },
+                { e: "🛺", n: "auto rickshaw", k: "三轮车 嘟嘟车" },
+                { e: "🚲", n: "bicycle", k: "自行车 单车" },
+                { e: "🛴", n: "kick scooter", k: "滑板车" },
+                { e: "🛹", n: "skateboard", k: "滑板" },
+                { e: "🛼", n: "roller skate", k: "旱冰鞋 轮滑" },
+                { e: "🚏", n: "bus stop", k: "公交车站 车站" },
+                { e: "🛣️", n: "motorway", k: "高速公路 公路" },
+                { e: "🛤️", n: "railway track", k: "铁轨 铁路" },
+                { e: "🛢️", n: "oil drum", k: "油桶" },
+                { e: "⛽", n: "fuel pump", k: "加油站 汽油" },
+                { e: "🛞", n: "wheel", k: "车轮 轮子" },
+                { e: "🚨", n: "police car light", k: "警灯 警报" },
+                { e: "🚥", n: "horizontal traffic light", k: "横向红绿灯 交通灯" },
+                { e: "🚦", n: "vertical traffic light", k: "红绿灯 交通灯" },
+                { e: "🛑", n: "stop sign", k: "停车标志 停" },
+                { e: "🚧", n: "construction", k: "施工 路障" },
+                { e: "⚓", n: "anchor", k: "锚" },
+                { e: "🛟", n: "ring buoy", k: "救生圈" },
+                { e: "⛵", n: "sailboat", k: "帆船 船" },
+                { e: "🛶", n: "canoe", k: "独木舟 皮划艇" },
+                { e: "🚤", n: "speedboat", k: "快艇" },
+                { e: "🛳️", n: "passenger ship", k: "客轮 游轮 船" },
+                { e: "⛴️", n: "ferry", k: "渡轮 船" },
+                { e: "🛥️", n: "motor boat", k: "汽船 摩托艇" },
+                { e: "🚢", n: "ship", k: "轮船 船" },
+                { e: "✈️", n: "airplane", k: "飞机" },
+                { e: "🛩️", n: "small airplane", k: "小飞机" },
+                { e: "🛫", n: "airplane departure", k: "起飞 航班 出发" },
+                { e: "🛬", n: "airplane arrival", k: "降落 航班 到达" },
+                { e: "🪂", n: "parachute", k: "降落伞 跳伞" },
+                { e: "💺", n: "seat", k: "座位 座椅" },
+                { e: "🚁", n: "helicopter", k: "直升机" },
+                { e: "🚟", n: "suspension railway", k: "悬挂式铁路" },
+                { e: "🚠", n: "mountain cableway", k: "登山缆车 缆车" },
+                { e: "🚡", n: "aerial tramway", k: "空中缆车 缆车" },
+                { e: "🛰️", n: "satellite", k: "卫星" },
+                { e: "🚀", n: "rocket", k: "火箭 发射" },
+                { e: "🛸", n: "flying saucer", k: "飞碟 UFO" },
+                { e: "🛎️", n: "bellhop bell", k: "服务铃 前台铃" },
+                { e: "🧳", n: "luggage", k: "行李 行李箱 旅行" },
+                { e: "⌛", n: "hourglass done", k: "沙漏 时间到" },
+                { e: "⏳", n: "hourglass not done", k: "沙漏 计时 等待" },
+                { e: "⌚", n: "watch", k: "手表" },
+                { e: "⏰", n: "alarm clock", k: "闹钟 起床" },
+                { e: "⏱️", n: "stopwatch", k: "秒表 计时" },
+                { e: "⏲️", n: "timer clock", k: "定时器 计时器" },
+                { e: "🕰️", n: "mantelpiece clock", k: "座钟 时钟" },
+                { e: "🕛", n: "twelve o’clock", k: "十二点 时钟 12点" },
+                { e: "🕧", n: "twelve-thirty", k: "十二点半 时钟" },
+                { e: "🕐", n: "one o’clock", k: "一点 时钟 1点" },
+                { e: "🕜", n: "one-thirty", k: "一点半 时钟" },
+                { e: "🕑", n: "two o’clock", k: "两点 时钟 2点" },
+                { e: "🕝", n: "two-thirty", k: "两点半 时钟" },
+                { e: "🕒", n: "three o’clock", k: "三点 时钟 3点" },
+                { e: "🕞", n: "three-thirty", k: "三点半 时钟" },
+                { e: "🕓", n: "four o’clock", k: "四点 时钟 4点" },
+                { e: "🕟", n: "four-thirty", k: "四点半 时钟" },
+                { e: "🕔", n: "five o’clock", k: "五点 时钟 5点" },
+                { e: "🕠", n: "five-thirty", k: "五点半 时钟" },
+                { e: "🕕", n: "six o’clock", k: "六点 时钟 6点" },
+                { e: "🕡", n: "six-thirty", k: "六点半 时钟" },
+                { e: "🕖", n: "seven o’clock", k: "七点 时钟 7点" },
+                { e: "🕢", n: "seven-thirty", k: "七点半 时钟" },
+                { e: "🕗", n: "eight o’clock", k: "八点 时钟 8点" },
+                { e: "🕣", n: "eight-thirty", k: "八点半 时钟" },
+                { e: "🕘", n: "nine o’clock", k: "九点 时钟 9点" },
+                { e: "🕤", n: "nine-thirty", k: "九点半 时钟" },
+                { e: "🕙", n: "ten o’clock", k: "十点 时钟 10点" },
+                { e: "🕥", n: "ten-thirty", k: "十点半 时钟" },
+                { e: "🕚", n: "eleven o’clock", k: "十一点 时钟 11点" },
+                { e: "🕦", n: "eleven-thirty", k: "十一点半 时钟" },
+                { e: "🌑", n: "new moon", k: "新月 朔月 月亮" },
+                { e: "🌒", n: "waxing crescent moon", k: "蛾眉月 月亮" },
+                { e: "🌓", n: "first quarter moon", k: "上弦月 月亮" },
+                { e: "🌔", n: "waxing gibbous moon", k: "盈凸月 月亮" },
+                { e: "🌕", n: "full moon", k: "满月 月亮" },
+                { e: "🌖", n: "waning gibbous moon", k: "亏凸月 月亮" },
+                { e: "🌗", n: "last quarter moon", k: "下弦月 月亮" },
+                { e: "🌘", n: "waning crescent moon", k: "残月 月亮" },
+                { e: "🌙", n: "crescent moon", k: "弯月 月亮 晚上" },
+                { e: "🌚", n: "new moon face", k: "新月脸 月亮" },
+                { e: "🌛", n: "first quarter moon face", k: "上弦月脸 月亮" },
+                { e: "🌜", n: "last quarter moon face", k: "下弦月脸 月亮" },
+                { e: "🌡️", n: "thermometer", k: "温度计 温度" },
+                { e: "☀️", n: "sun", k: "太阳 晴天" },
+                { e: "🌝", n: "full moon face", k: "满月脸 月亮" },
+                { e: "🌞", n: "sun with face", k: "太阳脸 太阳 晴天" },
+                { e: "🪐", n: "ringed planet", k: "土星 行星" },
+                { e: "⭐", n: "star", k: "星星 五角星" },
+                { e: "🌟", n: "glowing star", k: "闪亮的星星 星星 闪耀" },
+                { e: "🌠", n: "shooting star", k: "流星 许愿" },
+                { e: "🌌", n: "milky way", k: "银河 星空" },
+                { e: "☁️", n: "cloud", k: "云 多云" },
+                { e: "⛅", n: "sun behind cloud", k: "晴转多云 太阳 云" },
+                { e: "⛈️", n: "cloud with lightning and rain", k: "雷阵雨 打雷 下雨" },
+                { e: "🌤️", n: "sun behind small cloud", k: "晴间多云 太阳 云" },
+                { e: "🌥️", n: "sun behind large cloud", k: "多云 太阳 云" },
+                { e: "🌦️", n: "sun behind rain cloud", k: "太阳雨 下雨" },
+                { e: "🌧️", n: "cloud with rain", k: "下雨 雨 雨天" },
+                { e: "🌨️", n: "cloud with snow", k: "下雪 雪" },
+                { e: "🌩️", n: "cloud with lightning", k: "打雷 闪电" },
+                { e: "🌪️", n: "tornado", k: "龙卷风" },
+                { e: "🌫️", n: "fog", k: "雾" },
+                { e: "🌬️", n: "wind face", k: "风 吹风" },
+                { e: "🌀", n: "cyclone", k: "台风 旋风" },
+                { e: "🌈", n: "rainbow", k: "彩虹" },
+                { e: "🌂", n: "closed umbrella", k: "收起的伞 雨伞" },
+                { e: "☂️", n: "umbrella", k: "雨伞 伞" },
+                { e: "☔", n: "umbrella with rain drops", k: "雨伞 下雨" },
+                { e: "⛱️", n: "umbrella on ground", k: "遮阳伞 沙滩伞" },
+                { e: "⚡", n: "high voltage", k: "闪电 高压 电" },
+                { e: "❄️", n: "snowflake", k: "雪花 冬天" },
+                { e: "☃️", n: "snowman", k: "雪人 冬天" },
+                { e: "⛄", n: "snowman without snow", k: "雪人 冬天" },
+                { e: "☄️", n: "comet", k: "彗星" },
+                { e: "🔥", n: "fire", k: "火 火焰 热门 燃" },
+                { e: "💧", n: "droplet", k: "水滴 水" },
+                { e: "🌊", n: "water wave", k: "海浪 波浪 海" }
+            ]
+        },
+        {
+            id: "activities",
+            label: "活动",
+            icon: "⚽",
+            emojis: [
+                { e: "🎃", n: "jack-o-lantern", k: "南瓜灯 万圣节" },
+                { e: "🎄", n: "Christmas tree", k: "圣诞树 圣诞节" },
+                { e: "🎆", n: "fireworks", k: "烟花 烟火 庆祝" },
+                { e: "🎇", n: "sparkler", k: "仙女棒 烟花" },
+                { e: "🧨", n: "firecracker", k: "鞭炮 爆竹 春节 过年" },
+                { e: "✨", n: "sparkles", k: "闪光 闪闪 亮晶晶" },
+                { e: "🎈", n: "balloon", k: "气球 生日 派对" },
+                { e: "🎉", n: "party popper", k: "礼花 彩带 庆祝 派对" },
+                { e: "🎊", n: "confetti ball", k: "彩球 庆祝" },
+                { e: "🎋", n: "tanabata tree", k: "七夕 许愿树" },
+                { e: "🎍", n: "pine decoration", k: "门松 新年" },
+                { e: "🎎", n: "Japanese dolls", k: "日本人偶 女儿节" },
+                { e: "🎏", n: "carp streamer", k: "鲤鱼旗" },
+                { e: "🎐", n: "wind chime", k: "风铃" },
+                { e: "🎑", n: "moon viewing ceremony", k: "赏月 中秋" },
+                { e: "🧧", n: "red envelope", k: "红包 压岁钱 春节 过年" },
+                { e: "🎀", n: "ribbon", k: "蝴蝶结 丝带" },
+                { e: "🎁", n: "wrapped gift", k: "礼物 礼盒 生日" },
+                { e: "🎗️", n: "reminder ribbon", k: "提示丝带 丝带" },
+                { e: "🎟️", n: "admission tickets", k: "入场券 门票" },
+                { e: "🎫", n: "ticket", k: "票 门票" },
+                { e: "🎖️", n: "military medal", k: "军功章 勋章" },
+                { e: "🏆", n: "trophy", k: "奖杯 冠军" },
+                { e: "🏅", n: "sports medal", k: "奖牌 运动" },
+                { e: "🥇", n: "1st place medal", k: "金牌 第一名 冠军" },
+                { e: "🥈", n: "2nd place medal", k: "银牌 第二名 亚军" },
+                { e: "🥉", n: "3rd place medal", k: "铜牌 第三名 季军" },
+                { e: "⚽", n: "soccer ball", k: "足球" },
+                { e: "⚾", n: "baseball", k: "棒球" },
+                { e: "🥎", n: "softball", k: "垒球" },
+                { e: "🏀", n: "basketball", k: "篮球" },
+                { e: "🏐", n: "volleyball", k: "排球" },
+                { e: "🏈", n: "american football", k: "橄榄球 美式足球" },
+                { e: "🏉", n: "rugby football", k: "英式橄榄球 橄榄球" },
+                { e: "🎾", n: "tennis", k: "网球" },
+                { e: "🥏", n: "flying disc", k: "飞盘" },
+                { e: "🎳", n: "bowling", k: "保龄球" },
+                { e: "🏏", n: "cricket game", k: "板球" },
+                { e: "🏑", n: "field hockey", k: "曲棍球" },
+                { e: "🏒", n: "ice hockey", k: "冰球" },
+                { e: "🥍", n: "lacrosse", k: "长曲棍球" },
+                { e: "🏓", n: "ping pong", k: "乒乓球" },
+                { e: "🏸", n: "badminton", k: "羽毛球" },
+                { e: "🥊", n: "boxing glove", k: "拳击手套 拳击" },
+                { e: "🥋", n: "martial arts uniform", k: "武术服 道服 空手道" },
+                { e: "🥅", n: "goal net", k: "球门" },
+                { e: "⛳", n: "flag in hole", k: "高尔夫球洞 高尔夫" },
+                { e: "⛸️", n: "ice skate", k: "溜冰鞋 滑冰" },
+                { e: "🎣", n: "fishing pole", k: "钓鱼竿 钓鱼" },
+                { e: "🤿", n: "diving mask", k: "潜水面罩 潜水" },
+                { e: "🎽", n: "running shirt", k: "跑步背心 马拉松" },
+                { e: "🎿", n: "skis", k: "滑雪板 滑雪" },
+                { e: "🛷", n: "sled", k: "雪橇" },
+                { e: "🥌", n: "curling stone", k: "冰壶" },
+                { e: "🎯", n: "bullseye", k: "靶心 命中 目标" },
+                { e: "🪀", n: "yo-yo", k: "溜溜球" },
+                { e: "🪁", n: "kite", k: "风筝" },
+                { e: "🔫", n: "water pistol", k: "水枪" },
+                { e: "🎱", n: "pool 8 ball", k: "台球 八号球" },
+                { e: "🔮", n: "crystal ball", k: "水晶球 占卜" },
+                { e: "🪄", n: "magic wand", k: "魔杖 魔法" },
+                { e: "🎮", n: "video game", k: "游戏手柄 电子游戏 游戏" },
+                { e: "🕹️", n: "joystick", k: "游戏摇杆 游戏" },
+                { e: "🎰", n: "slot machine", k: "老虎机" },
+                { e: "🎲", n: "game die", k: "骰子" },
+                { e: "🧩", n: "puzzle piece", k: "拼图" },
+                { e: "🧸", n: "teddy bear", k: "泰迪熊 玩具熊" },
+                { e: "🪅", n: "piñata", k: "皮纳塔 派对" },
+                { e: "🪩", n: "mirror ball", k: "迪斯科球 派对" },
+                { e: "🪆", n: "nesting dolls", k: "套娃" },
+                { e: "♠️", n: "spade suit", k: "黑桃 扑克" },
+                { e: "♥️", n: "heart suit", k: "红桃 扑克" },
+                { e: "♦️", n: "diamond suit", k: "方块 扑克" },
+                { e: "♣️", n: "club suit", k: "梅花 扑克" },
+                { e: "♟️", n: "chess pawn", k: "国际象棋 兵 棋子" },
+                { e: "🃏", n: "joker", k: "小丑牌 扑克 王牌" },
+                { e: "🀄", n: "mahjong red dragon", k: "麻将 红中" },
+                { e: "🎴", n: "flower playing cards", k: "花札" },
+                { e: "🎭", n: "performing arts", k: "表演艺术 面具 戏剧" },
+                { e: "🖼️", n: "framed picture", k: "装框的画 画" },
+                { e: "🎨", n: "artist palette", k: "调色板 画画 艺术" },
+                { e: "🧵", n: "thread", k: "线 缝纫" },
+                { e: "🪡", n: "sewing needle", k: "缝衣针 针" },
+                { e: "🧶", n: "yarn", k: "毛线 编织" },
+                { e: "🪢", n: "knot", k: "结 绳结" }
+            ]
+        },
+        {
+            id: "objects",
+            label: "物品",
+            icon: "💡",
+            emojis: [
+                { e: "👓", n: "glasses", k: "眼镜" },
+                { e: "🕶️", n: "sunglasses", k: "墨镜 太阳镜" },
+                { e: "🥽", n: "goggles", k: "护目镜 泳镜" },
+                { e: "🥼", n: "lab coat", k: "白大褂 实验服" },
+                { e: "🦺", n: "safety vest", k: "安全背心 反光背心" },
+                { e: "👔", n: "necktie", k: "领带" },
+                { e: "👕", n: "t-shirt", k: "T恤 衣服" },
+                { e: "👖", n: "jeans", k: "牛仔裤 裤子" },
+                { e: "🧣", n: "scarf", k: "围巾" },
+                { e: "🧤", n: "gloves", k: "手套" },
+                { e: "🧥", n: "coat", k: "外套 大衣" },
+                { e: "🧦", n: "socks", k: "袜子" },
+                { e: "👗", n: "dress", k: "连衣裙 裙子" },
+                { e: "👘", n: "kimono", k: "和服" },
+                { e: "🥻", n: "sari", k: "纱丽" },
+                { e: "🩱", n: "one-piece swimsuit", k: "连体泳衣 泳衣" },
+                { e: "🩲", n: "briefs", k: "内裤 泳裤" },
+                { e: "🩳", n: "shorts", k: "短裤" },
+                { e: "👙", n: "bikini", k: "比基尼 泳衣" },
+                { e: "👚", n: "woman’s clothes", k: "女装 衣服" },
+                { e: "🪭", n: "folding hand fan", k: "折扇 扇子" },
+                { e: "👛", n: "purse", k: "钱包" },
+                { e: "👜", n: "handbag", k: "手提包 包包" },
+                { e: "👝", n: "clutch bag", k: "手拿包 包包" },
+                { e: "🛍️", n: "shopping bags", k: "购物袋 购物" },
+                { e: "🎒", n: "backpack", k: "书包 背包" },
+                { e: "🩴", n: "thong sandal", k: "人字拖 拖鞋" },
+                { e: "👞", n: "man’s shoe", k: "男鞋 皮鞋" },
+                { e: "👟", n: "running shoe", k: "跑鞋 运动鞋" },
+                { e: "🥾", n: "hiking boot", k: "登山靴" },
+                { e: "🥿", n: "flat shoe", k: "平底鞋" },
+                { e: "👠", n: "high-heeled shoe", k: "高跟鞋" },
+                { e: "👡", n: "woman’s sandal", k: "女士凉鞋 凉鞋" },
+                { e: "🩰", n: "ballet shoes", k: "芭蕾舞鞋" },
+                { e: "👢", n: "woman’s boot", k: "女靴 靴子" },
+                { e: "🪮", n: "hair pick", k: "发梳 梳子" },
+                { e: "👑", n: "crown", k: "皇冠 王冠 国王" },
+                { e: "👒", n: "woman’s hat", k: "女帽 帽子" },
+                { e: "🎩", n: "top hat", k: "礼帽 高顶礼帽 魔术" },
+                { e: "🎓", n: "graduation cap", k: "学士帽 毕业" },
+                { e: "🧢", n: "billed cap", k: "鸭舌帽 棒球帽" },
+                { e: "🪖", n: "military helmet", k: "军用头盔 头盔" },
+                { e: "⛑️", n: "rescue worker’s helmet", k: "救援头盔 安全帽" },
+                { e: "📿", n: "prayer beads", k: "念珠 佛珠" },
+                { e: "💄", n: "lipstick", k: "口红 化妆" },
+                { e: "💍", n: "ring", k: "戒指 求婚 钻戒" },
+                { e: "💎", n: "gem stone", k: "宝石 钻石" },
+                { e: "🔇", n: "muted speaker", k: "静音 喇叭" },
+                { e: "🔈", n: "speaker low volume", k: "小音量 喇叭" },
+                { e: "🔉", n: "speaker medium volume", k: "中音量 喇叭" },
+                { e: "🔊", n: "speaker high volume", k: "大音量 喇叭" },
+                { e: "📢", n: "loudspeaker", k: "扩音器 广播" },
+                { e: "📣", n: "megaphone", k: "喇叭 扩音器 喊话" },
+                { e: "📯", n: "postal horn", k: "邮号" },
+                { e: "🔔", n: "bell", k: "铃铛 通知" },
+                { e: "🔕", n: "bell with slash", k: "免打扰 静音 铃铛" },
+                { e: "🎼", n: "musical score", k: "乐谱 五线谱" },
+                { e: "🎵", n: "musical note", k: "音符 音乐" },
+                { e: "🎶", n: "musical notes", k: "音符 音乐 唱歌" },
+                { e: "🎙️", n: "studio microphone", k: "录音麦克风 话筒" },
+                { e: "🎚️", n: "level slider", k: "调音滑块" },
+                { e: "🎛️", n: "control knobs", k: "旋钮" },
+                { e: "🎤", n: "microphone", k: "麦克风 话筒 唱歌 KTV" },
+                { e: "🎧", n: "headphone", k: "耳机 音乐" },
+                { e: "📻", n: "radio", k: "收音机 电台" },
+                { e: "🎷", n: "saxophone", k: "萨克斯" },
+                { e: "🪗", n: "accordion", k: "手风琴" },
+                { e: "🎸", n: "guitar", k: "吉他" },
+                { e: "🎹", n: "musical keyboard", k: "电子琴 键盘 钢琴" },
+                { e: "🎺", n: "trumpet", k: "小号" },
+                { e: "🎻", n: "violin", k: "小提琴" },
+                { e: "🪕", n: "banjo", k: "班卓琴" },
+                { e: "🥁", n: "drum", k: "鼓" },
+                { e: "🪘", n: "long drum", k: "长鼓" },
+                { e: "🪇", n: "maracas", k: "沙锤" },
+                { e: "🪈", n: "flute", k: "笛子 长笛" },
+                { e: "📱", n: "mobile phone", k: "手机 电话" },
+                { e: "📲", n: "mobile phone with arrow", k: "来电 手机" },
+                { e: "☎️", n: "telephone", k: "电话 座机" },
+                { e: "📞", n: "telephone receiver", k: "电话听筒 电话" },
+                { e: "📟", n: "pager", k: "寻呼机 BP机" },
+                { e: "📠", n: "fax machine", k: "传真机" },
+                { e: "🔋", n: "battery", k: "电池 电量" },
+                { e: "🪫", n: "low battery", k: "低电量 没电" },
+                { e: "🔌", n: "electric plug", k: "插头 充电" },
+                { e: "💻", n: "laptop", k: "笔记本电脑 电脑" },
+                { e: "🖥️", n: "desktop computer", k: "台式电脑 电脑" },
+                { e: "🖨️", n: "printer", k: "打印机" },
+                { e: "⌨️", n: "keyboard", k: "键盘" },
+                { e: "🖱️", n: "computer mouse", k: "鼠标" },
+                { e: "🖲️", n: "trackball", k: "轨迹球" },
+                { e: "💽", n: "computer disk", k: "光盘 MD" },
+                { e: "💾", n: "floppy disk", k: "软盘 保存" },
+                { e: "💿", n: "optical disk", k: "光盘 CD" },
+                { e: "📀", n: "dvd", k: "DVD 光盘" },
+                { e: "🧮", n: "abacus", k: "算盘" },
+                { e: "🎥", n: "movie camera", k: "电影摄影机 拍电影" },
+                { e: "🎞️", n: "film frames", k: "胶片 电影" },
+                { e: "📽️", n: "film projector", k: "放映机 电影" },
+                { e: "🎬", n: "clapper board", k: "场记板 拍电影" },
+                { e: "📺", n: "television", k: "电视 电视机" },
+                { e: "📷", n: "camera", k: "相机 拍照" },
+                { e: "📸", n: "camera with flash", k: "闪光灯相机 拍照" },
+                { e: "📹", n: "video camera", k: "摄像机" },
+                { e: "📼", n: "videocassette", k: "录像带" },
+                { e: "🔍", n: "magnifying glass tilted left", k: "放大镜 搜索" },
+                { e: "🔎", n: "magnifying glass tilted right", k: "放大镜 搜索" },
+                { e: "🕯️", n: "candle", k: "蜡烛" },
+                { e: "💡", n: "light bulb", k: "灯泡 想法 主意" },
+                { e: "🔦", n: "flashlight", k: "手电筒" },
+                { e: "🏮", n: "red paper lantern", k: "红灯笼 灯笼 春节" },
+                { e: "🪔", n: "diya lamp", k: "油灯" },
+                { e: "📔", n: "notebook with decorative cover", k: "装饰笔记本 笔记本" },
+                { e: "📕", n: "closed book", k: "合上的书 书" },
+                { e: "📖", n: "open book", k: "打开的书 书 阅读" },
+                { e: "📗", n: "green book", k: "绿色的书 书" },
+                { e: "📘", n: "blue book", k: "蓝色的书 书" },
+                { e: "📙", n: "orange book", k: "橙色的书 书" },
+                { e: "📚", n: "books", k: "书 书本 学习" },
+                { e: "📓", n: "notebook", k: "笔记本" },
+                { e: "📒", n: "ledger", k: "账本" },
+                { e: "📃", n: "page with curl", k: "卷边的纸 文件" },
+                { e: "📜", n: "scroll", k: "卷轴" },
+                { e: "📄", n: "page facing up", k: "文件 纸" },
+                { e: "📰", n: "newspaper", k: "报纸 新闻" },
+                { e: "🗞️", n: "rolled-up newspaper", k: "卷起的报纸 报纸" },
+                { e: "📑", n: "bookmark tabs", k: "书签标签 书签" },
+                { e: "🔖", n: "bookmark", k: "书签" },
+                { e: "🏷️", n: "label", k: "标签" },
+                { e: "💰", n: "money bag", k: "钱袋 钱" },
+                { e: "🪙", n: "coin", k: "硬币 金币" },
+                { e: "💴", n: "yen banknote", k: "日元 钞票" },
+                { e: "💵", n: "dollar banknote", k: "美元 钞票 钱" },
+                { e: "💶", n: "euro banknote", k: "欧元 钞票" },
+                { e: "💷", n: "pound banknote", k: "英镑 钞票" },
+                { e: "💸", n: "money with wings", k: "花钱 钱飞了" },
+                { e: "💳", n: "credit card", k: "信用卡 银行卡" },
+                { e: "🧾", n: "receipt", k: "收据 小票" },
+                { e: "💹", n: "chart increasing with yen", k: "日元上涨 图表" },
+                { e: "✉️", n: "envelope", k: "信封 邮件" },
+                { e: "📧", n: "e-mail", k: "电子邮件 邮件" },
+                { e: "📨", n: "incoming envelope", k: "收到邮件 来信" },
+                { e: "📩", n: "envelope with arrow", k: "发送邮件 信封" },
+                { e: "📤", n: "outbox tray", k: "发件箱" },
+                { e: "📥", n: "inbox tray", k: "收件箱" },
+                { e: "📦", n: "package", k: "包裹 快递 箱子" },
+                { e: "📫", n: "closed mailbox with raised flag", k: "有信的邮箱 信箱" },
+                { e: "📪", n: "closed mailbox with lowered flag", k: "没信的邮箱 信箱" },
+                { e: "📬", n: "open mailbox with raised flag", k: "打开的邮箱 信箱" },
+                { e: "📭", n: "open mailbox with lowered flag", k: "打开的空邮箱 信箱" },
+                { e: "📮", n: "postbox", k: "邮筒" },
+                { e: "🗳️", n: "ballot box with ballot", k: "投票箱 投票 选举" },
+                { e: "✏️", n: "pencil", k: "铅笔" },
+                { e: "✒️", n: "black nib", k: "钢笔尖 笔" },
+                { e: "🖋️", n: "fountain pen", k: "钢笔" },
+                { e: "🖊️", n: "pen", k: "圆珠笔 笔" },
+                { e: "🖌️", n: "paintbrush", k: "画笔 刷子" },
+                { e: "🖍️", n: "crayon", k: "蜡笔" },
+                { e: "📝", n: "memo", k: "备忘录 笔记 写字" },
+                { e: "💼", n: "briefcase", k: "公文包 上班" },
+                { e: "📁", n: "file folder", k: "文件夹" },
+                { e: "📂", n: "open file folder", k: "打开的文件夹 文件夹" },
+                { e: "🗂️", n: "card index dividers", k: "索引分隔卡" },
+                { e: "📅", n: "calendar", k: "日历" },
+                { e: "📆", n: "tear-off calendar", k: "撕页日历 日历" },
+                { e: "🗒️", n: "spiral notepad", k: "螺旋记事本 记事本" },
+                { e: "🗓️", n: "spiral calendar", k: "螺旋日历 日历" },
+                { e: "📇", n: "card index", k: "卡片索引" },
+                { e: "📈", n: "chart increasing", k: "上涨 增长 图表 股票" },
+                { e: "📉", n: "chart decreasing", k: "下跌 下降 图表 股票" },
+                { e: "📊", n: "bar chart", k: "柱状图 图表" },
+                { e: "📋", n: "clipboard", k: "剪贴板" },
+                { e: "📌", n: "pushpin", k: "图钉" },
+                { e: "📍", n: "round pushpin", k: "圆图钉 定位 图钉" },
+                { e: "📎", n: "paperclip", k: "回形针 曲别针" },
+                { e: "🖇️", n: "linked paperclips", k: "连着的回形针" },
+                { e: "📏", n: "straight ruler", k: "直尺 尺子" },
+                { e: "📐", n: "triangular ruler", k: "三角尺 尺子" },
+                { e: "✂️", n: "scissors", k: "剪刀" },
+                { e: "🗃️", n: "card file box", k: "卡片盒" },
+                { e: "🗄️", n: "file cabinet", k: "文件柜" },
+                { e: "🗑️", n: "wastebasket", k: "垃圾桶 废纸篓" },
+                { e: "🔒", n: "locked", k: "锁 上锁" },
+                { e: "🔓", n: "unlocked", k: "开锁 解锁" },
+                { e: "🔏", n: "locked with pen", k: "带笔的锁 锁" },
+                { e: "🔐", n: "locked with key", k: "带钥匙的锁 锁" },
+                { e: "🔑", n: "key", k: "钥匙" },
+                { e: "🗝️", n: "old key", k: "老式钥匙 钥匙" },
+                { e: "🔨", n: "hammer", k: "锤子" },
+                { e: "🪓", n: "axe", k: "斧头" },
+                { e: "⛏️", n: "pick", k: "镐 鹤嘴锄" },
+                { e: "⚒️", n: "hammer and pick", k: "锤子和镐" },
+                { e: "🛠️", n: "hammer and wrench", k: "锤子和扳手 工具 设置" },
+                { e: "🗡️", n: "dagger", k: "匕首 刀" },
+                { e: "⚔️", n: "crossed swords", k: "交叉的剑 剑" },
+                { e: "💣", n: "bomb", k: "炸弹" },
+                { e: "🪃", n: "boomerang", k: "回旋镖" },
+                { e: "🏹", n: "bow and arrow", k: "弓箭 射箭" },
+                { e: "🛡️", n: "shield", k: "盾牌" },
+                { e: "🪚", n: "carpentry saw", k: "锯子" },
+                { e: "🔧", n: "wrench", k: "扳手 工具" },
+                { e: "🪛", n: "screwdriver", k: "螺丝刀" },
+                { e: "🔩", n: "nut and bolt", k: "螺母 螺栓" },
+                { e: "⚙️", n: "gear", k: "齿轮 设置" },
+                { e: "🗜️", n: "clamp", k: "夹钳" },
+                { e: "⚖️", n: "balance scale", k: "天平 公平 法律" },
+                { e: "🦯", n: "white cane", k: "盲杖" },
+                { e: "🔗", n: "link", k: "链接" },
+                { e: "⛓️‍💥", n: "broken chain", k: "断开的链子 自由" },
+                { e: "⛓️", n: "chains", k: "锁链 链子" },
+                { e: "🪝", n: "hook", k: "钩子" },
+                { e: "🧰", n: "toolbox", k: "工具箱" },
+                { e: "🧲", n: "magnet", k: "磁铁" },
+                { e: "🪜", n: "ladder", k: "梯子" },
+                { e: "⚗️", n: "alembic", k: "蒸馏器 化学" },
+                { e: "🧪", n: "test tube", k: "试管 实验" },
+                { e: "🧫", n: "petri dish", k: "培养皿 实验" },
+                { e: "🧬", n: "dna", k: "DNA 基因" },
+                { e: "🔬", n: "microscope", k: "显微镜" },
+                { e: "🔭", n: "telescope", k: "望远镜" },
+                { e: "📡", n: "satellite antenna", k: "卫星天线 信号" },
+                { e: "💉", n: "syringe", k: "针筒 打针 疫苗" },
+                { e: "🩸", n: "drop of blood", k: "血滴 献血" },
+                { e: "💊", n: "pill", k: "药丸 药" },
+                { e: "🩹", n: "adhesive bandage", k: "创可贴" },
+                { e: "🩼", n: "crutch", k: "拐杖" },
+                { e: "🩺", n: "stethoscope", k: "听诊器 医生" },
+                { e: "🩻", n: "x-ray", k: "X光 骨骼" },
+                { e: "🚪", n: "door", k: "门" },
+                { e: "🛗", n: "elevator", k: "电梯" },
+                { e: "🪞", n: "mirror", k: "镜子" },
+                { e: "🪟", n: "window", k: "窗户" },
+                { e: "🛏️", n: "bed", k: "床 睡觉" },
+                { e: "🛋️", n: "couch and lamp", k: "沙发和台灯 客厅" },
+                { e: "🪑", n: "chair", k: "椅子" },
+                { e: "🚽", n: "toilet", k: "马桶 厕所" },
+                { e: "🪠", n: "plunger", k: "马桶塞 皮搋子" },
+                { e: "🚿", n: "shower", k: "淋浴 洗澡" },
+                { e: "🛁", n: "bathtub", k: "浴缸 泡澡" },
+                { e: "🪤", n: "mouse trap", k: "捕鼠器" },
+                { e: "🪒", n: "razor", k: "剃须刀" },
+                { e: "🧴", n: "lotion bottle", k: "乳液 护肤" },
+                { e: "🧷", n: "safety pin", k: "别针" },
+                { e: "🧹", n: "broom", k: "扫帚" },
+                { e: "🧺", n: "basket", k: "篮子" },
+                { e: "🧻", n: "roll of paper", k: "卫生纸 纸巾" },
+                { e: "🪣", n: "bucket", k: "水桶" },
+                { e: "🧼", n: "soap", k: "肥皂" },
+                { e: "🫧", n: "bubbles", k: "泡泡" },
+                { e: "🪥", n: "toothbrush", k: "牙刷 刷牙" },
+                { e: "🧽", n: "sponge", k: "海绵" },
+                { e: "🧯", n: "fire extinguisher", k: "灭火器" },
+                { e: "🛒", n: "shopping cart", k: "购物车" },
+                { e: "🚬", n: "cigarette", k: "香烟 吸烟" },
+                { e: "⚰️", n: "coffin", k: "棺材" },
+                { e: "🪦", n: "headstone", k: "墓碑" },
+                { e: "⚱️", n: "funeral urn", k: "骨灰盒" },
+                { e: "🧿", n: "nazar amulet", k: "蓝眼睛护身符 护身符" },
+                { e: "🪬", n: "hamsa", k: "法蒂玛之手 护身符" },
+                { e: "🗿", n: "moai", k: "摩艾石像 复活节岛" },
+                { e: "🪧", n: "placard", k: "标语牌 牌子" },
+                { e: "🪪", n: "identification card", k: "身份证 证件" }
+            ]
+        },
+        {
+            id: "symbols",
+            label: "符号",
+            icon: "🔣",
+            emojis: [
+                { e: "🏧", n: "ATM sign", k: "ATM 取款机" },
+                { e: "🚮", n: "litter in bin sign", k: "扔垃圾 垃圾桶标志" },
+                { e: "🚰", n: "potable water", k: "饮用水" },
+                { e: "♿", n: "wheelchair symbol", k: "轮椅标志 无障碍" },
+                { e: "🚹", n: "men’s room", k: "男厕所 男卫生间" },
+                { e: "🚺", n: "women’s room", k: "女厕所 女卫生间" },
+                { e: "🚻", n: "restroom", k: "厕所 卫生间 洗手间" },
+                { e: "🚼", n: "baby symbol", k: "婴儿标志 母婴室" },
+                { e: "🚾", n: "water closet", k: "厕所 WC" },
+                { e: "🛂", n: "passport control", k: "护照检查 海关" },
+                { e: "🛃", n: "customs", k: "海关" },
+                { e: "🛄", n: "baggage claim", k: "行李提取" },
+                { e: "🛅", n: "left luggage", k: "行李寄存" },
+                { e: "⚠️", n: "warning", k: "警告 注意" },
+                { e: "🚸", n: "children crossing", k: "注意儿童" },
+                { e: "⛔", n: "no entry", k: "禁止通行" },
+                { e: "🚫", n: "prohibited", k: "禁止" },
+                { e: "🚳", n: "no bicycles", k: "禁止自行车" },
+                { e: "🚭", n: "no smoking", k: "禁止吸烟" },
+                { e: "🚯", n: "no littering", k: "禁止乱扔垃圾" },
+                { e: "🚱", n: "non-potable water", k: "非饮用水" },
+                { e: "🚷", n: "no pedestrians", k: "禁止行人" },
+                { e: "📵", n: "no mobile phones", k: "禁止使用手机" },
+                { e: "🔞", n: "no one under eighteen", k: "未满十八岁禁止 18禁" },
+                { e: "☢️", n: "radioactive", k: "辐射 放射性" },
+                { e: "☣️", n: "biohazard", k: "生物危害" },
+                { e: "⬆️", n: "up arrow", k: "上箭头 向上" },
+                { e: "↗️", n: "up-right arrow", k: "右上箭头" },
+                { e: "➡️", n: "right arrow", k: "右箭头 向右" },
+                { e: "↘️", n: "down-right arrow", k: "右下箭头" },
+                { e: "⬇️", n: "down arrow", k: "下箭头 向下" },
+                { e: "↙️", n: "down-left arrow", k: "左下箭头" },
+                { e: "⬅️", n: "left arrow", k: "左箭头 向左" },
+                { e: "↖️", n: "up-left arrow", k: "左上箭头" },
+                { e: "↕️", n: "up-down arrow", k: "上下箭头" },
+                { e: "↔️", n: "left-right arrow", k: "左右箭头" },
+                { e: "↩️", n: "right arrow curving left", k: "向左弯的箭头 返回" },
+                { e: "↪️", n: "left arrow curving right", k: "向右弯的箭头" },
+                { e: "⤴️", n: "right arrow curving up", k: "向上弯的箭头" },
+                { e: "⤵️", n: "right arrow curving down", k: "向下弯的箭头" },
+                { e: "🔃", n: "clockwise vertical arrows", k: "顺时针箭头 刷新" },
+                { e: "🔄", n: "counterclockwise arrows button", k: "逆时针箭头 刷新" },
+                { e: "🔙", n: "BACK arrow", k: "返回 BACK" },
+                { e: "🔚", n: "END arrow", k: "结束 END" },
+                { e: "🔛", n: "ON! arrow", k: "开 ON" },
+                { e: "🔜", n: "SOON arrow", k: "即将 SOON" },
+                { e: "🔝", n: "TOP arrow", k: "顶部 TOP" },
+                { e: "🛐", n: "place of worship", k: "宗教场所 礼拜" },
+                { e: "⚛️", n: "atom symbol", k: "原子 科学" },
+                { e: "🕉️", n: "om", k: "唵 印度教" },
+                { e: "✡️", n: "star of David", k: "大卫之星 六芒星" },
+                { e: "☸️", n: "wheel of dharma", k: "法轮 佛教" },
+                { e: "☯️", n: "yin yang", k: "阴阳 太极" },
+                { e: "✝️", n: "latin cross", k: "十字架 基督教" },
+                { e: "☦️", n: "orthodox cross", k: "东正教十字架" },
+                { e: "☪️", n: "star and crescent", k: "星月 伊斯兰教" },
+                { e: "☮️", n: "peace symbol", k: "和平 和平标志" },
+                { e: "🕎", n: "menorah", k: "烛台 光明节" },
+                { e: "🔯", n: "dotted six-pointed star", k: "六芒星 占卜" },
+                { e: "🪯", n: "khanda", k: "坎达 锡克教" },
+                { e: "♈", n: "Aries", k: "白羊座 星座" },
+                { e: "♉", n: "Taurus", k: "金牛座 星座" },
+                { e: "♊", n: "Gemini", k: "双子座 星座" },
+                { e: "♋", n: "Cancer", k: "巨蟹座 星座" },
+                { e: "♌", n: "Leo", k: "狮子座 星座" },
+                { e: "♍", n: "Virgo", k: "处女座 星座" },
+                { e: "♎", n: "Libra", k: "天秤座 星座" },
+                { e: "♏", n: "Scorpio", k: "天蝎座 星座" },
+                { e: "♐", n: "Sagittarius", k: "射手座 星座" },
+                { e: "♑", n: "Capricorn", k: "摩羯座 星座" },
+                { e: "♒", n: "Aquarius", k: "水瓶座 星座" },
+                { e: "♓", n: "Pisces", k: "双鱼座 星座" },
+                { e: "⛎", n: "Ophiuchus", k: "蛇夫座 星座" },
+                { e: "🔀", n: "shuffle tracks button", k: "随机播放" },
+                { e: "🔁", n: "repeat button", k: "循环播放 重复" },
+                { e: "🔂", n: "repeat single button", k: "单曲循环" },
+                { e: "▶️", n: "play button", k: "播放" },
+                { e: "⏩", n: "fast-forward button", k: "快进" },
+                { e: "⏭️", n: "next track button", k: "下一首" },
+                { e: "⏯️", n: "play or pause button", k: "播放暂停" },
+                { e: "◀️", n: "reverse button", k: "倒放" },
+                { e: "⏪", n: "fast reverse button", k: "快退" },
+                { e: "⏮️", n: "last track button", k: "上一首" },
+                { e: "🔼", n: "upwards button", k: "向上按钮" },
+                { e: "⏫", n: "fast up button", k: "快速向上" },
+                { e: "🔽", n: "downwards button", k: "向下按钮" },
+                { e: "⏬", n: "fast down button", k: "快速向下" },
+                { e: "⏸️", n: "pause button", k: "暂停" },
+                { e: "⏹️", n: "stop button", k: "停止" },
+                { e: "⏺️", n: "record button", k: "录制" },
+                { e: "⏏️", n: "eject button", k: "弹出" },
+                { e: "🎦", n: "cinema", k: "电影院 电影" },
+                { e: "🔅", n: "dim button", k: "调暗 亮度" },
+                { e: "🔆", n: "bright button", k: "调亮 亮度" },
+                { e: "📶", n: "antenna bars", k: "信号 信号格" },
+                { e: "🛜", n: "wireless", k: "无线网络 WiFi" },
+                { e: "📳", n: "vibration mode", k: "振动模式" },
+                { e: "📴", n: "mobile phone off", k: "关机 手机关闭" },
+                { e: "♀️", n: "female sign", k: "女性符号 女" },
+                { e: "♂️", n: "male sign", k: "男性符号 男" },
+                { e: "⚧️", n: "transgender symbol", k: "跨性别符号" },
+                { e: "✖️", n: "multiply", k: "乘号 乘" },
+                { e: "➕", n: "plus", k: "加号 加" },
+                { e: "➖", n: "minus", k: "减号 减" },
+                { e: "➗", n: "divide", k: "除号 除" },
+                { e: "🟰", n: "heavy equals sign", k: "等号 等于" },
+                { e: "♾️", n: "infinity", k: "无限 无穷大" },
+                { e: "‼️", n: "double exclamation mark", k: "双感叹号 感叹号" },
+                { e: "⁉️", n: "exclamation question mark", k: "感叹疑问号 问号" },
+                { e: "❓", n: "red question mark", k: "红色问号 问号 疑问" },
+                { e: "❔", n: "white question mark", k: "白色问号 问号" },
+                { e: "❕", n: "white exclamation mark", k: "白色感叹号 感叹号" },
+                { e: "❗", n: "red exclamation mark", k: "红色感叹号 感叹号 注意" },
+                { e: "〰️", n: "wavy dash", k: "波浪线" },
+                { e: "💱", n: "currency exchange", k: "货币兑换 换汇" },
+                { e: "💲", n: "heavy dollar sign", k: "美元符号 钱" },
+                { e: "⚕️", n: "medical symbol", k: "医疗标志 医学" },
+                { e: "♻️", n: "recycling symbol", k: "回收 循环利用 环保" },
+                { e: "⚜️", n: "fleur-de-lis", k: "鸢尾花徽章" },
+                { e: "🔱", n: "trident emblem", k: "三叉戟" },
+                { e: "📛", n: "name badge", k: "名牌 姓名牌" },
+                { e: "🔰", n: "Japanese symbol for beginner", k: "新手标志 初学者" },
+                { e: "⭕", n: "hollow red circle", k: "红色空心圆 圆圈 正确" },
+                { e: "✅", n: "check mark button", k: "勾选按钮 对勾 完成" },
+                { e: "☑️", n: "check box with check", k: "勾选框 对勾" },
+                { e: "✔️", n: "check mark", k: "对勾 正确 完成" },
+                { e: "❌", n: "cross mark", k: "叉 错误" },
+                { e: "❎", n: "cross mark button", k: "叉按钮 错误" },
+                { e: "➰", n: "curly loop", k: "卷曲环" },
+                { e: "➿", n: "double curly loop", k: "双卷曲环" },
+                { e: "〽️", n: "part alternation mark", k: "歌记号" },
+                { e: "✳️", n: "eight-spoked asterisk", k: "八辐星号 星号" },
+                { e: "✴️", n: "eight-pointed star", k: "八角星" },
+                { e: "❇️", n: "sparkle", k: "闪光 星光" },
+                { e: "©️", n: "copyright", k: "版权" },
+                { e: "®️", n: "registered", k: "注册商标" },
+                { e: "™️", n: "trade mark", k: "商标 TM" },
+                { e: "#️⃣", n: "keycap: #", k: "井号 按键" },
+                { e: "*️⃣", n: "keycap: *", k: "星号 按键" },
+                { e: "0️⃣", n: "keycap: 0", k: "数字0 零" },
+                { e: "1️⃣", n: "keycap: 1", k: "数字1 一" },
+                { e: "2️⃣", n: "keycap: 2", k: "数字2 二" },
+                { e: "3️⃣", n: "keycap: 3", k: "数字3 三" },
+                { e: "4️⃣", n: "keycap: 4", k: "数字4 四" },
+                { e: "5️⃣", n: "keycap: 5", k: "数字5 五" },
+                { e: "6️⃣", n: "keycap: 6", k: "数字6 六" },
+                { e: "7️⃣", n: "keycap: 7", k: "数字7 七" },
+                { e: "8️⃣", n: "keycap: 8", k: "数字8 八" },
+                { e: "9️⃣", n: "keycap: 9", k: "数字9 九" },
+                { e: "🔟", n: "keycap: 10", k: "数字10 十" },
+                { e: "🔠", n: "input latin uppercase", k: "大写字母 ABCD" },
+                { e: "🔡", n: "input latin lowercase", k: "小写字母 abcd" },
+                { e: "🔢", n: "input numbers", k: "数字 1234" },
+                { e: "🔣", n: "input symbols", k: "符号" },
+                { e: "🔤", n: "input latin letters", k: "字母 ABC" },
+                { e: "🅰️", n: "A button (blood type)", k: "A型血 A" },
+                { e: "🆎", n: "AB button (blood type)", k: "AB型血 AB" },
+                { e: "🅱️", n: "B button (blood type)", k: "B型血 B" },
+                { e: "🆑", n: "CL button", k: "CL 清除" },
+                { e: "🆒", n: "COOL button", k: "COOL 酷" },
+                { e: "🆓", n: "FREE button", k: "FREE 免费" },
+                { e: "ℹ️", n: "information", k: "信息 说明 i" },
+                { e: "🆔", n: "ID button", k: "ID 身份" },
+                { e: "Ⓜ️", n: "circled M", k: "圆圈M 地铁" },
+                { e: "🆕", n: "NEW button", k: "NEW 新" },
+                { e: "🆖", n: "NG button", k: "NG 不行" },
+                { e: "🅾️", n: "O button (blood type)", k: "O型血 O" },
+                { e: "🆗", n: "OK button", k: "OK 好的" },
+                { e: "🅿️", n: "P button", k: "P 停车场" },
+                { e: "🆘", n: "SOS button", k: "SOS 求救" },
+                { e: "🆙", n: "UP! button", k: "UP 提升" },
+                { e: "🆚", n: "VS button", k: "VS 对战" },
+                { e: "🈁", n: "Japanese “here” button", k: "日文这里 此处" },
+                { e: "🈂️", n: "Japanese “service charge” button", k: "日文服务费" },
+                { e: "🈷️", n: "Japanese “monthly amount” button", k: "月 月费" },
+                { e: "🈶", n: "Japanese “not free of charge” button", k: "有 收费" },
+                { e: "🈯", n: "Japanese “reserved” button", k: "指 预约" },
+                { e: "🉐", n: "Japanese “bargain” button", k: "得 划算" },
+                { e: "🈹", n: "Japanese “discount” button", k: "割 折扣" },
+                { e: "🈚", n: "Japanese “free of charge” button", k: "无 免费" },
+                { e: "🈲", n: "Japanese “prohibited” button", k: "禁 禁止" },
+                { e: "🉑", n: "Japanese “acceptable” button", k: "可 可以" },
+                { e: "🈸", n: "Japanese “application” button", k: "申 申请" },
+                { e: "🈴", n: "Japanese “passing grade” button", k: "合 及格" },
+                { e: "🈳", n: "Japanese “vacancy” button", k: "空 空位" },
+                { e: "㊗️", n: "Japanese “congratulations” button", k: "祝 祝贺 恭喜" },
+                { e: "㊙️", n: "Japanese “secret” button", k: "秘 秘密" },
+                { e: "🈺", n: "Japanese “open for business” button", k: "营 营业" },
+                { e: "🈵", n: "Japanese “no vacancy” button", k: "满 客满" },
+                { e: "🔴", n: "red circle", k: "红色圆 圆 红" },
+                { e: "🟠", n: "orange circle", k: "橙色圆 圆 橙" },
+                { e: "🟡", n: "yellow circle", k: "黄色圆 圆 黄" },
+                { e: "🟢", n: "green circle", k: "绿色圆 圆 绿" },
+                { e: "🔵", n: "blue circle", k: "蓝色圆 圆 蓝" },
+                { e: "🟣", n: "purple circle", k: "紫色圆 圆 紫" },
+                { e: "🟤", n: "brown circle", k: "棕色圆 圆 棕" },
+                { e: "⚫", n: "black circle", k: "黑色圆 圆 黑" },
+                { e: "⚪", n: "white circle", k: "白色圆 圆 白" },
+                { e: "🟥", n: "red square", k: "红色方块 方块 红" },
+                { e: "🟧", n: "orange square", k: "橙色方块 方块 橙" },
+                { e: "🟨", n: "yellow square", k: "黄色方块 方块 黄" },
+                { e: "🟩", n: "green square", k: "绿色方块 方块 绿" },
+                { e: "🟦", n: "blue square", k: "蓝色方块 方块 蓝" },
+                { e: "🟪", n: "purple square", k: "紫色方块 方块 紫" },
+                { e: "🟫", n: "brown square", k: "棕色方块 方块 棕" },
+                { e: "⬛", n: "black large square", k: "黑色大方块 方块 黑" },
+                { e: "⬜", n: "white large square", k: "白色大方块 方块 白" },
+                { e: "◼️", n: "black medium square", k: "黑色中方块 方块" },
+                { e: "◻️", n: "white medium square", k: "白色中方块 方块" },
+                { e: "◾", n: "black medium-small square", k: "黑色中小方块 方块" },
+                { e: "◽", n: "white medium-small square", k: "白色中小方块 方块" },
+                { e: "▪️", n: "black small square", k: "黑色小方块 方块" },
+                { e: "▫️", n: "white small square", k: "白色小方块 方块" },
+                { e: "🔶", n: "large orange diamond", k: "橙色大菱形 菱形" },
+                { e: "🔷", n: "large blue diamond", k: "蓝色大菱形 菱形" },
+                { e: "🔸", n: "small orange diamond", k: "橙色小菱形 菱形" },
+                { e: "🔹", n: "small blue diamond", k: "蓝色小菱形 菱形" },
+                { e: "🔺", n: "red triangle pointed up", k: "红色正三角 三角形" },
+                { e: "🔻", n: "red triangle pointed down", k: "红色倒三角 三角形" },
+                { e: "💠", n: "diamond with a dot", k: "带点的菱形" },
+                { e: "🔘", n: "radio button", k: "单选按钮" },
+                { e: "🔳", n: "white square button", k: "白色方形按钮" },
+                { e: "🔲", n: "black square button", k: "黑色方形按钮" }
+            ]
+        },
+        {
+            id: "flags",
+            label: "旗帜",
+            icon: "🏁",
+            emojis: [
+                { e: "🏁", n: "chequered flag", k: "方格旗 赛车 终点" },
+                { e: "🚩", n: "triangular flag", k: "三角旗 旗子" },
+                { e: "🎌", n: "crossed flags", k: "交叉的旗 日本国旗" },
+                { e: "🏴", n: "black flag", k: "黑旗" },
+                { e: "🏳️", n: "white flag", k: "白旗 投降" },
+                { e: "🏳️‍🌈", n: "rainbow flag", k: "彩虹旗 骄傲" },
+                { e: "🏳️‍⚧️", n: "transgender flag", k: "跨性别旗" },
+                { e: "🏴‍☠️", n: "pirate flag", k: "海盗旗 骷髅旗" },
+                { e: "🇦🇨", n: "flag: Ascension Island", k: "阿森松岛 国旗 旗帜" },
+                { e: "🇦🇩", n: "flag: Andorra", k: "安道尔 国旗 旗帜" },
+                { e: "🇦🇪", n: "flag: United Arab Emirates", k: "阿联酋 阿拉伯联合酋长国 国旗 旗帜" },
+                { e: "🇦🇫", n: "flag: Afghanistan", k: "阿富汗 国旗 旗帜" },
+                { e: "🇦🇬", n: "flag: Antigua & Barbuda", k: "安提瓜和巴布达 国旗 旗帜" },
+                { e: "🇦🇮", n: "flag: Anguilla", k: "安圭拉 国旗 旗帜" },
+                { e: "🇦🇱", n: "flag: Albania", k: "阿尔巴尼亚 国旗 旗帜" },
+                { e: "🇦🇲", n: "flag: Armenia", k: "亚美尼亚 国旗 旗帜" },
+                { e: "🇦🇴", n: "flag: Angola", k: "安哥拉 国旗 旗帜" },
+                { e: "🇦🇶", n: "flag: Antarctica", k: "南极洲 国旗 旗帜" },
+                { e: "🇦🇷", n: "flag: Argentina", k: "阿根廷 国旗 旗帜" },
+                { e: "🇦🇸", n: "flag: American Samoa", k: "美属萨摩亚 国旗 旗帜" },
+                { e: "🇦🇹", n: "flag: Austria", k: "奥地利 国旗 旗帜" },
+                { e: "🇦🇺", n: "flag: Australia", k: "澳大利亚 澳洲 国旗 旗帜" },
+                { e: "🇦🇼", n: "flag: Aruba", k: "阿鲁巴 国旗 旗帜" },
+                { e: "🇦🇽", n: "flag: Åland Islands", k: "奥兰群岛 国旗 旗帜" },
+                { e: "🇦🇿", n: "flag: Azerbaijan", k: "阿塞拜疆 国旗 旗帜" },
+                { e: "🇧🇦", n: "flag: Bosnia & Herzegovina", k: "波黑 波斯尼亚和黑塞哥维那 国旗 旗帜" },
+                { e: "🇧🇧", n: "flag: Barbados", k: "巴巴多斯 国旗 旗帜" },
+                { e: "🇧🇩", n: "flag: Bangladesh", k: "孟加拉国 国旗 旗帜" },
+                { e: "🇧🇪", n: "flag: Belgium", k: "比利时 国旗 旗帜" },
+                { e: "🇧🇫", n: "flag: Burkina Faso", k: "布基纳法索 国旗 旗帜" },
+                { e: "🇧🇬", n: "flag: Bulgaria", k: "保加利亚 国旗 旗帜" },
+                { e: "🇧🇭", n: "flag: Bahrain", k: "巴林 国旗 旗帜" },
+                { e: "🇧🇮", n: "flag: Burundi", k: "布隆迪 国旗 旗帜" },
+                { e: "🇧🇯", n: "flag: Benin", k: "贝宁 国旗 旗帜" },
+                { e: "🇧🇱", n: "flag: St. Barthélemy", k: "圣巴泰勒米 国旗 旗帜" },
+                { e: "🇧🇲", n: "flag: Bermuda", k: "百慕大 国旗 旗帜" },
+                { e: "🇧🇳", n: "flag: Brunei", k: "文莱 国旗 旗帜" },
+                { e: "🇧🇴", n: "flag: Bolivia", k: "玻利维亚 国旗 旗帜" },
+                { e: "🇧🇶", n: "flag: Caribbean Netherlands", k: "荷属加勒比区 国旗 旗帜" },
+                { e: "🇧🇷", n: "flag: Brazil", k: "巴西 国旗 旗帜" },
+                { e: "🇧🇸", n: "flag: Bahamas", k: "巴哈马 国旗 旗帜" },
+                { e: "🇧🇹", n: "flag: Bhutan", k: "不丹 国旗 旗帜" },
+                { e: "🇧🇻", n: "flag: Bouvet Island", k: "布韦岛 国旗 旗帜" },
+                { e: "🇧🇼", n: "flag: Botswana", k: "博茨瓦纳 国旗 旗帜" },
+                { e: "🇧🇾", n: "flag: Belarus", k: "白俄罗斯 国旗 旗帜" },
+                { e: "🇧🇿", n: "flag: Belize", k: "伯利兹 国旗 旗帜" },
+                { e: "🇨🇦", n: "flag: Canada", k: "加拿大 国旗 旗帜" },
+                { e: "🇨🇨", n: "flag: Cocos (Keeling) Islands", k: "科科斯（基林）群岛 国旗 旗帜" },
+                { e: "🇨🇩", n: "flag: Congo - Kinshasa", k: "刚果（金） 国旗 旗帜" },
+                { e: "🇨🇫", n: "flag: Central African Republic", k: "中非共和国 国旗 旗帜" },
+                { e: "🇨🇬", n: "flag: Congo - Brazzaville", k: "刚果（布） 国旗 旗帜" },
+                { e: "🇨🇭", n: "flag: Switzerland", k: "瑞士 国旗 旗帜" },
+                { e: "🇨🇮", n: "flag: Côte d’Ivoire", k: "科特迪瓦 国旗 旗帜" },
+                { e: "🇨🇰", n: "flag: Cook Islands", k: "库克群岛 国旗 旗帜" },
+                { e: "🇨🇱", n: "flag: Chile", k: "智利 国旗 旗帜" },
+                { e: "🇨🇲", n: "flag: Cameroon", k: "喀麦隆 国旗 旗帜" },
+                { e: "🇨🇳", n: "flag: China", k: "中国 国旗 旗帜" },
+                { e: "🇨🇴", n: "flag: Colombia", k: "哥伦比亚 国旗 旗帜" },
+                { e: "🇨🇵", n: "flag: Clipperton Island", k: "克利珀顿岛 国旗 旗帜" },
+                { e: "🇨🇷", n: "flag: Costa Rica", k: "哥斯达黎加 国旗 旗帜" },
+                { e: "🇨🇺", n: "flag: Cuba", k: "古巴 国旗 旗帜" },
+                { e: "🇨🇻", n: "flag: Cape Verde", k: "佛得角 国旗 旗帜" },
+                { e: "🇨🇼", n: "flag: Curaçao", k: "库拉索 国旗 旗帜" },
+                { e: "🇨🇽", n: "flag: Christmas Island", k: "圣诞岛 国旗 旗帜" },
+                { e: "🇨🇾", n: "flag: Cyprus", k: "塞浦路斯 国旗 旗帜" },
+                { e: "🇨🇿", n: "flag: Czechia", k: "捷克 国旗 旗帜" },
+                { e: "🇩🇪", n: "flag: Germany", k: "德国 国旗 旗帜" },
+                { e: "🇩🇬", n: "flag: Diego Garcia", k: "迪戈加西亚岛 国旗 旗帜" },
+                { e: "🇩🇯", n: "flag: Djibouti", k: "吉布提 国旗 旗帜" },
+                { e: "🇩🇰", n: "flag: Denmark", k: "丹麦 国旗 旗帜" },
+                { e: "🇩🇲", n: "flag: Dominica", k: "多米尼克 国旗 旗帜" },
+                { e: "🇩🇴", n: "flag: Dominican Republic", k: "多米尼加共和国 国旗 旗帜" },
+                { e: "🇩🇿", n: "flag: Algeria", k: "阿尔及利亚 国旗 旗帜" },
+                { e: "🇪🇦", n: "flag: Ceuta & Melilla", k: "休达及梅利利亚 国旗 旗帜" },
+                { e: "🇪🇨", n: "flag: Ecuador", k: "厄瓜多尔 国旗 旗帜" },
+                { e: "🇪🇪", n: "flag: Estonia", k: "爱沙尼亚 国旗 旗帜" },
+                { e: "🇪🇬", n: "flag: Egypt", k: "埃及 国旗 旗帜" },
+                { e: "🇪🇭", n: "flag: Western Sahara", k: "西撒哈拉 国旗 旗帜" },
+                { e: "🇪🇷", n: "flag: Eritrea", k: "厄立特里亚 国旗 旗帜" },
+                { e: "🇪🇸", n: "flag: Spain", k: "西班牙 国旗 旗帜" },
+                { e: "🇪🇹", n: "flag: Ethiopia", k: "埃塞俄比亚 国旗 旗帜" },
+                { e: "🇪🇺", n: "flag: European Union", k: "欧盟 国旗 旗帜" },
+                { e: "🇫🇮", n: "flag: Finland", k: "芬兰 国旗 旗帜" },
+                { e: "🇫🇯", n: "flag: Fiji", k: "斐济 国旗 旗帜" },
+                { e: "🇫🇰", n: "flag: Falkland Islands", k: "福克兰群岛 国旗 旗帜" },
+                { e: "🇫🇲", n: "flag: Micronesia", k: "密克罗尼西亚 国旗 旗帜" },
+                { e: "🇫🇴", n: "flag: Faroe Islands", k: "法罗群岛 国旗 旗帜" },
+                { e: "🇫🇷", n: "flag: France", k: "法国 国旗 旗帜" },
+                { e: "🇬🇦", n: "flag: Gabon", k: "加蓬 国旗 旗帜" },
+                { e: "🇬🇧", n: "flag: United Kingdom", k: "英国 国旗 旗帜" },
+                { e: "🇬🇩", n: "flag: Grenada", k: "格林纳达 国旗 旗帜" },
+                { e: "🇬🇪", n: "flag: Georgia", k: "格鲁吉亚 国旗 旗帜" },
+                { e: "🇬🇫", n: "flag: French Guiana", k: "法属圭亚那 国旗 旗帜" },
+                { e: "🇬🇬", n: "flag: Guernsey", k: "根西岛 国旗 旗帜" },
+                { e: "🇬🇭", n: "flag: Ghana", k: "加纳 国旗 旗帜" },
+                { e: "🇬🇮", n: "flag: Gibraltar", k: "直布罗陀 国旗 旗帜" },
+                { e: "🇬🇱", n: "flag: Greenland", k: "格陵兰 国旗 旗帜" },
+                { e: "🇬🇲", n: "flag: Gambia", k: "冈比亚 国旗 旗帜" },
+                { e: "🇬🇳", n: "flag: Guinea", k: "几内亚 国旗 旗帜" },
+                { e: "🇬🇵", n: "flag: Guadeloupe", k: "瓜德罗普 国旗 旗帜" },
+                { e: "🇬🇶", n: "flag: Equatorial Guinea", k: "赤道几内亚 国旗 旗帜" },
+                { e: "🇬🇷", n: "flag: Greece", k: "希腊 国旗 旗帜" },
+                { e: "🇬🇸", n: "flag: South Georgia & South Sandwich Islands", k: "南乔治亚和南桑威奇群岛 国旗 旗帜" },
+                { e: "🇬🇹", n: "flag: Guatemala", k: "危地马拉 国旗 旗帜" },
+                { e: "🇬🇺", n: "flag: Guam", k: "关岛 国旗 旗帜" },
+                { e: "🇬🇼", n: "flag: Guinea-Bissau", k: "几内亚比绍 国旗 旗帜" },
+                { e: "🇬🇾", n: "flag: Guyana", k: "圭亚那 国旗 旗帜" },
+                { e: "🇭🇰", n: "flag: Hong Kong SAR China", k: "中国香港 香港 国旗 旗帜" },
+                { e: "🇭🇲", n: "flag: Heard & McDonald Islands", k: "赫德岛和麦克唐纳群岛 国旗 旗帜" },
+                { e: "🇭🇳", n: "flag: Honduras", k: "洪都拉斯 国旗 旗帜" },
+                { e: "🇭🇷", n: "flag: Croatia", k: "克罗地亚 国旗 旗帜" },
+                { e: "🇭🇹", n: "flag: Haiti", k: "海地 国旗 旗帜" },
+                { e: "🇭🇺", n: "flag: Hungary", k: "匈牙利 国旗 旗帜" },
+                { e: "🇮🇨", n: "flag: Canary Islands", k: "加纳利群岛 国旗 旗帜" },
+                { e: "🇮🇩", n: "flag: Indonesia", k: "印度尼西亚 印尼 国旗 旗帜" },
+                { e: "🇮🇪", n: "flag: Ireland", k: "爱尔兰 国旗 旗帜" },
+                { e: "🇮🇱", n: "flag: Israel", k: "以色列 国旗 旗帜" },
+                { e: "🇮🇲", n: "flag: Isle of Man", k: "马恩岛 国旗 旗帜" },
+                { e: "🇮🇳", n: "flag: India", k: "印度 国旗 旗帜" },
+                { e: "🇮🇴", n: "flag: British Indian Ocean Territory", k: "英属印度洋领地 国旗 旗帜" },
+                { e: "🇮🇶", n: "flag: Iraq", k: "伊拉克 国旗 旗帜" },
+                { e: "🇮🇷", n: "flag: Iran", k: "伊朗 国旗 旗帜" },
+                { e: "🇮🇸", n: "flag: Iceland", k: "冰岛 国旗 旗帜" },
+                { e: "🇮🇹", n: "flag: Italy", k: "意大利 国旗 旗帜" },
+                { e: "🇯🇪", n: "flag: Jersey", k: "泽西岛 国旗 旗帜" },
+                { e: "🇯🇲", n: "flag: Jamaica", k: "牙买加 国旗 旗帜" },
+                { e: "🇯🇴", n: "flag: Jordan", k: "约旦 国旗 旗帜" },
+                { e: "🇯🇵", n: "flag: Japan", k: "日本 国旗 旗帜" },
+                { e: "🇰🇪", n: "flag: Kenya", k: "肯尼亚 国旗 旗帜" },
+                { e: "🇰🇬", n: "flag: Kyrgyzstan", k: "吉尔吉斯斯坦 国旗 旗帜" },
+                { e: "🇰🇭", n: "flag: Cambodia", k: "柬埔寨 国旗 旗帜" },
+                { e: "🇰🇮", n: "flag: Kiribati", k: "基里巴斯 国旗 旗帜" },
+                { e: "🇰🇲", n: "flag: Comoros", k: "科摩罗 国旗 旗帜" },
+                { e: "🇰🇳", n: "flag: St. Kitts & Nevis", k: "圣基茨和尼维斯 国旗 旗帜" },
+                { e: "🇰🇵", n: "flag: North Korea", k: "朝鲜 国旗 旗帜" },
+                { e: "🇰🇷", n: "flag: South Korea", k: "韩国 国旗 旗帜" },
+                { e: "🇰🇼", n: "flag: Kuwait", k: "科威特 国旗 旗帜" },
+                { e: "🇰🇾", n: "flag: Cayman Islands", k: "开曼群岛 国旗 旗帜" },
+                { e: "🇰🇿", n: "flag: Kazakhstan", k: "哈萨克斯坦 国旗 旗帜" },
+                { e: "🇱🇦", n: "flag: Laos", k: "老挝 国旗 旗帜" },
+                { e: "🇱🇧", n: "flag: Lebanon", k: "黎巴嫩 国旗 旗帜" },
+                { e: "🇱🇨", n: "flag: St. Lucia", k: "圣卢西亚 国旗 旗帜" },
+                { e: "🇱🇮", n: "flag: Liechtenstein", k: "列支敦士登 国旗 旗帜" },
+                { e: "🇱🇰", n: "flag: Sri Lanka", k: "斯里兰卡 国旗 旗帜" },
+                { e: "🇱🇷", n: "flag: Liberia", k: "利比里亚 国旗 旗帜" },
+                { e: "🇱🇸", n: "flag: Lesotho", k: "莱索托 国旗 旗帜" },
+                { e: "🇱🇹", n: "flag: Lithuania", k: "立陶宛 国旗 旗帜" },
+                { e: "🇱🇺", n: "flag: Luxembourg", k: "卢森堡 国旗 旗帜" },
+                { e: "🇱🇻", n: "flag: Latvia", k: "拉脱维亚 国旗 旗帜" },
+                { e: "🇱🇾", n: "flag: Libya", k: "利比亚 国旗 旗帜" },
+                { e: "🇲🇦", n: "flag: Morocco", k: "摩洛哥 国旗 旗帜" },
+                { e: "🇲🇨", n: "flag: Monaco", k: "摩纳哥 国旗 旗帜" },
+                { e: "🇲🇩", n: "flag: Moldova", k: "摩尔多瓦 国旗 旗帜" },
+                { e: "🇲🇪", n: "flag: Montenegro", k: "黑山 国旗 旗帜" },
+                { e: "🇲🇫", n: "flag: St. Martin", k: "法属圣马丁 国旗 旗帜" },
+                { e: "🇲🇬", n: "flag: Madagascar", k: "马达加斯加 国旗 旗帜" },
+                { e: "🇲🇭", n: "flag: Marshall Islands", k: "马绍尔群岛 国旗 旗帜" },
+                { e: "🇲🇰", n: "flag: North Macedonia", k: "北马其顿 国旗 旗帜" },
+                { e: "🇲🇱", n: "flag: Mali", k: "马里 国旗 旗帜" },
+                { e: "🇲🇲", n: "flag: Myanmar (Burma)", k: "缅甸 国旗 旗帜" },
+                { e: "🇲🇳", n: "flag: Mongolia", k: "蒙古 国旗 旗帜" },
+                { e: "🇲🇴", n: "flag: Macao SAR China", k: "中国澳门 澳门 国旗 旗帜" },
+                { e: "🇲🇵", n: "flag: Northern Mariana Islands", k: "北马里亚纳群岛 国旗 旗帜" },
+                { e: "🇲🇶", n: "flag: Martinique", k: "马提尼克 国旗 旗帜" },
+                { e: "🇲🇷", n: "flag: Mauritania", k: "毛里塔尼亚 国旗 旗帜" },
+                { e: "🇲🇸", n: "flag: Montserrat", k: "蒙特塞拉特 国旗 旗帜" },
+                { e: "🇲🇹", n: "flag: Malta", k: "马耳他 国旗 旗帜" },
+                { e: "🇲🇺", n: "flag: Mauritius", k: "毛里求斯 国旗 旗帜" },
+                { e: "🇲🇻", n: "flag: Maldives", k: "马尔代夫 国旗 旗帜" },
+                { e: "🇲🇼", n: "flag: Malawi", k: "马拉维 国旗 旗帜" },
+                { e: "🇲🇽", n: "flag: Mexico", k: "墨西哥 国旗 旗帜" },
+                { e: "🇲🇾", n: "flag: Malaysia", k: "马来西亚 国旗 旗帜" },
+                { e: "🇲🇿", n: "flag: Mozambique", k: "莫桑比克 国旗 旗帜" },
+                { e: "🇳🇦", n: "flag: Namibia", k: "纳米比亚 国旗 旗帜" },
+                { e: "🇳🇨", n: "flag: New Caledonia", k: "新喀里多尼亚 国旗 旗帜" },
+                { e: "🇳🇪", n: "flag: Niger", k: "尼日尔 国旗 旗帜" },
+                { e: "🇳🇫", n: "flag: Norfolk Island", k: "诺福克岛 国旗 旗帜" },
+                { e: "🇳🇬", n: "flag: Nigeria", k: "尼日利亚 国旗 旗帜" },
+                { e: "🇳🇮", n: "flag: Nicaragua", k: "尼加拉瓜 国旗 旗帜" },
+                { e: "🇳🇱", n: "flag: Netherlands", k: "荷兰 国旗 旗帜" },
+                { e: "🇳🇴", n: "flag: Norway", k: "挪威 国旗 旗帜" },
+                { e: "🇳🇵", n: "flag: Nepal", k: "尼泊尔 国旗 旗帜" },
+                { e: "🇳🇷", n: "flag: Nauru", k: "瑙鲁 国旗 旗帜" },
+                { e: "🇳🇺", n: "flag: Niue", k: "纽埃 国旗 旗帜" },
+                { e: "🇳🇿", n: "flag: New Zealand", k: "新西兰 国旗 旗帜" },
+                { e: "🇴🇲", n: "flag: Oman", k: "阿曼 国旗 旗帜" },
+                { e: "🇵🇦", n: "flag: Panama", k: "巴拿马 国旗 旗帜" },
+                { e: "🇵🇪", n: "flag: Peru", k: "秘鲁 国旗 旗帜" },
+                { e: "🇵🇫", n: "flag: French Polynesia", k: "法属波利尼西亚 国旗 旗帜" },
+                { e: "🇵🇬", n: "flag: Papua New Guinea", k: "巴布亚新几内亚 国旗 旗帜" },
+                { e: "🇵🇭", n: "flag: Philippines", k: "菲律宾 国旗 旗帜" },
+                { e: "🇵🇰", n: "flag: Pakistan", k: "巴基斯坦 国旗 旗帜" },
+                { e: "🇵🇱", n: "flag: Poland", k: "波兰 国旗 旗帜" },
+                { e: "🇵🇲", n: "flag: St. Pierre & Miquelon", k: "圣皮埃尔和密克隆群岛 国旗 旗帜" },
+                { e: "🇵🇳", n: "flag: Pitcairn Islands", k: "皮特凯恩群岛 国旗 旗帜" },
+                { e: "🇵🇷", n: "flag: Puerto Rico", k: "波多黎各 国旗 旗帜" },
+                { e: "🇵🇸", n: "flag: Palestinian Territories", k: "巴勒斯坦 国旗 旗帜" },
+                { e: "🇵🇹", n: "flag: Portugal", k: "葡萄牙 国旗 旗帜" },
+                { e: "🇵🇼", n: "flag: Palau", k: "帕劳 国旗 旗帜" },
+                { e: "🇵🇾", n: "flag: Paraguay", k: "巴拉圭 国旗 旗帜" },
+                { e: "🇶🇦", n: "flag: Qatar", k: "卡塔尔 国旗 旗帜" },
+                { e: "🇷🇪", n: "flag: Réunion", k: "留尼汪 国旗 旗帜" },
+                { e: "🇷🇴", n: "flag: Romania", k: "罗马尼亚 国旗 旗帜" },
+                { e: "🇷🇸", n: "flag: Serbia", k: "塞尔维亚 国旗 旗帜" },
+                { e: "🇷🇺", n: "flag: Russia", k: "俄罗斯 国旗 旗帜" },
+                { e: "🇷🇼", n: "flag: Rwanda", k: "卢旺达 国旗 旗帜" },
+                { e: "🇸🇦", n: "flag: Saudi Arabia", k: "沙特阿拉伯 沙特 国旗 旗帜" },
+                { e: "🇸🇧", n: "flag: Solomon Islands", k: "所罗门群岛 国旗 旗帜" },
+                { e: "🇸🇨", n: "flag: Seychelles", k: "塞舌尔 国旗 旗帜" },
+                { e: "🇸🇩", n: "flag: Sudan", k: "苏丹 国旗 旗帜" },
+                { e: "🇸🇪", n: "flag: Sweden", k: "瑞典 国旗 旗帜" },
+                { e: "🇸🇬", n: "flag: Singapore", k: "新加坡 国旗 旗帜" },
+                { e: "🇸🇭", n: "flag: St. Helena", k: "圣赫勒拿 国旗 旗帜" },
+                { e: "🇸🇮", n: "flag: Slovenia", k: "斯洛文尼亚 国旗 旗帜" },
+                { e: "🇸🇯", n: "flag: Svalbard & Jan Mayen", k: "斯瓦尔巴和扬马延 国旗 旗帜" },
+                { e: "🇸🇰", n: "flag: Slovakia", k: "斯洛伐克 国旗 旗帜" },
+                { e: "🇸🇱", n: "flag: Sierra Leone", k: "塞拉利昂 国旗 旗帜" },
+                { e: "🇸🇲", n: "flag: San Marino", k: "圣马力诺 国旗 旗帜" },
+                { e: "🇸🇳", n: "flag: Senegal", k: "塞内加尔 国旗 旗帜" },
+                { e: "🇸🇴", n: "flag: Somalia", k: "索马里 国旗 旗帜" },
+                { e: "🇸🇷", n: "flag: Suriname", k: "苏里南 国旗 旗帜" },
+                { e: "🇸🇸", n: "flag: South Sudan", k: "南苏丹 国旗 旗帜" },
+                { e: "🇸🇹", n: "flag: São Tomé & Príncipe", k: "圣多美和普林西比 国旗 旗帜" },
+                { e: "🇸🇻", n: "flag: El Salvador", k: "萨尔瓦多 国旗 旗帜" },
+                { e: "🇸🇽", n: "flag: Sint Maarten", k: "荷属圣马丁 国旗 旗帜" },
+                { e: "🇸🇾", n: "flag: Syria", k: "叙利亚 国旗 旗帜" },
+                { e: "🇸🇿", n: "flag: Eswatini", k: "斯威士兰 国旗 旗帜" },
+                { e: "🇹🇦", n: "flag: Tristan da Cunha", k: "特里斯坦-达库尼亚群岛 国旗 旗帜" },
+                { e: "🇹🇨", n: "flag: Turks & Caicos Islands", k: "特克斯和凯科斯群岛 国旗 旗帜" },
+                { e: "🇹🇩", n: "flag: Chad", k: "乍得 国旗 旗帜" },
+                { e: "🇹🇫", n: "flag: French Southern Territories", k: "法属南部领地 国旗 旗帜" },
+                { e: "🇹🇬", n: "flag: Togo", k: "多哥 国旗 旗帜" },
+                { e: "🇹🇭", n: "flag: Thailand", k: "泰国 国旗 旗帜" },
+                { e: "🇹🇯", n: "flag: Tajikistan", k: "塔吉克斯坦 国旗 旗帜" },
+                { e: "🇹🇰", n: "flag: Tokelau", k: "托克劳 国旗 旗帜" },
+                { e: "🇹🇱", n: "flag: Timor-Leste", k: "东帝汶 国旗 旗帜" },
+                { e: "🇹🇲", n: "flag: Turkmenistan", k: "土库曼斯坦 国旗 旗帜" },
+                { e: "🇹🇳", n: "flag: Tunisia", k: "突尼斯 国旗 旗帜" },
+                { e: "🇹🇴", n: "flag: Tonga", k: "汤加 国旗 旗帜" },
+                { e: "🇹🇷", n: "flag: Türkiye", k: "土耳其 国旗 旗帜" },
+                { e: "🇹🇹", n: "flag: Trinidad & Tobago", k: "特立尼达和多巴哥 国旗 旗帜" },
+                { e: "🇹🇻", n: "flag: Tuvalu", k: "图瓦卢 国旗 旗帜" },
+                { e: "🇹🇼", n: "flag: Taiwan", k: "台湾 国旗 旗帜" },
+                { e: "🇹🇿", n: "flag: Tanzania", k: "坦桑尼亚 国旗 旗帜" },
+                { e: "🇺🇦", n: "flag: Ukraine", k: "乌克兰 国旗 旗帜" },
+                { e: "🇺🇬", n: "flag: Uganda", k: "乌干达 国旗 旗帜" },
+                { e: "🇺🇲", n: "flag: U.S. Outlying Islands", k: "美国本土外小岛屿 国旗 旗帜" },
+                { e: "🇺🇳", n: "flag: United Nations", k: "联合国 国旗 旗帜" },
+                { e: "🇺🇸", n: "flag: United States", k: "美国 国旗 旗帜" },
+                { e: "🇺🇾", n: "flag: Uruguay", k: "乌拉圭 国旗 旗帜" },
+                { e: "🇺🇿", n: "flag: Uzbekistan", k: "乌兹别克斯坦 国旗 旗帜" },
+                { e: "🇻🇦", n: "flag: Vatican City", k: "梵蒂冈 国旗 旗帜" },
+                { e: "🇻🇨", n: "flag: St. Vincent & Grenadines", k: "圣文森特和格林纳丁斯 国旗 旗帜" },
+                { e: "🇻🇪", n: "flag: Venezuela", k: "委内瑞拉 国旗 旗帜" },
+                { e: "🇻🇬", n: "flag: British Virgin Islands", k: "英属维尔京群岛 国旗 旗帜" },
+                { e: "🇻🇮", n: "flag: U.S. Virgin Islands", k: "美属维尔京群岛 国旗 旗帜" },
+                { e: "🇻🇳", n: "flag: Vietnam", k: "越南 国旗 旗帜" },
+                { e: "🇻🇺", n: "flag: Vanuatu", k: "瓦努阿图 国旗 旗帜" },
+                { e: "🇼🇫", n: "flag: Wallis & Futuna", k: "瓦利斯和富图纳 国旗 旗帜" },
+                { e: "🇼🇸", n: "flag: Samoa", k: "萨摩亚 国旗 旗帜" },
+                { e: "🇽🇰", n: "flag: Kosovo", k: "科索沃 国旗 旗帜" },
+                { e: "🇾🇪", n: "flag: Yemen", k: "也门 国旗 旗帜" },
+                { e: "🇾🇹", n: "flag: Mayotte", k: "马约特 国旗 旗帜" },
+                { e: "🇿🇦", n: "flag: South Africa", k: "南非 国旗 旗帜" },
+                { e: "🇿🇲", n: "flag: Zambia", k: "赞比亚 国旗 旗帜" },
+                { e: "🇿🇼", n: "flag: Zimbabwe", k: "津巴布韦 国旗 旗帜" },
+                { e: "🏴󠁧󠁢󠁥󠁮󠁧󠁿", n: "flag: England", k: "英格兰 国旗 旗帜" },
+                { e: "🏴󠁧󠁢󠁳󠁣󠁴󠁿", n: "flag: Scotland", k: "苏格兰 国旗 旗帜" },
+                { e: "🏴󠁧󠁢󠁷󠁬󠁳󠁿", n: "flag: Wales", k: "威尔士 国旗 旗帜" }
+            ]
+        }
+    ]
+};
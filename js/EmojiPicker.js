@@ -0,0 +1,583 @@
+/**
+ * 表情选择器类
+ * 按 EmojiData 生成完整的表情面板：分类标签、中英文关键词搜索、肤色和性别选择，以及最近使用。
+ * 表情网格只渲染可见的行，上千个表情在手机上也能流畅滚动。
+ * 表情项为 .sticker-item，data-sticker 为按当前肤色和性别选择后的表情，点击由主程序处理
+ */
+
+class EmojiPicker {
+    constructor() {
+        this.elements = {};
+
+        // 搜索索引：{entry, text, words}
+        this.index = [];
+
+        // 当前选择的肤色（0 为默认黄色，1-5 为五种肤色）和性别（'neutral'、'man' 或 'woman'）
+        this.tone = 0;
+        this.gender = 'neutral';
+
+        // 最近使用的表情（已应用肤色和性别）
+        this.recent = [];
+
+        // 当前搜索词
+        this.query = '';
+
+        // 网格的行：{type: 'header' | 'emojis', top, height, label | entries, section}
+        this.rows = [];
+
+        // 各分区（最近使用、各分类）在网格中的起始位置：{id, top}
+        this.sections = [];
+
+        // 每行的表情数
+        this.columns = EmojiPicker.COLUMNS;
+
+        // 已渲染的行：行号到元素
+        this.renderedRows = new Map();
+
+        this.frame = null;
+
+        // 绑定方法上下文
+        this.handleScroll = this.handleScroll.bind(this);
+        this.handleResize = this.handleResize.bind(this);
+
+        this.initialize();
+    }
+
+    /**
+     * 初始化表情选择器
+     */
+    initialize() {
+        this.getElements();
+        this.buildIndex();
+        this.loadState();
+        this.renderTabs();
+        this.renderOptions();
+        this.bindEvents();
+        this.refresh();
+    }
+
+    /**
+     * 获取DOM元素引用
+     */
+    getElements() {
+        this.elements = {
+            search: document.getElementById('emojiSearch'),
+            tabs: document.getElementById('emojiTabs'),
+            tones: document.getElementById('emojiTones'),
+            genders: document.getElementById('emojiGenders'),
+            grid: document.getElementById('stickerGrid'),
+            content: document.getElementById('emojiGridContent'),
+            empty: document.getElementById('emojiEmpty')
+        };
+    }
+
+    /**
+     * 生成搜索索引：英文名称和中文关键词，有性别版本的表情也能用“man”“女”等搜到
+     */
+    buildIndex() {
+        this.index = [];
+
+        EmojiData.categories.forEach(category => {
+            category.emojis.forEach(entry => {
+                const text = `${entry.n} ${entry.k}${entry.g ? ' man woman 男 女' : ''}`.toLowerCase();
+                this.index.push({ entry, text, words: text.split(/[\s:,]+/).filter(Boolean) });
+            });
+        });
+    }
+
+    /**
+     * 读取保存的最近使用、肤色和性别
+     */
+    loadState() {
+        let state = null;
+        try {
+            state = JSON.parse(localStorage.getItem(EmojiPicker.STORAGE_KEY));
+        } catch (error) {
+            // 存储不可用（如隐私模式）或内容损坏时使用默认值
+            state = null;
+        }
+        if (!state) return;
+
+        if (Array.isArray(state.recent)) {
+            this.recent = state.recent.filter(emoji => typeof emoji === 'string').slice(0, EmojiPicker.RECENT_LIMIT);
+        }
+        if (Number.isInteger(state.tone) && state.tone >= 0 && state.tone < EmojiPicker.TONES.length) {
+            this.tone = state.tone;
+        }
+        if (EmojiPicker.GENDERS.some(item => item.id === state.gender)) {
+            this.gender = state.gender;
+        }
+    }
+
+    /**
+     * 保存最近使用、肤色和性别
+     */
+    saveState() {
+        try {
+            localStorage.setItem(EmojiPicker.STORAGE_KEY, JSON.stringify({
+                recent: this.recent,
+                tone: this.tone,
+                gender: this.gender
+            }));
+        } catch (error) {
+            // 存储不可用时只在本次会话中记住
+        }
+    }
+
+    /**
+     * 生成分类标签
+     */
+    renderTabs() {
+        const { tabs } = this.elements;
+        const items = [EmojiPicker.RECENT_CATEGORY, ...EmojiData.categories];
+
+        items.forEach(category => {
+            const button = document.createElement('button');
+            button.className = 'emoji-tab';
+            button.dataset.category = category.id;
+            button.title = category.label;
+            button.textContent = category.icon;
+            tabs.appendChild(button);
+        });
+    }
+
+    /**
+     * 生成肤色和性别选择按钮
+     */
+    renderOptions() {
+        const { tones, genders } = this.elements;
+
+        EmojiPicker.TONES.forEach((item, index) => {
+            const button = document.createElement('button');
+            button.className = 'emoji-tone';
+            button.dataset.tone = index;
+            button.title = item.label;
+            button.textContent = item.icon;
+            tones.appendChild(button);
+        });
+
+        EmojiPicker.GENDERS.forEach(item => {
+            const button = document.createElement('button');
+            button.dataset.gender = item.id;
+            button.title = item.label;
+            button.textContent = item.icon;
+            genders.appendChild(button);
+        });
+    }
+
+    /**
+     * 绑定事件处理器
+     */
+    bindEvents() {
+        const { search, tabs, tones, genders, grid } = this.elements;
+
+        search.addEventListener('input', () => this.setQuery(search.value));
+
+        // Esc 清空搜索
+        search.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && search.value) {
+                e.preventDefault();
+                e.stopPropagation();
+                search.value = '';
+                this.setQuery('');
+            }
+        });
+
+        tabs.addEventListener('click', (e) => {
+            const tab = e.target.closest('.emoji-tab');
+            if (tab) {
+                this.scrollToCategory(tab.dataset.category);
+            }
+        });
+
+        tones.addEventListener('click', (e) => {
+            const button = e.target.closest('.emoji-tone');
+            if (button) {
+                this.setTone(parseInt(button.dataset.tone, 10));
+            }
+        });
+
+        genders.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (button) {
+                this.setGender(button.dataset.gender);
+            }
+        });
+
+        grid.addEventListener('scroll', this.handleScroll, { passive: true });
+        window.addEventListener('resize', this.handleResize);
+    }
+
+    /**
+     * 设置搜索词
+     * @param {string} query 搜索词
+     */
+    setQuery(query) {
+        this.query = query.trim().toLowerCase();
+        this.elements.grid.scrollTop = 0;
+        this.refresh();
+    }
+
+    /**
+     * 设置肤色
+     * @param {number} tone 0 为默认，1-5 为五种肤色
+     */
+    setTone(tone) {
+        this.tone = tone;
+        this.saveState();
+        this.refresh(true);
+    }
+
+    /**
+     * 设置性别
+     * @param {string} gender 'neutral'、'man' 或 'woman'
+     */
+    setGender(gender) {
+        this.gender = gender;
+        this.saveState();
+        this.refresh(true);
+    }
+
+    /**
+     * 记录最近使用的表情
+     * @param {string} emoji 表情
+     */
+    addRecent(emoji) {
+        const { grid } = this.elements;
+        const before = this.getSectionTop(EmojiData.categories[0].id);
+
+        this.recent = [emoji, ...this.recent.filter(item => item !== emoji)].slice(0, EmojiPicker.RECENT_LIMIT);
+        this.saveState();
+        this.refresh(true);
+
+        // 最近使用的行数变化时保持当前看到的表情不动
+        if (grid.scrollTop > 0 && !this.query) {
+            grid.scrollTop += this.getSectionTop(EmojiData.categories[0].id) - before;
+        }
+    }
+
+    /**
+     * 按当前肤色和性别获取表情
+     * @param {Object} entry 表情数据
+     * @returns {string}
+     */
+    getVariant(entry) {
+        const target = entry.g && this.gender !== 'neutral' ? entry.g[this.gender] : entry;
+
+        if (this.tone > 0 && target.t) {
+            return target.t[this.tone - 1];
+        }
+        return target.e;
+    }
+
+    /**
+     * 搜索表情：每个搜索词都要出现在名称或关键词中，以搜索词开头的词语排在前面
+     * @param {string} query 搜索词（小写）
+     * @returns {Object[]} 表情数据
+     */
+    search(query) {
+        const terms = query.split(/\s+/).filter(Boolean);
+
+        return this.index
+            .filter(item => item.entry.e === query || terms.every(term => item.text.includes(term)))
+            .map((item, order) => ({
+                item,
+                order,
+                rank: terms.every(term => item.words.some(word => word.startsWith(term))) ? 0 : 1
+            }))
+            .sort((a, b) => a.rank - b.rank || a.order - b.order)
+            .map(result => result.item.entry);
+    }
+
+    /**
+     * 重新生成网格的行
+     * @param {boolean} keepScroll 是否保持滚动位置
+     */
+    refresh(keepScroll = false) {
+        const { grid, content, empty } = this.elements;
+
+        this.columns = this.getColumns();
+        this.rows = [];
+        this.sections = [];
+        let top = 0;
+
+        const addSection = (id, label, items) => {
+            this.sections.push({ id, top });
+            this.rows.push({ type: 'header', top, height: EmojiPicker.HEADER_HEIGHT, label, section: id });
+            top += EmojiPicker.HEADER_HEIGHT;
+
+            for (let i = 0; i < items.length; i += this.columns) {
+                this.rows.push({ type: 'emojis', top, height: EmojiPicker.ROW_HEIGHT, items: items.slice(i, i + this.columns), section: id });
+                top += EmojiPicker.ROW_HEIGHT;
+            }
+        };
+
+        // 表情项：{emoji, name}
+        const toItem = entry => ({ emoji: this.getVariant(entry), name: entry.n });
+
+        if (this.query) {
+            const results = this.search(this.query);
+            if (results.length > 0) {
+                addSection('search', `搜索结果（${results.length}）`, results.map(toItem));
+            }
+            empty.classList.toggle('hidden', results.length > 0);
+        } else {
+            if (this.recent.length > 0) {
+                addSection(EmojiPicker.RECENT_CATEGORY.id, EmojiPicker.RECENT_CATEGORY.label, this.recent.map(emoji => ({ emoji, name: '' })));
+            }
+            EmojiData.categories.forEach(category => {
+                addSection(category.id, category.label, category.emojis.map(toItem));
+            });
+            empty.classList.add('hidden');
+        }
+
+        this.elements.tabs.classList.toggle('hidden', !!this.query);
+        content.style.height = `${top}px`;
+
+        if (!keepScroll) {
+            grid.scrollTop = 0;
+        }
+
+        // 内容变化后全部重新渲染
+        this.renderedRows.forEach(row => row.remove());
+        this.renderedRows.clear();
+
+        this.syncOptions();
+        this.render();
+    }
+
+    /**
+     * 按网格宽度计算每行的表情数
+     * @returns {number}
+     */
+    getColumns() {
+        const width = this.elements.grid.clientWidth;
+        if (!width) return EmojiPicker.COLUMNS;
+
+        return Math.max(EmojiPicker.MIN_COLUMNS, Math.floor(width / EmojiPicker.CELL_SIZE));
+    }
+
+    /**
+     * 获取分区在网格中的起始位置
+     * @param {string} id 分区 id
+     * @returns {number}
+     */
+    getSectionTop(id) {
+        const section = this.sections.find(item => item.id === id);
+        return section ? section.top : 0;
+    }
+
+    /**
+     * 渲染可见的行（上下各多渲染几行），移除滚出范围的行
+     */
+    render() {
+        const { grid, content } = this.elements;
+        const viewTop = grid.scrollTop;
+        const viewBottom = viewTop + (grid.clientHeight || EmojiPicker.FALLBACK_HEIGHT);
+        const overscan = EmojiPicker.OVERSCAN * EmojiPicker.ROW_HEIGHT;
+
+        const first = this.findRow(viewTop - overscan);
+        let last = first;
+        while (last < this.rows.length - 1 && this.rows[last + 1].top < viewBottom + overscan) {
+            last++;
+        }
+
+        this.renderedRows.forEach((element, index) => {
+            if (index < first || index > last) {
+                element.remove();
+                this.renderedRows.delete(index);
+            }
+        });
+
+        for (let i = first; i <= last && i < this.rows.length; i++) {
+            if (!this.renderedRows.has(i)) {
+                const element = this.createRow(this.rows[i]);
+                content.appendChild(element);
+                this.renderedRows.set(i, element);
+            }
+        }
+
+        this.syncTabs();
+    }
+
+    /**
+     * 查找包含某个位置的行（二分查找）
+     * @param {number} position 网格中的位置
+     * @returns {number} 行号
+     */
+    findRow(position) {
+        let low = 0;
+        let high = this.rows.length - 1;
+
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.rows[mid].top <= position) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return Math.max(0, low);
+    }
+
+    /**
+     * 创建一行的元素
+     * @param {Object} row 行
+     * @returns {HTMLElement}
+     */
+    createRow(row) {
+        const element = document.createElement('div');
+        element.style.top = `${row.top}px`;
+        element.style.height = `${row.height}px`;
+
+        if (row.type === 'header') {
+            element.className = 'emoji-section-title';
+            element.textContent = row.label;
+            return element;
+        }
+
+        element.className = 'emoji-row';
+        element.style.gridTemplateColumns = `repeat(${this.columns}, 1fr)`;
+
+        row.items.forEach(item => {
+            const cell = document.createElement('div');
+            cell.className = 'sticker-item emoji-item';
+            cell.dataset.sticker = item.emoji;
+            if (item.name) {
+                cell.title = item.name;
+            }
+            cell.textContent = item.emoji;
+            element.appendChild(cell);
+        });
+
+        return element;
+    }
+
+    /**
+     * 高亮当前滚动到的分类标签
+     */
+    syncTabs() {
+        const scrollTop = this.elements.grid.scrollTop;
+        let current = this.sections.length > 0 ? this.sections[0].id : null;
+
+        this.sections.forEach(section => {
+            if (section.top <= scrollTop + 1) {
+                current = section.id;
+            }
+        });
+
+        this.elements.tabs.querySelectorAll('.emoji-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.category === current);
+        });
+    }
+
+    /**
+     * 同步肤色和性别按钮的选中状态
+     */
+    syncOptions() {
+        const { tones, genders } = this.elements;
+
+        tones.querySelectorAll('.emoji-tone').forEach(button => {
+            button.classList.toggle('active', parseInt(button.dataset.tone, 10) === this.tone);
+        });
+        genders.querySelectorAll('button').forEach(button => {
+            button.classList.toggle('active', button.dataset.gender === this.gender);
+        });
+    }
+
+    /**
+     * 滚动到分类：搜索时先清空搜索
+     * @param {string} id 分类 id
+     */
+    scrollToCategory(id) {
+        const { search, grid } = this.elements;
+
+        if (this.query) {
+            search.value = '';
+            this.query = '';
+            this.refresh();
+        }
+
+        grid.scrollTop = this.getSectionTop(id);
+        this.render();
+    }
+
+    /**
+     * 网格滚动：每帧最多渲染一次
+     */
+    handleScroll() {
+        if (this.frame) return;
+
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.render();
+        });
+    }
+
+    /**
+     * 窗口尺寸变化：每行的表情数变化时重新生成行
+     */
+    handleResize() {
+        if (this.getColumns() !== this.columns) {
+            this.refresh(true);
+        } else {
+            this.render();
+        }
+    }
+
+    /**
+     * 销毁表情选择器
+     */
+    destroy() {
+        if (this.frame) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+
+        this.elements.grid.removeEventListener('scroll', this.handleScroll);
+        window.removeEventListener('resize', this.handleResize);
+    }
+}
+
+// 最近使用的分区和标签
+EmojiPicker.RECENT_CATEGORY = { id: 'recent', label: '最近使用', icon: '🕘' };
+
+// 最近使用最多保留的表情数
+EmojiPicker.RECENT_LIMIT = 21;
+
+// 肤色选择：默认和五种肤色
+EmojiPicker.TONES = [
+    { label: '默认肤色', icon: '✋' },
+    { label: '浅肤色', icon: '✋🏻' },
+    { label: '中等浅肤色', icon: '✋🏼' },
+    { label: '中等肤色', icon: '✋🏽' },
+    { label: '中等深肤色', icon: '✋🏾' },
+    { label: '深肤色', icon: '✋🏿' }
+];
+
+// 性别选择
+EmojiPicker.GENDERS = [
+    { id: 'neutral', label: '不分性别', icon: '🧑' },
+    { id: 'man', label: '男性', icon: '👨' },
+    { id: 'woman', label: '女性', icon: '👩' }
+];
+
+// 网格宽度未知时每行的表情数，以及每行至少的表情数
+EmojiPicker.COLUMNS = 7;
+EmojiPicker.MIN_COLUMNS = 5;
+
+// 每个表情格子的最小宽度（像素）
+EmojiPicker.CELL_SIZE = 40;
+
+// 表情行和分区标题的高度（像素）
+EmojiPicker.ROW_HEIGHT = 40;
+EmojiPicker.HEADER_HEIGHT = 28;
+
+// 可见范围上下多渲染的行数
+EmojiPicker.OVERSCAN = 4;
+
+// 网格高度未知时按此高度渲染（像素）
+EmojiPicker.FALLBACK_HEIGHT = 320;
+
+// 最近使用和肤色、性别选择的本地存储键
+EmojiPicker.STORAGE_KEY = 'sticker-editor-emoji-picker';
@@ -22,14 +22,35 @@ class EventHandler {
         this.currentControlPoint = null;
         this.dragStartPos = { x: 0, y: 0 };
 
+        // 旋转中心在按下时确定，避免多选包围盒变化导致中心漂移
+        this.rotationPivot = null;
+
+        // 开始缩放时的指针位置、中心、角度和尺寸，拖动过程中的新尺寸和固定点都以此计算
+        this.resizeStart = null;
+
+        // 拖动时已经应用的总位移（含吸附），吸附按指针的总位移重新计算
+        this.dragOffset = { x: 0, y: 0 };
+
+        // 旋转状态：开始时的角度、指针累计转过的角度和已经应用的角度（按住 Shift 时吸附）
+        this.rotationState = null;
+
+        // 框选状态
+        this.isMarqueeSelecting = false;
+        this.marqueeBaseSelection = [];
+
         // 双击检测
         this.lastClickTime = 0;
         this.doubleClickThreshold = 300;
 
+        // 文字原地编辑
+        this.textEditor = null;
+        this.editingSticker = null;
+
         // 绑定方法上下文
         this.handlePointerDown = this.handlePointerDown.bind(this);
         this.handlePointerMove = this.handlePointerMove.bind(this);
         this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handleViewportChange = this.handleViewportChange.bind(this);
 
         this.initialize();
     }
@@ -53,6 +74,17 @@ class EventHandler {
 
         // 键盘事件（删除键）
         document.addEventListener('keydown', this.handleKeyDown.bind(this));
+
+        this.editor.on('viewportchange', this.handleViewportChange);
+    }
+
+    /**
+     * 视口缩放或平移后文本框不再与贴纸重合，提交正在进行的文字编辑
+     */
+    handleViewportChange() {
+        if (this.textEditor) {
+            this.finishTextEditing(true);
+        }
     }
 
     /**
@@ -62,28 +94,57 @@ class EventHandler {
     handlePointerDown(event) {
         if (!this.editor.originalImage) return;
 
+        // 绘制工具的输入由 BrushTool 处理
+        if (this.editor.activeTool !== 'select') return;
+
         event.preventDefault();
 
+        // 点击画布时提交正在进行的文字编辑
+        if (this.textEditor) {
+            this.finishTextEditing(true);
+        }
+
         const pos = Utils.getCanvasCoordinates(event, this.canvas);
         this.lastPointerPos = pos;
         this.dragStartPos = pos;
         this.isPointerDown = true;
+        this.editor.setHoverSticker(null);
+
+        // Shift 或 Cmd/Ctrl 点击用于增减选择
+        const isToggleClick = !!(event.shiftKey || event.metaKey || event.ctrlKey);
 
-        // 检查是否点击了控制点
-        if (this.editor.selectedSticker) {
-            const controlPoint = this.editor.selectedSticker.getControlPointAt(pos.x, pos.y);
+        // 检查是否点击了控制点（单选为贴纸本身，多选为整体）；按住 Shift 拖动缩放控制点用于锁定比例
+        const target = this.editor.getSelectionTarget();
+        if (target && !(event.metaKey || event.ctrlKey)) {
+            const controlPoint = target.getControlPointAt(pos.x, pos.y, this.editor.getScreenPixelSize());
 
             if (controlPoint) {
                 this.currentControlPoint = controlPoint;
 
                 if (controlPoint === 'delete') {
-                    this.editor.deleteSticker(this.editor.selectedSticker);
+                    this.editor.deleteSelected();
                     this.resetInteractionState();
                     return;
                 }
 
-                this.isResizing = (controlPoint.includes('Left') || controlPoint.includes('Right'));
+                this.isResizing = !!Sticker.RESIZE_HANDLES[controlPoint];
                 this.isRotating = (controlPoint === 'rotation');
+                this.rotationPivot = target.getCenter();
+
+                if (this.isRotating) {
+                    this.rotationState = { base: target.rotation, raw: 0, applied: 0 };
+                }
+
+                if (this.isResizing) {
+                    const bounds = target.getBounds();
+                    this.resizeStart = {
+                        pointer: pos,
+                        center: target.getCenter(),
+                        rotation: target.rotation,
+                        width: bounds.width,
+                        height: bounds.height
+                    };
+                }
 
                 this.updateCursor(controlPoint);
                 return;
@@ -94,21 +155,38 @@ class EventHandler {
         const clickedSticker = this.editor.getStickerAt(pos.x, pos.y);
 
         if (clickedSticker) {
+            if (isToggleClick) {
+                this.editor.toggleStickerSelection(clickedSticker);
+                this.isPointerDown = false;
+                return;
+            }
+
             // 检测双击
             const currentTime = Date.now();
             if (currentTime - this.lastClickTime < this.doubleClickThreshold &&
-                clickedSticker === this.editor.selectedSticker) {
+                this.editor.isSelected(clickedSticker)) {
                 this.handleDoubleClick(clickedSticker, pos);
                 return;
             }
             this.lastClickTime = currentTime;
 
-            this.editor.selectSticker(clickedSticker);
+            // 点击已在多选中的贴纸时拖动整体，否则改为单选
+            if (!this.editor.isSelected(clickedSticker)) {
+                this.editor.selectSticker(clickedSticker);
+            }
             this.isDragging = true;
+            this.dragOffset = { x: 0, y: 0 };
             this.canvas.style.cursor = 'move';
         } else {
-            // 点击空白区域，取消选择
-            this.editor.selectSticker(null);
+            // 点击组合外的空白区域退出组合编辑
+            if (this.editor.editingGroup && !isToggleClick) {
+                this.editor.exitGroup();
+            }
+
+            // 在空白区域拖动进行框选，按住 Shift 时追加到现有选择
+            this.marqueeBaseSelection = isToggleClick ? this.editor.selectedStickers.slice() : [];
+            this.isMarqueeSelecting = true;
+            this.editor.setSelection(this.marqueeBaseSelection);
             this.canvas.style.cursor = 'default';
         }
     }
@@ -126,19 +204,20 @@ class EventHandler {
         const deltaX = pos.x - this.lastPointerPos.x;
         const deltaY = pos.y - this.lastPointerPos.y;
 
-        if (this.editor.selectedSticker) {
+        if (this.isMarqueeSelecting) {
+            this.updateMarquee(pos);
+        } else if (this.editor.getSelectionTarget()) {
             if (this.isDragging) {
                 // 拖拽贴纸
-                this.editor.selectedSticker.move(deltaX, deltaY);
-                this.editor.renderCanvas();
+                this.handleDrag(pos, event);
 
             } else if (this.isResizing && this.currentControlPoint) {
                 // 缩放贴纸
-                this.handleResize(pos, deltaX, deltaY);
+                this.handleResize(pos, event);
 
             } else if (this.isRotating) {
                 // 旋转贴纸
-                this.handleRotation(pos);
+                this.handleRotation(pos, event);
             }
         }
 
@@ -152,66 +231,180 @@ class EventHandler {
     handlePointerUp(event) {
         if (!this.isPointerDown) return;
 
-        // 如果有显著移动，保存状态
+        if (this.isMarqueeSelecting) {
+            this.finishMarquee();
+            this.resetInteractionState();
+            return;
+        }
+
+        // 如果有显著移动，保存状态；连续拖动同一选择会与方向键微调一样合并
         const totalDistance = Utils.getDistance(this.dragStartPos, this.lastPointerPos);
         if (totalDistance > 5) {
-            this.editor.saveState();
+            if (this.isRotating) {
+                this.editor.saveSelectionState('旋转');
+            } else if (this.isResizing) {
+                this.editor.saveSelectionState('缩放');
+            } else if (this.isDragging) {
+                this.editor.saveSelectionState('移动', 'move');
+            }
         }
 
         this.resetInteractionState();
     }
 
     /**
-     * 处理缩放操作
+     * 根据拖动位置更新框选矩形
      * @param {Object} pos 当前位置
-     * @param {number} deltaX X轴移动距离
-     * @param {number} deltaY Y轴移动距离
      */
-    handleResize(pos, deltaX, deltaY) {
-        const sticker = this.editor.selectedSticker;
-        const controlPoint = this.currentControlPoint;
-        const center = sticker.getCenter();
+    updateMarquee(pos) {
+        const start = this.dragStartPos;
+
+        this.editor.marqueeRect = {
+            x: Math.min(start.x, pos.x),
+            y: Math.min(start.y, pos.y),
+            width: Math.abs(pos.x - start.x),
+            height: Math.abs(pos.y - start.y)
+        };
+        this.editor.renderOverlay();
+    }
 
-        // 计算缩放比例
-        let scaleChange = 1;
+    /**
+     * 结束框选，选中与框选矩形相交的贴纸
+     */
+    finishMarquee() {
+        const rect = this.editor.marqueeRect;
+        this.editor.marqueeRect = null;
 
-        if (controlPoint.includes('Right')) {
-            scaleChange += deltaX / 100;
-        } else if (controlPoint.includes('Left')) {
-            scaleChange -= deltaX / 100;
+        if (!rect) {
+            this.editor.renderOverlay();
+            return;
         }
 
-        if (controlPoint.includes('bottom')) {
-            scaleChange += deltaY / 100;
-        } else if (controlPoint.includes('top')) {
-            scaleChange -= deltaY / 100;
+        const inRect = this.editor.getStickersInRect(rect);
+        this.editor.setSelection([...this.marqueeBaseSelection, ...inRect]);
+    }
+
+    /**
+     * 处理拖动操作
+     * 按指针的总位移计算目标位置，再吸附到画布、其他贴纸和等间距位置；按住 Alt/Option 时不吸附
+     * @param {Object} pos 当前位置
+     * @param {Event} event 事件对象（读取修饰键）
+     */
+    handleDrag(pos, event) {
+        const target = this.editor.getSelectionTarget();
+        let offsetX = pos.x - this.dragStartPos.x;
+        let offsetY = pos.y - this.dragStartPos.y;
+
+        if (event.altKey) {
+            this.editor.snapGuides = [];
+        } else {
+            const bounds = new SelectionGroup(this.editor.selectedStickers).getBounds();
+            const snap = this.editor.getSnapOffset({
+                ...bounds,
+                x: bounds.x + offsetX - this.dragOffset.x,
+                y: bounds.y + offsetY - this.dragOffset.y
+            });
+            offsetX += snap.x;
+            offsetY += snap.y;
         }
 
-        // 限制缩放范围
-        scaleChange = Utils.clamp(scaleChange, 0.9, 1.1);
+        target.move(offsetX - this.dragOffset.x, offsetY - this.dragOffset.y);
+        this.dragOffset = { x: offsetX, y: offsetY };
+        this.editor.renderCanvas();
+    }
+
+    /**
+     * 处理缩放操作
+     * 在开始缩放时的贴纸坐标系（去除旋转）中计算新尺寸：拖动角点时对角固定，拖动边时对边固定；
+     * 按住 Alt 以中心为固定点，按住 Shift 保持宽高比，不能拉伸的贴纸始终等比缩放
+     * @param {Object} pos 当前位置
+     * @param {Event} event 事件对象（读取修饰键）
+     */
+    handleResize(pos, event) {
+        const target = this.editor.getSelectionTarget();
+        const start = this.resizeStart;
+        const handle = Sticker.RESIZE_HANDLES[this.currentControlPoint];
+        const axes = target.getResizeAxes();
+        const fromCenter = !!event.altKey;
+        const keepRatio = !!event.shiftKey || (!(axes.x && axes.y) && !!handle.x && !!handle.y);
+
+        // 指针自按下以来的位移，转换到开始时的贴纸坐标系
+        const cos = Math.cos(-start.rotation);
+        const sin = Math.sin(-start.rotation);
+        const dx = pos.x - start.pointer.x;
+        const dy = pos.y - start.pointer.y;
+        const local = { x: dx * cos - dy * sin, y: dx * sin + dy * cos };
+
+        // 拖动方向上的新尺寸：中心固定时两侧同时变化，位移计两次
+        const factor = fromCenter ? 2 : 1;
+        const minSize = EventHandler.MIN_RESIZE_SIZE * this.editor.getScreenPixelSize();
+        const getExtent = (delta, direction, size) => Math.max(
+            minSize,
+            size + delta * direction * factor
+        );
+        const width = handle.x ? getExtent(local.x, handle.x, start.width) : start.width;
+        const height = handle.y ? getExtent(local.y, handle.y, start.height) : start.height;
+
+        const bounds = target.getBounds();
+        if (keepRatio) {
+            // 角点取变化较大的方向，边只看拖动的方向
+            const ratio = Math.max(
+                handle.x ? width / start.width : 0,
+                handle.y ? height / start.height : 0
+            );
+            target.resize(ratio * start.width / bounds.width);
+        } else {
+            target.stretch(
+                handle.x && axes.x ? width / bounds.width : 1,
+                handle.y && axes.y ? height / bounds.height : 1
+            );
+        }
 
-        // 应用缩放
-        sticker.resize(scaleChange, center);
+        // 按实际得到的尺寸（可能受缩放范围限制）重新放置中心，使固定点保持不动
+        const size = target.getBounds();
+        const offsetX = fromCenter || !handle.x ? 0 : handle.x * (size.width - start.width) / 2;
+        const offsetY = fromCenter || !handle.y ? 0 : handle.y * (size.height - start.height) / 2;
+        const center = target.getCenter();
+        const rotCos = Math.cos(start.rotation);
+        const rotSin = Math.sin(start.rotation);
+
+        target.move(
+            start.center.x + offsetX * rotCos - offsetY * rotSin - center.x,
+            start.center.y + offsetX * rotSin + offsetY * rotCos - center.y
+        );
         this.editor.renderCanvas();
     }
 
     /**
      * 处理旋转操作
+     * 按住 Shift 时旋转后的角度吸附到 15° 的整数倍
      * @param {Object} pos 当前位置
+     * @param {Event} event 事件对象（读取修饰键）
      */
-    handleRotation(pos) {
-        const sticker = this.editor.selectedSticker;
-        const center = sticker.getCenter();
+    handleRotation(pos, event) {
+        const sticker = this.editor.getSelectionTarget();
+        const center = this.rotationPivot || sticker.getCenter();
+        const state = this.rotationState;
 
         // 计算当前角度和上一个角度
         const currentAngle = Utils.getAngle(center, pos);
         const lastAngle = Utils.getAngle(center, this.lastPointerPos);
 
-        // 计算角度差
-        const deltaAngle = currentAngle - lastAngle;
+        // 累计指针转过的角度，跨越 ±π 时取较短的方向
+        let deltaAngle = currentAngle - lastAngle;
+        if (deltaAngle > Math.PI) deltaAngle -= Math.PI * 2;
+        if (deltaAngle < -Math.PI) deltaAngle += Math.PI * 2;
+        state.raw += deltaAngle;
+
+        let total = state.raw;
+        if (event.shiftKey) {
+            const step = Utils.degreesToRadians(EventHandler.ROTATION_SNAP_STEP);
+            total = Math.round((state.base + total) / step) * step - state.base;
+        }
 
         // 应用旋转
-        sticker.rotate(deltaAngle);
+        sticker.rotate(total - state.applied, center);
+        state.applied = total;
         this.editor.renderCanvas();
     }
 
@@ -221,16 +414,123 @@ class EventHandler {
      * @param {Object} pos 点击位置
      */
     handleDoubleClick(sticker, pos) {
-        // 双击可以实现复制贴纸或其他操作
-        const clonedSticker = sticker.clone();
-        this.editor.stickers.push(clonedSticker);
-        this.editor.selectSticker(clonedSticker);
-        this.editor.renderCanvas();
-        this.editor.saveState();
+        // 双击文字贴纸进入原地编辑
+        if (sticker.type === 'text' && this.editor.selectedSticker === sticker) {
+            this.resetInteractionState();
+            this.startTextEditing(sticker);
+            return;
+        }
+
+        // 双击组合进入组合编辑（不支持嵌套进入）
+        if (sticker.type === 'group' && this.editor.selectedSticker === sticker && !this.editor.editingGroup) {
+            this.resetInteractionState();
+            this.editor.enterGroup(sticker);
+            Utils.showToast('正在编辑组合，按 Esc 或点击空白处退出', 'info', 2000);
+            return;
+        }
+
+        // 双击其他贴纸实现复制（多选时复制全部）
+        this.editor.duplicateSelected();
 
         Utils.showToast('贴纸已复制', 'success', 1500);
     }
 
+    /**
+     * 开始原地编辑文字贴纸
+     * 在画布上方覆盖一个与贴纸位置、字体一致的文本框
+     * @param {TextSticker} sticker 文字贴纸
+     */
+    startTextEditing(sticker) {
+        if (this.textEditor) {
+            this.finishTextEditing(true);
+        }
+
+        const container = this.canvas.parentElement;
+        const canvasRect = this.canvas.getBoundingClientRect();
+        const containerRect = container.getBoundingClientRect();
+        const ratio = (canvasRect.width / this.canvas.width) * sticker.scale;
+        const center = sticker.getCenter();
+
+        const textarea = document.createElement('textarea');
+        textarea.className = 'text-edit-overlay';
+        textarea.value = sticker.data;
+        textarea.spellcheck = false;
+        textarea.style.left = (canvasRect.left - containerRect.left + center.x * (canvasRect.width / this.canvas.width)) + 'px';
+        textarea.style.top = (canvasRect.top - containerRect.top + center.y * (canvasRect.height / this.canvas.height)) + 'px';
+        textarea.style.width = (sticker.width * ratio) + 'px';
+        textarea.style.minHeight = (sticker.height * ratio) + 'px';
+        textarea.style.padding = (sticker.getPadding() * ratio) + 'px';
+        textarea.style.font = `${sticker.fontWeight} ${sticker.fontSize * ratio}px ${sticker.fontFamily}`;
+        textarea.style.lineHeight = String(sticker.lineHeight);
+        textarea.style.letterSpacing = (sticker.letterSpacing * ratio) + 'px';
+        textarea.style.textAlign = sticker.align;
+        textarea.style.color = sticker.color;
+        textarea.style.transform = `translate(-50%, -50%) rotate(${sticker.rotation}rad)`;
+
+        textarea.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.finishTextEditing(false);
+            } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                this.finishTextEditing(true);
+            }
+        });
+
+        textarea.addEventListener('input', () => {
+            textarea.style.height = 'auto';
+            textarea.style.height = textarea.scrollHeight + 'px';
+        });
+
+        textarea.addEventListener('blur', () => this.finishTextEditing(true));
+
+        container.appendChild(textarea);
+
+        this.textEditor = textarea;
+        this.editingSticker = sticker;
+        sticker.isEditing = true;
+        this.editor.renderCanvas();
+
+        setTimeout(() => {
+            textarea.focus();
+            textarea.select();
+        }, 0);
+    }
+
+    /**
+     * 结束原地编辑
+     * @param {boolean} commit 是否提交修改
+     */
+    finishTextEditing(commit) {
+        if (!this.textEditor) return;
+
+        const textarea = this.textEditor;
+        const sticker = this.editingSticker;
+
+        this.textEditor = null;
+        this.editingSticker = null;
+        sticker.isEditing = false;
+        textarea.remove();
+
+        if (!commit || textarea.value === sticker.data) {
+            this.editor.renderCanvas();
+            return;
+        }
+
+        // 清空文字等同于删除贴纸
+        if (textarea.value.trim() === '') {
+            this.editor.deleteSticker(sticker);
+            return;
+        }
+
+        sticker.setText(textarea.value);
+        this.editor.renderCanvas();
+        this.editor.saveState('编辑文字');
+        this.editor.emit('selectionchange', this.editor.selectedSticker);
+    }
+
     /**
      * 触摸开始事件处理
      * @param {TouchEvent} event 触摸事件
@@ -281,13 +581,44 @@ class EventHandler {
      * @param {KeyboardEvent} event 键盘事件
      */
     handleKeyDown(event) {
-        if (!this.editor.selectedSticker) return;
+        // 在输入框中输入时不处理贴纸快捷键
+        if (Utils.isEditableTarget(event.target)) return;
+
+        // Esc: 退出组合编辑并选中该组合
+        if (event.key === 'Escape' && this.editor.editingGroup) {
+            event.preventDefault();
+            const group = this.editor.exitGroup();
+            this.editor.setSelection(group ? [group] : []);
+            return;
+        }
+
+        // Ctrl/Cmd + G: 编组，加 Shift 取消编组
+        if ((event.key === 'g' || event.key === 'G') && (event.ctrlKey || event.metaKey)) {
+            if (this.editor.activeTool !== 'select') return;
+            event.preventDefault();
+            if (event.shiftKey) {
+                this.editor.ungroupSelected();
+            } else {
+                this.editor.groupSelected();
+            }
+            return;
+        }
+
+        // Ctrl/Cmd + A: 全选
+        if ((event.key === 'a' || event.key === 'A') && (event.ctrlKey || event.metaKey)) {
+            if (!this.editor.originalImage || this.editor.activeTool !== 'select') return;
+            event.preventDefault();
+            this.editor.selectAll();
+            return;
+        }
+
+        if (this.editor.selectedStickers.length === 0) return;
 
         switch (event.key) {
             case 'Delete':
             case 'Backspace':
                 event.preventDefault();
-                this.editor.deleteSticker(this.editor.selectedSticker);
+                this.editor.deleteSelected();
                 break;
 
             case 'Escape':
@@ -298,11 +629,7 @@ class EventHandler {
             case 'c':
                 if (event.ctrlKey || event.metaKey) {
                     event.preventDefault();
-                    const cloned = this.editor.selectedSticker.clone();
-                    this.editor.stickers.push(cloned);
-                    this.editor.selectSticker(cloned);
-                    this.editor.renderCanvas();
-                    this.editor.saveState();
+                    this.editor.duplicateSelected();
                 }
                 break;
 
@@ -313,6 +640,32 @@ class EventHandler {
                 event.preventDefault();
                 this.handleArrowKeyMove(event.key, event.shiftKey);
                 break;
+
+            case ']':
+            case '}':
+                // Ctrl/Cmd + ]: 上移一层，加 Shift 置于顶层（仅单选）
+                if ((event.ctrlKey || event.metaKey) && this.editor.selectedSticker) {
+                    event.preventDefault();
+                    if (event.shiftKey) {
+                        this.editor.bringToFront(this.editor.selectedSticker);
+                    } else {
+                        this.editor.bringForward(this.editor.selectedSticker);
+                    }
+                }
+                break;
+
+            case '[':
+            case '{':
+                // Ctrl/Cmd + [: 下移一层，加 Shift 置于底层（仅单选）
+                if ((event.ctrlKey || event.metaKey) && this.editor.selectedSticker) {
+                    event.preventDefault();
+                    if (event.shiftKey) {
+                        this.editor.sendToBack(this.editor.selectedSticker);
+                    } else {
+                        this.editor.sendBackward(this.editor.selectedSticker);
+                    }
+                }
+                break;
         }
     }
 
@@ -332,9 +685,7 @@ class EventHandler {
             case 'ArrowRight': deltaX = moveDistance; break;
         }
 
-        this.editor.selectedSticker.move(deltaX, deltaY);
-        this.editor.renderCanvas();
-        this.editor.saveState();
+        this.editor.moveSelected(deltaX, deltaY);
     }
 
     /**
@@ -355,19 +706,14 @@ class EventHandler {
 
     /**
      * 更新鼠标指针样式
+     * 缩放指针随控制点所在的方向（含贴纸旋转）变化
      * @param {string} controlPoint 控制点类型
      */
     updateCursor(controlPoint) {
-        const cursors = {
-            'topLeft': 'nw-resize',
-            'topRight': 'ne-resize',
-            'bottomLeft': 'sw-resize',
-            'bottomRight': 'se-resize',
-            'rotation': 'crosshair',
-            'delete': 'pointer'
-        };
+        const target = this.editor.getSelectionTarget();
+        const point = target ? target.getControlPoints()[controlPoint] : null;
 
-        this.canvas.style.cursor = cursors[controlPoint] || 'default';
+        this.canvas.style.cursor = point ? point.cursor : 'default';
     }
 
     /**
@@ -379,26 +725,41 @@ class EventHandler {
         this.isResizing = false;
         this.isRotating = false;
         this.currentControlPoint = null;
+        this.rotationPivot = null;
+        this.resizeStart = null;
+        this.rotationState = null;
+        this.isMarqueeSelecting = false;
+        this.marqueeBaseSelection = [];
         this.canvas.style.cursor = 'default';
+        this.editor.clearSnapGuides();
     }
 
     /**
-     * 处理Canvas鼠标移动（用于更新指针样式）
+     * 处理Canvas鼠标移动（用于更新指针样式和悬停轮廓）
      * @param {Event} event 鼠标事件
      */
     handleCanvasMouseMove(event) {
-        if (this.isPointerDown || !this.editor.selectedSticker) {
+        if (this.isPointerDown || !this.editor.originalImage || this.editor.activeTool !== 'select') {
             return;
         }
 
         const pos = Utils.getCanvasCoordinates(event, this.canvas);
+        const target = this.editor.getSelectionTarget();
 
         // 检查是否悬停在控制点上
-        const controlPoint = this.editor.selectedSticker.getControlPointAt(pos.x, pos.y);
+        const controlPoint = target
+            ? target.getControlPointAt(pos.x, pos.y, this.editor.getScreenPixelSize())
+            : null;
+
+        // 悬停在未选中的贴纸上时显示其轮廓
+        const hovered = controlPoint ? null : this.editor.getStickerAt(pos.x, pos.y);
+        this.editor.setHoverSticker(hovered && !this.editor.isSelected(hovered) ? hovered : null);
+
+        if (!target) return;
 
         if (controlPoint) {
             this.updateCursor(controlPoint);
-        } else if (this.editor.selectedSticker.containsPoint(pos.x, pos.y)) {
+        } else if (target.containsPoint(pos.x, pos.y)) {
             this.canvas.style.cursor = 'move';
         } else {
             this.canvas.style.cursor = 'default';
@@ -411,7 +772,10 @@ class EventHandler {
     addHoverListeners() {
         this.canvas.addEventListener('mousemove', this.handleCanvasMouseMove.bind(this));
         this.canvas.addEventListener('mouseleave', () => {
-            this.canvas.style.cursor = 'default';
+            if (this.editor.activeTool === 'select') {
+                this.canvas.style.cursor = 'default';
+            }
+            this.editor.setHoverSticker(null);
         });
     }
 
@@ -429,5 +793,14 @@ class EventHandler {
         document.removeEventListener('touchend', this.handleTouchEnd);
 
         document.removeEventListener('keydown', this.handleKeyDown);
+
+        this.editor.off('viewportchange', this.handleViewportChange);
+        this.finishTextEditing(false);
     }
-}
\ No newline at end of file
+}
+
+// 拖动缩放时的最小尺寸（屏幕像素）
+EventHandler.MIN_RESIZE_SIZE = 10;
+
+// 按住 Shift 旋转时的角度步长（度）
+EventHandler.ROTATION_SNAP_STEP = 15;
@@ -1,6 +1,6 @@
 /**
  * 导出管理器类
- * 处理图片的多分辨率导出功能
+ * 处理图片的多分辨率导出功能，以及把动画贴纸的合成结果导出为 GIF、APNG 或 WebM
  */
 
 class ExportManager {
@@ -13,6 +13,9 @@ class ExportManager {
         this.exportScales = [1, 2, 4]; // 支持的导出分辨率
         this.currentExportScale = 1;
         this.isExporting = false;
+
+        // 导出动画期间栅格化的 SVG 贴纸：图片 -> 尺寸 -> 栅格化结果
+        this.rasterCache = null;
     }
 
     /**
@@ -49,36 +52,9 @@ class ExportManager {
             // 显示导出状态
             Utils.showToast(`正在导出 ${scale}x 分辨率图片...`, 'info', 5000);
 
-            // 创建导出用的临时Canvas
-            const exportCanvas = document.createElement('canvas');
-            const exportCtx = exportCanvas.getContext('2d');
-
-            // 设置导出尺寸
-            const originalWidth = this.editor.originalImage.naturalWidth;
-            const originalHeight = this.editor.originalImage.naturalHeight;
-
-            exportCanvas.width = originalWidth * scale;
-            exportCanvas.height = originalHeight * scale;
-
-            // 设置高质量渲染
-            exportCtx.imageSmoothingEnabled = true;
-            exportCtx.imageSmoothingQuality = 'high';
-
-            // 应用缩放变换
-            exportCtx.scale(scale, scale);
-
-            // 绘制背景图片
-            exportCtx.drawImage(
-                this.editor.originalImage,
-                0, 0,
-                originalWidth,
-                originalHeight
-            );
-
-            // 绘制所有贴纸
-            for (const sticker of this.editor.stickers) {
-                await this.drawStickerForExport(exportCtx, sticker, scale);
-            }
+            // 创建导出用的临时Canvas，绘制背景和所有贴纸
+            const exportCanvas = this.createExportCanvas(scale);
+            await this.drawStickersForExport(exportCanvas.getContext('2d'), scale);
 
             // 转换为Blob
             const mimeType = this.getMimeType(format);
@@ -102,17 +78,72 @@ class ExportManager {
         }
     }
 
+    /**
+     * 创建导出尺寸的Canvas并绘制背景，上下文已按导出倍数缩放
+     * @param {number} scale 分辨率倍数
+     * @returns {HTMLCanvasElement}
+     */
+    createExportCanvas(scale) {
+        const exportCanvas = document.createElement('canvas');
+        const exportCtx = exportCanvas.getContext('2d');
+
+        // 设置导出尺寸（裁剪后的尺寸加上画布边距）
+        const { width: outputWidth, height: outputHeight } = this.editor.getDocumentSize();
+
+        exportCanvas.width = outputWidth * scale;
+        exportCanvas.height = outputHeight * scale;
+
+        // 设置高质量渲染
+        exportCtx.imageSmoothingEnabled = true;
+        exportCtx.imageSmoothingQuality = 'high';
+
+        // 应用缩放变换
+        exportCtx.scale(scale, scale);
+
+        // 绘制背景图片（调整参数按原图尺寸重新应用，而不是放大编辑时的预览图）
+        const background = ImageAdjustments.isIdentity(this.editor.adjustments)
+            ? this.editor.originalImage
+            : ImageAdjustments.apply(this.editor.originalImage, this.editor.adjustments);
+
+        const { originalImage, imageTransform, canvasFrame } = this.editor;
+        const drawBackground = ctx => ImageTransform.draw(ctx, background, originalImage, imageTransform);
+
+        // 画布背景填充铺满整个画布，背景图片位于边距之内
+        CanvasFrame.drawFill(exportCtx, canvasFrame, outputWidth, outputHeight, drawBackground, this.editor.getImageSize());
+
+        exportCtx.save();
+        exportCtx.translate(canvasFrame.left, canvasFrame.top);
+        drawBackground(exportCtx);
+        exportCtx.restore();
+
+        return exportCanvas;
+    }
+
+    /**
+     * 为导出绘制所有可见贴纸
+     * @param {CanvasRenderingContext2D} ctx 已按导出倍数缩放的绘图上下文
+     * @param {number} scale 缩放倍数
+     * @param {number} time 动画贴纸的播放时间（毫秒，默认为第一帧）
+     */
+    async drawStickersForExport(ctx, scale, time = 0) {
+        for (const sticker of this.editor.stickers) {
+            if (!sticker.visible) continue;
+            await this.drawStickerForExport(ctx, sticker, scale, time);
+        }
+    }
+
     /**
      * 为导出绘制贴纸
      * @param {CanvasRenderingContext2D} ctx 绘图上下文
      * @param {Sticker} sticker 贴纸对象
      * @param {number} scale 缩放倍数
+     * @param {number} time 动画贴纸的播放时间（毫秒）
      */
-    async drawStickerForExport(ctx, sticker, scale) {
+    async drawStickerForExport(ctx, sticker, scale, time = 0) {
         ctx.save();
 
-        // 设置透明度
-        ctx.globalAlpha = sticker.opacity;
+        // 设置透明度（组合中的子贴纸与组合透明度叠加）
+        ctx.globalAlpha *= sticker.opacity;
 
         // 计算变换
         const center = sticker.getCenter();
@@ -128,13 +159,39 @@ class ExportManager {
         // 应用缩放
         ctx.scale(sticker.scale, sticker.scale);
 
+        // 有效果时先把内容画到离屏图层，效果按当前变换（含导出倍数）换算成像素
+        if (StickerEffects.hasAny(sticker.effects)) {
+            const layer = StickerEffects.createLayer(ctx, sticker);
+            await this.drawStickerContentForExport(layer.ctx, sticker, scale, time);
+            StickerEffects.drawResult(ctx, StickerEffects.applyEffects(sticker, layer));
+        } else {
+            await this.drawStickerContentForExport(ctx, sticker, scale, time);
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * 在已变换到贴纸中心的上下文中绘制贴纸内容
+     * @param {CanvasRenderingContext2D} ctx 绘图上下文
+     * @param {Sticker} sticker 贴纸对象
+     * @param {number} scale 缩放倍数
+     * @param {number} time 动画贴纸的播放时间（毫秒）
+     */
+    async drawStickerContentForExport(ctx, sticker, scale, time = 0) {
         if (sticker.type === 'emoji') {
             this.drawEmojiStickerForExport(ctx, sticker, scale);
         } else if (sticker.type === 'image') {
-            await this.drawImageStickerForExport(ctx, sticker, scale);
+            await this.drawImageStickerForExport(ctx, sticker, scale, time);
+        } else if (sticker.type === 'text') {
+            this.drawTextStickerForExport(ctx, sticker, scale);
+        } else if (sticker.type === 'shape') {
+            this.drawShapeStickerForExport(ctx, sticker, scale);
+        } else if (sticker.type === 'stroke') {
+            this.drawBrushStrokeForExport(ctx, sticker, scale);
+        } else if (sticker.type === 'group') {
+            await this.drawGroupStickerForExport(ctx, sticker, scale, time);
         }
-
-        ctx.restore();
     }
 
     /**
@@ -162,27 +219,79 @@ class ExportManager {
         ctx.fillText(sticker.data, 0, 0);
     }
 
+    /**
+     * 为导出绘制文字贴纸
+     * 文字以矢量方式绘制，由上下文的缩放变换保证高分辨率下的清晰度
+     * @param {CanvasRenderingContext2D} ctx 绘图上下文
+     * @param {TextSticker} sticker 贴纸对象
+     * @param {number} scale 缩放倍数
+     */
+    drawTextStickerForExport(ctx, sticker, scale) {
+        sticker.drawContent(ctx);
+    }
+
+    /**
+     * 为导出绘制形状贴纸
+     * 形状按路径重新绘制，4x导出时边缘依然锐利
+     * @param {CanvasRenderingContext2D} ctx 绘图上下文
+     * @param {ShapeSticker} sticker 贴纸对象
+     * @param {number} scale 缩放倍数
+     */
+    drawShapeStickerForExport(ctx, sticker, scale) {
+        sticker.drawContent(ctx);
+    }
+
+    /**
+     * 为导出绘制画笔笔迹
+     * 笔迹按导出倍数重新栅格化，而不是放大屏幕上的位图
+     * @param {CanvasRenderingContext2D} ctx 绘图上下文
+     * @param {BrushStroke} sticker 笔迹对象
+     * @param {number} scale 缩放倍数
+     */
+    drawBrushStrokeForExport(ctx, sticker, scale) {
+        sticker.drawContent(ctx);
+    }
+
+    /**
+     * 为导出绘制组合贴纸
+     * 上下文已变换到组合中心，子贴纸按各自的本地变换递归绘制
+     * @param {CanvasRenderingContext2D} ctx 绘图上下文
+     * @param {GroupSticker} sticker 组合对象
+     * @param {number} scale 缩放倍数
+     * @param {number} time 动画贴纸的播放时间（毫秒）
+     */
+    async drawGroupStickerForExport(ctx, sticker, scale, time = 0) {
+        for (const child of sticker.data) {
+            if (!child.visible) continue;
+            await this.drawStickerForExport(ctx, child, scale, time);
+        }
+    }
+
     /**
      * 为导出绘制图片贴纸
+     * 位图贴纸直接使用原始分辨率的图片，动画贴纸取指定时间的帧；SVG 贴纸按导出时的实际像素尺寸重新栅格化
      * @param {CanvasRenderingContext2D} ctx 绘图上下文
      * @param {Sticker} sticker 贴纸对象
      * @param {number} scale 缩放倍数
+     * @param {number} time 动画贴纸的播放时间（毫秒）
      */
-    async drawImageStickerForExport(ctx, sticker, scale) {
+    async drawImageStickerForExport(ctx, sticker, scale, time = 0) {
         if (sticker.data instanceof HTMLImageElement) {
-            // 对于高分辨率导出，可能需要重新加载更高质量的图片
-            let imageToUse = sticker.data;
+            let imageToUse = AnimatedImage.getFrame(sticker.data, time);
 
-            if (scale > 2 && sticker.data.src) {
+            if (SvgImage.isSvg(sticker.data)) {
+                // 当前变换已包含导出倍数、组合和贴纸自身的缩放
+                const pixelScale = StickerEffects.getTransformInfo(ctx).scale;
                 try {
-                    // 尝试加载原始分辨率图片
-                    imageToUse = await this.loadHighResImage(sticker.data.src);
+                    imageToUse = await this.rasterizeSvg(sticker.data, sticker.width * pixelScale, sticker.height * pixelScale);
                 } catch (error) {
-                    console.warn('无法加载高分辨率图片，使用原图:', error);
-                    imageToUse = sticker.data;
+                    console.warn('SVG 栅格化失败，使用原图:', error);
                 }
             }
 
+            // 白边按原图轮廓绘制，与编辑器中一致
+            DieCut.draw(ctx, sticker);
+
             ctx.drawImage(
                 imageToUse,
                 -sticker.width / 2,
@@ -194,20 +303,149 @@ class ExportManager {
     }
 
     /**
-     * 加载高分辨率图片
-     * @param {string} src 图片源
+     * 栅格化 SVG 贴纸；导出动画期间按图片和尺寸缓存，每一帧不必重新栅格化
+     * @param {HTMLImageElement} image SVG 图片
+     * @param {number} width 宽度（像素）
+     * @param {number} height 高度（像素）
      * @returns {Promise<HTMLImageElement>}
      */
-    loadHighResImage(src) {
-        return new Promise((resolve, reject) => {
-            const img = new Image();
-            img.crossOrigin = 'anonymous';
+    rasterizeSvg(image, width, height) {
+        if (!this.rasterCache) {
+            return SvgImage.rasterize(image, width, height);
+        }
 
-            img.onload = () => resolve(img);
-            img.onerror = reject;
+        const key = `${Math.round(width)}x${Math.round(height)}`;
+        if (!this.rasterCache.has(image)) {
+            this.rasterCache.set(image, new Map());
+        }
 
-            img.src = src;
-        });
+        const sizes = this.rasterCache.get(image);
+        if (!sizes.has(key)) {
+            sizes.set(key, SvgImage.rasterize(image, width, height));
+        }
+        return sizes.get(key);
+    }
+
+    /**
+     * 导出动画：按帧率逐帧合成画面（动画贴纸取各自对应时间的帧）并编码
+     * @param {Object} options 导出设置：format（'gif'、'apng' 或 'webm'）、fps 帧率、
+     *                         loopCount 播放次数（0 为无限循环）、duration 时长（秒，0 为最长的动画贴纸一次循环的时长）、scale 分辨率倍数
+     * @returns {Promise<Blob>} 导出的动画Blob
+     */
+    async exportAnimation(options = {}) {
+        if (!this.editor.originalImage) {
+            throw new Error('没有可导出的图片');
+        }
+
+        if (this.isExporting) {
+            throw new Error('正在导出中，请稍候');
+        }
+
+        const settings = { ...ExportManager.ANIMATION_DEFAULTS, scale: this.currentExportScale, ...options };
+        const format = ExportManager.ANIMATION_FORMATS[settings.format];
+        if (!format) {
+            throw new Error(`不支持的动画格式：${settings.format}`);
+        }
+
+        const duration = settings.duration > 0 ? settings.duration * 1000 : AnimatedImage.getDuration(this.editor.stickers);
+        if (!duration) {
+            throw new Error('画布上没有动画贴纸，请设置导出时长');
+        }
+
+        const frameCount = Math.max(1, Math.round(duration / 1000 * settings.fps));
+        if (frameCount > ExportManager.MAX_ANIMATION_FRAMES) {
+            throw new Error(`动画最多 ${ExportManager.MAX_ANIMATION_FRAMES} 帧，请降低帧率或缩短时长`);
+        }
+
+        let background = null;
+        let frame = null;
+        let encoder = null;
+
+        try {
+            this.isExporting = true;
+            this.rasterCache = new Map();
+
+            Utils.showToast(`正在导出 ${format.label} 动画（${frameCount} 帧）...`, 'info', 5000);
+
+            const { scale } = settings;
+            background = this.createExportCanvas(scale);
+            frame = document.createElement('canvas');
+            frame.width = background.width;
+            frame.height = background.height;
+
+            const frameCtx = frame.getContext('2d');
+            frameCtx.imageSmoothingEnabled = true;
+            frameCtx.imageSmoothingQuality = 'high';
+
+            encoder = new format.encoder(frame.width, frame.height, {
+                frameCount,
+                loopCount: settings.loopCount,
+                fps: settings.fps
+            });
+
+            // 帧数取整后按总时长平均分配每一帧的时长（约 1000 / fps 毫秒）
+            const delay = duration / frameCount;
+
+            for (let i = 0; i < frameCount; i++) {
+                frameCtx.setTransform(1, 0, 0, 1, 0, 0);
+                frameCtx.clearRect(0, 0, frame.width, frame.height);
+                frameCtx.drawImage(background, 0, 0);
+                frameCtx.scale(scale, scale);
+
+                await this.drawStickersForExport(frameCtx, scale, i * delay);
+                await encoder.addFrame(frame, delay);
+            }
+
+            const blob = await encoder.finish();
+
+            Utils.showToast('动画导出成功！', 'success');
+
+            return blob;
+
+        } catch (error) {
+            console.error('动画导出失败:', error);
+            Utils.showToast('动画导出失败: ' + error.message, 'error');
+            throw error;
+
+        } finally {
+            // 无论成功与否都停止编码器（WebM 录制中途失败时仍在录制）并清理临时Canvas
+            if (encoder) {
+                encoder.dispose();
+            }
+            [background, frame].forEach(canvas => {
+                if (canvas) {
+                    canvas.width = 1;
+                    canvas.height = 1;
+                }
+            });
+
+            this.isExporting = false;
+            this.rasterCache = null;
+        }
+    }
+
+    /**
+     * 下载动画
+     * @param {Object} options 导出设置（见 exportAnimation）
+     */
+    async downloadAnimation(options = {}) {
+        try {
+            const blob = await this.exportAnimation(options);
+            const format = ExportManager.ANIMATION_FORMATS[options.format || ExportManager.ANIMATION_DEFAULTS.format];
+            const scale = options.scale || this.currentExportScale;
+
+            // 生成文件名
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
+            const filename = `edited-animation-${scale}x-${timestamp}.${format.extension}`;
+
+            Utils.downloadBlob(blob, filename);
+
+            Utils.showToast(`动画已保存: ${filename}`, 'success', 3000);
+
+        } catch (error) {
+            console.error('下载失败:', error);
+            Utils.showToast('下载失败: ' + error.message, 'error');
+        }
     }
 
     /**
@@ -417,8 +655,8 @@ class ExportManager {
             return null;
         }
 
-        const originalWidth = this.editor.originalImage.naturalWidth;
-        const originalHeight = this.editor.originalImage.naturalHeight;
+        // 导出尺寸以裁剪后的图片加上画布边距为准
+        const { width: originalWidth, height: originalHeight } = this.editor.getDocumentSize();
 
         return {
             originalSize: {
@@ -461,4 +699,22 @@ class ExportManager {
     destroy() {
         this.editor = null;
     }
-}
\ No newline at end of file
+}
+
+// 动画导出格式：名称、文件扩展名和编码器
+ExportManager.ANIMATION_FORMATS = {
+    gif: { label: 'GIF', extension: 'gif', encoder: GifEncoder },
+    apng: { label: 'APNG', extension: 'png', encoder: ApngEncoder },
+    webm: { label: 'WebM', extension: 'webm', encoder: WebmRecorder }
+};
+
+// 动画导出的默认设置
+ExportManager.ANIMATION_DEFAULTS = {
+    format: 'gif',
+    fps: 15,
+    loopCount: 0,
+    duration: 0
+};
+
+// 动画导出的最多帧数
+ExportManager.MAX_ANIMATION_FRAMES = 600;
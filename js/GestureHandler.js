@@ -1,6 +1,6 @@
 /**
  * 手势处理器类
- * 专门处理移动端的双指缩放、旋转手势
+ * 专门处理移动端的双指缩放、旋转手势；双指下没有贴纸时缩放和平移视口
  */
 
 class GestureHandler {
@@ -24,6 +24,9 @@ class GestureHandler {
         this.initialRotation = 0;
         this.gestureCenter = { x: 0, y: 0 };
 
+        // 视口手势：开始时的两指距离、缩放比例，以及两指中心下的文档位置
+        this.viewportGesture = null;
+
         // 手势阈值
         this.minGestureDistance = 50; // 最小手势距离
         this.gestureThreshold = 10;   // 手势识别阈值
@@ -48,6 +51,9 @@ class GestureHandler {
     handleTouchStart(event) {
         this.touches = Array.from(event.touches);
 
+        // 绘制工具下不处理贴纸手势
+        if (this.editor.activeTool !== 'select') return;
+
         if (this.touches.length === 2) {
             event.preventDefault();
 
@@ -68,6 +74,8 @@ class GestureHandler {
 
             if (this.editor.selectedSticker) {
                 this.startGesture();
+            } else {
+                this.startViewportGesture();
             }
         }
     }
@@ -82,6 +90,9 @@ class GestureHandler {
 
             const newTouches = Array.from(event.touches);
             this.processGesture(newTouches);
+        } else if (event.touches.length === 2 && this.viewportGesture) {
+            event.preventDefault();
+            this.processViewportGesture(Array.from(event.touches));
         }
     }
 
@@ -98,6 +109,7 @@ class GestureHandler {
 
         if (this.touches.length < 2) {
             this.isGesturing = false;
+            this.viewportGesture = null;
         }
     }
 
@@ -182,6 +194,32 @@ class GestureHandler {
         sticker.y = canvasCurrentCenter.y - (sticker.height * sticker.scale) / 2 + deltaY;
     }
 
+    /**
+     * 开始视口手势：双指捏合缩放视口，双指移动平移视口
+     */
+    startViewportGesture() {
+        const center = this.getTouchCenter(this.touches);
+        const anchor = this.editor.clientToViewport(center.x, center.y);
+
+        this.viewportGesture = {
+            distance: Math.max(1, this.getDistance(this.touches[0], this.touches[1])),
+            zoom: this.editor.viewport.zoom,
+            point: this.editor.viewportToDocument(anchor)
+        };
+    }
+
+    /**
+     * 处理视口手势：开始时两指中心下的文档位置始终跟随两指中心
+     * @param {Touch[]} newTouches 新的触摸点数组
+     */
+    processViewportGesture(newTouches) {
+        const gesture = this.viewportGesture;
+        const center = this.getTouchCenter(newTouches);
+        const zoom = gesture.zoom * this.getDistance(newTouches[0], newTouches[1]) / gesture.distance;
+
+        this.editor.zoomAt(zoom, this.editor.clientToViewport(center.x, center.y), gesture.point);
+    }
+
     /**
      * 结束手势
      */
@@ -190,7 +228,7 @@ class GestureHandler {
             this.isGesturing = false;
 
             // 保存状态到历史记录
-            this.editor.saveState();
+            this.editor.saveSelectionState('变换');
 
             // 提供触觉反馈
             if (navigator.vibrate) {
@@ -0,0 +1,343 @@
+/**
+ * GIF 编码器类
+ * 逐帧写入整幅画面：每一帧用中位切分生成自己的颜色表（最多 256 色），半透明像素按 50% 阈值
+ * 变为全透明或不透明。帧延迟以 1/100 秒为单位，累计时间按四舍五入分配，总时长不会漂移。
+ * 与 ApngEncoder、WebmRecorder 使用相同的接口：addFrame(canvas, delay)、finish() 和 dispose()
+ */
+
+class GifEncoder {
+    /**
+     * 构造函数
+     * @param {number} width 宽度
+     * @param {number} height 高度
+     * @param {Object} options 选项：loopCount 播放次数，0 为无限循环
+     */
+    constructor(width, height, options = {}) {
+        this.width = width;
+        this.height = height;
+        this.loopCount = options.loopCount || 0;
+
+        // 已写入的数据块和累计时间（毫秒）
+        this.parts = [GifEncoder.createHeader(width, height, this.loopCount)];
+        this.time = 0;
+    }
+
+    /**
+     * 写入一帧
+     * @param {HTMLCanvasElement} canvas 帧画面（尺寸与编码器一致）
+     * @param {number} delay 显示时长（毫秒）
+     */
+    async addFrame(canvas, delay) {
+        const { data } = canvas.getContext('2d').getImageData(0, 0, this.width, this.height);
+        const { palette, indices, transparent } = GifEncoder.quantize(data);
+
+        const delayCs = Math.round((this.time + delay) / 10) - Math.round(this.time / 10);
+        this.time += delay;
+
+        this.parts.push(GifEncoder.createFrame(this.width, this.height, palette, indices, transparent, delayCs));
+    }
+
+    /**
+     * 完成编码
+     * @returns {Promise<Blob>}
+     */
+    async finish() {
+        this.parts.push(new Uint8Array([0x3B]));
+        return new Blob(this.parts, { type: 'image/gif' });
+    }
+
+    /**
+     * 释放已写入的数据（导出完成或中途失败后调用）
+     */
+    dispose() {
+        this.parts = [];
+    }
+
+    /**
+     * 文件头、逻辑屏幕描述和循环扩展（不使用全局颜色表）
+     * @param {number} width 宽度
+     * @param {number} height 高度
+     * @param {number} loopCount 播放次数，0 为无限循环
+     * @returns {Uint8Array}
+     */
+    static createHeader(width, height, loopCount) {
+        const bytes = [
+            ...Array.from('GIF89a', char => char.charCodeAt(0)),
+            width & 0xFF, width >> 8, height & 0xFF, height >> 8,
+            0, 0, 0
+        ];
+
+        // 循环扩展记录的是重复次数；只播放一次时不写
+        if (loopCount !== 1) {
+            const repeat = loopCount === 0 ? 0 : loopCount - 1;
+            bytes.push(
+                0x21, 0xFF, 11, ...Array.from('NETSCAPE2.0', char => char.charCodeAt(0)),
+                3, 1, repeat & 0xFF, repeat >> 8, 0
+            );
+        }
+
+        return new Uint8Array(bytes);
+    }
+
+    /**
+     * 一帧的图形控制扩展、图像描述、局部颜色表和图像数据
+     * 每一帧都覆盖整个画面，显示完后恢复为背景（透明），下一帧的透明部分不会透出上一帧
+     * @param {number} width 宽度
+     * @param {number} height 高度
+     * @param {number[][]} palette 颜色表
+     * @param {Uint8Array} indices 颜色索引
+     * @param {number} transparent 透明色索引，-1 为没有
+     * @param {number} delayCs 延迟（1/100 秒）
+     * @returns {Uint8Array}
+     */
+    static createFrame(width, height, palette, indices, transparent, delayCs) {
+        const tableBits = Math.max(1, Math.ceil(Math.log2(palette.length)));
+        const table = new Uint8Array(3 * (1 << tableBits));
+        palette.forEach((color, i) => table.set(color, i * 3));
+
+        const minCodeSize = Math.max(2, tableBits);
+        const data = GifEncoder.lzwEncode(indices, minCodeSize);
+
+        const head = new Uint8Array([
+            0x21, 0xF9, 4, (2 << 2) | (transparent >= 0 ? 1 : 0), delayCs & 0xFF, delayCs >> 8, Math.max(0, transparent), 0,
+            0x2C, 0, 0, 0, 0, width & 0xFF, width >> 8, height & 0xFF, height >> 8, 0x80 | (tableBits - 1)
+        ]);
+
+        // 图像数据按 255 字节分为子块
+        const blocks = new Uint8Array(data.length + Math.ceil(data.length / 255) + 2);
+        let pos = 0;
+        blocks[pos++] = minCodeSize;
+        for (let i = 0; i < data.length; i += 255) {
+            const block = data.subarray(i, i + 255);
+            blocks[pos++] = block.length;
+            blocks.set(block, pos);
+            pos += block.length;
+        }
+        blocks[pos] = 0;
+
+        return AnimatedImage.concatBytes([head, table, blocks]);
+    }
+
+    /**
+     * 把 RGBA 像素量化为颜色表和颜色索引
+     * 颜色先按每通道 5 位分组统计，再用中位切分选出代表色
+     * @param {Uint8ClampedArray} data RGBA 像素
+     * @returns {Object} {palette, indices, transparent}
+     */
+    static quantize(data) {
+        const pixelCount = data.length / 4;
+        const counts = new Uint32Array(32768);
+        let hasTransparent = false;
+
+        for (let i = 0; i < pixelCount; i++) {
+            if (data[i * 4 + 3] < 128) {
+                hasTransparent = true;
+            } else {
+                counts[GifEncoder.getBin(data, i * 4)]++;
+            }
+        }
+
+        const bins = [];
+        counts.forEach((count, bin) => {
+            if (count > 0) bins.push(bin);
+        });
+
+        const palette = GifEncoder.medianCut(bins, counts, hasTransparent ? 255 : 256);
+        const transparent = hasTransparent ? palette.length : -1;
+        if (hasTransparent) {
+            palette.push([0, 0, 0]);
+        }
+
+        // 每个分组映射到最接近的代表色
+        const lookup = new Uint16Array(32768);
+        bins.forEach(bin => {
+            lookup[bin] = GifEncoder.findNearest(palette, transparent, (bin >> 10) * 8 + 4, ((bin >> 5) & 31) * 8 + 4, (bin & 31) * 8 + 4);
+        });
+
+        const indices = new Uint8Array(pixelCount);
+        for (let i = 0; i < pixelCount; i++) {
+            indices[i] = data[i * 4 + 3] < 128 ? transparent : lookup[GifEncoder.getBin(data, i * 4)];
+        }
+
+        return { palette: palette.length > 0 ? palette : [[0, 0, 0]], indices, transparent };
+    }
+
+    /**
+     * 像素所在的颜色分组（每通道 5 位）
+     * @param {Uint8ClampedArray} data RGBA 像素
+     * @param {number} offset 像素位置
+     * @returns {number}
+     */
+    static getBin(data, offset) {
+        return ((data[offset] >> 3) << 10) | ((data[offset + 1] >> 3) << 5) | (data[offset + 2] >> 3);
+    }
+
+    /**
+     * 中位切分：反复把通道范围最大的颜色盒按像素数的中位数一分为二
+     * @param {number[]} bins 出现过的颜色分组
+     * @param {Uint32Array} counts 每个分组的像素数
+     * @param {number} maxColors 最多颜色数
+     * @returns {number[][]} 代表色（按像素数加权平均）
+     */
+    static medianCut(bins, counts, maxColors) {
+        const channel = (bin, c) => (bin >> (10 - c * 5)) & 31;
+
+        // 颜色盒记录范围最大的通道，切分时不必重新统计其他盒
+        const createBox = box => {
+            let range = 0;
+            let widest = 0;
+            for (let c = 0; c < 3; c++) {
+                let min = 31;
+                let max = 0;
+                box.forEach(bin => {
+                    const value = channel(bin, c);
+                    if (value < min) min = value;
+                    if (value > max) max = value;
+                });
+                if (max - min > range) {
+                    range = max - min;
+                    widest = c;
+                }
+            }
+            return { bins: box, range, channel: widest };
+        };
+
+        const boxes = bins.length > 0 ? [createBox(bins)] : [];
+
+        while (boxes.length < maxColors) {
+            let target = -1;
+            boxes.forEach((box, index) => {
+                if (box.range > 0 && (target < 0 || box.range > boxes[target].range)) {
+                    target = index;
+                }
+            });
+
+            if (target < 0) break;
+
+            const { bins: box, channel: c } = boxes[target];
+            box.sort((a, b) => channel(a, c) - channel(b, c));
+
+            const total = box.reduce((sum, bin) => sum + counts[bin], 0);
+            let split = 0;
+            for (let sum = 0; split < box.length - 1 && sum + counts[box[split]] <= total / 2; split++) {
+                sum += counts[box[split]];
+            }
+            split = Math.max(1, split);
+
+            boxes.splice(target, 1, createBox(box.slice(0, split)), createBox(box.slice(split)));
+        }
+
+        return boxes.map(({ bins: box }) => {
+            const total = box.reduce((sum, bin) => sum + counts[bin], 0);
+            return [0, 1, 2].map(c => Math.round(box.reduce((sum, bin) => sum + (channel(bin, c) * 8 + 4) * counts[bin], 0) / total));
+        });
+    }
+
+    /**
+     * 查找最接近的颜色
+     * @param {number[][]} palette 颜色表
+     * @param {number} skip 跳过的索引（透明色）
+     * @param {number} r 红
+     * @param {number} g 绿
+     * @param {number} b 蓝
+     * @returns {number} 颜色索引
+     */
+    static findNearest(palette, skip, r, g, b) {
+        let best = 0;
+        let bestDistance = Infinity;
+
+        palette.forEach((color, index) => {
+            if (index === skip) return;
+            const distance = (color[0] - r) ** 2 + (color[1] - g) ** 2 + (color[2] - b) ** 2;
+            if (distance < bestDistance) {
+                best = index;
+                bestDistance = distance;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * LZW 编码颜色索引（可变长编码，字典满 4096 项时写入清除码重新开始）
+     * @param {Uint8Array} indices 颜色索引
+     * @param {number} minCodeSize 最小编码长度
+     * @returns {Uint8Array} 压缩数据
+     */
+    static lzwEncode(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const dictionary = new Map();
+        let output = new Uint8Array(4096);
+        let length = 0;
+        let datum = 0;
+        let bits = 0;
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+
+        const pushByte = byte => {
+            if (length === output.length) {
+                const grown = new Uint8Array(output.length * 2);
+                grown.set(output);
+                output = grown;
+            }
+            output[length++] = byte;
+        };
+
+        const write = code => {
+            datum |= code << bits;
+            bits += codeSize;
+            while (bits >= 8) {
+                pushByte(datum & 0xFF);
+                datum >>= 8;
+                bits -= 8;
+            }
+        };
+
+        write(clearCode);
+
+        if (indices.length > 0) {
+            let prefix = indices[0];
+
+            for (let i = 1; i < indices.length; i++) {
+                const index = indices[i];
+                const key = (prefix << 8) | index;
+                const code = dictionary.get(key);
+
+                if (code !== undefined) {
+                    prefix = code;
+                    continue;
+                }
+
+                write(prefix);
+
+                if (nextCode < 4096) {
+                    // 解码端在读到下一个编码时才加入这一项，编码长度在加入前按当前项数增加
+                    if (nextCode === 1 << codeSize) {
+                        codeSize++;
+                    }
+                    dictionary.set(key, nextCode++);
+                } else {
+                    write(clearCode);
+                    dictionary.clear();
+                    codeSize = minCodeSize + 1;
+                    nextCode = endCode + 1;
+                }
+
+                prefix = index;
+            }
+
+            write(prefix);
+            if (nextCode < 4096 && nextCode === 1 << codeSize) {
+                codeSize++;
+            }
+        }
+
+        write(endCode);
+        if (bits > 0) {
+            pushByte(datum & 0xFF);
+        }
+
+        return output.subarray(0, length);
+    }
+}
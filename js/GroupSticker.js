@@ -0,0 +1,172 @@
+/**
+ * 组合贴纸类
+ * 把多个贴纸保存为一个整体，作为一个图层参与移动、缩放、旋转和导出。
+ * 子贴纸保存在 data 中，坐标以组合中心为原点、不含组合自身的缩放和旋转
+ */
+
+class GroupSticker extends Sticker {
+    /**
+     * 构造函数
+     * @param {Sticker[]} children 子贴纸（组合本地坐标）
+     * @param {number} x X坐标
+     * @param {number} y Y坐标
+     * @param {Object} options 可选参数
+     */
+    constructor(children, x, y, options = {}) {
+        super('group', children || [], x, y, options);
+    }
+
+    /**
+     * 获取默认图层名称
+     * @returns {string}
+     */
+    getDefaultName() {
+        return '组合';
+    }
+
+    /**
+     * 检测点是否落在任一可见子贴纸上
+     * 先把点转换到组合本地坐标，再交给子贴纸自己的检测逻辑
+     * @param {number} x X坐标
+     * @param {number} y Y坐标
+     * @returns {boolean}
+     */
+    containsPoint(x, y) {
+        const local = this.toLocalPoint(x, y);
+        return this.data.some(child => child.visible && child.containsPoint(local.x, local.y));
+    }
+
+    /**
+     * 把子贴纸还原到画布坐标，并合并组合的缩放、旋转和透明度
+     * 用于取消编组和进入组合编辑，调用后组合不再持有这些子贴纸
+     * @returns {Sticker[]} 画布坐标下的子贴纸
+     */
+    releaseChildren() {
+        const center = this.getCenter();
+        const cos = Math.cos(this.rotation);
+        const sin = Math.sin(this.rotation);
+
+        const children = this.data;
+        this.data = [];
+
+        children.forEach(child => {
+            const local = child.getCenter();
+            const x = local.x * this.scale;
+            const y = local.y * this.scale;
+            const newCenterX = center.x + x * cos - y * sin;
+            const newCenterY = center.y + x * sin + y * cos;
+
+            child.scale *= this.scale;
+            child.rotation = Utils.normalizeAngle(child.rotation + this.rotation);
+            child.opacity *= this.opacity;
+            child.x = newCenterX - (child.width * child.scale) / 2;
+            child.y = newCenterY - (child.height * child.scale) / 2;
+            child.deselect();
+        });
+
+        return children;
+    }
+
+    /**
+     * 克隆组合（连同子贴纸一起复制）
+     * @returns {GroupSticker} 新的组合实例
+     */
+    clone() {
+        const children = this.data.map(child => {
+            const cloned = child.clone();
+            cloned.x = child.x;
+            cloned.y = child.y;
+            return cloned;
+        });
+
+        return new GroupSticker(children, this.x + 20, this.y + 20, {
+            width: this.width,
+            height: this.height,
+            rotation: this.rotation,
+            scale: this.scale,
+            opacity: this.opacity,
+            name: this.name,
+            visible: this.visible,
+            locked: this.locked,
+            effects: this.effects
+        });
+    }
+
+    /**
+     * 序列化组合，子贴纸嵌套保存
+     * @returns {Object} 序列化后的数据
+     */
+    serialize() {
+        return {
+            ...super.serialize(),
+            children: this.data.map(child => child.serialize())
+        };
+    }
+
+    /**
+     * 从序列化数据创建组合
+     * @param {Object} data 序列化数据
+     * @param {AssetStore} assets 资源仓库（子贴纸中的图片贴纸需要）
+     * @returns {GroupSticker} 组合实例
+     */
+    static deserialize(data, assets = null) {
+        const children = (data.children || []).map(child => Sticker.deserialize(child, assets));
+        const group = new GroupSticker(children, data.x, data.y, data);
+        group.id = data.id;
+        return group;
+    }
+
+    /**
+     * 由画布上的贴纸创建组合
+     * 包围盒在旋转 rotation 后的坐标系中计算，以便重新编组时保持原有朝向。
+     * 传入的贴纸会被转换为组合本地坐标
+     * @param {Sticker[]} stickers 画布坐标下的贴纸（按图层顺序）
+     * @param {number} rotation 组合的旋转角度（弧度）
+     * @param {Object} options 可选参数
+     * @returns {GroupSticker} 组合实例
+     */
+    static fromStickers(stickers, rotation = 0, options = {}) {
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+
+        // 在组合坐标系中求包围盒
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        stickers.forEach(sticker => {
+            SelectionGroup.getStickerCorners(sticker).forEach(corner => {
+                const x = corner.x * cos + corner.y * sin;
+                const y = -corner.x * sin + corner.y * cos;
+                minX = Math.min(minX, x);
+                minY = Math.min(minY, y);
+                maxX = Math.max(maxX, x);
+                maxY = Math.max(maxY, y);
+            });
+        });
+
+        const width = maxX - minX;
+        const height = maxY - minY;
+        const frameX = (minX + maxX) / 2;
+        const frameY = (minY + maxY) / 2;
+        const centerX = frameX * cos - frameY * sin;
+        const centerY = frameX * sin + frameY * cos;
+
+        stickers.forEach(sticker => {
+            const center = sticker.getCenter();
+            const dx = center.x - centerX;
+            const dy = center.y - centerY;
+            const localX = dx * cos + dy * sin;
+            const localY = -dx * sin + dy * cos;
+
+            sticker.rotation = Utils.normalizeAngle(sticker.rotation - rotation);
+            sticker.x = localX - (sticker.width * sticker.scale) / 2;
+            sticker.y = localY - (sticker.height * sticker.scale) / 2;
+            sticker.deselect();
+        });
+
+        return new GroupSticker(stickers, centerX - width / 2, centerY - height / 2, {
+            ...options,
+            width,
+            height,
+            rotation
+        });
+    }
+}
@@ -0,0 +1,175 @@
+/**
+ * 历史记录管理器类
+ * 以命令为单位记录可撤销的操作，支持撤销、重做、跳转到任意一步，
+ * 以及把连续的同类操作（如方向键微调）合并为一条记录
+ */
+
+class HistoryManager {
+    /**
+     * 构造函数
+     * @param {Object} options 配置选项
+     */
+    constructor(options = {}) {
+        this.options = {
+            maxDepth: 50,
+            mergeInterval: 1000,
+            ...options
+        };
+
+        // 命令列表：{label, mergeKey, timestamp, undo(), redo(), merge(command), dispose()}
+        // 其中 mergeKey、merge 和 dispose 可选
+        this.commands = [];
+
+        // 已执行的命令数，commands[index - 1] 是最近一次执行的命令
+        this.index = 0;
+    }
+
+    /**
+     * 记录一条已经执行的命令
+     * 与上一条命令的 mergeKey 相同且间隔足够短时合并为一条
+     * @param {Object} command 命令对象
+     */
+    push(command) {
+        const last = this.commands[this.index - 1];
+        const hasRedo = this.index < this.commands.length;
+
+        // 撤销后的新操作不与之前的命令合并
+        if (!hasRedo && last && command.mergeKey && last.mergeKey === command.mergeKey &&
+            command.timestamp - last.timestamp < this.options.mergeInterval && last.merge) {
+            last.merge(command);
+            last.timestamp = command.timestamp;
+            this.disposeCommands([command]);
+            return;
+        }
+
+        // 丢弃当前位置之后的命令
+        this.disposeCommands(this.commands.splice(this.index));
+
+        this.commands.push(command);
+        this.index++;
+
+        this.trim();
+    }
+
+    /**
+     * 按最大步数丢弃最早的命令
+     */
+    trim() {
+        const overflow = this.commands.length - this.options.maxDepth;
+        if (overflow > 0) {
+            this.disposeCommands(this.commands.splice(0, overflow));
+            this.index = Math.max(0, this.index - overflow);
+        }
+    }
+
+    /**
+     * 设置最大步数
+     * @param {number} depth 最大步数
+     */
+    setMaxDepth(depth) {
+        this.options.maxDepth = Math.max(1, Math.floor(depth));
+        this.trim();
+    }
+
+    /**
+     * 撤销一步
+     * @returns {boolean} 是否执行了撤销
+     */
+    undo() {
+        if (!this.canUndo()) return false;
+
+        this.index--;
+        this.commands[this.index].undo();
+        return true;
+    }
+
+    /**
+     * 重做一步
+     * @returns {boolean} 是否执行了重做
+     */
+    redo() {
+        if (!this.canRedo()) return false;
+
+        this.commands[this.index].redo();
+        this.index++;
+        return true;
+    }
+
+    /**
+     * 跳转到指定位置（0 为最早的状态，commands.length 为最新的状态）
+     * @param {number} index 目标位置
+     * @returns {boolean} 位置是否发生变化
+     */
+    goTo(index) {
+        const target = Utils.clamp(index, 0, this.commands.length);
+        if (target === this.index) return false;
+
+        while (this.index > target) this.undo();
+        while (this.index < target) this.redo();
+        return true;
+    }
+
+    /**
+     * 是否可以撤销
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.index > 0;
+    }
+
+    /**
+     * 是否可以重做
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this.index < this.commands.length;
+    }
+
+    /**
+     * 获取下一次撤销的命令名称
+     * @returns {string|null}
+     */
+    getUndoLabel() {
+        return this.canUndo() ? this.commands[this.index - 1].label : null;
+    }
+
+    /**
+     * 获取下一次重做的命令名称
+     * @returns {string|null}
+     */
+    getRedoLabel() {
+        return this.canRedo() ? this.commands[this.index].label : null;
+    }
+
+    /**
+     * 获取所有命令的名称和时间，供历史面板显示
+     * @returns {Object[]} {label, timestamp}
+     */
+    getEntries() {
+        return this.commands.map(command => ({
+            label: command.label,
+            timestamp: command.timestamp
+        }));
+    }
+
+    /**
+     * 清空所有命令
+     */
+    clear() {
+        this.disposeCommands(this.commands);
+        this.commands = [];
+        this.index = 0;
+    }
+
+    /**
+     * 释放被丢弃的命令持有的资源
+     * @param {Object[]} commands 命令列表
+     */
+    disposeCommands(commands) {
+        commands.forEach(command => {
+            if (command.dispose) {
+                command.dispose();
+            }
+        });
+    }
+}
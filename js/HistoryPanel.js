@@ -0,0 +1,119 @@
+/**
+ * 历史记录面板类
+ * 按时间顺序列出可撤销的操作，点击任意一条跳转到该步之后的状态
+ */
+
+class HistoryPanel {
+    /**
+     * 构造函数
+     * @param {ImageEditor} editor 编辑器实例
+     */
+    constructor(editor) {
+        this.editor = editor;
+        this.elements = {};
+
+        this.refresh = this.refresh.bind(this);
+
+        this.initialize();
+    }
+
+    /**
+     * 初始化面板
+     */
+    initialize() {
+        this.getElements();
+        this.bindEvents();
+
+        this.editor.on('statechange', this.refresh);
+
+        this.refresh();
+    }
+
+    /**
+     * 获取DOM元素引用
+     */
+    getElements() {
+        this.elements = {
+            historyList: document.getElementById('historyList')
+        };
+    }
+
+    /**
+     * 绑定事件处理器
+     */
+    bindEvents() {
+        // 列表项点击（事件委托）
+        this.elements.historyList.addEventListener('click', (e) => {
+            const item = e.target.closest('.history-item');
+            if (!item) return;
+
+            this.editor.goToHistory(parseInt(item.dataset.index, 10));
+        });
+    }
+
+    /**
+     * 重新生成历史列表
+     * 第一项是最早的状态，之后每一项对应一条命令执行后的状态
+     */
+    refresh() {
+        if (!this.editor) return;
+
+        const { historyList } = this.elements;
+        const history = this.editor.history;
+        historyList.innerHTML = '';
+
+        const entries = [{ label: '初始状态', timestamp: null }, ...history.getEntries()];
+
+        entries.forEach((entry, index) => {
+            historyList.appendChild(this.createHistoryItem(entry, index, history.index));
+        });
+
+        // 保持当前项可见
+        const current = historyList.querySelector('.history-item.current');
+        if (current) {
+            current.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    /**
+     * 创建历史列表项
+     * @param {Object} entry 历史记录 {label, timestamp}
+     * @param {number} index 位置
+     * @param {number} currentIndex 当前位置
+     * @returns {HTMLElement}
+     */
+    createHistoryItem(entry, index, currentIndex) {
+        const item = document.createElement('div');
+        item.className = 'history-item';
+        item.dataset.index = index;
+        item.classList.toggle('current', index === currentIndex);
+        item.classList.toggle('undone', index > currentIndex);
+
+        const label = document.createElement('span');
+        label.className = 'history-label';
+        label.textContent = entry.label;
+
+        item.appendChild(label);
+
+        if (entry.timestamp) {
+            const time = document.createElement('span');
+            time.className = 'history-time';
+            time.textContent = new Date(entry.timestamp).toLocaleTimeString([], {
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit'
+            });
+            item.appendChild(time);
+        }
+
+        return item;
+    }
+
+    /**
+     * 销毁面板
+     */
+    destroy() {
+        this.editor.off('statechange', this.refresh);
+        this.editor = null;
+    }
+}
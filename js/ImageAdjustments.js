@@ -0,0 +1,227 @@
+/**
+ * 图片调整类
+ * 以参数形式描述背景图片的调色（亮度、对比度、饱和度等），
+ * 需要显示或导出时才按参数生成调整后的图片，原图始终保持不变
+ */
+
+class ImageAdjustments {
+    /**
+     * 获取默认参数（全部为 0，即不调整）
+     * @returns {Object}
+     */
+    static getDefaults() {
+        const defaults = {};
+        ImageAdjustments.PARAMETERS.forEach(param => {
+            defaults[param.key] = 0;
+        });
+        return defaults;
+    }
+
+    /**
+     * 补全缺失的参数并限制取值范围
+     * @param {Object} adjustments 调整参数
+     * @returns {Object} 完整的调整参数
+     */
+    static normalize(adjustments = {}) {
+        const result = {};
+        ImageAdjustments.PARAMETERS.forEach(param => {
+            const value = parseFloat(adjustments && adjustments[param.key]);
+            result[param.key] = isNaN(value) ? 0 : Utils.clamp(value, param.min, param.max);
+        });
+        return result;
+    }
+
+    /**
+     * 判断参数是否等同于不调整
+     * @param {Object} adjustments 调整参数
+     * @returns {boolean}
+     */
+    static isIdentity(adjustments) {
+        return ImageAdjustments.PARAMETERS.every(param => !adjustments[param.key]);
+    }
+
+    /**
+     * 判断两组参数是否相同
+     * @param {Object} a 调整参数
+     * @param {Object} b 调整参数
+     * @returns {boolean}
+     */
+    static equals(a, b) {
+        return ImageAdjustments.PARAMETERS.every(param => (a[param.key] || 0) === (b[param.key] || 0));
+    }
+
+    /**
+     * 查找与参数完全一致的预设
+     * @param {Object} adjustments 调整参数
+     * @returns {Object|null} 预设
+     */
+    static findPreset(adjustments) {
+        return ImageAdjustments.PRESETS.find(preset => ImageAdjustments.equals(preset.adjustments, adjustments)) || null;
+    }
+
+    /**
+     * 按参数生成调整后的图片
+     * @param {HTMLImageElement|HTMLCanvasElement} source 原图
+     * @param {Object} adjustments 调整参数
+     * @param {number} width 输出宽度（默认原图宽度）
+     * @param {number} height 输出高度（默认原图高度）
+     * @returns {HTMLCanvasElement} 调整后的图片
+     */
+    static apply(source, adjustments, width = source.naturalWidth || source.width, height = source.naturalHeight || source.height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(width));
+        canvas.height = Math.max(1, Math.round(height));
+
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+
+        if (ImageAdjustments.isIdentity(adjustments)) {
+            return canvas;
+        }
+
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+        if (adjustments.sharpen) {
+            ImageAdjustments.sharpen(imageData, adjustments.sharpen / 100);
+        }
+
+        ImageAdjustments.applyTone(imageData, adjustments);
+        ctx.putImageData(imageData, 0, 0);
+
+        return canvas;
+    }
+
+    /**
+     * 逐像素应用曝光、亮度、对比度、饱和度、色温、色调、暗角和颗粒
+     * @param {ImageData} imageData 像素数据（原地修改）
+     * @param {Object} adjustments 调整参数
+     */
+    static applyTone(imageData, adjustments) {
+        const { data, width, height } = imageData;
+
+        const exposure = Math.pow(2, adjustments.exposure / 50);
+        const brightness = adjustments.brightness / 100 * 80;
+        const contrast = 1 + adjustments.contrast / 100;
+        const saturation = 1 + adjustments.saturation / 100;
+        const warmth = adjustments.warmth / 100 * 30;
+        const tint = adjustments.tint / 100 * 30;
+        const vignette = adjustments.vignette / 100;
+        const grain = adjustments.grain / 100 * 60;
+
+        const centerX = width / 2;
+        const centerY = height / 2;
+        const maxDistance = Math.sqrt(centerX * centerX + centerY * centerY);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                let r = data[i] * exposure + brightness;
+                let g = data[i + 1] * exposure + brightness;
+                let b = data[i + 2] * exposure + brightness;
+
+                r = (r - 128) * contrast + 128;
+                g = (g - 128) * contrast + 128;
+                b = (b - 128) * contrast + 128;
+
+                const luminance = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+                r = luminance + (r - luminance) * saturation;
+                g = luminance + (g - luminance) * saturation;
+                b = luminance + (b - luminance) * saturation;
+
+                // 色温：暖色偏红黄、冷色偏蓝；色调：正值偏品红、负值偏绿
+                r += warmth + tint / 2;
+                g -= tint;
+                b += tint / 2 - warmth;
+
+                if (vignette) {
+                    const dx = x - centerX;
+                    const dy = y - centerY;
+                    const distance = Math.sqrt(dx * dx + dy * dy) / maxDistance;
+                    const falloff = Utils.clamp((distance - 0.4) / 0.6, 0, 1);
+                    const factor = 1 - vignette * falloff * falloff;
+                    r *= factor;
+                    g *= factor;
+                    b *= factor;
+                }
+
+                if (grain) {
+                    const noise = (ImageAdjustments.noise(x, y) - 0.5) * grain;
+                    r += noise;
+                    g += noise;
+                    b += noise;
+                }
+
+                data[i] = r;
+                data[i + 1] = g;
+                data[i + 2] = b;
+            }
+        }
+    }
+
+    /**
+     * 锐化（与四邻域的差值叠加到原像素）
+     * @param {ImageData} imageData 像素数据（原地修改）
+     * @param {number} amount 强度 (0-1)
+     */
+    static sharpen(imageData, amount) {
+        const { data, width, height } = imageData;
+        const source = new Uint8ClampedArray(data);
+        const rowSize = width * 4;
+
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * rowSize + x * 4;
+                for (let c = 0; c < 3; c++) {
+                    const center = source[i + c];
+                    const edge = 4 * center - source[i + c - 4] - source[i + c + 4] -
+                        source[i + c - rowSize] - source[i + c + rowSize];
+                    data[i + c] = center + edge * amount;
+                }
+            }
+        }
+    }
+
+    /**
+     * 由像素坐标得到稳定的伪随机数，保证同一参数下颗粒图案不变
+     * @param {number} x X坐标
+     * @param {number} y Y坐标
+     * @returns {number} 0-1 之间的数
+     */
+    static noise(x, y) {
+        let hash = Math.imul(x, 374761393) + Math.imul(y, 668265263);
+        hash = Math.imul(hash ^ (hash >>> 13), 1274126177);
+        return ((hash ^ (hash >>> 16)) >>> 0) / 4294967295;
+    }
+}
+
+// 可调参数，取值范围统一为百分比
+ImageAdjustments.PARAMETERS = [
+    { key: 'exposure', label: '曝光', min: -100, max: 100 },
+    { key: 'brightness', label: '亮度', min: -100, max: 100 },
+    { key: 'contrast', label: '对比度', min: -100, max: 100 },
+    { key: 'saturation', label: '饱和度', min: -100, max: 100 },
+    { key: 'warmth', label: '色温', min: -100, max: 100 },
+    { key: 'tint', label: '色调', min: -100, max: 100 },
+    { key: 'sharpen', label: '锐化', min: 0, max: 100 },
+    { key: 'vignette', label: '暗角', min: 0, max: 100 },
+    { key: 'grain', label: '颗粒', min: 0, max: 100 }
+];
+
+// 预设滤镜，只列出与默认值不同的参数
+ImageAdjustments.PRESETS = [
+    { id: 'original', name: '原片', adjustments: {} },
+    { id: 'vivid', name: '鲜明', adjustments: { contrast: 15, saturation: 35, brightness: 5 } },
+    { id: 'vividWarm', name: '鲜明暖色', adjustments: { contrast: 15, saturation: 30, brightness: 5, warmth: 30 } },
+    { id: 'vividCool', name: '鲜明冷色', adjustments: { contrast: 15, saturation: 30, brightness: 5, warmth: -30 } },
+    { id: 'dramatic', name: '反差', adjustments: { contrast: 40, saturation: -20, exposure: -10, vignette: 30 } },
+    { id: 'dramaticWarm', name: '反差暖色', adjustments: { contrast: 40, saturation: -10, exposure: -10, warmth: 35, vignette: 30 } },
+    { id: 'dramaticCool', name: '反差冷色', adjustments: { contrast: 40, saturation: -10, exposure: -10, warmth: -35, vignette: 30 } },
+    { id: 'mono', name: '单色', adjustments: { saturation: -100 } },
+    { id: 'silvertone', name: '银色调', adjustments: { saturation: -100, contrast: 20, brightness: 8, grain: 15 } },
+    { id: 'noir', name: '黑白', adjustments: { saturation: -100, contrast: 60, exposure: -15, vignette: 45, grain: 25 } }
+];
+
+// 编辑时预览图的最长边（像素），导出时始终按原图尺寸处理
+ImageAdjustments.PREVIEW_SIZE = 1600;
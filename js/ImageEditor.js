@@ -18,14 +18,63 @@ class ImageEditor {
             maxDisplayWidth: 800,
             maxDisplayHeight: 600,
             backgroundColor: '#f0f0f0',
+            historyDepth: 50,
+            overlayCanvasId: 'overlayCanvas',
+            viewportId: 'canvasContainer',
             ...options
         };
 
+        // 视口：画布所在的容器，文档坐标乘以 zoom 再加上 (x, y) 为容器中的屏幕坐标（CSS 像素）
+        // 画布按文档尺寸布局，由样式变换缩放和平移
+        this.container = document.getElementById(this.options.viewportId);
+        this.viewport = { zoom: 1, x: 0, y: 0 };
+
+        // 界面层：选择框、控制点、悬停轮廓等按屏幕像素绘制在画布上方，
+        // 选择变化时只需重绘这一层，不必重绘图片和贴纸
+        this.overlay = document.getElementById(this.options.overlayCanvasId);
+        this.overlayCtx = this.overlay.getContext('2d');
+
         // 核心数据
         this.originalImage = null;
-        this.displayScale = 1;
+        this.backgroundAssetId = null;
         this.stickers = [];
+
+        // 背景图片的调整参数（不修改原图），以及按参数生成的预览图缓存 {key, canvas}
+        this.adjustments = ImageAdjustments.getDefaults();
+        this.adjustedBackground = null;
+
+        // 背景图片的翻转、旋转和裁剪（不修改原图）；裁剪模式下正在编辑的变换为 cropDraft
+        this.imageTransform = ImageTransform.getDefaults();
+        this.cropDraft = null;
+
+        // 图片四周的边距和画布背景填充，以及按参数生成的填充预览缓存 {key, canvas}
+        this.canvasFrame = CanvasFrame.getDefaults();
+        this.frameFill = null;
+
+        // 图片资源仓库：图片贴纸和历史记录通过资源ID引用图片
+        this.assets = new AssetStore();
+
+        // 选择状态：selectedStickers 为全部选中项；
+        // 只选中一个时 selectedSticker 指向它，多选时 selectionGroup 负责整体变换
+        this.selectedStickers = [];
         this.selectedSticker = null;
+        this.selectionGroup = null;
+
+        // 框选矩形（画布坐标），框选过程中显示
+        this.marqueeRect = null;
+
+        // 鼠标悬停的未选中贴纸，在界面层显示轮廓
+        this.hoverSticker = null;
+
+        // 拖动吸附时显示的参考线（画布坐标）
+        this.snapGuides = [];
+
+        // 正在编辑的组合：{group, children}
+        // 编辑期间子贴纸临时展开到画布上，退出时重新编组
+        this.editingGroup = null;
+
+        // 当前工具：'select'、'brush'、'highlighter'、'eraser' 或 'crop'
+        this.activeTool = 'select';
 
         // 操作状态
         this.isDragging = false;
@@ -34,10 +83,21 @@ class ImageEditor {
         this.currentControlPoint = null;
         this.lastMousePos = { x: 0, y: 0 };
 
-        // 历史记录（用于撤销/重做）
-        this.history = [];
-        this.historyIndex = -1;
-        this.maxHistorySize = 20;
+        // 历史记录（用于撤销/重做）：每条命令只记录操作前后的差异（变化的贴纸和属性），
+        // currentState 是当前文档对应的快照，撤销和重做时把差异应用到它上面
+        this.history = new HistoryManager({ maxDepth: this.options.historyDepth });
+        this.currentState = null;
+
+        // 事件监听器（供面板等UI组件订阅编辑器变化）
+        this.listeners = {};
+
+        // 动画贴纸的播放：animationTime 为播放时间（毫秒），所有动画贴纸共用；
+        // 有动画贴纸时每个显示帧检查一次，帧变化时才重绘画布
+        this.animationTime = 0;
+        this.animationStart = null;
+        this.animationFrameId = null;
+        this.animationFrameKey = '';
+        this.tickAnimation = this.tickAnimation.bind(this);
 
         // 初始化
         this.initialize();
@@ -50,293 +110,1548 @@ class ImageEditor {
         // 设置Canvas初始状态
         this.canvas.style.cursor = 'default';
 
-        // 保存初始状态
-        this.saveState();
+        // 记录初始状态
+        this.clearHistory();
+    }
+
+    /**
+     * 订阅编辑器事件
+     * @param {string} eventName 事件名称，如 'selectionchange'
+     * @param {Function} callback 回调函数
+     */
+    on(eventName, callback) {
+        if (!this.listeners[eventName]) {
+            this.listeners[eventName] = [];
+        }
+        this.listeners[eventName].push(callback);
+    }
+
+    /**
+     * 取消订阅编辑器事件
+     * @param {string} eventName 事件名称
+     * @param {Function} callback 回调函数
+     */
+    off(eventName, callback) {
+        if (!this.listeners[eventName]) return;
+        this.listeners[eventName] = this.listeners[eventName].filter(cb => cb !== callback);
+    }
+
+    /**
+     * 触发编辑器事件
+     * @param {string} eventName 事件名称
+     * @param {*} payload 事件数据
+     */
+    emit(eventName, payload) {
+        (this.listeners[eventName] || []).forEach(callback => {
+            try {
+                callback(payload);
+            } catch (error) {
+                console.error(`事件 ${eventName} 处理失败:`, error);
+            }
+        });
+    }
+
+    /**
+     * 加载图片
+     * @param {File|HTMLImageElement} source 图片源
+     * @returns {Promise}
+     */
+    async loadImage(source) {
+        try {
+            let image;
+
+            if (source instanceof File) {
+                const validation = Utils.validateImageFile(source);
+                if (!validation.valid) {
+                    throw new Error(validation.error);
+                }
+                image = await Utils.loadImageFile(source);
+            } else if (source instanceof HTMLImageElement) {
+                image = source;
+            } else {
+                throw new Error('不支持的图片源类型');
+            }
+
+            // 新图片作为新的文档载入，清除现有贴纸和历史记录
+            const assetId = await this.assets.add(image);
+            try {
+                this.loadDocument(image, []);
+            } finally {
+                this.assets.release([assetId]);
+            }
+
+            Utils.showToast('图片加载成功', 'success');
+
+        } catch (error) {
+            console.error('图片加载失败:', error);
+            Utils.showToast(error.message, 'error');
+            throw error;
+        }
+    }
+
+    /**
+     * 设置背景图片（不做变换），并按图片尺寸调整Canvas
+     * @param {HTMLImageElement} image 图片对象
+     */
+    setBackgroundImage(image) {
+        this.originalImage = image;
+        this.adjustedBackground = null;
+        this.imageTransform = ImageTransform.getDefaults();
+        this.canvasFrame = CanvasFrame.getDefaults();
+        this.frameFill = null;
+
+        // 背景图片在替换前一直持有其资源
+        const assetId = this.assets.idOf(image);
+        if (assetId) {
+            this.assets.retain([assetId]);
+        }
+        if (this.backgroundAssetId) {
+            this.assets.release([this.backgroundAssetId]);
+        }
+        this.backgroundAssetId = assetId;
+
+        // 设置Canvas尺寸
+        this.updateCanvasSize();
+
+        // 显示Canvas
+        this.showCanvas();
+    }
+
+    /**
+     * 获取变换后的图片尺寸（不含画布边距）
+     * @returns {Object} {width, height}
+     */
+    getImageSize() {
+        return ImageTransform.getOutputSize(this.originalImage, this.imageTransform);
+    }
+
+    /**
+     * 获取文档尺寸（变换后的图片尺寸加上画布边距），即导出尺寸
+     * @returns {Object} {width, height}
+     */
+    getDocumentSize() {
+        return CanvasFrame.getCanvasSize(this.getImageSize(), this.canvasFrame);
+    }
+
+    /**
+     * 按文档尺寸调整Canvas（裁剪模式下为整个画框，不含边距），并缩放到适应视口
+     */
+    updateCanvasSize() {
+        const size = this.cropDraft
+            ? ImageTransform.getFrameSize(this.originalImage, this.cropDraft)
+            : this.getDocumentSize();
+
+        this.setupCanvas(size.width, size.height);
+        this.zoomToFit();
+    }
+
+    /**
+     * 载入完整的文档（背景图片、调整参数和贴纸），并重新开始历史记录
+     * 用于加载图片和打开项目文件
+     * @param {HTMLImageElement} image 背景图片
+     * @param {Sticker[]} stickers 贴纸数组
+     * @param {Object} adjustments 背景图片的调整参数（可选）
+     * @param {Object} imageTransform 背景图片的翻转、旋转和裁剪（可选）
+     * @param {Object} canvasFrame 画布边距和背景填充（可选）
+     */
+    loadDocument(image, stickers, adjustments = {}, imageTransform = null, canvasFrame = null) {
+        if (this.activeTool === 'crop') {
+            this.setTool('select');
+        }
+        this.setBackgroundImage(image);
+        this.adjustments = ImageAdjustments.normalize(adjustments);
+        this.imageTransform = ImageTransform.normalize(imageTransform, image);
+        this.canvasFrame = CanvasFrame.normalize(canvasFrame);
+        this.updateCanvasSize();
+
+        this.editingGroup = null;
+        this.stickers = stickers;
+        this.setSelection([]);
+        this.renderCanvas();
+
+        this.clearHistory();
+        this.emit('statechange', this.currentState);
+    }
+
+    /**
+     * 设置Canvas尺寸和样式
+     * @param {number} imageWidth 图片宽度
+     * @param {number} imageHeight 图片高度
+     */
+    setupCanvas(imageWidth, imageHeight) {
+        // 设置Canvas实际尺寸为图片原始尺寸
+        this.canvas.width = imageWidth;
+        this.canvas.height = imageHeight;
+
+        // 布局尺寸与实际尺寸一致（缩放 100%），显示时由视口变换缩放
+        this.canvas.style.width = imageWidth + 'px';
+        this.canvas.style.height = imageHeight + 'px';
+
+        // 设置高质量渲染
+        this.ctx.imageSmoothingEnabled = true;
+        this.ctx.imageSmoothingQuality = 'high';
+    }
+
+    /**
+     * 获取视口尺寸（CSS 像素）；容器尚未布局时使用配置的显示尺寸
+     * @returns {Object} {width, height}
+     */
+    getViewportSize() {
+        return {
+            width: this.container.clientWidth || this.options.maxDisplayWidth,
+            height: this.container.clientHeight || this.options.maxDisplayHeight
+        };
+    }
+
+    /**
+     * 设置视口的缩放和平移
+     * 平移限制在画布至少有一部分留在视口中
+     * @param {number} zoom 缩放比例
+     * @param {number} x 画布左上角在视口中的横坐标
+     * @param {number} y 画布左上角在视口中的纵坐标
+     */
+    setViewport(zoom, x, y) {
+        const view = this.getViewportSize();
+        const margin = ImageEditor.VIEWPORT_MARGIN;
+        const scale = Utils.clamp(zoom, ImageEditor.MIN_ZOOM, ImageEditor.MAX_ZOOM);
+        const width = this.canvas.width * scale;
+        const height = this.canvas.height * scale;
+
+        this.viewport = {
+            zoom: scale,
+            x: Utils.clamp(x, Math.min(margin, view.width - margin) - width, Math.max(view.width - margin, margin)),
+            y: Utils.clamp(y, Math.min(margin, view.height - margin) - height, Math.max(view.height - margin, margin))
+        };
+
+        this.applyViewport();
+    }
+
+    /**
+     * 把视口变换应用到画布样式，并重绘界面层
+     */
+    applyViewport() {
+        const { zoom, x, y } = this.viewport;
+        this.canvas.style.transform = `translate(${x}px, ${y}px) scale(${zoom})`;
+
+        this.renderOverlay();
+        this.emit('viewportchange', this.viewport);
+    }
+
+    /**
+     * 以视口中的某一点为中心缩放，该点下的文档位置保持不动
+     * @param {number} zoom 新的缩放比例
+     * @param {Object} anchor 视口坐标 {x, y}，默认为视口中心
+     * @param {Object} point 固定在 anchor 下的文档坐标（可选，默认为当前 anchor 下的位置）
+     */
+    zoomAt(zoom, anchor = null, point = null) {
+        const view = this.getViewportSize();
+        const at = anchor || { x: view.width / 2, y: view.height / 2 };
+        const target = point || this.viewportToDocument(at);
+        const scale = Utils.clamp(zoom, ImageEditor.MIN_ZOOM, ImageEditor.MAX_ZOOM);
+
+        this.setViewport(scale, at.x - target.x * scale, at.y - target.y * scale);
+    }
+
+    /**
+     * 按步长放大或缩小
+     * @param {number} direction 1 为放大，-1 为缩小
+     * @param {Object} anchor 视口坐标 {x, y}，默认为视口中心
+     */
+    zoomStep(direction, anchor = null) {
+        this.zoomAt(this.viewport.zoom * Math.pow(ImageEditor.ZOOM_STEP, direction), anchor);
+    }
+
+    /**
+     * 平移视口
+     * @param {number} deltaX 水平移动距离（屏幕像素）
+     * @param {number} deltaY 垂直移动距离（屏幕像素）
+     */
+    panBy(deltaX, deltaY) {
+        const { zoom, x, y } = this.viewport;
+        this.setViewport(zoom, x + deltaX, y + deltaY);
+    }
+
+    /**
+     * 缩放到整个画布适应视口（不超过 100%）
+     */
+    zoomToFit() {
+        this.zoomToRect({ x: 0, y: 0, width: this.canvas.width, height: this.canvas.height }, 1);
+    }
+
+    /**
+     * 缩放到 100%，保持视口中心的文档位置不变
+     */
+    zoomToActual() {
+        this.zoomAt(1);
+    }
+
+    /**
+     * 缩放到选中内容适应视口
+     */
+    zoomToSelection() {
+        if (this.selectedStickers.length === 0) return;
+
+        this.zoomToRect(new SelectionGroup(this.selectedStickers).getBounds(), ImageEditor.MAX_ZOOM);
+    }
+
+    /**
+     * 缩放并平移视口，使文档中的矩形区域居中显示在视口内
+     * @param {Object} rect 文档坐标中的矩形 {x, y, width, height}
+     * @param {number} maxZoom 缩放上限
+     */
+    zoomToRect(rect, maxZoom) {
+        const view = this.getViewportSize();
+        const padding = ImageEditor.VIEWPORT_PADDING;
+        const zoom = Math.min(
+            (view.width - padding * 2) / Math.max(1, rect.width),
+            (view.height - padding * 2) / Math.max(1, rect.height),
+            maxZoom
+        );
+
+        this.zoomAt(
+            zoom,
+            { x: view.width / 2, y: view.height / 2 },
+            { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 }
+        );
+    }
+
+    /**
+     * 把页面坐标转换为视口坐标
+     * @param {number} clientX 页面横坐标
+     * @param {number} clientY 页面纵坐标
+     * @returns {Object} {x, y}
+     */
+    clientToViewport(clientX, clientY) {
+        const rect = this.container.getBoundingClientRect();
+        return { x: clientX - rect.left, y: clientY - rect.top };
+    }
+
+    /**
+     * 把视口坐标转换为文档坐标
+     * @param {Object} point 视口坐标 {x, y}
+     * @returns {Object} {x, y}
+     */
+    viewportToDocument(point) {
+        const { zoom, x, y } = this.viewport;
+        return { x: (point.x - x) / zoom, y: (point.y - y) / zoom };
+    }
+
+    /**
+     * 显示Canvas
+     */
+    showCanvas() {
+        const placeholder = document.getElementById('canvasPlaceholder');
+        const canvas = document.getElementById('editCanvas');
+
+        if (placeholder) placeholder.classList.add('hidden');
+        if (canvas) canvas.classList.remove('hidden');
+        this.overlay.classList.remove('hidden');
+
+        // 启用工具按钮
+        document.getElementById('downloadBtn').disabled = false;
+    }
+
+    /**
+     * 添加贴纸
+     * @param {string} type 贴纸类型：'emoji'、'image'、'text' 或 'shape'
+     * @param {string|HTMLImageElement} data 贴纸数据
+     * @param {number} x X坐标（可选，默认居中）
+     * @param {number} y Y坐标（可选，默认居中）
+     * @param {Object} options 贴纸可选参数（如文字样式）；图片贴纸可用 size 指定最长边，
+     *                         未指定坐标时可用 center 指定贴纸中心（如拖放到画布上的位置）
+     * @returns {Sticker} 添加的贴纸
+     */
+    addSticker(type, data, x, y, options = {}) {
+        if (!this.originalImage) {
+            Utils.showToast('请先加载图片', 'error');
+            return null;
+        }
+
+        // 图片贴纸通过资源ID引用图片
+        if (type === 'image' && !options.assetId) {
+            options = { ...options, assetId: this.assets.idOf(data) };
+        }
+
+        // 创建贴纸
+        const sticker = Sticker.create(type, data, 0, 0, options);
+
+        // 如果是图片贴纸，调整尺寸：指定 size 时按最长边缩放，否则缩小到 120 像素以内
+        if (type === 'image' && data instanceof HTMLImageElement) {
+            const longest = Math.max(data.naturalWidth, data.naturalHeight);
+            const scale = options.size ? options.size / longest : Math.min(120 / longest, 1);
+            sticker.width = data.naturalWidth * scale;
+            sticker.height = data.naturalHeight * scale;
+        }
+
+        // 默认位置为画布中心
+        const bounds = sticker.getBounds();
+        const center = options.center || { x: this.canvas.width / 2, y: this.canvas.height / 2 };
+        sticker.x = x !== undefined ? x : center.x - bounds.width / 2;
+        sticker.y = y !== undefined ? y : center.y - bounds.height / 2;
+
+        // 添加到列表
+        this.stickers.push(sticker);
+
+        // 选中新贴纸
+        this.selectSticker(sticker);
+
+        // 重新渲染
+        this.renderCanvas();
+
+        // 保存状态
+        this.saveState(`添加 ${sticker.getDisplayName()}`);
+
+        return sticker;
+    }
+
+    /**
+     * 选中贴纸
+     * @param {Sticker} sticker 要选中的贴纸
+     */
+    selectSticker(sticker) {
+        this.setSelection(sticker ? [sticker] : []);
+    }
+
+    /**
+     * 设置选中的贴纸集合
+     * 隐藏或锁定的贴纸不会被选中
+     * @param {Sticker[]} stickers 要选中的贴纸
+     */
+    setSelection(stickers) {
+        // 选择组合外的贴纸时退出组合编辑
+        const exitsGroup = !!this.editingGroup && stickers.some(s => !this.editingGroup.children.includes(s));
+        if (exitsGroup) {
+            this.exitGroup();
+        }
+
+        // 取消其他贴纸的选中状态
+        this.stickers.forEach(s => s.deselect());
+
+        this.selectedStickers = stickers.filter((sticker, index) =>
+            sticker && sticker.visible && !sticker.locked && stickers.indexOf(sticker) === index
+        );
+        this.selectedStickers.forEach(sticker => sticker.select());
+
+        this.selectedSticker = this.selectedStickers.length === 1 ? this.selectedStickers[0] : null;
+        this.selectionGroup = this.selectedStickers.length > 1
+            ? new SelectionGroup(this.selectedStickers)
+            : null;
+
+        // 只有选择变化时重绘界面层即可；退出组合编辑时贴纸结构变化，需要整体重绘
+        if (exitsGroup) {
+            this.renderCanvas();
+        } else {
+            this.renderOverlay();
+        }
+
+        this.emit('selectionchange', this.selectedSticker);
+    }
+
+    /**
+     * 切换贴纸的选中状态（Shift/Cmd 点击）
+     * @param {Sticker} sticker 贴纸对象
+     */
+    toggleStickerSelection(sticker) {
+        if (this.selectedStickers.includes(sticker)) {
+            this.setSelection(this.selectedStickers.filter(s => s !== sticker));
+        } else {
+            this.setSelection([...this.selectedStickers, sticker]);
+        }
+    }
+
+    /**
+     * 选中所有可见且未锁定的贴纸
+     */
+    selectAll() {
+        this.setSelection(this.stickers.slice());
+    }
+
+    /**
+     * 判断贴纸是否被选中
+     * @param {Sticker} sticker 贴纸对象
+     * @returns {boolean}
+     */
+    isSelected(sticker) {
+        return this.selectedStickers.includes(sticker);
+    }
+
+    /**
+     * 获取当前的变换对象
+     * 单选时为贴纸本身，多选时为多选组
+     * @returns {Sticker|SelectionGroup|null}
+     */
+    getSelectionTarget() {
+        return this.selectedSticker || this.selectionGroup;
+    }
+
+    /**
+     * 从选择中移除指定贴纸
+     * @param {Sticker[]} stickers 要移除的贴纸
+     */
+    removeFromSelection(stickers) {
+        if (!stickers.some(sticker => this.isSelected(sticker))) return;
+        this.setSelection(this.selectedStickers.filter(s => !stickers.includes(s)));
+    }
+
+    /**
+     * 删除所有选中的贴纸（作为一步操作）
+     */
+    deleteSelected() {
+        if (this.selectedStickers.length === 0) return;
+
+        const toDelete = this.selectedStickers;
+        const label = `删除 ${this.describeStickers(toDelete)}`;
+
+        this.stickers = this.stickers.filter(sticker => !toDelete.includes(sticker));
+        this.setSelection([]);
+        this.renderCanvas();
+        this.saveState(label);
+    }
+
+    /**
+     * 复制所有选中的贴纸，并选中副本（作为一步操作）
+     * 副本按原有图层顺序插入到最上层
+     * @returns {Sticker[]} 新的贴纸
+     */
+    duplicateSelected() {
+        if (this.selectedStickers.length === 0) return [];
+
+        const clones = this.stickers
+            .filter(sticker => this.isSelected(sticker))
+            .map(sticker => sticker.clone());
+
+        this.stickers.push(...clones);
+        this.setSelection(clones);
+        this.renderCanvas();
+        this.saveState(`复制 ${this.describeStickers(clones)}`);
+
+        return clones;
+    }
+
+    /**
+     * 移动所有选中的贴纸
+     * 连续的微调会合并为一条历史记录
+     * @param {number} deltaX X偏移量
+     * @param {number} deltaY Y偏移量
+     */
+    moveSelected(deltaX, deltaY) {
+        const target = this.getSelectionTarget();
+        if (!target) return;
+
+        target.move(deltaX, deltaY);
+        this.renderCanvas();
+        this.saveSelectionState('移动', 'move');
+    }
+
+    /**
+     * 对齐选中的贴纸（按旋转后的包围盒）
+     * 多选时对齐到选择范围，只选中一个时对齐到画布
+     * @param {string} edge 'left'、'center'、'right'、'top'、'middle' 或 'bottom'
+     */
+    alignSelected(edge) {
+        const stickers = this.selectedStickers;
+        if (stickers.length === 0 || !Alignment.EDGES[edge]) return;
+
+        const reference = stickers.length > 1
+            ? new SelectionGroup(stickers).getBounds()
+            : { x: 0, y: 0, width: this.canvas.width, height: this.canvas.height };
+
+        this.applyOffsets(stickers, Alignment.getAlignOffsets(stickers.map(s => Alignment.getBox(s)), edge, reference));
+        this.saveSelectionState('对齐');
+    }
+
+    /**
+     * 等距分布选中的贴纸（至少三个），首尾两个保持不动
+     * @param {string} axis 'x' 为水平分布，'y' 为垂直分布
+     */
+    distributeSelected(axis) {
+        const stickers = this.selectedStickers;
+        if (stickers.length < 3) return;
+
+        this.applyOffsets(stickers, Alignment.getDistributeOffsets(stickers.map(s => Alignment.getBox(s)), axis));
+        this.saveSelectionState('分布');
+    }
+
+    /**
+     * 按偏移逐个移动贴纸并重新渲染
+     * @param {Sticker[]} stickers 贴纸数组
+     * @param {Object[]} offsets 与贴纸对应的偏移 {x, y}
+     */
+    applyOffsets(stickers, offsets) {
+        stickers.forEach((sticker, index) => sticker.move(offsets[index].x, offsets[index].y));
+        this.renderCanvas();
+    }
+
+    /**
+     * 把选中的贴纸编为一个组合（作为一步操作）
+     * 组合放在最上层成员原来的位置
+     * @returns {GroupSticker|null} 新的组合
+     */
+    groupSelected() {
+        if (this.selectedStickers.length < 2) return null;
+
+        const members = this.stickers.filter(sticker => this.isSelected(sticker));
+        const index = this.stickers.indexOf(members[members.length - 1]) - (members.length - 1);
+
+        this.stickers = this.stickers.filter(sticker => !members.includes(sticker));
+        const group = GroupSticker.fromStickers(members);
+        this.stickers.splice(index, 0, group);
+
+        this.setSelection([group]);
+        this.renderCanvas();
+        this.saveState('编组');
+
+        return group;
+    }
+
+    /**
+     * 取消选中组合的编组，并选中释放出的贴纸（作为一步操作）
+     */
+    ungroupSelected() {
+        const groups = this.selectedStickers.filter(sticker => sticker.type === 'group');
+        if (groups.length === 0) return;
+
+        let released = [];
+        groups.forEach(group => {
+            const children = group.releaseChildren();
+            this.stickers.splice(this.stickers.indexOf(group), 1, ...children);
+            released = released.concat(children);
+        });
+
+        const others = this.selectedStickers.filter(sticker => !groups.includes(sticker));
+        this.setSelection([...others, ...released]);
+        this.renderCanvas();
+        this.saveState('取消编组');
+    }
+
+    /**
+     * 进入组合编辑
+     * 子贴纸临时展开到画布上，可以单独选中和修改
+     * @param {GroupSticker} group 组合
+     */
+    enterGroup(group) {
+        if (this.editingGroup) {
+            this.exitGroup();
+        }
+
+        const index = this.stickers.indexOf(group);
+        if (index === -1) return;
+
+        const children = group.releaseChildren();
+        this.stickers.splice(index, 1, ...children);
+        this.editingGroup = { group, children };
+
+        this.setSelection([]);
+        this.renderCanvas();
+    }
+
+    /**
+     * 退出组合编辑，把仍然存在的子贴纸重新编组
+     * 组合保留原来的ID、名称和朝向；子贴纸全部删除时组合也随之删除
+     * @returns {GroupSticker|null} 重新生成的组合
+     */
+    exitGroup() {
+        if (!this.editingGroup) return null;
+
+        const { group, children } = this.editingGroup;
+        this.editingGroup = null;
+
+        const members = this.stickers.filter(sticker => children.includes(sticker));
+        if (members.length === 0) return null;
+
+        const index = this.stickers.indexOf(members[0]);
+        this.stickers = this.stickers.filter(sticker => !members.includes(sticker));
+
+        const rebuilt = GroupSticker.fromStickers(members, group.rotation, {
+            name: group.name,
+            effects: group.effects
+        });
+        rebuilt.id = group.id;
+        this.stickers.splice(index, 0, rebuilt);
+
+        // 子贴纸已不在顶层，从选择中移除
+        this.selectedStickers = this.selectedStickers.filter(sticker => !members.includes(sticker));
+
+        return rebuilt;
+    }
+
+    /**
+     * 序列化所有贴纸
+     * 组合编辑期间，展开的子贴纸按组合的形式保存，撤销后仍是完整的组合
+     * @returns {Object[]} 序列化数据
+     */
+    serializeStickers() {
+        if (!this.editingGroup) {
+            return this.stickers.map(sticker => sticker.serialize());
+        }
+
+        const { group, children } = this.editingGroup;
+        const members = this.stickers.filter(sticker => children.includes(sticker));
+        const result = [];
+
+        this.stickers.forEach(sticker => {
+            if (!members.includes(sticker)) {
+                result.push(sticker.serialize());
+            } else if (sticker === members[0]) {
+                // 使用副本编组，不影响正在编辑的子贴纸
+                const copies = members.map(member => Sticker.deserialize(member.serialize(), this.assets));
+                const snapshot = GroupSticker.fromStickers(copies, group.rotation, {
+                    name: group.name,
+                    effects: group.effects
+                });
+                snapshot.id = group.id;
+                result.push(snapshot.serialize());
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * 设置所有选中贴纸的透明度
+     * @param {number} opacity 透明度 (0-1)
+     * @param {boolean} commit 是否记录到历史（拖动滑块过程中为 false）
+     */
+    setSelectionOpacity(opacity, commit = true) {
+        const target = this.getSelectionTarget();
+        if (!target) return;
+
+        target.setOpacity(opacity);
+        this.renderCanvas();
+
+        if (commit) {
+            this.saveSelectionState('调整不透明度');
+        }
+    }
+
+    /**
+     * 修改所有选中贴纸的某个效果
+     * @param {string} key 效果名称，如 'shadow'
+     * @param {Object} values 要修改的参数（包括 enabled）
+     * @param {boolean} commit 是否记录到历史（拖动滑块过程中为 false）
+     */
+    setSelectionEffect(key, values, commit = true) {
+        const target = this.getSelectionTarget();
+        if (!target) return;
+
+        target.setEffect(key, values);
+        this.renderCanvas();
+
+        if (commit) {
+            const effect = StickerEffects.EFFECTS.find(e => e.key === key);
+            this.saveSelectionState(effect ? effect.label : '效果');
+        }
+    }
+
+    /**
+     * 修改选中图片贴纸的模切白边（其他类型的贴纸不受影响）
+     * @param {Object} values 要修改的参数
+     * @param {boolean} commit 是否记录历史（拖动滑块预览时为 false）
+     */
+    setSelectionDieCut(values, commit = true) {
+        const images = this.selectedStickers.filter(sticker => sticker.type === 'image');
+        if (images.length === 0) return;
+
+        images.forEach(sticker => sticker.setDieCut(values));
+        this.renderCanvas();
+
+        if (commit) {
+            this.saveSelectionState('贴纸白边');
+        }
+    }
+
+    /**
+     * 切换当前工具
+     * @param {string} tool 工具名称
+     */
+    setTool(tool) {
+        if (this.activeTool === tool) return;
+        if (tool === 'crop' && !this.originalImage) return;
+
+        const previous = this.activeTool;
+        this.activeTool = tool;
+
+        // 离开裁剪模式时放弃未应用的修改
+        if (previous === 'crop') {
+            this.cropDraft = null;
+            this.updateCanvasSize();
+        }
+
+        if (tool === 'crop') {
+            this.cropDraft = {
+                ...this.imageTransform,
+                crop: ImageTransform.getCrop(this.originalImage, this.imageTransform)
+            };
+            this.updateCanvasSize();
+        }
+
+        // 绘制和裁剪时取消选择，避免控制点遮挡画面
+        if (tool !== 'select') {
+            this.selectSticker(null);
+        }
+
+        this.renderCanvas();
+        this.emit('toolchange', tool);
+    }
+
+    /**
+     * 更新裁剪模式下正在编辑的变换
+     * @param {Object} transform 变换参数
+     */
+    setCropDraft(transform) {
+        if (!this.cropDraft) return;
+
+        const frameChanged = transform.rotation % 2 !== this.cropDraft.rotation % 2;
+        this.cropDraft = { ...transform, crop: { ...transform.crop } };
+
+        if (frameChanged) {
+            this.updateCanvasSize();
+        }
+        this.renderCanvas();
+    }
+
+    /**
+     * 应用裁剪模式中的修改并退出裁剪模式
+     */
+    applyCrop() {
+        if (!this.cropDraft) return;
+
+        const transform = this.cropDraft;
+        this.setTool('select');
+        this.setImageTransform(transform);
+    }
+
+    /**
+     * 设置背景图片的变换（作为一步操作）
+     * 贴纸随图片内容一起移动和旋转，保持与画面的相对位置
+     * @param {Object} transform 变换参数
+     * @param {string} label 历史记录名称
+     */
+    setImageTransform(transform, label = '裁剪和旋转') {
+        if (!this.originalImage) return;
+
+        const image = this.originalImage;
+        const from = this.imageTransform;
+        const to = ImageTransform.normalize(transform, image);
+        if (JSON.stringify(from) === JSON.stringify(to)) return;
+
+        const offset = { x: this.canvasFrame.left, y: this.canvasFrame.top };
+        this.stickers.forEach(sticker => {
+            const mapped = ImageTransform.mapSticker(sticker, image, from, to, offset);
+            const center = sticker.getCenter();
+            sticker.move(mapped.x - center.x, mapped.y - center.y);
+            sticker.rotation = mapped.rotation;
+        });
+
+        this.imageTransform = to;
+        this.updateCanvasSize();
+        this.renderCanvas();
+        this.saveState(label);
+    }
+
+    /**
+     * 设置画布边距和背景填充
+     * 左边距和上边距变化时贴纸随图片一起移动，保持与画面的相对位置
+     * @param {Object} frame 要修改的参数
+     * @param {boolean} commit 是否记录到历史（选择颜色、拖动滑块过程中为 false）
+     * @param {string} label 历史记录名称
+     */
+    setCanvasFrame(frame, commit = true, label = '画布') {
+        if (!this.originalImage) return;
+
+        const from = this.canvasFrame;
+        const to = CanvasFrame.normalize({ ...from, ...frame });
+
+        if (!CanvasFrame.equals(from, to)) {
+            const deltaX = to.left - from.left;
+            const deltaY = to.top - from.top;
+            if (deltaX || deltaY) {
+                this.stickers.forEach(sticker => sticker.move(deltaX, deltaY));
+            }
+
+            this.canvasFrame = to;
+            if (deltaX || deltaY || to.right !== from.right || to.bottom !== from.bottom) {
+                this.updateCanvasSize();
+            }
+            this.renderCanvas();
+        }
+
+        // 与上一条历史记录相同时（例如重复应用同一预设）不产生空记录；
+        // 拖动预览时画布已经改变，所以与已保存的状态比较
+        if (commit && !CanvasFrame.equals(this.currentState.canvasFrame, to)) {
+            this.saveState(label);
+        }
+    }
+
+    /**
+     * 删除贴纸
+     * @param {Sticker} sticker 要删除的贴纸
+     */
+    deleteSticker(sticker) {
+        const index = this.stickers.indexOf(sticker);
+        if (index > -1) {
+            this.stickers.splice(index, 1);
+
+            if (this.isSelected(sticker)) {
+                this.setSelection(this.selectedStickers.filter(s => s !== sticker));
+            }
+
+            this.renderCanvas();
+            this.saveState(`删除 ${sticker.getDisplayName()}`);
+        }
+    }
+
+    /**
+     * 调整贴纸的图层顺序
+     * @param {Sticker} sticker 贴纸对象
+     * @param {number} toIndex 目标索引（0 为最底层）
+     */
+    moveSticker(sticker, toIndex) {
+        const fromIndex = this.stickers.indexOf(sticker);
+        if (fromIndex === -1) return;
+
+        toIndex = Utils.clamp(toIndex, 0, this.stickers.length - 1);
+        if (toIndex === fromIndex) return;
+
+        this.stickers.splice(fromIndex, 1);
+        this.stickers.splice(toIndex, 0, sticker);
+
+        this.renderCanvas();
+        this.saveState(`调整顺序 ${sticker.getDisplayName()}`);
+    }
+
+    /**
+     * 上移一层
+     * @param {Sticker} sticker 贴纸对象
+     */
+    bringForward(sticker) {
+        this.moveSticker(sticker, this.stickers.indexOf(sticker) + 1);
+    }
+
+    /**
+     * 下移一层
+     * @param {Sticker} sticker 贴纸对象
+     */
+    sendBackward(sticker) {
+        this.moveSticker(sticker, this.stickers.indexOf(sticker) - 1);
+    }
+
+    /**
+     * 置于顶层
+     * @param {Sticker} sticker 贴纸对象
+     */
+    bringToFront(sticker) {
+        this.moveSticker(sticker, this.stickers.length - 1);
+    }
+
+    /**
+     * 置于底层
+     * @param {Sticker} sticker 贴纸对象
+     */
+    sendToBack(sticker) {
+        this.moveSticker(sticker, 0);
+    }
+
+    /**
+     * 显示或隐藏贴纸
+     * @param {Sticker} sticker 贴纸对象
+     * @param {boolean} visible 是否可见
+     */
+    setStickerVisible(sticker, visible) {
+        if (sticker.visible === visible) return;
+
+        sticker.visible = visible;
+
+        if (!visible) {
+            this.removeFromSelection([sticker]);
+        }
+
+        this.renderCanvas();
+        this.saveState(`${visible ? '显示' : '隐藏'} ${sticker.getDisplayName()}`);
+    }
+
+    /**
+     * 锁定或解锁贴纸，锁定后点击会穿透到下层
+     * @param {Sticker} sticker 贴纸对象
+     * @param {boolean} locked 是否锁定
+     */
+    setStickerLocked(sticker, locked) {
+        if (sticker.locked === locked) return;
+
+        sticker.locked = locked;
+
+        if (locked) {
+            this.removeFromSelection([sticker]);
+        }
+
+        this.renderCanvas();
+        this.saveState(`${locked ? '锁定' : '解锁'} ${sticker.getDisplayName()}`);
+    }
+
+    /**
+     * 重命名贴纸图层
+     * @param {Sticker} sticker 贴纸对象
+     * @param {string} name 新名称（为空时恢复默认名称）
+     */
+    renameSticker(sticker, name) {
+        const trimmed = name.trim();
+        if (sticker.name === trimmed) return;
+
+        sticker.name = trimmed;
+        this.saveState(`重命名 ${sticker.getDisplayName()}`);
+    }
+
+    /**
+     * 清除所有贴纸
+     */
+    clearStickers() {
+        this.stickers = [];
+        this.setSelection([]);
+        this.renderCanvas();
+        this.saveState('清除贴纸');
+    }
+
+    /**
+     * 根据坐标获取贴纸
+     * @param {number} x X坐标
+     * @param {number} y Y坐标
+     * @returns {Sticker|null} 贴纸对象或null
+     */
+    getStickerAt(x, y) {
+        // 从后往前遍历（后添加的在上层），隐藏和锁定的贴纸不响应点击
+        for (let i = this.stickers.length - 1; i >= 0; i--) {
+            const sticker = this.stickers[i];
+            if (!sticker.visible || sticker.locked) continue;
+            if (sticker.containsPoint(x, y)) {
+                return sticker;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 渲染整个画布（图片、贴纸和界面层）
+     */
+    renderCanvas() {
+        // 清空画布
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // 裁剪模式只显示整个画框，裁剪框在界面层
+        if (this.cropDraft) {
+            ImageTransform.draw(this.ctx, this.getBackgroundSource(), this.originalImage, this.cropDraft, false);
+            this.renderOverlay();
+            return;
+        }
+
+        // 绘制画布背景填充，以及边距之内的背景图片（应用调整参数和变换）
+        if (this.originalImage) {
+            const fill = this.getFrameFill();
+            if (fill) {
+                this.ctx.drawImage(fill, 0, 0, this.canvas.width, this.canvas.height);
+            }
+
+            this.ctx.save();
+            this.ctx.translate(this.canvasFrame.left, this.canvasFrame.top);
+            ImageTransform.draw(this.ctx, this.getBackgroundSource(), this.originalImage, this.imageTransform);
+            this.ctx.restore();
+        }
+
+        // 绘制所有可见贴纸
+        this.stickers.forEach(sticker => {
+            if (sticker.visible) {
+                this.drawSticker(sticker);
+            }
+        });
+
+        this.renderOverlay();
+
+        // 画布上有动画贴纸时继续播放
+        this.animationFrameKey = this.getAnimationFrameKey();
+        this.scheduleAnimation();
+    }
+
+    /**
+     * 当前播放时间下所有可见动画贴纸的帧标识，没有动画贴纸时为空字符串
+     * @returns {string}
+     */
+    getAnimationFrameKey() {
+        return this.stickers
+            .map(sticker => AnimatedImage.getFrameKey(sticker, this.animationTime))
+            .filter(Boolean)
+            .join(';');
+    }
+
+    /**
+     * 有动画贴纸时请求下一个显示帧
+     */
+    scheduleAnimation() {
+        if (this.animationFrameId === null && this.animationFrameKey) {
+            this.animationFrameId = requestAnimationFrame(this.tickAnimation);
+        }
+    }
+
+    /**
+     * 推进播放时间，有贴纸切换到新的帧时重绘画布
+     * 没有动画贴纸时停止，之后添加动画贴纸从停止时的时间继续播放
+     * @param {number} now 显示帧的时间戳（毫秒）
+     */
+    tickAnimation(now) {
+        this.animationFrameId = null;
+
+        if (this.animationStart === null) {
+            this.animationStart = now - this.animationTime;
+        }
+        this.animationTime = now - this.animationStart;
+
+        if (this.getAnimationFrameKey() !== this.animationFrameKey) {
+            this.renderCanvas();
+        } else {
+            this.scheduleAnimation();
+        }
     }
 
     /**
-     * 加载图片
-     * @param {File|HTMLImageElement} source 图片源
-     * @returns {Promise}
+     * 停止播放动画
      */
-    async loadImage(source) {
-        try {
-            let image;
+    stopAnimation() {
+        if (this.animationFrameId !== null) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
 
-            if (source instanceof File) {
-                const validation = Utils.validateImageFile(source);
-                if (!validation.valid) {
-                    throw new Error(validation.error);
-                }
-                image = await Utils.loadImageFile(source);
-            } else if (source instanceof HTMLImageElement) {
-                image = source;
-            } else {
-                throw new Error('不支持的图片源类型');
-            }
+        this.animationStart = null;
+        this.animationFrameKey = '';
+    }
 
-            this.originalImage = image;
+    /**
+     * 渲染界面层：选择框、控制点、悬停轮廓、框选矩形和裁剪框
+     * 界面层的上下文变换到画布坐标，线宽和控制点大小按屏幕像素换算，不随图片缩放
+     */
+    renderOverlay() {
+        const overlay = this.overlay;
+        const ctx = this.overlayCtx;
+
+        // 界面层由样式铺满视口，按视口尺寸和当前设备像素比分配像素
+        // （浏览器缩放或移到其他屏幕后在下次重绘时更新）
+        const pixelRatio = window.devicePixelRatio || 1;
+        const view = this.getViewportSize();
+        const width = Math.max(1, Math.round(view.width * pixelRatio));
+        const height = Math.max(1, Math.round(view.height * pixelRatio));
+
+        if (overlay.width !== width || overlay.height !== height) {
+            overlay.width = width;
+            overlay.height = height;
+        }
 
-            // 计算显示尺寸
-            const fitSize = Utils.calculateFitSize(
-                image.naturalWidth,
-                image.naturalHeight,
-                this.options.maxDisplayWidth,
-                this.options.maxDisplayHeight
-            );
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, width, height);
 
-            this.displayScale = fitSize.scale;
+        if (!this.originalImage) return;
 
-            // 设置Canvas尺寸
-            this.setupCanvas(image.naturalWidth, image.naturalHeight, fitSize);
+        const { zoom, x, y } = this.viewport;
+        ctx.setTransform(zoom * pixelRatio, 0, 0, zoom * pixelRatio, x * pixelRatio, y * pixelRatio);
 
-            // 清除现有贴纸
-            this.clearStickers();
+        if (this.cropDraft) {
+            this.drawCropOverlay(this.cropDraft.crop);
+            return;
+        }
 
-            // 渲染图片
-            this.renderCanvas();
+        // 悬停在未选中的贴纸上时显示轮廓
+        const hover = this.hoverSticker;
+        if (hover && this.activeTool === 'select' && hover.visible && !hover.selected && this.stickers.includes(hover)) {
+            this.drawHoverOutline(hover);
+        }
 
-            // 显示Canvas
-            this.showCanvas();
+        // 组合编辑期间显示组合范围
+        if (this.editingGroup) {
+            this.drawGroupEditingFrame();
+        }
 
-            // 保存状态
-            this.saveState();
+        // 绘制选中贴纸的控制点
+        if (this.selectedSticker) {
+            this.drawStickerControls(this.selectedSticker);
+        } else if (this.selectionGroup) {
+            // 多选：每个成员显示边框，整体显示控制点
+            this.selectedStickers.forEach(sticker => this.drawStickerBorder(sticker));
+            this.drawStickerControls(this.selectionGroup);
+        }
 
-            Utils.showToast('图片加载成功', 'success');
+        // 绘制框选矩形
+        if (this.marqueeRect) {
+            this.drawMarquee(this.marqueeRect);
+        }
 
-        } catch (error) {
-            console.error('图片加载失败:', error);
-            Utils.showToast(error.message, 'error');
-            throw error;
+        // 绘制吸附参考线
+        if (this.snapGuides.length > 0) {
+            this.drawSnapGuides(this.snapGuides);
         }
     }
 
     /**
-     * 设置Canvas尺寸和样式
-     * @param {number} imageWidth 图片宽度
-     * @param {number} imageHeight 图片高度
-     * @param {Object} fitSize 适应尺寸信息
+     * 获取一个屏幕像素（CSS 像素）对应的画布长度
+     * 界面元素按屏幕尺寸绘制和检测，无论图片多大看起来都一样大
+     * @returns {number}
      */
-    setupCanvas(imageWidth, imageHeight, fitSize) {
-        // 设置Canvas实际尺寸为图片原始尺寸
-        this.canvas.width = imageWidth;
-        this.canvas.height = imageHeight;
-
-        // 设置Canvas显示尺寸
-        this.canvas.style.width = fitSize.width + 'px';
-        this.canvas.style.height = fitSize.height + 'px';
-
-        // 设置高质量渲染
-        this.ctx.imageSmoothingEnabled = true;
-        this.ctx.imageSmoothingQuality = 'high';
+    getScreenPixelSize() {
+        return 1 / this.viewport.zoom;
     }
 
     /**
-     * 显示Canvas
+     * 设置鼠标悬停的贴纸，只重绘界面层
+     * @param {Sticker|null} sticker 贴纸对象
      */
-    showCanvas() {
-        const placeholder = document.getElementById('canvasPlaceholder');
-        const canvas = document.getElementById('editCanvas');
-
-        if (placeholder) placeholder.classList.add('hidden');
-        if (canvas) canvas.classList.remove('hidden');
+    setHoverSticker(sticker) {
+        if (this.hoverSticker === sticker) return;
 
-        // 启用工具按钮
-        document.getElementById('downloadBtn').disabled = false;
+        this.hoverSticker = sticker;
+        this.renderOverlay();
     }
 
     /**
-     * 添加贴纸
-     * @param {string} type 贴纸类型：'emoji' 或 'image'
-     * @param {string|HTMLImageElement} data 贴纸数据
-     * @param {number} x X坐标（可选，默认居中）
-     * @param {number} y Y坐标（可选，默认居中）
-     * @returns {Sticker} 添加的贴纸
+     * 获取用于显示的背景图片
+     * 有调整参数时返回按参数生成的预览图（缩小到预览尺寸），参数不变时复用缓存
+     * @returns {HTMLImageElement|HTMLCanvasElement}
      */
-    addSticker(type, data, x, y) {
-        if (!this.originalImage) {
-            Utils.showToast('请先加载图片', 'error');
-            return null;
+    getBackgroundSource() {
+        if (ImageAdjustments.isIdentity(this.adjustments)) {
+            return this.originalImage;
         }
 
-        // 默认位置为画布中心
-        if (x === undefined) {
-            x = this.canvas.width / 2 - 40;
-        }
-        if (y === undefined) {
-            y = this.canvas.height / 2 - 40;
+        const key = JSON.stringify(this.adjustments);
+        if (!this.adjustedBackground || this.adjustedBackground.key !== key) {
+            const image = this.originalImage;
+            const previewScale = Math.min(1, ImageAdjustments.PREVIEW_SIZE / Math.max(image.naturalWidth, image.naturalHeight));
+
+            this.adjustedBackground = {
+                key,
+                canvas: ImageAdjustments.apply(
+                    image,
+                    this.adjustments,
+                    image.naturalWidth * previewScale,
+                    image.naturalHeight * previewScale
+                )
+            };
         }
 
-        // 创建贴纸
-        const sticker = new Sticker(type, data, x, y);
+        return this.adjustedBackground.canvas;
+    }
 
-        // 如果是图片贴纸，调整尺寸
-        if (type === 'image' && data instanceof HTMLImageElement) {
-            const maxSize = 120;
-            const scale = Math.min(maxSize / data.naturalWidth, maxSize / data.naturalHeight, 1);
-            sticker.width = data.naturalWidth * scale;
-            sticker.height = data.naturalHeight * scale;
+    /**
+     * 获取用于显示的画布背景填充
+     * 按参数生成的填充图（缩小到预览尺寸）会被缓存，参数和画布尺寸不变时复用
+     * @returns {HTMLCanvasElement|null} 透明填充时为 null
+     */
+    getFrameFill() {
+        const frame = this.canvasFrame;
+        if (frame.fill === 'none') return null;
+
+        const { width, height } = this.canvas;
+        const blurKey = frame.fill === 'blur' ? [this.adjustments, this.imageTransform] : null;
+        const key = JSON.stringify([frame, width, height, blurKey]);
+
+        if (!this.frameFill || this.frameFill.key !== key) {
+            const previewScale = Math.min(1, ImageAdjustments.PREVIEW_SIZE / Math.max(width, height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(width * previewScale));
+            canvas.height = Math.max(1, Math.round(height * previewScale));
+
+            const ctx = canvas.getContext('2d');
+            ctx.scale(canvas.width / width, canvas.height / height);
+            CanvasFrame.drawFill(
+                ctx,
+                frame,
+                width,
+                height,
+                target => ImageTransform.draw(target, this.getBackgroundSource(), this.originalImage, this.imageTransform),
+                this.getImageSize()
+            );
+
+            this.frameFill = { key, canvas };
         }
 
-        // 添加到列表
-        this.stickers.push(sticker);
+        return this.frameFill.canvas;
+    }
 
-        // 选中新贴纸
-        this.selectSticker(sticker);
+    /**
+     * 设置背景图片的调整参数
+     * @param {Object} adjustments 调整参数（缺少的参数视为 0）
+     * @param {boolean} commit 是否记录到历史（拖动滑块过程中为 false）
+     * @param {string} label 历史记录名称
+     */
+    setAdjustments(adjustments, commit = true, label = '调整图片') {
+        if (!this.originalImage) return;
 
-        // 重新渲染
+        this.adjustments = ImageAdjustments.normalize(adjustments);
         this.renderCanvas();
 
-        // 保存状态
-        this.saveState();
-
-        return sticker;
+        if (commit) {
+            this.saveState(label);
+        }
     }
 
     /**
-     * 选中贴纸
-     * @param {Sticker} sticker 要选中的贴纸
+     * 绘制裁剪框：框外变暗，框内显示三分线，四角和四边显示控制点
+     * @param {Object} crop 裁剪矩形（画框坐标，即裁剪模式下的画布坐标）
      */
-    selectSticker(sticker) {
-        // 取消其他贴纸的选中状态
-        this.stickers.forEach(s => s.deselect());
-
-        // 选中指定贴纸
-        if (sticker) {
-            sticker.select();
-            this.selectedSticker = sticker;
-        } else {
-            this.selectedSticker = null;
+    drawCropOverlay(crop) {
+        const ctx = this.overlayCtx;
+        const lineWidth = this.getScreenPixelSize();
+        const handleSize = ImageEditor.CROP_HANDLE_SIZE * lineWidth;
+
+        ctx.save();
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.beginPath();
+        ctx.rect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.rect(crop.x, crop.y, crop.width, crop.height);
+        ctx.fill('evenodd');
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.lineWidth = lineWidth;
+        ctx.beginPath();
+        for (let i = 1; i < 3; i++) {
+            ctx.moveTo(crop.x + crop.width * i / 3, crop.y);
+            ctx.lineTo(crop.x + crop.width * i / 3, crop.y + crop.height);
+            ctx.moveTo(crop.x, crop.y + crop.height * i / 3);
+            ctx.lineTo(crop.x + crop.width, crop.y + crop.height * i / 3);
         }
+        ctx.stroke();
 
-        // 重新渲染
-        this.renderCanvas();
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = lineWidth * 2;
+        ctx.strokeRect(crop.x, crop.y, crop.width, crop.height);
+
+        ctx.fillStyle = '#FFFFFF';
+        ImageEditor.getCropHandles(crop).forEach(handle => {
+            ctx.fillRect(handle.x - handleSize / 2, handle.y - handleSize / 2, handleSize, handleSize);
+        });
+
+        ctx.restore();
     }
 
     /**
-     * 删除贴纸
-     * @param {Sticker} sticker 要删除的贴纸
+     * 获取裁剪框的控制点
+     * @param {Object} crop 裁剪矩形
+     * @returns {Object[]} {name, x, y}，name 为方位：'nw'、'n'、'ne'、'e'、'se'、's'、'sw'、'w'
      */
-    deleteSticker(sticker) {
-        const index = this.stickers.indexOf(sticker);
-        if (index > -1) {
-            this.stickers.splice(index, 1);
-
-            if (this.selectedSticker === sticker) {
-                this.selectedSticker = null;
-            }
+    static getCropHandles(crop) {
+        const left = crop.x;
+        const right = crop.x + crop.width;
+        const top = crop.y;
+        const bottom = crop.y + crop.height;
+        const centerX = left + crop.width / 2;
+        const centerY = top + crop.height / 2;
+
+        return [
+            { name: 'nw', x: left, y: top },
+            { name: 'n', x: centerX, y: top },
+            { name: 'ne', x: right, y: top },
+            { name: 'e', x: right, y: centerY },
+            { name: 'se', x: right, y: bottom },
+            { name: 's', x: centerX, y: bottom },
+            { name: 'sw', x: left, y: bottom },
+            { name: 'w', x: left, y: centerY }
+        ];
+    }
 
-            this.renderCanvas();
-            this.saveState();
-        }
+    /**
+     * 绘制正在编辑的组合的范围框
+     */
+    drawGroupEditingFrame() {
+        const members = this.stickers.filter(sticker => this.editingGroup.children.includes(sticker));
+        if (members.length === 0) return;
+
+        const ctx = this.overlayCtx;
+        const unit = this.getScreenPixelSize();
+        const bounds = new SelectionGroup(members).getBounds();
+        const padding = 12 * unit;
+
+        ctx.save();
+        ctx.strokeStyle = '#8E8E93';
+        ctx.lineWidth = unit;
+        ctx.setLineDash([6 * unit, 4 * unit]);
+        ctx.strokeRect(
+            bounds.x - padding,
+            bounds.y - padding,
+            bounds.width + padding * 2,
+            bounds.height + padding * 2
+        );
+        ctx.restore();
     }
 
     /**
-     * 清除所有贴纸
+     * 绘制框选矩形
+     * @param {Object} rect 矩形 {x, y, width, height}
      */
-    clearStickers() {
-        this.stickers = [];
-        this.selectedSticker = null;
-        this.renderCanvas();
-        this.saveState();
+    drawMarquee(rect) {
+        const ctx = this.overlayCtx;
+        const unit = this.getScreenPixelSize();
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 122, 255, 0.1)';
+        ctx.strokeStyle = '#007AFF';
+        ctx.lineWidth = unit;
+        ctx.setLineDash([4 * unit, 4 * unit]);
+        ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+        ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+        ctx.restore();
     }
 
     /**
-     * 根据坐标获取贴纸
-     * @param {number} x X坐标
-     * @param {number} y Y坐标
-     * @returns {Sticker|null} 贴纸对象或null
+     * 绘制吸附参考线：对齐线为实线，等间距的各段两端带短竖线
+     * @param {Object[]} guides 参考线 {x1, y1, x2, y2, type}
      */
-    getStickerAt(x, y) {
-        // 从后往前遍历（后添加的在上层）
-        for (let i = this.stickers.length - 1; i >= 0; i--) {
-            const sticker = this.stickers[i];
-            if (sticker.containsPoint(x, y)) {
-                return sticker;
+    drawSnapGuides(guides) {
+        const ctx = this.overlayCtx;
+        const unit = this.getScreenPixelSize();
+        const tick = 4 * unit;
+
+        ctx.save();
+        ctx.strokeStyle = Alignment.GUIDE_COLOR;
+        ctx.lineWidth = unit;
+        ctx.beginPath();
+
+        guides.forEach(guide => {
+            ctx.moveTo(guide.x1, guide.y1);
+            ctx.lineTo(guide.x2, guide.y2);
+
+            if (guide.type === 'gap') {
+                // 端点短线垂直于间距方向
+                const vertical = guide.x1 === guide.x2;
+                [[guide.x1, guide.y1], [guide.x2, guide.y2]].forEach(([x, y]) => {
+                    ctx.moveTo(vertical ? x - tick : x, vertical ? y : y - tick);
+                    ctx.lineTo(vertical ? x + tick : x, vertical ? y : y + tick);
+                });
             }
-        }
-        return null;
+        });
+
+        ctx.stroke();
+        ctx.restore();
     }
 
     /**
-     * 渲染整个画布
+     * 计算拖动选中贴纸时的吸附偏移，并记录要显示的参考线
+     * 吸附目标为画布和其他可见的未选中贴纸
+     * @param {Object} box 选中内容按指针位置移动后的包围盒
+     * @returns {Object} {x, y} 吸附需要追加的偏移
      */
-    renderCanvas() {
-        // 清空画布
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    getSnapOffset(box) {
+        const targets = this.stickers
+            .filter(sticker => sticker.visible && !this.isSelected(sticker))
+            .map(sticker => Alignment.getBox(sticker));
+        const area = { x: 0, y: 0, width: this.canvas.width, height: this.canvas.height };
 
-        // 绘制背景图片
-        if (this.originalImage) {
-            this.ctx.drawImage(
-                this.originalImage,
-                0, 0,
-                this.canvas.width,
-                this.canvas.height
-            );
-        }
+        const result = Alignment.snap(box, targets, area, Alignment.SNAP_DISTANCE * this.getScreenPixelSize());
+        this.snapGuides = result.guides;
 
-        // 绘制所有贴纸
-        this.stickers.forEach(sticker => {
-            this.drawSticker(sticker);
-        });
+        return { x: result.x, y: result.y };
+    }
 
-        // 绘制选中贴纸的控制点
-        if (this.selectedSticker) {
-            this.drawStickerControls(this.selectedSticker);
-        }
+    /**
+     * 隐藏吸附参考线
+     */
+    clearSnapGuides() {
+        if (this.snapGuides.length === 0) return;
+
+        this.snapGuides = [];
+        this.renderOverlay();
+    }
+
+    /**
+     * 获取与矩形相交的贴纸（用于框选）
+     * @param {Object} rect 矩形 {x, y, width, height}
+     * @returns {Sticker[]} 贴纸数组
+     */
+    getStickersInRect(rect) {
+        return this.stickers.filter(sticker => {
+            if (!sticker.visible || sticker.locked) return false;
+
+            const bounds = new SelectionGroup([sticker]).getBounds();
+            return !(bounds.x > rect.x + rect.width ||
+                     bounds.x + bounds.width < rect.x ||
+                     bounds.y > rect.y + rect.height ||
+                     bounds.y + bounds.height < rect.y);
+        });
     }
 
     /**
      * 绘制贴纸
      * @param {Sticker} sticker 贴纸对象
+     * @param {CanvasRenderingContext2D} ctx 绘图上下文（默认为编辑画布）
      */
-    drawSticker(sticker) {
-        this.ctx.save();
+    drawSticker(sticker, ctx = this.ctx) {
+        ctx.save();
 
-        // 设置透明度
-        this.ctx.globalAlpha = sticker.opacity;
+        // 设置透明度（组合中的子贴纸与组合透明度叠加）
+        ctx.globalAlpha *= sticker.opacity;
 
         // 计算变换
         const center = sticker.getCenter();
 
         // 移动到贴纸中心
-        this.ctx.translate(center.x, center.y);
+        ctx.translate(center.x, center.y);
 
         // 应用旋转
         if (sticker.rotation !== 0) {
-            this.ctx.rotate(sticker.rotation);
+            ctx.rotate(sticker.rotation);
         }
 
         // 应用缩放
-        this.ctx.scale(sticker.scale, sticker.scale);
+        ctx.scale(sticker.scale, sticker.scale);
+
+        if (StickerEffects.hasAny(sticker.effects)) {
+            const frameKey = AnimatedImage.getFrameKey(sticker, this.animationTime);
+            StickerEffects.draw(ctx, sticker, layerCtx => this.drawStickerContent(sticker, layerCtx), frameKey);
+        } else {
+            this.drawStickerContent(sticker, ctx);
+        }
+
+        ctx.restore();
+    }
 
+    /**
+     * 在已变换到贴纸中心的上下文中绘制贴纸内容
+     * 也用于图层缩略图等需要单独绘制贴纸的场景
+     * @param {Sticker} sticker 贴纸对象
+     * @param {CanvasRenderingContext2D} ctx 绘图上下文（默认为编辑画布）
+     */
+    drawStickerContent(sticker, ctx = this.ctx) {
         if (sticker.type === 'emoji') {
-            this.drawEmojiSticker(sticker);
+            this.drawEmojiSticker(sticker, ctx);
         } else if (sticker.type === 'image') {
-            this.drawImageSticker(sticker);
+            this.drawImageSticker(sticker, ctx);
+        } else if (sticker.type === 'text') {
+            this.drawTextSticker(sticker, ctx);
+        } else if (sticker.type === 'shape') {
+            this.drawShapeSticker(sticker, ctx);
+        } else if (sticker.type === 'stroke') {
+            this.drawBrushStroke(sticker, ctx);
+        } else if (sticker.type === 'group') {
+            this.drawGroupSticker(sticker, ctx);
         }
-
-        this.ctx.restore();
     }
 
     /**
      * 绘制Emoji贴纸
      * @param {Sticker} sticker 贴纸对象
+     * @param {CanvasRenderingContext2D} ctx 绘图上下文
      */
-    drawEmojiSticker(sticker) {
-        this.ctx.font = `${sticker.width}px "Apple Color Emoji", "Segoe UI Emoji", sans-serif`;
-        this.ctx.textAlign = 'center';
-        this.ctx.textBaseline = 'middle';
-        this.ctx.fillText(sticker.data, 0, 0);
+    drawEmojiSticker(sticker, ctx = this.ctx) {
+        ctx.font = `${sticker.width}px "Apple Color Emoji", "Segoe UI Emoji", sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(sticker.data, 0, 0);
     }
 
     /**
-     * 绘制图片贴纸
+     * 绘制图片贴纸（动画贴纸绘制当前播放时间的帧）
      * @param {Sticker} sticker 贴纸对象
+     * @param {CanvasRenderingContext2D} ctx 绘图上下文
      */
-    drawImageSticker(sticker) {
-        this.ctx.drawImage(
-            sticker.data,
+    drawImageSticker(sticker, ctx = this.ctx) {
+        DieCut.draw(ctx, sticker);
+        ctx.drawImage(
+            AnimatedImage.getFrame(sticker.data, this.animationTime),
             -sticker.width / 2,
             -sticker.height / 2,
             sticker.width,
@@ -344,116 +1659,273 @@ class ImageEditor {
         );
     }
 
+    /**
+     * 绘制文字贴纸
+     * @param {TextSticker} sticker 贴纸对象
+     * @param {CanvasRenderingContext2D} ctx 绘图上下文
+     */
+    drawTextSticker(sticker, ctx = this.ctx) {
+        sticker.drawContent(ctx);
+    }
+
+    /**
+     * 绘制形状贴纸
+     * @param {ShapeSticker} sticker 贴纸对象
+     * @param {CanvasRenderingContext2D} ctx 绘图上下文
+     */
+    drawShapeSticker(sticker, ctx = this.ctx) {
+        sticker.drawContent(ctx);
+    }
+
+    /**
+     * 绘制画笔笔迹
+     * @param {BrushStroke} sticker 笔迹对象
+     * @param {CanvasRenderingContext2D} ctx 绘图上下文
+     */
+    drawBrushStroke(sticker, ctx = this.ctx) {
+        sticker.drawContent(ctx);
+    }
+
+    /**
+     * 绘制组合贴纸
+     * 上下文已变换到组合中心，子贴纸按各自的本地变换依次绘制
+     * @param {GroupSticker} sticker 组合对象
+     * @param {CanvasRenderingContext2D} ctx 绘图上下文
+     */
+    drawGroupSticker(sticker, ctx = this.ctx) {
+        sticker.data.forEach(child => {
+            if (child.visible) {
+                this.drawSticker(child, ctx);
+            }
+        });
+    }
+
     /**
      * 绘制贴纸控制点
      * @param {Sticker} sticker 贴纸对象
      */
     drawStickerControls(sticker) {
-        const controlPoints = sticker.getControlPoints();
+        const ctx = this.overlayCtx;
+        const unit = this.getScreenPixelSize();
+        const controlPoints = sticker.getControlPoints(unit);
 
         // 绘制边框
         this.drawStickerBorder(sticker);
 
         // 绘制控制点
-        this.ctx.save();
-        this.ctx.fillStyle = '#007AFF';
-        this.ctx.strokeStyle = '#FFFFFF';
-        this.ctx.lineWidth = 2;
+        ctx.save();
+        ctx.fillStyle = '#007AFF';
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 2 * unit;
 
         Object.entries(controlPoints).forEach(([type, point]) => {
-            this.ctx.beginPath();
+            ctx.beginPath();
 
             if (type === 'delete') {
                 // 删除按钮 - 红色圆圈带X
-                this.ctx.fillStyle = '#FF3B30';
-                this.ctx.arc(point.x, point.y, 8, 0, Math.PI * 2);
-                this.ctx.fill();
-                this.ctx.stroke();
+                ctx.fillStyle = '#FF3B30';
+                ctx.arc(point.x, point.y, 8 * unit, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.stroke();
 
                 // 绘制X
-                this.ctx.strokeStyle = '#FFFFFF';
-                this.ctx.lineWidth = 2;
-                this.ctx.beginPath();
-                this.ctx.moveTo(point.x - 4, point.y - 4);
-                this.ctx.lineTo(point.x + 4, point.y + 4);
-                this.ctx.moveTo(point.x + 4, point.y - 4);
-                this.ctx.lineTo(point.x - 4, point.y + 4);
-                this.ctx.stroke();
+                const size = 4 * unit;
+                ctx.strokeStyle = '#FFFFFF';
+                ctx.lineWidth = 2 * unit;
+                ctx.beginPath();
+                ctx.moveTo(point.x - size, point.y - size);
+                ctx.lineTo(point.x + size, point.y + size);
+                ctx.moveTo(point.x + size, point.y - size);
+                ctx.lineTo(point.x - size, point.y + size);
+                ctx.stroke();
 
             } else if (type === 'rotation') {
                 // 旋转控制点 - 圆形
-                this.ctx.fillStyle = '#5AC8FA';
-                this.ctx.arc(point.x, point.y, 6, 0, Math.PI * 2);
-                this.ctx.fill();
-                this.ctx.stroke();
+                ctx.fillStyle = '#5AC8FA';
+                ctx.arc(point.x, point.y, 6 * unit, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.stroke();
 
             } else {
-                // 缩放控制点 - 正方形
-                this.ctx.fillStyle = '#007AFF';
-                this.ctx.fillRect(point.x - 6, point.y - 6, 12, 12);
-                this.ctx.strokeRect(point.x - 6, point.y - 6, 12, 12);
+                // 缩放控制点 - 随贴纸旋转的正方形，边中点的控制点较小
+                const handle = Sticker.RESIZE_HANDLES[type];
+                const half = (handle.x && handle.y ? 6 : 5) * unit;
+                ctx.save();
+                ctx.translate(point.x, point.y);
+                ctx.rotate(sticker.rotation);
+                ctx.fillStyle = '#007AFF';
+                ctx.fillRect(-half, -half, half * 2, half * 2);
+                ctx.strokeRect(-half, -half, half * 2, half * 2);
+                ctx.restore();
             }
 
-            this.ctx.strokeStyle = '#FFFFFF';
-            this.ctx.fillStyle = '#007AFF';
+            ctx.strokeStyle = '#FFFFFF';
+            ctx.fillStyle = '#007AFF';
         });
 
-        this.ctx.restore();
+        ctx.restore();
     }
 
     /**
-     * 绘制贴纸边框
+     * 绘制贴纸边框（随贴纸旋转）
      * @param {Sticker} sticker 贴纸对象
      */
     drawStickerBorder(sticker) {
-        const bounds = sticker.getBounds();
-        const padding = sticker.controlPointPadding;
+        const ctx = this.overlayCtx;
+        const unit = this.getScreenPixelSize();
+
+        ctx.save();
+        ctx.strokeStyle = '#007AFF';
+        ctx.lineWidth = 2 * unit;
+        ctx.setLineDash([5 * unit, 5 * unit]);
+        this.tracePolygon(ctx, sticker.getFrameCorners(unit));
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    /**
+     * 绘制悬停贴纸的轮廓（贴纸自身的旋转包围框，不含边距）
+     * @param {Sticker} sticker 贴纸对象
+     */
+    drawHoverOutline(sticker) {
+        const ctx = this.overlayCtx;
+
+        ctx.save();
+        ctx.strokeStyle = '#007AFF';
+        ctx.lineWidth = this.getScreenPixelSize();
+        this.tracePolygon(ctx, SelectionGroup.getStickerCorners(sticker));
+        ctx.stroke();
+        ctx.restore();
+    }
 
-        this.ctx.save();
-        this.ctx.strokeStyle = '#007AFF';
-        this.ctx.lineWidth = 2;
-        this.ctx.setLineDash([5, 5]);
+    /**
+     * 描出闭合多边形路径
+     * @param {CanvasRenderingContext2D} ctx 绘图上下文
+     * @param {Object[]} points 顶点
+     */
+    tracePolygon(ctx, points) {
+        ctx.beginPath();
+        points.forEach((point, index) => {
+            if (index === 0) {
+                ctx.moveTo(point.x, point.y);
+            } else {
+                ctx.lineTo(point.x, point.y);
+            }
+        });
+        ctx.closePath();
+    }
 
-        this.ctx.strokeRect(
-            bounds.x - padding,
-            bounds.y - padding,
-            bounds.width + padding * 2,
-            bounds.height + padding * 2
-        );
+    /**
+     * 把当前状态作为一条命令记录到历史
+     * 命令只保存与上一个快照的差异，撤销和重做时把差异的一侧应用到当前快照上
+     * @param {string} label 操作名称，显示在历史面板中
+     * @param {Object} options 可选参数
+     * @param {string} options.mergeKey 合并键，与上一条命令相同且间隔很短时合并为一条
+     */
+    saveState(label = '编辑', options = {}) {
+        const after = this.captureState();
+        const assets = this.assets;
+        let delta = DocumentDelta.diff(this.currentState, after);
+
+        // 命令持有差异中（变化的贴纸操作前后）引用的图片资源，被丢弃时释放
+        assets.retain(DocumentDelta.collectAssetIds(delta));
+
+        this.history.push({
+            label,
+            mergeKey: options.mergeKey || null,
+            timestamp: Date.now(),
+            undo: () => this.setCurrentState(DocumentDelta.apply(this.currentState, delta, 'before')),
+            redo: () => this.setCurrentState(DocumentDelta.apply(this.currentState, delta, 'after')),
+            merge: (command) => {
+                // 保留最早的操作前状态，改用新命令的操作后状态
+                const merged = DocumentDelta.merge(delta, command.delta);
+                assets.retain(DocumentDelta.collectAssetIds(merged));
+                assets.release(DocumentDelta.collectAssetIds(delta));
+                delta = merged;
+            },
+            dispose: () => assets.release(DocumentDelta.collectAssetIds(delta)),
+            delta
+        });
 
-        this.ctx.restore();
+        this.setCurrentState(after);
+        this.emit('statechange', after);
     }
 
     /**
-     * 保存当前状态到历史记录
+     * 记录针对当前选择的操作，名称中带上选中的贴纸
+     * @param {string} action 操作名称，如 '移动'
+     * @param {string} mergeKind 合并类型（可选），连续对同一选择的同类操作合并为一条
      */
-    saveState() {
-        const state = {
-            stickers: this.stickers.map(sticker => sticker.serialize()),
-            selectedStickerId: this.selectedSticker ? this.selectedSticker.id : null
-        };
+    saveSelectionState(action, mergeKind = null) {
+        const ids = this.selectedStickers.map(sticker => sticker.id).join(',');
 
-        // 清除当前位置之后的历史记录
-        this.history = this.history.slice(0, this.historyIndex + 1);
+        this.saveState(`${action} ${this.describeStickers(this.selectedStickers)}`, {
+            mergeKey: mergeKind ? `${mergeKind}:${ids}` : null
+        });
+    }
 
-        // 添加新状态
-        this.history.push(state);
+    /**
+     * 生成贴纸的简短描述，用于历史记录名称
+     * @param {Sticker[]} stickers 贴纸数组
+     * @returns {string}
+     */
+    describeStickers(stickers) {
+        return stickers.length === 1 ? stickers[0].getDisplayName() : `${stickers.length} 个贴纸`;
+    }
 
-        // 限制历史记录大小
-        if (this.history.length > this.maxHistorySize) {
-            this.history.shift();
-        } else {
-            this.historyIndex++;
+    /**
+     * 生成当前文档的快照
+     * @returns {Object} {stickers, adjustments, imageTransform, canvasFrame, selectedStickerIds, assetIds}
+     */
+    captureState() {
+        const stickers = this.serializeStickers();
+
+        return {
+            stickers,
+            adjustments: { ...this.adjustments },
+            imageTransform: Utils.deepClone(this.imageTransform),
+            canvasFrame: { ...this.canvasFrame },
+            selectedStickerIds: this.selectedStickers.map(sticker => sticker.id),
+            assetIds: AssetStore.collectIds(stickers)
+        };
+    }
+
+    /**
+     * 切换当前文档对应的快照，并转移其持有的图片资源
+     * @param {Object} state 快照
+     */
+    setCurrentState(state) {
+        // 先持有新快照的资源，避免两者共用的资源被提前释放
+        this.assets.retain(state.assetIds);
+        if (this.currentState) {
+            this.assets.release(this.currentState.assetIds);
         }
+        this.currentState = state;
+    }
+
+    /**
+     * 清空历史记录，以当前文档作为新的起点
+     */
+    clearHistory() {
+        this.history.clear();
+        this.setCurrentState(this.captureState());
+    }
+
+    /**
+     * 设置历史记录的最大步数
+     * @param {number} depth 最大步数
+     */
+    setHistoryDepth(depth) {
+        this.history.setMaxDepth(depth);
+        this.emit('statechange', this.currentState);
     }
 
     /**
      * 撤销操作
      */
     undo() {
-        if (this.historyIndex > 0) {
-            this.historyIndex--;
-            this.restoreState(this.history[this.historyIndex]);
+        if (this.history.undo()) {
+            this.restoreState(this.currentState);
         }
     }
 
@@ -461,9 +1933,18 @@ class ImageEditor {
      * 重做操作
      */
     redo() {
-        if (this.historyIndex < this.history.length - 1) {
-            this.historyIndex++;
-            this.restoreState(this.history[this.historyIndex]);
+        if (this.history.redo()) {
+            this.restoreState(this.currentState);
+        }
+    }
+
+    /**
+     * 跳转到历史记录中的指定位置
+     * @param {number} index 位置（0 为最早的状态）
+     */
+    goToHistory(index) {
+        if (this.history.goTo(index)) {
+            this.restoreState(this.currentState);
         }
     }
 
@@ -472,41 +1953,67 @@ class ImageEditor {
      * @param {Object} state 状态对象
      */
     restoreState(state) {
-        // 重建贴纸数组
-        this.stickers = state.stickers.map(stickerData => {
-            // 对于图片贴纸，需要从现有贴纸中找到对应的图片数据
-            let imageData = null;
-            if (stickerData.type === 'image') {
-                const existingSticker = this.stickers.find(s => s.id === stickerData.id);
-                if (existingSticker) {
-                    imageData = existingSticker.data;
-                }
-            }
-            return Sticker.deserialize(stickerData, imageData);
-        });
+        // 撤销等操作会放弃裁剪模式中未应用的修改
+        if (this.activeTool === 'crop') {
+            this.setTool('select');
+        }
 
-        // 恢复选中状态
-        this.selectedSticker = null;
-        if (state.selectedStickerId) {
-            this.selectedSticker = this.stickers.find(s => s.id === state.selectedStickerId) || null;
-            if (this.selectedSticker) {
-                this.selectedSticker.select();
+        // 变换或边距改变了文档尺寸时画布尺寸随之改变
+        if (this.originalImage) {
+            const previousSize = this.getDocumentSize();
+            this.imageTransform = Utils.deepClone(state.imageTransform || ImageTransform.getDefaults());
+            this.canvasFrame = CanvasFrame.normalize(state.canvasFrame);
+
+            const size = this.getDocumentSize();
+            if (size.width !== previousSize.width || size.height !== previousSize.height) {
+                this.updateCanvasSize();
             }
         }
 
-        // 重新渲染
+        // 重建贴纸数组，图片贴纸（包括组合中的）从资源仓库取得图片
+        this.stickers = state.stickers.map(stickerData => Sticker.deserialize(stickerData, this.assets));
+        this.adjustments = ImageAdjustments.normalize(state.adjustments);
+
+        // 历史中保存的是完整的组合，恢复后结束组合编辑
+        this.editingGroup = null;
+
+        // 恢复选中状态并重新渲染
+        const selectedIds = state.selectedStickerIds || [];
+        this.setSelection(this.stickers.filter(s => selectedIds.includes(s.id)));
         this.renderCanvas();
+
+        this.emit('statechange', state);
     }
 
     /**
      * 重置编辑器
      */
     reset() {
+        if (this.activeTool === 'crop') {
+            this.setTool('select');
+        }
+
+        if (this.backgroundAssetId) {
+            this.assets.release([this.backgroundAssetId]);
+        }
+
         this.originalImage = null;
+        this.backgroundAssetId = null;
+        this.adjustments = ImageAdjustments.getDefaults();
+        this.adjustedBackground = null;
+        this.imageTransform = ImageTransform.getDefaults();
+        this.canvasFrame = CanvasFrame.getDefaults();
+        this.frameFill = null;
         this.stickers = [];
+        this.selectedStickers = [];
         this.selectedSticker = null;
-        this.history = [];
-        this.historyIndex = -1;
+        this.selectionGroup = null;
+        this.marqueeRect = null;
+        this.hoverSticker = null;
+        this.snapGuides = [];
+        this.editingGroup = null;
+        this.stopAnimation();
+        this.clearHistory();
 
         // 隐藏Canvas
         const placeholder = document.getElementById('canvasPlaceholder');
@@ -514,11 +2021,13 @@ class ImageEditor {
 
         if (placeholder) placeholder.classList.remove('hidden');
         if (canvas) canvas.classList.add('hidden');
+        this.overlay.classList.add('hidden');
 
         // 禁用工具按钮
         document.getElementById('downloadBtn').disabled = true;
 
-        this.saveState();
+        this.emit('statechange', this.currentState);
+        this.emit('selectionchange', null);
     }
 
     /**
@@ -530,8 +2039,10 @@ class ImageEditor {
             hasImage: !!this.originalImage,
             stickerCount: this.stickers.length,
             selectedSticker: this.selectedSticker ? this.selectedSticker.id : null,
-            canUndo: this.historyIndex > 0,
-            canRedo: this.historyIndex < this.history.length - 1
+            canUndo: this.history.canUndo(),
+            canRedo: this.history.canRedo(),
+            undoLabel: this.history.getUndoLabel(),
+            redoLabel: this.history.getRedoLabel()
         };
     }
 
@@ -543,4 +2054,20 @@ class ImageEditor {
         this.canvas = null;
         this.ctx = null;
     }
-}
\ No newline at end of file
+}
+
+// 视口缩放范围
+ImageEditor.MIN_ZOOM = 0.05;
+ImageEditor.MAX_ZOOM = 8;
+
+// 放大、缩小按钮和快捷键每次缩放的倍数
+ImageEditor.ZOOM_STEP = 1.25;
+
+// 适应视口时四周留出的空白（屏幕像素）
+ImageEditor.VIEWPORT_PADDING = 24;
+
+// 平移时画布至少留在视口中的宽度（屏幕像素）
+ImageEditor.VIEWPORT_MARGIN = 48;
+
+// 裁剪框控制点的显示尺寸（屏幕像素）
+ImageEditor.CROP_HANDLE_SIZE = 10;
@@ -0,0 +1,399 @@
+/**
+ * 图片变换类
+ * 以参数形式描述背景图片的翻转、90° 旋转、微调角度和裁剪，原图始终保持不变。
+ *
+ * 变换顺序：原图以中心为原点先翻转，再旋转（90° 的倍数加微调角度），
+ * 放进按 90° 旋转后尺寸的画框；裁剪矩形以画框坐标（像素）表示，画布即裁剪区域
+ */
+
+class ImageTransform {
+    /**
+     * 获取默认参数（不做任何变换）
+     * @returns {Object} {rotation, straighten, flipX, flipY, crop}
+     */
+    static getDefaults() {
+        return {
+            rotation: 0,
+            straighten: 0,
+            flipX: false,
+            flipY: false,
+            crop: null
+        };
+    }
+
+    /**
+     * 补全参数并限制取值范围
+     * @param {Object} transform 变换参数
+     * @param {HTMLImageElement} image 原图
+     * @returns {Object} 完整的变换参数；裁剪为 null 表示整个画框
+     */
+    static normalize(transform, image) {
+        const settings = { ...ImageTransform.getDefaults(), ...(transform || {}) };
+        const result = {
+            rotation: ((Math.round(settings.rotation) % 4) + 4) % 4,
+            straighten: Utils.clamp(parseFloat(settings.straighten) || 0, -ImageTransform.MAX_STRAIGHTEN, ImageTransform.MAX_STRAIGHTEN),
+            flipX: !!settings.flipX,
+            flipY: !!settings.flipY,
+            crop: null
+        };
+
+        if (settings.crop) {
+            const frame = ImageTransform.getFrameSize(image, result);
+            const x = Utils.clamp(settings.crop.x, 0, frame.width - 1);
+            const y = Utils.clamp(settings.crop.y, 0, frame.height - 1);
+
+            result.crop = {
+                x,
+                y,
+                width: Utils.clamp(settings.crop.width, 1, frame.width - x),
+                height: Utils.clamp(settings.crop.height, 1, frame.height - y)
+            };
+        }
+
+        return result;
+    }
+
+    /**
+     * 判断参数是否等同于不变换
+     * @param {Object} transform 变换参数
+     * @returns {boolean}
+     */
+    static isIdentity(transform) {
+        return !transform.rotation && !transform.straighten && !transform.flipX && !transform.flipY && !transform.crop;
+    }
+
+    /**
+     * 获取画框尺寸（原图按 90° 旋转后的尺寸）
+     * @param {HTMLImageElement} image 原图
+     * @param {Object} transform 变换参数
+     * @returns {Object} {width, height}
+     */
+    static getFrameSize(image, transform) {
+        const swap = transform.rotation % 2 === 1;
+        return {
+            width: swap ? image.naturalHeight : image.naturalWidth,
+            height: swap ? image.naturalWidth : image.naturalHeight
+        };
+    }
+
+    /**
+     * 获取裁剪矩形（未裁剪时为整个画框）
+     * @param {HTMLImageElement} image 原图
+     * @param {Object} transform 变换参数
+     * @returns {Object} {x, y, width, height}
+     */
+    static getCrop(image, transform) {
+        if (transform.crop) {
+            return { ...transform.crop };
+        }
+
+        const frame = ImageTransform.getFrameSize(image, transform);
+        return { x: 0, y: 0, width: frame.width, height: frame.height };
+    }
+
+    /**
+     * 获取变换后的图片尺寸（即裁剪尺寸，取整）
+     * @param {HTMLImageElement} image 原图
+     * @param {Object} transform 变换参数
+     * @returns {Object} {width, height}
+     */
+    static getOutputSize(image, transform) {
+        const crop = ImageTransform.getCrop(image, transform);
+        return {
+            width: Math.max(1, Math.round(crop.width)),
+            height: Math.max(1, Math.round(crop.height))
+        };
+    }
+
+    /**
+     * 获取总旋转角度
+     * @param {Object} transform 变换参数
+     * @returns {number} 弧度
+     */
+    static getAngle(transform) {
+        return transform.rotation * Math.PI / 2 + Utils.degreesToRadians(transform.straighten);
+    }
+
+    /**
+     * 按变换绘制背景图片
+     * @param {CanvasRenderingContext2D} ctx 绘图上下文（原点为画布左上角）
+     * @param {HTMLImageElement|HTMLCanvasElement} source 要绘制的图片（可以是缩小的预览图）
+     * @param {HTMLImageElement} image 原图，用于确定尺寸
+     * @param {Object} transform 变换参数
+     * @param {boolean} useCrop 是否按裁剪区域定位（否则绘制整个画框）
+     */
+    static draw(ctx, source, image, transform, useCrop = true) {
+        const frame = ImageTransform.getFrameSize(image, transform);
+        const crop = useCrop ? ImageTransform.getCrop(image, transform) : { x: 0, y: 0 };
+
+        ctx.save();
+        ctx.translate(frame.width / 2 - crop.x, frame.height / 2 - crop.y);
+        ctx.rotate(ImageTransform.getAngle(transform));
+        ctx.scale(transform.flipX ? -1 : 1, transform.flipY ? -1 : 1);
+        ctx.drawImage(
+            source,
+            -image.naturalWidth / 2,
+            -image.naturalHeight / 2,
+            image.naturalWidth,
+            image.naturalHeight
+        );
+        ctx.restore();
+    }
+
+    /**
+     * 把原图坐标转换为画布坐标
+     * @param {Object} point 原图坐标 {x, y}
+     * @param {HTMLImageElement} image 原图
+     * @param {Object} transform 变换参数
+     * @returns {Object} 画布坐标 {x, y}
+     */
+    static toCanvas(point, image, transform) {
+        const frame = ImageTransform.getFrameSize(image, transform);
+        const crop = ImageTransform.getCrop(image, transform);
+        const angle = ImageTransform.getAngle(transform);
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+
+        const dx = (point.x - image.naturalWidth / 2) * (transform.flipX ? -1 : 1);
+        const dy = (point.y - image.naturalHeight / 2) * (transform.flipY ? -1 : 1);
+
+        return {
+            x: cos * dx - sin * dy + frame.width / 2 - crop.x,
+            y: sin * dx + cos * dy + frame.height / 2 - crop.y
+        };
+    }
+
+    /**
+     * 把画布坐标转换为原图坐标
+     * @param {Object} point 画布坐标 {x, y}
+     * @param {HTMLImageElement} image 原图
+     * @param {Object} transform 变换参数
+     * @returns {Object} 原图坐标 {x, y}
+     */
+    static fromCanvas(point, image, transform) {
+        const frame = ImageTransform.getFrameSize(image, transform);
+        const crop = ImageTransform.getCrop(image, transform);
+        const angle = ImageTransform.getAngle(transform);
+        const cos = Math.cos(-angle);
+        const sin = Math.sin(-angle);
+
+        const dx = point.x + crop.x - frame.width / 2;
+        const dy = point.y + crop.y - frame.height / 2;
+
+        return {
+            x: (cos * dx - sin * dy) * (transform.flipX ? -1 : 1) + image.naturalWidth / 2,
+            y: (sin * dx + cos * dy) * (transform.flipY ? -1 : 1) + image.naturalHeight / 2
+        };
+    }
+
+    /**
+     * 计算变换修改后贴纸的新位置和旋转角度，使贴纸跟随图片内容
+     * 翻转时贴纸本身不镜像，而是取最接近原朝向的角度，文字仍然可读
+     * @param {Sticker} sticker 贴纸对象
+     * @param {HTMLImageElement} image 原图
+     * @param {Object} from 修改前的变换
+     * @param {Object} to 修改后的变换
+     * @param {Object} offset 图片在画布中的位置（画布边距），默认为原点
+     * @returns {Object} {x, y, rotation} 新的中心点和旋转角度
+     */
+    static mapSticker(sticker, image, from, to, offset = { x: 0, y: 0 }) {
+        const center = sticker.getCenter();
+        const axis = {
+            x: center.x + Math.cos(sticker.rotation),
+            y: center.y + Math.sin(sticker.rotation)
+        };
+
+        const map = point => {
+            const local = { x: point.x - offset.x, y: point.y - offset.y };
+            const mapped = ImageTransform.toCanvas(ImageTransform.fromCanvas(local, image, from), image, to);
+            return { x: mapped.x + offset.x, y: mapped.y + offset.y };
+        };
+        const newCenter = map(center);
+        const newAxis = map(axis);
+
+        let rotation = Math.atan2(newAxis.y - newCenter.y, newAxis.x - newCenter.x);
+
+        // 翻转次数为奇数时是镜像：在保持 X 轴和保持 Y 轴两种朝向中取更接近的一个
+        const mirrored = (from.flipX !== to.flipX) !== (from.flipY !== to.flipY);
+        if (mirrored) {
+            const expected = sticker.rotation + ImageTransform.getAngle(to) - ImageTransform.getAngle(from);
+            const flipped = rotation + Math.PI;
+            const distance = angle => Math.abs(Utils.normalizeAngle(angle - expected));
+            if (distance(flipped) < distance(rotation)) {
+                rotation = flipped;
+            }
+        }
+
+        return { x: newCenter.x, y: newCenter.y, rotation: Utils.normalizeAngle(rotation) };
+    }
+
+    /**
+     * 判断裁剪矩形是否完全落在（微调角度后的）图片内
+     * @param {Object} crop 裁剪矩形
+     * @param {HTMLImageElement} image 原图
+     * @param {Object} transform 变换参数
+     * @returns {boolean}
+     */
+    static containsCrop(crop, image, transform) {
+        return ImageTransform.getFitScale(crop, image, transform) >= 1 - 1e-6;
+    }
+
+    /**
+     * 计算裁剪矩形以自身中心缩放时，能完全落在图片内的最大倍数
+     * @param {Object} crop 裁剪矩形
+     * @param {HTMLImageElement} image 原图
+     * @param {Object} transform 变换参数
+     * @returns {number} 倍数；中心不在图片内时为 0
+     */
+    static getFitScale(crop, image, transform) {
+        const frame = ImageTransform.getFrameSize(image, transform);
+        const angle = -Utils.degreesToRadians(transform.straighten);
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const rotate = (x, y) => ({ x: cos * x - sin * y, y: sin * x + cos * y });
+
+        const halfW = frame.width / 2;
+        const halfH = frame.height / 2;
+        const center = rotate(crop.x + crop.width / 2 - halfW, crop.y + crop.height / 2 - halfH);
+
+        if (Math.abs(center.x) > halfW + 1e-6 || Math.abs(center.y) > halfH + 1e-6) {
+            return 0;
+        }
+
+        let scale = Infinity;
+        [[-1, -1], [1, -1], [1, 1], [-1, 1]].forEach(([sx, sy]) => {
+            const corner = rotate(sx * crop.width / 2, sy * crop.height / 2);
+            if (corner.x !== 0) {
+                scale = Math.min(scale, (halfW - Math.sign(corner.x) * center.x) / Math.abs(corner.x));
+            }
+            if (corner.y !== 0) {
+                scale = Math.min(scale, (halfH - Math.sign(corner.y) * center.y) / Math.abs(corner.y));
+            }
+        });
+
+        return Math.max(0, scale);
+    }
+
+    /**
+     * 以中心缩小裁剪矩形，使其落在图片内（已在图片内时不变）
+     * @param {Object} crop 裁剪矩形
+     * @param {HTMLImageElement} image 原图
+     * @param {Object} transform 变换参数
+     * @returns {Object} 裁剪矩形
+     */
+    static fitCrop(crop, image, transform) {
+        let rect = { ...crop };
+
+        // 中心落在图片外时先移回画框中心
+        if (ImageTransform.getFitScale(rect, image, transform) === 0) {
+            const frame = ImageTransform.getFrameSize(image, transform);
+            rect.x = (frame.width - rect.width) / 2;
+            rect.y = (frame.height - rect.height) / 2;
+        }
+
+        const scale = ImageTransform.getFitScale(rect, image, transform);
+        if (scale >= 1) return rect;
+
+        const centerX = rect.x + rect.width / 2;
+        const centerY = rect.y + rect.height / 2;
+        rect = {
+            width: rect.width * scale,
+            height: rect.height * scale
+        };
+        rect.x = centerX - rect.width / 2;
+        rect.y = centerY - rect.height / 2;
+
+        return rect;
+    }
+
+    /**
+     * 生成指定比例、位于画框中央的最大裁剪矩形
+     * @param {number|null} ratio 宽高比，null 表示整个画框
+     * @param {HTMLImageElement} image 原图
+     * @param {Object} transform 变换参数
+     * @returns {Object} 裁剪矩形
+     */
+    static getAspectCrop(ratio, image, transform) {
+        const frame = ImageTransform.getFrameSize(image, transform);
+        let width = frame.width;
+        let height = frame.height;
+
+        if (ratio) {
+            if (width / height > ratio) {
+                width = height * ratio;
+            } else {
+                height = width / ratio;
+            }
+        }
+
+        return ImageTransform.fitCrop({
+            x: (frame.width - width) / 2,
+            y: (frame.height - height) / 2,
+            width,
+            height
+        }, image, transform);
+    }
+
+    /**
+     * 顺时针或逆时针旋转 90°，裁剪矩形随画面一起旋转
+     * @param {Object} transform 变换参数（crop 必须有值）
+     * @param {HTMLImageElement} image 原图
+     * @param {number} direction 1 为顺时针，-1 为逆时针
+     * @returns {Object} 新的变换参数
+     */
+    static rotate(transform, image, direction) {
+        const frame = ImageTransform.getFrameSize(image, transform);
+        const { x, y, width, height } = transform.crop;
+
+        const crop = direction > 0
+            ? { x: frame.height - y - height, y: x, width: height, height: width }
+            : { x: y, y: frame.width - x - width, width: height, height: width };
+
+        return {
+            ...transform,
+            rotation: (transform.rotation + (direction > 0 ? 1 : 3)) % 4,
+            crop
+        };
+    }
+
+    /**
+     * 按当前显示的方向水平或垂直翻转，裁剪矩形随画面一起翻转
+     * 画面镜像等同于先镜像原图、再按相反的角度旋转
+     * @param {Object} transform 变换参数（crop 必须有值）
+     * @param {HTMLImageElement} image 原图
+     * @param {string} axis 'horizontal' 或 'vertical'
+     * @returns {Object} 新的变换参数
+     */
+    static flip(transform, image, axis) {
+        const frame = ImageTransform.getFrameSize(image, transform);
+        const crop = { ...transform.crop };
+        const horizontal = axis === 'horizontal';
+
+        if (horizontal) {
+            crop.x = frame.width - crop.x - crop.width;
+        } else {
+            crop.y = frame.height - crop.y - crop.height;
+        }
+
+        return {
+            ...transform,
+            rotation: (4 - transform.rotation) % 4,
+            straighten: -transform.straighten,
+            flipX: horizontal ? !transform.flipX : transform.flipX,
+            flipY: horizontal ? transform.flipY : !transform.flipY,
+            crop
+        };
+    }
+}
+
+// 微调角度的范围（度）
+ImageTransform.MAX_STRAIGHTEN = 45;
+
+// 裁剪比例
+ImageTransform.ASPECT_RATIOS = [
+    { id: 'free', label: '自由', ratio: null },
+    { id: '1:1', label: '1:1', ratio: 1 },
+    { id: '4:5', label: '4:5', ratio: 4 / 5 },
+    { id: '9:16', label: '9:16', ratio: 9 / 16 },
+    { id: '16:9', label: '16:9', ratio: 16 / 9 }
+];
@@ -0,0 +1,101 @@
+/**
+ * IndexedDB 对象仓库类
+ * 打开只含一个对象仓库的数据库并在其上执行请求，供自动保存、贴纸包和我的贴纸共用。
+ * 数据库被其他标签页的旧连接阻塞时打开失败；数据库需要升级（versionchange）时关闭当前连接，
+ * 下次请求时重新打开
+ */
+
+class IndexedDBStore {
+    /**
+     * 构造函数
+     * @param {string} dbName 数据库名称
+     * @param {string} storeName 对象仓库名称
+     * @param {Object} storeOptions 创建对象仓库的选项（如 keyPath）
+     */
+    constructor(dbName, storeName, storeOptions = {}) {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.storeOptions = storeOptions;
+        this.db = null;
+    }
+
+    /**
+     * 是否支持 IndexedDB
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * 打开数据库
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (this.db) {
+            return Promise.resolve(this.db);
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, IndexedDBStore.VERSION);
+            let blocked = false;
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName, this.storeOptions);
+                }
+            };
+
+            request.onblocked = () => {
+                blocked = true;
+                reject(new Error('数据库被其他标签页占用，请关闭其他标签页后重试'));
+            };
+
+            request.onsuccess = () => {
+                const db = request.result;
+
+                // 阻塞解除时本次请求已经失败，不再保留这个连接
+                if (blocked) {
+                    db.close();
+                    return;
+                }
+
+                // 其他标签页要升级数据库时让出连接
+                db.onversionchange = () => {
+                    db.close();
+                    if (this.db === db) {
+                        this.db = null;
+                    }
+                };
+
+                this.db = db;
+                resolve(db);
+            };
+
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * 在对象仓库上执行一次请求
+     * @param {string} mode 事务模式：'readonly' 或 'readwrite'
+     * @param {Function} operation 接收对象仓库并返回请求的函数
+     * @returns {Promise<*>} 请求结果
+     */
+    async run(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('事务已中止'));
+        });
+    }
+}
+
+// 数据库版本
+IndexedDBStore.VERSION = 1;
@@ -0,0 +1,413 @@
+/**
+ * 图层面板类
+ * 以列表形式展示贴纸图层，支持缩略图、拖拽排序、显示/隐藏、锁定和重命名
+ */
+
+class LayerPanel {
+    /**
+     * 构造函数
+     * @param {ImageEditor} editor 编辑器实例
+     */
+    constructor(editor) {
+        this.editor = editor;
+        this.elements = {};
+
+        // 缩略图尺寸（CSS像素）
+        this.thumbnailSize = 36;
+
+        // 拖拽排序状态
+        this.dragState = null;
+
+        this.refresh = this.refresh.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+
+        this.initialize();
+    }
+
+    /**
+     * 初始化面板
+     */
+    initialize() {
+        this.getElements();
+        this.bindEvents();
+
+        this.editor.on('statechange', this.refresh);
+        this.editor.on('selectionchange', this.refresh);
+
+        this.refresh();
+    }
+
+    /**
+     * 获取DOM元素引用
+     */
+    getElements() {
+        this.elements = {
+            layerList: document.getElementById('layerList'),
+            orderBtns: document.querySelectorAll('.layer-order-btn'),
+            groupBtns: document.querySelectorAll('.layer-group-btn'),
+            alignBtns: document.querySelectorAll('.layer-align-btn'),
+            opacity: document.getElementById('layerOpacity')
+        };
+    }
+
+    /**
+     * 绑定事件处理器
+     */
+    bindEvents() {
+        const { layerList, orderBtns, groupBtns, alignBtns, opacity } = this.elements;
+
+        // 图层顺序按钮
+        orderBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                const sticker = this.editor.selectedSticker;
+                if (!sticker) return;
+
+                switch (btn.dataset.order) {
+                    case 'front': this.editor.bringToFront(sticker); break;
+                    case 'forward': this.editor.bringForward(sticker); break;
+                    case 'backward': this.editor.sendBackward(sticker); break;
+                    case 'back': this.editor.sendToBack(sticker); break;
+                }
+            });
+        });
+
+        // 编组/取消编组按钮
+        groupBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (btn.dataset.group === 'group') {
+                    this.editor.groupSelected();
+                } else {
+                    this.editor.ungroupSelected();
+                }
+            });
+        });
+
+        // 对齐和分布按钮
+        alignBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (btn.dataset.align) {
+                    this.editor.alignSelected(btn.dataset.align);
+                } else {
+                    this.editor.distributeSelected(btn.dataset.distribute);
+                }
+            });
+        });
+
+        // 不透明度作用于所有选中的贴纸：拖动时预览，松开后记录历史
+        opacity.addEventListener('input', () => {
+            this.editor.setSelectionOpacity(parseFloat(opacity.value), false);
+        });
+        opacity.addEventListener('change', () => {
+            this.editor.setSelectionOpacity(parseFloat(opacity.value));
+        });
+
+        // 列表项点击（事件委托）
+        layerList.addEventListener('click', (e) => {
+            const item = e.target.closest('.layer-item');
+            if (!item) return;
+
+            const sticker = this.findSticker(item.dataset.id);
+            if (!sticker) return;
+
+            const action = e.target.closest('[data-action]');
+            if (action) {
+                this.handleAction(action.dataset.action, sticker);
+                return;
+            }
+
+            // 隐藏或锁定的图层不能在画布上选中
+            if (!sticker.visible || sticker.locked) return;
+
+            // Shift 或 Cmd/Ctrl 点击增减选择
+            if (e.shiftKey || e.metaKey || e.ctrlKey) {
+                this.editor.toggleStickerSelection(sticker);
+            } else {
+                this.editor.selectSticker(sticker);
+            }
+        });
+
+        // 双击名称重命名
+        layerList.addEventListener('dblclick', (e) => {
+            const nameEl = e.target.closest('.layer-name');
+            if (!nameEl) return;
+
+            const item = nameEl.closest('.layer-item');
+            const sticker = this.findSticker(item.dataset.id);
+            if (sticker) {
+                this.startRename(nameEl, sticker);
+            }
+        });
+
+        // 拖拽手柄排序
+        layerList.addEventListener('pointerdown', (e) => {
+            const handle = e.target.closest('.layer-handle');
+            if (!handle) return;
+
+            e.preventDefault();
+            this.startDrag(handle.closest('.layer-item'), e);
+        });
+    }
+
+    /**
+     * 根据ID查找贴纸
+     * @param {string} id 贴纸ID
+     * @returns {Sticker|undefined}
+     */
+    findSticker(id) {
+        return this.editor.stickers.find(sticker => sticker.id === id);
+    }
+
+    /**
+     * 处理图层项上的操作按钮
+     * @param {string} action 操作类型
+     * @param {Sticker} sticker 贴纸对象
+     */
+    handleAction(action, sticker) {
+        if (action === 'toggle-visible') {
+            this.editor.setStickerVisible(sticker, !sticker.visible);
+        } else if (action === 'toggle-lock') {
+            this.editor.setStickerLocked(sticker, !sticker.locked);
+        }
+    }
+
+    /**
+     * 重新生成图层列表
+     * 列表自上而下对应从顶层到底层
+     */
+    refresh() {
+        // 拖拽过程中不重建列表
+        if (this.dragState || !this.editor) return;
+
+        const { layerList } = this.elements;
+        layerList.innerHTML = '';
+
+        this.syncOpacity();
+        this.syncAlignButtons();
+
+        if (this.editor.stickers.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'layer-empty';
+            empty.textContent = '暂无图层';
+            layerList.appendChild(empty);
+            return;
+        }
+
+        for (let i = this.editor.stickers.length - 1; i >= 0; i--) {
+            layerList.appendChild(this.createLayerItem(this.editor.stickers[i]));
+        }
+    }
+
+    /**
+     * 同步对齐和分布按钮：对齐至少需要选中一个，分布至少需要三个
+     */
+    syncAlignButtons() {
+        const count = this.editor.selectedStickers.length;
+
+        this.elements.alignBtns.forEach(btn => {
+            btn.disabled = btn.dataset.align ? count === 0 : count < 3;
+        });
+    }
+
+    /**
+     * 同步不透明度滑块
+     * 多选时显示第一个选中贴纸的值
+     */
+    syncOpacity() {
+        const { opacity } = this.elements;
+        const selected = this.editor.selectedStickers;
+
+        opacity.disabled = selected.length === 0;
+        opacity.value = selected.length > 0 ? selected[0].opacity : 1;
+    }
+
+    /**
+     * 创建图层列表项
+     * @param {Sticker} sticker 贴纸对象
+     * @returns {HTMLElement}
+     */
+    createLayerItem(sticker) {
+        const item = document.createElement('div');
+        item.className = 'layer-item';
+        item.dataset.id = sticker.id;
+        item.classList.toggle('selected', this.editor.isSelected(sticker));
+        item.classList.toggle('is-hidden', !sticker.visible);
+        item.classList.toggle('is-locked', sticker.locked);
+
+        const handle = document.createElement('span');
+        handle.className = 'layer-handle';
+        handle.textContent = '⋮⋮';
+        handle.title = '拖动调整顺序';
+
+        const name = document.createElement('span');
+        name.className = 'layer-name';
+        name.textContent = sticker.getDisplayName();
+        name.title = '双击重命名';
+
+        const visibleBtn = document.createElement('button');
+        visibleBtn.className = 'layer-toggle';
+        visibleBtn.dataset.action = 'toggle-visible';
+        visibleBtn.textContent = sticker.visible ? '👁' : '—';
+        visibleBtn.title = sticker.visible ? '隐藏' : '显示';
+
+        const lockBtn = document.createElement('button');
+        lockBtn.className = 'layer-toggle';
+        lockBtn.dataset.action = 'toggle-lock';
+        lockBtn.textContent = sticker.locked ? '🔒' : '🔓';
+        lockBtn.title = sticker.locked ? '解锁' : '锁定';
+
+        item.appendChild(handle);
+        item.appendChild(this.createThumbnail(sticker));
+        item.appendChild(name);
+        item.appendChild(visibleBtn);
+        item.appendChild(lockBtn);
+
+        return item;
+    }
+
+    /**
+     * 生成贴纸缩略图
+     * 按贴纸自身尺寸等比缩放绘制，不包含旋转
+     * @param {Sticker} sticker 贴纸对象
+     * @returns {HTMLCanvasElement}
+     */
+    createThumbnail(sticker) {
+        const size = this.thumbnailSize;
+        const ratio = window.devicePixelRatio || 1;
+        const canvas = document.createElement('canvas');
+        canvas.className = 'layer-thumbnail';
+        canvas.width = size * ratio;
+        canvas.height = size * ratio;
+
+        const ctx = canvas.getContext('2d');
+        const fit = (size - 4) / Math.max(sticker.width, sticker.height, 1);
+
+        ctx.scale(ratio, ratio);
+        ctx.translate(size / 2, size / 2);
+        ctx.scale(fit, fit);
+
+        try {
+            this.editor.drawStickerContent(sticker, ctx);
+        } catch (error) {
+            console.warn('缩略图绘制失败:', error);
+        }
+
+        return canvas;
+    }
+
+    /**
+     * 开始重命名图层
+     * @param {HTMLElement} nameEl 名称元素
+     * @param {Sticker} sticker 贴纸对象
+     */
+    startRename(nameEl, sticker) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'layer-name-input';
+        input.value = sticker.getDisplayName();
+        input.placeholder = sticker.getDefaultName();
+
+        let finished = false;
+        const finish = (commit) => {
+            if (finished) return;
+            finished = true;
+
+            if (commit) {
+                const value = input.value.trim();
+                // 与默认名称相同时不保存自定义名称
+                this.editor.renameSticker(sticker, value === sticker.getDefaultName() ? '' : value);
+            }
+            this.refresh();
+        };
+
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+
+        nameEl.replaceWith(input);
+        input.focus();
+        input.select();
+    }
+
+    /**
+     * 开始拖拽排序
+     * @param {HTMLElement} item 被拖动的图层项
+     * @param {PointerEvent} event 指针事件
+     */
+    startDrag(item, event) {
+        const sticker = this.findSticker(item.dataset.id);
+        if (!sticker) return;
+
+        item.classList.add('dragging');
+
+        this.dragState = {
+            item,
+            sticker,
+            targetIndex: this.editor.stickers.indexOf(sticker)
+        };
+
+        document.addEventListener('pointermove', this.handlePointerMove);
+        document.addEventListener('pointerup', this.handlePointerUp);
+        document.addEventListener('pointercancel', this.handlePointerUp);
+    }
+
+    /**
+     * 拖拽移动：根据指针位置计算插入位置并显示指示线
+     * @param {PointerEvent} event 指针事件
+     */
+    handlePointerMove(event) {
+        if (!this.dragState) return;
+
+        const items = Array.from(this.elements.layerList.querySelectorAll('.layer-item'));
+        let insertBefore = items.length;
+
+        for (let i = 0; i < items.length; i++) {
+            const rect = items[i].getBoundingClientRect();
+            if (event.clientY < rect.top + rect.height / 2) {
+                insertBefore = i;
+                break;
+            }
+        }
+
+        items.forEach((item, i) => {
+            item.classList.toggle('drop-before', i === insertBefore);
+            item.classList.toggle('drop-after', i === items.length - 1 && insertBefore === items.length);
+        });
+
+        // 列表是倒序的：列表位置 p 对应贴纸索引 length - 1 - p
+        const count = this.editor.stickers.length;
+        const fromPosition = items.indexOf(this.dragState.item);
+        const toPosition = insertBefore > fromPosition ? insertBefore - 1 : insertBefore;
+        this.dragState.targetIndex = count - 1 - toPosition;
+    }
+
+    /**
+     * 结束拖拽，应用新的图层顺序
+     */
+    handlePointerUp() {
+        if (!this.dragState) return;
+
+        const { sticker, targetIndex } = this.dragState;
+
+        this.dragState = null;
+        document.removeEventListener('pointermove', this.handlePointerMove);
+        document.removeEventListener('pointerup', this.handlePointerUp);
+        document.removeEventListener('pointercancel', this.handlePointerUp);
+
+        this.editor.moveSticker(sticker, targetIndex);
+        this.refresh();
+    }
+
+    /**
+     * 销毁面板
+     */
+    destroy() {
+        this.editor.off('statechange', this.refresh);
+        this.editor.off('selectionchange', this.refresh);
+        this.handlePointerUp();
+        this.editor = null;
+    }
+}
@@ -0,0 +1,261 @@
+/**
+ * 新建画布对话框类
+ * 选择空白画布的尺寸（预设或自定义）和背景填充（纯色、渐变或图案），并实时预览。
+ * open() 返回 {width, height, canvasFrame}，取消时返回 null
+ */
+
+class NewCanvasDialog {
+    constructor() {
+        this.elements = {};
+
+        // 当前选择的背景填充
+        this.fill = 'color';
+
+        this.resolve = null;
+
+        // 绑定方法上下文
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+
+        this.initialize();
+    }
+
+    /**
+     * 初始化对话框
+     */
+    initialize() {
+        this.getElements();
+        this.populateControls();
+        this.bindEvents();
+    }
+
+    /**
+     * 获取DOM元素引用
+     */
+    getElements() {
+        this.elements = {
+            dialog: document.getElementById('newCanvasDialog'),
+            preview: document.getElementById('newCanvasPreview'),
+            preset: document.getElementById('newCanvasPreset'),
+            width: document.getElementById('newCanvasWidth'),
+            height: document.getElementById('newCanvasHeight'),
+            fillBtns: document.querySelectorAll('.new-canvas-fill-btn'),
+            color: document.getElementById('newCanvasColor'),
+            color2: document.getElementById('newCanvasColor2'),
+            color2Row: document.getElementById('newCanvasColor2Row'),
+            pattern: document.getElementById('newCanvasPattern'),
+            patternRow: document.getElementById('newCanvasPatternRow'),
+            cancelBtn: document.getElementById('newCanvasCancelBtn'),
+            createBtn: document.getElementById('newCanvasCreateBtn')
+        };
+    }
+
+    /**
+     * 生成尺寸预设和图案选项
+     */
+    populateControls() {
+        const { preset, width, height, pattern } = this.elements;
+
+        [...CanvasFrame.SIZE_PRESETS, { id: 'custom', label: '自定义' }].forEach(item => {
+            const option = document.createElement('option');
+            option.value = item.id;
+            option.textContent = item.label;
+            preset.appendChild(option);
+        });
+
+        CanvasFrame.PATTERNS.forEach(item => {
+            const option = document.createElement('option');
+            option.value = item.id;
+            option.textContent = item.label;
+            pattern.appendChild(option);
+        });
+
+        [width, height].forEach(input => {
+            input.min = CanvasFrame.MIN_SIZE;
+            input.max = CanvasFrame.MAX_SIZE;
+        });
+    }
+
+    /**
+     * 绑定事件处理器
+     */
+    bindEvents() {
+        const { preset, width, height, fillBtns, color, color2, pattern, cancelBtn, createBtn } = this.elements;
+
+        preset.addEventListener('change', () => this.applyPreset());
+
+        // 手动修改尺寸时切换到自定义（与某个预设一致时选中该预设）
+        [width, height].forEach(input => {
+            input.addEventListener('input', () => {
+                const size = this.getSize();
+                const item = CanvasFrame.SIZE_PRESETS.find(p => p.width === size.width && p.height === size.height);
+                preset.value = item ? item.id : 'custom';
+                this.updatePreview();
+            });
+        });
+
+        fillBtns.forEach(btn => {
+            btn.addEventListener('click', () => this.setFill(btn.dataset.fill));
+        });
+
+        [color, color2, pattern].forEach(input => {
+            input.addEventListener('input', () => this.updatePreview());
+        });
+
+        cancelBtn.addEventListener('click', () => this.close(null));
+        createBtn.addEventListener('click', () => this.create());
+    }
+
+    /**
+     * 打开对话框
+     * @returns {Promise<Object|null>} {width, height, canvasFrame}；取消时为 null
+     */
+    open() {
+        // 上一次未关闭的对话框视为取消
+        if (this.resolve) {
+            this.close(null);
+        }
+
+        const { dialog, preset } = this.elements;
+        if (!preset.value || preset.value === 'custom') {
+            preset.value = CanvasFrame.SIZE_PRESETS[0].id;
+        }
+        this.applyPreset();
+        this.setFill(this.fill);
+
+        dialog.classList.remove('hidden');
+        document.addEventListener('keydown', this.handleKeyDown);
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    /**
+     * 关闭对话框并返回结果
+     * @param {Object|null} result 结果
+     */
+    close(result) {
+        this.elements.dialog.classList.add('hidden');
+        document.removeEventListener('keydown', this.handleKeyDown);
+
+        const resolve = this.resolve;
+        this.resolve = null;
+
+        if (resolve) {
+            resolve(result);
+        }
+    }
+
+    /**
+     * 确认创建：校验尺寸后返回结果
+     */
+    create() {
+        const { width, height } = this.getSize();
+        const { MIN_SIZE, MAX_SIZE } = CanvasFrame;
+
+        if (!(width >= MIN_SIZE && width <= MAX_SIZE && height >= MIN_SIZE && height <= MAX_SIZE)) {
+            Utils.showToast(`画布尺寸需在 ${MIN_SIZE} 到 ${MAX_SIZE} 像素之间`, 'error');
+            return;
+        }
+
+        this.close({ width, height, canvasFrame: this.getCanvasFrame() });
+    }
+
+    /**
+     * 按选中的尺寸预设填入宽高
+     */
+    applyPreset() {
+        const { preset, width, height } = this.elements;
+        const item = CanvasFrame.SIZE_PRESETS.find(p => p.id === preset.value);
+
+        if (item) {
+            width.value = item.width;
+            height.value = item.height;
+        }
+        this.updatePreview();
+    }
+
+    /**
+     * 切换背景填充方式
+     * @param {string} fill 'color'、'gradient' 或 'pattern'
+     */
+    setFill(fill) {
+        const { fillBtns, color2Row, patternRow } = this.elements;
+
+        this.fill = fill;
+        fillBtns.forEach(btn => btn.classList.toggle('active', btn.dataset.fill === fill));
+        color2Row.classList.toggle('hidden', fill === 'color');
+        patternRow.classList.toggle('hidden', fill !== 'pattern');
+
+        this.updatePreview();
+    }
+
+    /**
+     * 读取输入的尺寸
+     * @returns {Object} {width, height}（取整）
+     */
+    getSize() {
+        return {
+            width: Math.round(parseFloat(this.elements.width.value)),
+            height: Math.round(parseFloat(this.elements.height.value))
+        };
+    }
+
+    /**
+     * 按当前选择生成画布边框参数
+     * @returns {Object} 边框参数
+     */
+    getCanvasFrame() {
+        const { color, color2, pattern } = this.elements;
+
+        return CanvasFrame.normalize({
+            fill: this.fill,
+            color: color.value,
+            color2: color2.value,
+            pattern: pattern.value
+        });
+    }
+
+    /**
+     * 按比例绘制预览
+     */
+    updatePreview() {
+        const { preview } = this.elements;
+        const { width, height } = this.getSize();
+        if (!(width > 0 && height > 0)) return;
+
+        const scale = NewCanvasDialog.PREVIEW_SIZE / Math.max(width, height);
+        preview.width = Math.max(1, Math.round(width * scale));
+        preview.height = Math.max(1, Math.round(height * scale));
+
+        const ctx = preview.getContext('2d');
+        ctx.scale(scale, scale);
+        CanvasFrame.drawFill(ctx, this.getCanvasFrame(), width, height);
+    }
+
+    /**
+     * 键盘处理：Esc 取消，Enter 创建
+     * @param {KeyboardEvent} event 键盘事件
+     */
+    handleKeyDown(event) {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            this.close(null);
+        } else if (event.key === 'Enter' && event.target.tagName !== 'BUTTON') {
+            event.preventDefault();
+            this.create();
+        }
+    }
+
+    /**
+     * 销毁对话框
+     */
+    destroy() {
+        if (this.resolve) {
+            this.close(null);
+        }
+    }
+}
+
+// 预览的最长边（像素）
+NewCanvasDialog.PREVIEW_SIZE = 240;
@@ -0,0 +1,266 @@
+/**
+ * 项目管理器类
+ * 负责把编辑中的作品保存为项目文件，以及重新打开项目文件。
+ * 项目文件是带版本号的JSON，背景图片和图片贴纸以Data URL形式内嵌在 assets 中
+ */
+
+class ProjectManager {
+    /**
+     * 构造函数
+     * @param {ImageEditor} editor 编辑器实例
+     * @param {ExportManager} exportManager 导出管理器实例
+     */
+    constructor(editor, exportManager) {
+        this.editor = editor;
+        this.exportManager = exportManager;
+        this.isBusy = false;
+
+        // 已编码的资源缓存（资源ID -> Data URL），避免自动保存时重复编码同一张图片
+        this.assetCache = new Map();
+    }
+
+    /**
+     * 生成项目数据
+     * 资源直接使用资源仓库中的内容哈希ID
+     * @returns {Promise<Object>} 项目对象
+     */
+    async createProject() {
+        // 先同步取得所需数据，编码过程中编辑器状态变化也不受影响
+        const { editor, exportManager } = this;
+
+        if (!editor.originalImage || !editor.backgroundAssetId) {
+            throw new Error('请先上传图片');
+        }
+
+        const stickers = editor.serializeStickers();
+        const adjustments = { ...editor.adjustments };
+        const imageTransform = Utils.deepClone(editor.imageTransform);
+        const canvasFrame = { ...editor.canvasFrame };
+        const background = editor.backgroundAssetId;
+        const ids = Array.from(new Set([background, ...AssetStore.collectIds(stickers)]));
+        const blobs = ids.map(id => editor.assets.getBlob(id));
+        const exportScale = exportManager.currentExportScale;
+
+        const assets = {};
+        for (let i = 0; i < ids.length; i++) {
+            if (!blobs[i]) {
+                throw new Error('图片资源缺失');
+            }
+            assets[ids[i]] = await this.encodeAsset(ids[i], blobs[i]);
+        }
+
+        // 只缓存当前用到的资源
+        Array.from(this.assetCache.keys()).forEach(id => {
+            if (!assets[id]) this.assetCache.delete(id);
+        });
+
+        return {
+            format: ProjectManager.FORMAT,
+            version: ProjectManager.VERSION,
+            savedAt: new Date().toISOString(),
+            background,
+            adjustments,
+            imageTransform,
+            canvasFrame,
+            stickers,
+            exportSettings: {
+                scale: exportScale
+            },
+            assets
+        };
+    }
+
+    /**
+     * 把图片资源编码为项目资源
+     * 资源ID是内容哈希，同一ID的编码结果可以一直复用
+     * @param {string} id 资源ID
+     * @param {Blob} blob 资源数据
+     * @returns {Promise<Object>} {mimeType, data}
+     */
+    async encodeAsset(id, blob) {
+        if (!this.assetCache.has(id)) {
+            this.assetCache.set(id, {
+                mimeType: blob.type,
+                data: await Utils.blobToDataURL(blob)
+            });
+        }
+
+        return this.assetCache.get(id);
+    }
+
+    /**
+     * 保存项目文件
+     */
+    async saveProject() {
+        if (this.isBusy) {
+            Utils.showToast('正在处理项目，请稍候', 'info');
+            return;
+        }
+
+        try {
+            this.isBusy = true;
+
+            const project = await this.createProject();
+            const blob = new Blob([JSON.stringify(project)], { type: 'application/json' });
+            const timestamp = new Date().toISOString().slice(0, 19).replace(/[:-]/g, '');
+
+            Utils.downloadBlob(blob, `sticker-project-${timestamp}${ProjectManager.EXTENSION}`);
+            Utils.showToast('项目已保存', 'success');
+
+        } catch (error) {
+            console.error('项目保存失败:', error);
+            Utils.showToast('项目保存失败: ' + error.message, 'error');
+
+        } finally {
+            this.isBusy = false;
+        }
+    }
+
+    /**
+     * 打开项目文件
+     * @param {File} file 项目文件
+     * @returns {Promise<Object|null>} 项目中的导出设置；失败时返回null
+     */
+    async openProject(file) {
+        if (this.isBusy) {
+            Utils.showToast('正在处理项目，请稍候', 'info');
+            return null;
+        }
+
+        try {
+            this.isBusy = true;
+
+            let project;
+            try {
+                project = JSON.parse(await file.text());
+            } catch (error) {
+                throw new Error('不是有效的项目文件');
+            }
+
+            const exportSettings = await this.loadProject(project);
+            Utils.showToast('项目已打开', 'success');
+
+            return exportSettings;
+
+        } catch (error) {
+            console.error('项目打开失败:', error);
+            Utils.showToast('项目打开失败: ' + error.message, 'error');
+            return null;
+
+        } finally {
+            this.isBusy = false;
+        }
+    }
+
+    /**
+     * 把项目数据载入编辑器
+     * @param {Object} data 项目对象
+     * @returns {Promise<Object>} 项目中的导出设置
+     */
+    async loadProject(data) {
+        const project = ProjectManager.migrate(data);
+
+        const store = this.editor.assets;
+
+        // 解码所有资源并登记到资源仓库，按内容重新计算ID
+        const assetIds = {};
+
+        // 登记时持有的引用在文档载入（背景和历史记录持有资源）或失败后释放
+        try {
+            for (const [id, asset] of Object.entries(project.assets || {})) {
+                assetIds[id] = await store.addBlob(Utils.dataURLToBlob(asset.data));
+
+                // SVG 登记时重新清理过，内容可能与项目中的不同，保存时按清理后的内容重新编码
+                if (!SvgImage.isSvg(store.get(assetIds[id]))) {
+                    this.assetCache.set(assetIds[id], asset);
+                }
+            }
+
+            const backgroundImage = store.get(assetIds[project.background]);
+            if (!backgroundImage) {
+                throw new Error('项目缺少背景图片');
+            }
+
+            // 把贴纸（包括组合中的）引用的资源ID替换为仓库中的ID
+            const remapAssets = (stickers) => stickers.map(sticker => {
+                if (sticker.type === 'image') {
+                    if (!assetIds[sticker.asset]) {
+                        throw new Error('项目缺少图片资源');
+                    }
+                    return { ...sticker, asset: assetIds[sticker.asset] };
+                }
+                if (sticker.type === 'group') {
+                    return { ...sticker, children: remapAssets(sticker.children || []) };
+                }
+                return sticker;
+            });
+
+            const stickers = remapAssets(project.stickers).map(stickerData => Sticker.deserialize(stickerData, store));
+
+            this.editor.loadDocument(backgroundImage, stickers, project.adjustments, project.imageTransform, project.canvasFrame);
+        } finally {
+            store.release(Object.values(assetIds));
+        }
+
+        const exportSettings = project.exportSettings || {};
+        if (exportSettings.scale) {
+            this.exportManager.setExportScale(exportSettings.scale);
+        }
+
+        return exportSettings;
+    }
+
+    /**
+     * 校验项目格式并逐版本升级到当前版本
+     * @param {Object} project 项目对象
+     * @returns {Object} 当前版本的项目对象
+     */
+    static migrate(project) {
+        if (!project || project.format !== ProjectManager.FORMAT || typeof project.version !== 'number') {
+            throw new Error('不是有效的项目文件');
+        }
+
+        if (project.version > ProjectManager.VERSION) {
+            throw new Error('项目文件版本过新，请更新编辑器');
+        }
+
+        let migrated = project;
+        while (migrated.version < ProjectManager.VERSION) {
+            const upgrade = ProjectManager.MIGRATIONS[migrated.version];
+            if (!upgrade) {
+                throw new Error(`不支持的项目版本: ${migrated.version}`);
+            }
+            migrated = { ...upgrade(migrated), version: migrated.version + 1 };
+        }
+
+        if (!Array.isArray(migrated.stickers)) {
+            throw new Error('项目文件已损坏');
+        }
+
+        return migrated;
+    }
+
+    /**
+     * 销毁项目管理器
+     */
+    destroy() {
+        this.editor = null;
+        this.exportManager = null;
+    }
+}
+
+// 项目文件标识与当前版本
+ProjectManager.FORMAT = 'sticker-editor-project';
+ProjectManager.VERSION = 4;
+ProjectManager.EXTENSION = '.stickerproj';
+
+// 版本迁移函数：MIGRATIONS[n] 接收第 n 版的项目对象，返回第 n + 1 版的结构。
+// 修改项目结构时递增 VERSION，并在这里补充对应的迁移函数
+ProjectManager.MIGRATIONS = {
+    // 第 2 版增加背景图片的调整参数
+    1: project => ({ ...project, adjustments: {} }),
+    // 第 3 版增加背景图片的翻转、旋转和裁剪
+    2: project => ({ ...project, imageTransform: null }),
+    // 第 4 版增加画布边距和背景填充
+    3: project => ({ ...project, canvasFrame: null })
+};
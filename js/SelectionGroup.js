@@ -0,0 +1,134 @@
+/**
+ * 多选组类
+ * 把多个选中的贴纸包装成一个临时整体，复用贴纸的控制点逻辑，
+ * 移动、缩放、旋转都围绕共同的包围盒和中心点进行
+ */
+
+class SelectionGroup extends Sticker {
+    /**
+     * 构造函数
+     * @param {Sticker[]} stickers 选中的贴纸
+     */
+    constructor(stickers) {
+        super('selection', null, 0, 0);
+
+        this.stickers = stickers;
+        this.selected = true;
+    }
+
+    /**
+     * 获取所有贴纸（含旋转后的四个角）的合并包围盒
+     * @returns {Object} {x, y, width, height}
+     */
+    getBounds() {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+        this.stickers.forEach(sticker => {
+            SelectionGroup.getStickerCorners(sticker).forEach(corner => {
+                minX = Math.min(minX, corner.x);
+                minY = Math.min(minY, corner.y);
+                maxX = Math.max(maxX, corner.x);
+                maxY = Math.max(maxY, corner.y);
+            });
+        });
+
+        return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+    }
+
+    /**
+     * 检测点是否落在任一成员贴纸上
+     * @param {number} x X坐标
+     * @param {number} y Y坐标
+     * @returns {boolean}
+     */
+    containsPoint(x, y) {
+        return this.stickers.some(sticker => sticker.containsPoint(x, y));
+    }
+
+    /**
+     * 整体移动
+     * @param {number} deltaX X偏移量
+     * @param {number} deltaY Y偏移量
+     */
+    move(deltaX, deltaY) {
+        this.stickers.forEach(sticker => sticker.move(deltaX, deltaY));
+    }
+
+    /**
+     * 围绕固定点整体缩放
+     * 缩放量受所有成员的缩放范围共同限制，保证相对位置不变形
+     * @param {number} scaleChange 缩放变化量
+     * @param {Object} fixedPoint 固定点（默认为组中心）
+     */
+    resize(scaleChange, fixedPoint = this.getCenter()) {
+        let minChange = 0;
+        let maxChange = Infinity;
+
+        this.stickers.forEach(sticker => {
+            minChange = Math.max(minChange, 0.2 / sticker.scale);
+            maxChange = Math.min(maxChange, 3.0 / sticker.scale);
+        });
+
+        const change = Utils.clamp(scaleChange, minChange, maxChange);
+
+        this.stickers.forEach(sticker => {
+            const center = sticker.getCenter();
+            sticker.scale *= change;
+
+            const newCenterX = fixedPoint.x + (center.x - fixedPoint.x) * change;
+            const newCenterY = fixedPoint.y + (center.y - fixedPoint.y) * change;
+
+            sticker.x = newCenterX - (sticker.width * sticker.scale) / 2;
+            sticker.y = newCenterY - (sticker.height * sticker.scale) / 2;
+        });
+    }
+
+    /**
+     * 围绕共同中心整体旋转
+     * @param {number} deltaAngle 角度变化量（弧度）
+     * @param {Object} pivot 旋转中心点（默认为组中心）
+     */
+    rotate(deltaAngle, pivot = this.getCenter()) {
+        this.stickers.forEach(sticker => sticker.rotateAround(pivot, deltaAngle));
+    }
+
+    /**
+     * 统一设置透明度
+     * @param {number} opacity 透明度 (0-1)
+     */
+    setOpacity(opacity) {
+        this.stickers.forEach(sticker => sticker.setOpacity(opacity));
+    }
+
+    /**
+     * 统一修改效果参数
+     * @param {string} key 效果名称
+     * @param {Object} values 要修改的参数
+     */
+    setEffect(key, values) {
+        this.stickers.forEach(sticker => sticker.setEffect(key, values));
+    }
+
+    /**
+     * 获取贴纸旋转后的四个角（画布坐标）
+     * @param {Sticker} sticker 贴纸对象
+     * @returns {Object[]} 四个角的坐标
+     */
+    static getStickerCorners(sticker) {
+        const center = sticker.getCenter();
+        const halfW = (sticker.width * sticker.scale) / 2;
+        const halfH = (sticker.height * sticker.scale) / 2;
+        const cos = Math.cos(sticker.rotation);
+        const sin = Math.sin(sticker.rotation);
+
+        return [
+            { x: -halfW, y: -halfH },
+            { x: halfW, y: -halfH },
+            { x: halfW, y: halfH },
+            { x: -halfW, y: halfH }
+        ].map(corner => ({
+            x: center.x + corner.x * cos - corner.y * sin,
+            y: center.y + corner.x * sin + corner.y * cos
+        }));
+    }
+}
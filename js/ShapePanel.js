@@ -0,0 +1,192 @@
+/**
+ * 形状面板类
+ * 负责添加形状标注以及编辑选中形状的填充、描边、虚线、圆角和箭头样式
+ */
+
+class ShapePanel {
+    /**
+     * 构造函数
+     * @param {ImageEditor} editor 编辑器实例
+     */
+    constructor(editor) {
+        this.editor = editor;
+        this.elements = {};
+
+        // 样式属性与对应的输入控件
+        this.styleControls = [
+            { id: 'shapeFillColor', prop: 'fillColor', numeric: false },
+            { id: 'shapeStrokeColor', prop: 'strokeColor', numeric: false },
+            { id: 'shapeStrokeWidth', prop: 'strokeWidth', numeric: true },
+            { id: 'shapeDash', prop: 'dash', numeric: false },
+            { id: 'shapeCornerRadius', prop: 'cornerRadius', numeric: true },
+            { id: 'shapeStartHead', prop: 'startHead', numeric: false },
+            { id: 'shapeEndHead', prop: 'endHead', numeric: false }
+        ];
+
+        this.handleSelectionChange = this.handleSelectionChange.bind(this);
+
+        this.initialize();
+    }
+
+    /**
+     * 初始化面板
+     */
+    initialize() {
+        this.getElements();
+        this.renderShapeButtons();
+        this.bindEvents();
+
+        this.editor.on('selectionchange', this.handleSelectionChange);
+    }
+
+    /**
+     * 获取DOM元素引用
+     */
+    getElements() {
+        this.elements = {
+            shapeGrid: document.getElementById('shapeGrid'),
+            panel: document.getElementById('shapeProperties'),
+            fillEnabled: document.getElementById('shapeFillEnabled'),
+            rows: document.querySelectorAll('#shapeProperties [data-shapes]')
+        };
+
+        this.styleControls.forEach(control => {
+            this.elements[control.id] = document.getElementById(control.id);
+        });
+    }
+
+    /**
+     * 生成形状按钮
+     */
+    renderShapeButtons() {
+        ShapeSticker.SHAPES.forEach(item => {
+            const button = document.createElement('div');
+            button.className = 'sticker-item';
+            button.dataset.shape = item.shape;
+            button.title = item.label;
+            button.textContent = item.icon;
+            this.elements.shapeGrid.appendChild(button);
+        });
+    }
+
+    /**
+     * 绑定事件处理器
+     */
+    bindEvents() {
+        const { shapeGrid, fillEnabled, shapeFillColor } = this.elements;
+
+        shapeGrid.addEventListener('click', (e) => {
+            const item = e.target.closest('.sticker-item');
+            if (item && item.dataset.shape) {
+                this.addShape(item.dataset.shape);
+            }
+        });
+
+        // 填充开关
+        fillEnabled.addEventListener('change', () => {
+            if (!this.getSelectedShape()) return;
+
+            this.applyStyle({ fillColor: fillEnabled.checked ? shapeFillColor.value : null });
+            this.editor.saveState('修改形状样式');
+        });
+
+        // 样式控件：拖动滑块时实时预览，松开时记录历史
+        this.styleControls.forEach(control => {
+            const input = this.elements[control.id];
+
+            input.addEventListener('input', () => {
+                // 关闭填充时修改颜色不生效
+                if (control.prop === 'fillColor' && !fillEnabled.checked) return;
+
+                const value = control.numeric ? parseFloat(input.value) : input.value;
+                this.applyStyle({ [control.prop]: value });
+            });
+
+            input.addEventListener('change', () => {
+                if (this.getSelectedShape()) {
+                    this.editor.saveState('修改形状样式');
+                }
+            });
+        });
+    }
+
+    /**
+     * 添加形状贴纸
+     * 尺寸和线宽按画布尺寸估算
+     * @param {string} shape 形状类型
+     */
+    addShape(shape) {
+        const canvas = this.editor.canvas;
+        const shortSide = Math.min(canvas.width, canvas.height);
+        const strokeWidth = Math.max(2, Math.round(shortSide / 200));
+        const width = Math.max(80, Math.round(shortSide / 4));
+
+        const options = { strokeWidth, width, height: Math.round(width * 0.66) };
+
+        if (ShapeSticker.isLinearShape(shape)) {
+            options.width = Math.round(width * 1.5);
+            options.height = Math.max(24, strokeWidth * 6);
+        }
+
+        this.editor.addSticker('shape', shape, undefined, undefined, options);
+    }
+
+    /**
+     * 获取当前选中的形状贴纸
+     * @returns {ShapeSticker|null}
+     */
+    getSelectedShape() {
+        const sticker = this.editor.selectedSticker;
+        return sticker && sticker.type === 'shape' ? sticker : null;
+    }
+
+    /**
+     * 应用样式到选中的形状
+     * @param {Object} style 样式属性
+     */
+    applyStyle(style) {
+        const sticker = this.getSelectedShape();
+        if (!sticker) return;
+
+        sticker.setStyle(style);
+        this.editor.renderCanvas();
+    }
+
+    /**
+     * 选中贴纸变化时同步面板
+     * @param {Sticker|null} sticker 当前选中的贴纸
+     */
+    handleSelectionChange(sticker) {
+        const { panel, fillEnabled, rows } = this.elements;
+
+        if (!sticker || sticker.type !== 'shape') {
+            panel.classList.add('hidden');
+            return;
+        }
+
+        panel.classList.remove('hidden');
+
+        // 只显示与当前形状相关的属性
+        rows.forEach(row => {
+            const shapes = row.dataset.shapes.split(',');
+            row.classList.toggle('hidden', !shapes.includes(sticker.data));
+        });
+
+        fillEnabled.checked = !!sticker.fillColor;
+
+        this.styleControls.forEach(control => {
+            const value = sticker[control.prop];
+            if (value !== null) {
+                this.elements[control.id].value = value;
+            }
+        });
+    }
+
+    /**
+     * 销毁面板
+     */
+    destroy() {
+        this.editor.off('selectionchange', this.handleSelectionChange);
+        this.editor = null;
+    }
+}
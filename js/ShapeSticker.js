@@ -0,0 +1,405 @@
+/**
+ * 形状贴纸类
+ * 支持矩形、圆角矩形、椭圆、直线、箭头和对话气泡等矢量标注
+ */
+
+class ShapeSticker extends Sticker {
+    /**
+     * 构造函数
+     * @param {string} shape 形状类型：'rect'、'roundRect'、'ellipse'、'line'、'arrow' 或 'callout'
+     * @param {number} x X坐标
+     * @param {number} y Y坐标
+     * @param {Object} options 可选参数（包含形状样式）
+     */
+    constructor(shape, x, y, options = {}) {
+        super('shape', shape, x, y, options);
+
+        const isLinear = ShapeSticker.isLinearShape(shape);
+
+        // 填充与描边
+        this.fillColor = options.fillColor !== undefined ? options.fillColor : (isLinear ? null : '#FFFFFF');
+        this.strokeColor = options.strokeColor || '#FF3B30';
+        this.strokeWidth = options.strokeWidth !== undefined ? options.strokeWidth : 4;
+        this.dash = options.dash || 'solid';
+
+        // 圆角半径（矩形、圆角矩形、对话气泡）
+        this.cornerRadius = options.cornerRadius !== undefined
+            ? options.cornerRadius
+            : (shape === 'rect' ? 0 : 16);
+
+        // 箭头样式：'none'、'triangle' 或 'open'
+        this.startHead = options.startHead || 'none';
+        this.endHead = options.endHead || (shape === 'arrow' ? 'triangle' : 'none');
+
+        // 对话气泡尾巴位置（0-1，沿底边）
+        this.tailPosition = options.tailPosition !== undefined ? options.tailPosition : 0.25;
+    }
+
+    /**
+     * 是否为线形（直线、箭头）
+     * @param {string} shape 形状类型
+     * @returns {boolean}
+     */
+    static isLinearShape(shape) {
+        return shape === 'line' || shape === 'arrow';
+    }
+
+    /**
+     * 获取默认图层名称
+     * @returns {string}
+     */
+    getDefaultName() {
+        const item = ShapeSticker.SHAPES.find(shape => shape.shape === this.data);
+        return item ? item.label : '形状';
+    }
+
+    /**
+     * 形状可以分别拉伸宽高；直线和箭头只能沿线的方向拉伸
+     * @returns {Object} {x, y}
+     */
+    getResizeAxes() {
+        return { x: true, y: !ShapeSticker.isLinearShape(this.data) };
+    }
+
+    /**
+     * 获取箭头大小
+     * @returns {number}
+     */
+    getHeadSize() {
+        return Math.max(this.strokeWidth * 3, 12);
+    }
+
+    /**
+     * 获取虚线样式
+     * @returns {number[]} 虚线数组
+     */
+    getDashPattern() {
+        const width = Math.max(this.strokeWidth, 1);
+
+        if (this.dash === 'dashed') {
+            return [width * 3, width * 2];
+        }
+        if (this.dash === 'dotted') {
+            return [0, width * 2];
+        }
+        return [];
+    }
+
+    /**
+     * 获取对话气泡尾巴的高度
+     * @returns {number}
+     */
+    getTailHeight() {
+        return this.height * 0.25;
+    }
+
+    /**
+     * 获取对话气泡的轮廓顶点（不含圆角，用于碰撞检测）
+     * @returns {Object} {body, tail} 主体矩形和尾巴三角形
+     */
+    getCalloutGeometry() {
+        const halfW = this.width / 2;
+        const halfH = this.height / 2;
+        const bodyBottom = halfH - this.getTailHeight();
+        const tailBaseX = -halfW + this.width * Utils.clamp(this.tailPosition, 0.1, 0.9);
+        const tailWidth = Math.min(this.width * 0.2, 40);
+
+        return {
+            body: { x: -halfW, y: -halfH, width: this.width, height: bodyBottom + halfH },
+            tail: [
+                { x: tailBaseX - tailWidth / 2, y: bodyBottom },
+                { x: tailBaseX - tailWidth, y: halfH },
+                { x: tailBaseX + tailWidth / 2, y: bodyBottom }
+            ]
+        };
+    }
+
+    /**
+     * 检测点是否在形状的实际几何区域内
+     * 无填充的形状只在描边附近命中，线形按线段距离检测
+     * @param {number} x X坐标
+     * @param {number} y Y坐标
+     * @returns {boolean}
+     */
+    containsPoint(x, y) {
+        const local = this.toLocalPoint(x, y);
+        const tolerance = Math.max(this.strokeWidth / 2, 6 / this.scale);
+        const halfW = this.width / 2;
+        const halfH = this.height / 2;
+        const filled = !!this.fillColor;
+
+        switch (this.data) {
+            case 'line':
+            case 'arrow': {
+                const hitWidth = Math.max(tolerance, this.endHead !== 'none' || this.startHead !== 'none'
+                    ? this.getHeadSize() / 2
+                    : 0);
+                return Utils.getDistanceToSegment(local, { x: -halfW, y: 0 }, { x: halfW, y: 0 }) <= hitWidth;
+            }
+
+            case 'ellipse': {
+                const a = halfW + tolerance;
+                const b = halfH + tolerance;
+                const distance = Math.sqrt((local.x * local.x) / (a * a) + (local.y * local.y) / (b * b));
+
+                if (distance > 1) return false;
+                if (filled) return true;
+
+                // 无填充时只检测描边附近：内缩椭圆之外
+                const innerA = Math.max(halfW - tolerance, 0.01);
+                const innerB = Math.max(halfH - tolerance, 0.01);
+                return (local.x * local.x) / (innerA * innerA) + (local.y * local.y) / (innerB * innerB) >= 1;
+            }
+
+            case 'callout': {
+                const geometry = this.getCalloutGeometry();
+                const inBody = this.isPointNearRect(local, geometry.body, tolerance, filled);
+                const inTail = Utils.isPointInPolygon(local.x, local.y, geometry.tail);
+                return inBody || inTail;
+            }
+
+            default:
+                return this.isPointNearRect(local, {
+                    x: -halfW,
+                    y: -halfH,
+                    width: this.width,
+                    height: this.height
+                }, tolerance, filled);
+        }
+    }
+
+    /**
+     * 检测本地坐标点是否在（圆角）矩形内或描边附近
+     * @param {Object} point 本地坐标点
+     * @param {Object} rect 矩形 {x, y, width, height}
+     * @param {number} tolerance 容差
+     * @param {boolean} filled 是否有填充
+     * @returns {boolean}
+     */
+    isPointNearRect(point, rect, tolerance, filled) {
+        const radius = Math.min(this.cornerRadius, rect.width / 2, rect.height / 2);
+        const centerX = rect.x + rect.width / 2;
+        const centerY = rect.y + rect.height / 2;
+
+        // 圆角矩形的有向距离（负数表示在内部）
+        const qx = Math.abs(point.x - centerX) - (rect.width / 2 - radius);
+        const qy = Math.abs(point.y - centerY) - (rect.height / 2 - radius);
+        const outside = Math.sqrt(Math.max(qx, 0) ** 2 + Math.max(qy, 0) ** 2);
+        const signedDistance = outside + Math.min(Math.max(qx, qy), 0) - radius;
+
+        if (filled) {
+            return signedDistance <= tolerance;
+        }
+        return Math.abs(signedDistance) <= tolerance;
+    }
+
+    /**
+     * 在上下文中构建（圆角）矩形路径
+     * @param {CanvasRenderingContext2D} ctx 绘图上下文
+     * @param {Object} rect 矩形 {x, y, width, height}
+     * @param {number} radius 圆角半径
+     */
+    traceRoundRect(ctx, rect, radius) {
+        const r = Math.min(radius, rect.width / 2, rect.height / 2);
+        const right = rect.x + rect.width;
+        const bottom = rect.y + rect.height;
+
+        ctx.moveTo(rect.x + r, rect.y);
+        ctx.arcTo(right, rect.y, right, bottom, r);
+        ctx.arcTo(right, bottom, rect.x, bottom, r);
+        ctx.arcTo(rect.x, bottom, rect.x, rect.y, r);
+        ctx.arcTo(rect.x, rect.y, right, rect.y, r);
+        ctx.closePath();
+    }
+
+    /**
+     * 在上下文中构建对话气泡路径
+     * @param {CanvasRenderingContext2D} ctx 绘图上下文
+     */
+    traceCallout(ctx) {
+        const { body, tail } = this.getCalloutGeometry();
+        const r = Math.min(this.cornerRadius, body.width / 2, body.height / 2);
+        const right = body.x + body.width;
+        const bottom = body.y + body.height;
+
+        ctx.moveTo(body.x + r, body.y);
+        ctx.arcTo(right, body.y, right, bottom, r);
+        ctx.arcTo(right, bottom, body.x, bottom, r);
+
+        // 底边插入尾巴
+        ctx.lineTo(tail[2].x, tail[2].y);
+        ctx.lineTo(tail[1].x, tail[1].y);
+        ctx.lineTo(tail[0].x, tail[0].y);
+
+        ctx.arcTo(body.x, bottom, body.x, body.y, r);
+        ctx.arcTo(body.x, body.y, right, body.y, r);
+        ctx.closePath();
+    }
+
+    /**
+     * 绘制箭头
+     * @param {CanvasRenderingContext2D} ctx 绘图上下文
+     * @param {string} style 箭头样式
+     * @param {number} tipX 箭头尖端X坐标
+     * @param {number} direction 方向（1 向右，-1 向左）
+     */
+    drawArrowHead(ctx, style, tipX, direction) {
+        if (style === 'none') return;
+
+        const size = this.getHeadSize();
+        const baseX = tipX - direction * size;
+
+        ctx.save();
+        ctx.setLineDash([]);
+        ctx.beginPath();
+        ctx.moveTo(baseX, -size * 0.6);
+        ctx.lineTo(tipX, 0);
+        ctx.lineTo(baseX, size * 0.6);
+
+        if (style === 'triangle') {
+            ctx.closePath();
+            ctx.fillStyle = this.strokeColor;
+            ctx.fill();
+        } else {
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    /**
+     * 在已变换到贴纸中心的上下文中绘制形状
+     * 编辑器与导出共用，按矢量路径绘制
+     * @param {CanvasRenderingContext2D} ctx 绘图上下文
+     */
+    drawContent(ctx) {
+        const halfW = this.width / 2;
+        const halfH = this.height / 2;
+
+        ctx.lineWidth = this.strokeWidth;
+        ctx.strokeStyle = this.strokeColor;
+        ctx.lineJoin = 'round';
+        ctx.lineCap = this.dash === 'dotted' || ShapeSticker.isLinearShape(this.data) ? 'round' : 'butt';
+        ctx.setLineDash(this.getDashPattern());
+
+        if (ShapeSticker.isLinearShape(this.data)) {
+            // 有箭头时线段缩短到箭头底部，避免线头从箭尖露出
+            const headSize = this.getHeadSize();
+            const startX = -halfW + (this.startHead === 'triangle' ? headSize * 0.8 : 0);
+            const endX = halfW - (this.endHead === 'triangle' ? headSize * 0.8 : 0);
+
+            if (this.strokeWidth > 0) {
+                ctx.beginPath();
+                ctx.moveTo(startX, 0);
+                ctx.lineTo(endX, 0);
+                ctx.stroke();
+            }
+
+            this.drawArrowHead(ctx, this.startHead, -halfW, -1);
+            this.drawArrowHead(ctx, this.endHead, halfW, 1);
+            return;
+        }
+
+        ctx.beginPath();
+
+        if (this.data === 'ellipse') {
+            ctx.ellipse(0, 0, halfW, halfH, 0, 0, Math.PI * 2);
+        } else if (this.data === 'callout') {
+            this.traceCallout(ctx);
+        } else {
+            const radius = this.data === 'rect' ? 0 : this.cornerRadius;
+            this.traceRoundRect(ctx, { x: -halfW, y: -halfH, width: this.width, height: this.height }, radius);
+        }
+
+        if (this.fillColor) {
+            ctx.fillStyle = this.fillColor;
+            ctx.fill();
+        }
+
+        if (this.strokeWidth > 0) {
+            ctx.stroke();
+        }
+    }
+
+    /**
+     * 获取形状样式
+     * @returns {Object} 样式属性
+     */
+    getStyle() {
+        return {
+            fillColor: this.fillColor,
+            strokeColor: this.strokeColor,
+            strokeWidth: this.strokeWidth,
+            dash: this.dash,
+            cornerRadius: this.cornerRadius,
+            startHead: this.startHead,
+            endHead: this.endHead,
+            tailPosition: this.tailPosition
+        };
+    }
+
+    /**
+     * 批量设置形状样式
+     * @param {Object} style 样式属性
+     */
+    setStyle(style) {
+        Object.keys(this.getStyle()).forEach(key => {
+            if (style[key] !== undefined) {
+                this[key] = style[key];
+            }
+        });
+    }
+
+    /**
+     * 克隆形状贴纸
+     * @returns {ShapeSticker} 新的贴纸实例
+     */
+    clone() {
+        return new ShapeSticker(this.data, this.x + 20, this.y + 20, {
+            ...this.getStyle(),
+            width: this.width,
+            height: this.height,
+            rotation: this.rotation,
+            scale: this.scale,
+            opacity: this.opacity,
+            name: this.name,
+            visible: this.visible,
+            locked: this.locked,
+            effects: this.effects
+        });
+    }
+
+    /**
+     * 序列化形状贴纸数据
+     * @returns {Object} 序列化后的数据
+     */
+    serialize() {
+        return {
+            ...super.serialize(),
+            data: this.data,
+            ...this.getStyle()
+        };
+    }
+
+    /**
+     * 从序列化数据创建形状贴纸
+     * @param {Object} data 序列化数据
+     * @returns {ShapeSticker} 贴纸实例
+     */
+    static deserialize(data) {
+        const sticker = new ShapeSticker(data.data, data.x, data.y, data);
+        sticker.id = data.id;
+        return sticker;
+    }
+}
+
+/**
+ * 可添加的形状列表
+ */
+ShapeSticker.SHAPES = [
+    { shape: 'rect', label: '矩形', icon: '▭' },
+    { shape: 'roundRect', label: '圆角矩形', icon: '▢' },
+    { shape: 'ellipse', label: '椭圆', icon: '◯' },
+    { shape: 'line', label: '直线', icon: '╱' },
+    { shape: 'arrow', label: '箭头', icon: '➜' },
+    { shape: 'callout', label: '对话气泡', icon: '💬' }
+];
@@ -6,8 +6,8 @@
 class Sticker {
     /**
      * 构造函数
-     * @param {string} type 贴纸类型：'emoji' 或 'image'
-     * @param {string|HTMLImageElement} data 贴纸数据：emoji字符串或图片对象
+     * @param {string} type 贴纸类型：'emoji'、'image'、'text'、'shape'、'stroke' 或 'group'
+     * @param {string|HTMLImageElement} data 贴纸数据：emoji字符串、图片对象或文字内容
      * @param {number} x X坐标
      * @param {number} y Y坐标
      * @param {Object} options 可选参数
@@ -27,7 +27,21 @@ class Sticker {
         this.opacity = options.opacity || 1;
         this.selected = false;
 
-        // 控制点大小
+        // 图层属性
+        this.name = options.name || '';
+        this.visible = options.visible !== false;
+        this.locked = !!options.locked;
+
+        // 图片贴纸引用的资源ID（内容哈希）
+        this.assetId = options.assetId || null;
+
+        // 效果：投影、描边、外发光、高斯模糊和颜色叠加
+        this.effects = StickerEffects.normalize(options.effects);
+
+        // 模切白边（仅图片贴纸使用）
+        this.dieCut = DieCut.normalize(options.dieCut);
+
+        // 控制点大小（屏幕像素）
         this.controlPointSize = 12;
         this.controlPointPadding = 8;
 
@@ -36,6 +50,22 @@ class Sticker {
         this.maxSize = 300;
     }
 
+    /**
+     * 获取图层显示名称
+     * @returns {string}
+     */
+    getDisplayName() {
+        return this.name || this.getDefaultName();
+    }
+
+    /**
+     * 获取默认图层名称（未重命名时使用）
+     * @returns {string}
+     */
+    getDefaultName() {
+        return this.type === 'emoji' ? this.data : '图片';
+    }
+
     /**
      * 获取贴纸的边界矩形
      * @returns {Object} {x, y, width, height}
@@ -61,6 +91,26 @@ class Sticker {
         };
     }
 
+    /**
+     * 将画布坐标转换为贴纸本地坐标
+     * 本地坐标以贴纸中心为原点，已去除旋转和缩放
+     * @param {number} x X坐标
+     * @param {number} y Y坐标
+     * @returns {Object} {x, y} 本地坐标
+     */
+    toLocalPoint(x, y) {
+        const center = this.getCenter();
+        const cos = Math.cos(-this.rotation);
+        const sin = Math.sin(-this.rotation);
+        const dx = x - center.x;
+        const dy = y - center.y;
+
+        return {
+            x: (cos * dx - sin * dy) / this.scale,
+            y: (sin * dx + cos * dy) / this.scale
+        };
+    }
+
     /**
      * 检测点是否在贴纸内
      * @param {number} x X坐标
@@ -87,67 +137,107 @@ class Sticker {
         }
     }
 
+    /**
+     * 将贴纸本地偏移（相对中心、未旋转，画布像素）转换为画布坐标
+     * @param {number} x X偏移
+     * @param {number} y Y偏移
+     * @returns {Object} {x, y} 画布坐标
+     */
+    fromLocalOffset(x, y) {
+        const center = this.getCenter();
+        const cos = Math.cos(this.rotation);
+        const sin = Math.sin(this.rotation);
+
+        return {
+            x: center.x + x * cos - y * sin,
+            y: center.y + x * sin + y * cos
+        };
+    }
+
+    /**
+     * 获取选择框的四个角（随贴纸旋转，含控制点边距）
+     * @param {number} unit 一个屏幕像素对应的画布长度，边距按屏幕像素计算
+     * @returns {Object[]} 左上、右上、右下、左下的画布坐标
+     */
+    getFrameCorners(unit = 1) {
+        const bounds = this.getBounds();
+        const halfW = bounds.width / 2 + this.controlPointPadding * unit;
+        const halfH = bounds.height / 2 + this.controlPointPadding * unit;
+
+        return [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([x, y]) => this.fromLocalOffset(x * halfW, y * halfH));
+    }
+
+    /**
+     * 获取可以单独拉伸的方向
+     * 图片可以分别拉伸宽高，Emoji 只能等比缩放
+     * @returns {Object} {x, y}
+     */
+    getResizeAxes() {
+        const free = this.type === 'image';
+        return { x: free, y: free };
+    }
+
     /**
      * 获取控制点位置
-     * @returns {Object} 控制点位置映射
+     * 控制点位于随贴纸旋转的选择框上：四角用于缩放，
+     * 可以单独拉伸的方向在边的中点另有控制点；旋转点在顶边上方，删除按钮在左上角外侧
+     * @param {number} unit 一个屏幕像素对应的画布长度，控制点间距按屏幕像素计算
+     * @returns {Object} 控制点位置映射 {type: {x, y, cursor}}
      */
-    getControlPoints() {
+    getControlPoints(unit = 1) {
         const bounds = this.getBounds();
-        const padding = this.controlPointPadding;
+        const padding = this.controlPointPadding * unit;
+        const halfW = bounds.width / 2 + padding;
+        const halfH = bounds.height / 2 + padding;
+        const axes = this.getResizeAxes();
+        const points = {};
+
+        Object.entries(Sticker.RESIZE_HANDLES).forEach(([type, handle]) => {
+            const isEdge = !handle.x || !handle.y;
+            if (isEdge && !(handle.x ? axes.x : axes.y)) return;
+
+            points[type] = {
+                ...this.fromLocalOffset(handle.x * halfW, handle.y * halfH),
+                cursor: Sticker.getResizeCursor(Math.atan2(handle.y, handle.x) + this.rotation)
+            };
+        });
 
-        return {
-            topLeft: {
-                x: bounds.x - padding,
-                y: bounds.y - padding,
-                cursor: 'nw-resize'
-            },
-            topRight: {
-                x: bounds.x + bounds.width + padding,
-                y: bounds.y - padding,
-                cursor: 'ne-resize'
-            },
-            bottomLeft: {
-                x: bounds.x - padding,
-                y: bounds.y + bounds.height + padding,
-                cursor: 'sw-resize'
-            },
-            bottomRight: {
-                x: bounds.x + bounds.width + padding,
-                y: bounds.y + bounds.height + padding,
-                cursor: 'se-resize'
-            },
-            rotation: {
-                x: bounds.x + bounds.width / 2,
-                y: bounds.y - padding - 20,
-                cursor: 'crosshair'
-            },
-            delete: {
-                x: bounds.x - padding - 5,
-                y: bounds.y - padding - 5,
-                cursor: 'pointer'
-            }
+        points.rotation = {
+            ...this.fromLocalOffset(0, -halfH - 20 * unit),
+            cursor: 'crosshair'
         };
+        points.delete = {
+            ...this.fromLocalOffset(-halfW - 5 * unit, -halfH - 5 * unit),
+            cursor: 'pointer'
+        };
+
+        return points;
     }
 
     /**
      * 检测点是否在控制点上
+     * 多个控制点都在范围内时（贴纸很小或删除按钮紧挨左上角）取最近的一个
      * @param {number} x X坐标
      * @param {number} y Y坐标
+     * @param {number} unit 一个屏幕像素对应的画布长度，检测范围按屏幕像素计算
      * @returns {string|null} 控制点类型或null
      */
-    getControlPointAt(x, y) {
+    getControlPointAt(x, y, unit = 1) {
         if (!this.selected) return null;
 
-        const controlPoints = this.getControlPoints();
-        const threshold = this.controlPointSize;
+        const controlPoints = this.getControlPoints(unit);
+        let nearest = null;
+        let nearestDistance = this.controlPointSize * unit;
 
         for (const [type, point] of Object.entries(controlPoints)) {
-            if (Utils.getDistance({x, y}, point) <= threshold) {
-                return type;
+            const distance = Utils.getDistance({x, y}, point);
+            if (distance <= nearestDistance) {
+                nearest = type;
+                nearestDistance = distance;
             }
         }
 
-        return null;
+        return nearest;
     }
 
     /**
@@ -182,6 +272,22 @@ class Sticker {
         }
     }
 
+    /**
+     * 非等比拉伸贴纸，保持中心不变
+     * 直接改变本地宽高，缩放比例不变
+     * @param {number} scaleX 宽度变化比例
+     * @param {number} scaleY 高度变化比例
+     */
+    stretch(scaleX, scaleY) {
+        const center = this.getCenter();
+
+        this.width = Math.max(1, this.width * scaleX);
+        this.height = Math.max(1, this.height * scaleY);
+
+        this.x = center.x - (this.width * this.scale) / 2;
+        this.y = center.y - (this.height * this.scale) / 2;
+    }
+
     /**
      * 旋转贴纸
      * @param {number} deltaAngle 角度变化量（弧度）
@@ -195,22 +301,40 @@ class Sticker {
         while (this.rotation < -Math.PI) this.rotation += 2 * Math.PI;
 
         // 如果提供了旋转中心点且不是贴纸中心，需要调整位置
-        if (pivot) {
-            const center = this.getCenter();
-            if (Utils.getDistance(center, pivot) > 5) {
-                const cos = Math.cos(deltaAngle);
-                const sin = Math.sin(deltaAngle);
+        if (pivot && Utils.getDistance(this.getCenter(), pivot) > 5) {
+            this.moveAround(pivot, deltaAngle);
+        }
+    }
 
-                const dx = center.x - pivot.x;
-                const dy = center.y - pivot.y;
+    /**
+     * 围绕外部中心点旋转（多选整体旋转时使用）
+     * 每个成员的中心总是绕中心点转动，靠近中心点的成员也不会与其他成员错位
+     * @param {Object} pivot 旋转中心点
+     * @param {number} deltaAngle 角度变化量（弧度）
+     */
+    rotateAround(pivot, deltaAngle) {
+        this.rotate(deltaAngle);
+        this.moveAround(pivot, deltaAngle);
+    }
 
-                const newCenterX = pivot.x + dx * cos - dy * sin;
-                const newCenterY = pivot.y + dx * sin + dy * cos;
+    /**
+     * 把贴纸中心绕指定点转动，不改变自身角度
+     * @param {Object} pivot 旋转中心点
+     * @param {number} deltaAngle 角度变化量（弧度）
+     */
+    moveAround(pivot, deltaAngle) {
+        const center = this.getCenter();
+        const cos = Math.cos(deltaAngle);
+        const sin = Math.sin(deltaAngle);
 
-                this.x = newCenterX - (this.width * this.scale) / 2;
-                this.y = newCenterY - (this.height * this.scale) / 2;
-            }
-        }
+        const dx = center.x - pivot.x;
+        const dy = center.y - pivot.y;
+
+        const newCenterX = pivot.x + dx * cos - dy * sin;
+        const newCenterY = pivot.y + dx * sin + dy * cos;
+
+        this.x = newCenterX - (this.width * this.scale) / 2;
+        this.y = newCenterY - (this.height * this.scale) / 2;
     }
 
     /**
@@ -221,6 +345,26 @@ class Sticker {
         this.opacity = Utils.clamp(opacity, 0, 1);
     }
 
+    /**
+     * 修改某个效果的参数
+     * @param {string} key 效果名称，如 'shadow'
+     * @param {Object} values 要修改的参数（包括 enabled）
+     */
+    setEffect(key, values) {
+        this.effects = StickerEffects.normalize({
+            ...this.effects,
+            [key]: { ...this.effects[key], ...values }
+        });
+    }
+
+    /**
+     * 修改模切白边参数
+     * @param {Object} values 要修改的参数
+     */
+    setDieCut(values) {
+        this.dieCut = DieCut.normalize({ ...this.dieCut, ...values });
+    }
+
     /**
      * 选中贴纸
      */
@@ -245,7 +389,13 @@ class Sticker {
             height: this.height,
             rotation: this.rotation,
             scale: this.scale,
-            opacity: this.opacity
+            opacity: this.opacity,
+            name: this.name,
+            visible: this.visible,
+            locked: this.locked,
+            assetId: this.assetId,
+            effects: this.effects,
+            dieCut: this.dieCut
         });
         return cloned;
     }
@@ -258,32 +408,93 @@ class Sticker {
         return {
             id: this.id,
             type: this.type,
-            data: this.type === 'emoji' ? this.data : null, // 图片数据不序列化
+            data: this.type === 'emoji' ? this.data : null, // 图片数据不序列化，通过资源ID引用
+            asset: this.assetId,
             x: this.x,
             y: this.y,
             width: this.width,
             height: this.height,
             rotation: this.rotation,
             scale: this.scale,
-            opacity: this.opacity
+            opacity: this.opacity,
+            name: this.name,
+            visible: this.visible,
+            locked: this.locked,
+            effects: StickerEffects.compact(this.effects),
+            dieCut: this.type === 'image' ? { ...this.dieCut } : undefined
         };
     }
 
+    /**
+     * 按控制点方向（已含贴纸旋转）选择缩放指针
+     * @param {number} angle 控制点相对中心的方向（弧度）
+     * @returns {string} CSS 指针样式
+     */
+    static getResizeCursor(angle) {
+        const cursors = ['ew-resize', 'nwse-resize', 'ns-resize', 'nesw-resize'];
+        const index = Math.round(angle / (Math.PI / 4));
+        return cursors[((index % 4) + 4) % 4];
+    }
+
+    /**
+     * 按类型创建贴纸实例
+     * @param {string} type 贴纸类型
+     * @param {*} data 贴纸数据
+     * @param {number} x X坐标
+     * @param {number} y Y坐标
+     * @param {Object} options 可选参数
+     * @returns {Sticker} 贴纸实例
+     */
+    static create(type, data, x, y, options = {}) {
+        switch (type) {
+            case 'text':
+                return new TextSticker(data, x, y, options);
+            case 'shape':
+                return new ShapeSticker(data, x, y, options);
+            case 'stroke':
+                return new BrushStroke(data, x, y, options);
+            default:
+                return new Sticker(type, data, x, y, options);
+        }
+    }
+
     /**
      * 从序列化数据创建贴纸
      * @param {Object} data 序列化数据
-     * @param {HTMLImageElement} imageData 图片数据（如果是图片贴纸）
+     * @param {AssetStore} assets 资源仓库（图片贴纸按资源ID取得图片）
      * @returns {Sticker} 贴纸实例
      */
-    static deserialize(data, imageData = null) {
-        const stickerData = data.type === 'image' ? imageData : data.data;
+    static deserialize(data, assets = null) {
+        // 特殊类型的贴纸由各自的子类负责还原
+        if (data.type === 'text') {
+            return TextSticker.deserialize(data);
+        }
+        if (data.type === 'shape') {
+            return ShapeSticker.deserialize(data);
+        }
+        if (data.type === 'stroke') {
+            return BrushStroke.deserialize(data);
+        }
+        if (data.type === 'group') {
+            return GroupSticker.deserialize(data, assets);
+        }
+
+        const stickerData = data.type === 'image'
+            ? (assets && data.asset ? assets.get(data.asset) : null)
+            : data.data;
 
         const sticker = new Sticker(data.type, stickerData, data.x, data.y, {
             width: data.width,
             height: data.height,
             rotation: data.rotation,
             scale: data.scale,
-            opacity: data.opacity
+            opacity: data.opacity,
+            name: data.name,
+            visible: data.visible,
+            locked: data.locked,
+            assetId: data.asset,
+            effects: data.effects,
+            dieCut: data.dieCut
         });
 
         sticker.id = data.id;
@@ -323,4 +534,16 @@ class Sticker {
             center: this.getCenter()
         };
     }
-}
\ No newline at end of file
+}
+
+// 缩放控制点相对中心的方向：角点同时改变宽高，边中点只改变一个方向
+Sticker.RESIZE_HANDLES = {
+    topLeft: { x: -1, y: -1 },
+    top: { x: 0, y: -1 },
+    topRight: { x: 1, y: -1 },
+    right: { x: 1, y: 0 },
+    bottomRight: { x: 1, y: 1 },
+    bottom: { x: 0, y: 1 },
+    bottomLeft: { x: -1, y: 1 },
+    left: { x: -1, y: 0 }
+};
@@ -0,0 +1,373 @@
+/**
+ * 贴纸效果类
+ * 处理贴纸的投影、描边、外发光、高斯模糊和颜色叠加。
+ * 效果尺寸以贴纸本地单位保存，绘制时按当前变换换算成像素，
+ * 因此缩放贴纸或以 2x/4x 导出时效果与贴纸保持相同比例
+ */
+
+class StickerEffects {
+    /**
+     * 获取默认效果（全部关闭）
+     * @returns {Object} 效果名称 -> 参数
+     */
+    static getDefaults() {
+        const effects = {};
+        StickerEffects.EFFECTS.forEach(effect => {
+            effects[effect.key] = { enabled: false };
+            effect.params.forEach(param => {
+                effects[effect.key][param.key] = param.default;
+            });
+        });
+        return effects;
+    }
+
+    /**
+     * 补全缺失的效果和参数
+     * @param {Object} effects 效果（可以只包含部分效果）
+     * @returns {Object} 完整的效果
+     */
+    static normalize(effects = {}) {
+        const result = StickerEffects.getDefaults();
+
+        StickerEffects.EFFECTS.forEach(effect => {
+            const saved = effects && effects[effect.key];
+            if (!saved) return;
+
+            result[effect.key].enabled = !!saved.enabled;
+            effect.params.forEach(param => {
+                if (saved[param.key] === undefined) return;
+                result[effect.key][param.key] = param.type === 'color'
+                    ? saved[param.key]
+                    : Utils.clamp(parseFloat(saved[param.key]) || 0, param.min, param.max);
+            });
+        });
+
+        return result;
+    }
+
+    /**
+     * 只保留开启的效果，用于序列化
+     * @param {Object} effects 效果
+     * @returns {Object}
+     */
+    static compact(effects) {
+        const result = {};
+        Object.keys(effects).forEach(key => {
+            if (effects[key].enabled) {
+                result[key] = { ...effects[key] };
+            }
+        });
+        return result;
+    }
+
+    /**
+     * 是否有开启的效果
+     * @param {Object} effects 效果
+     * @returns {boolean}
+     */
+    static hasAny(effects) {
+        return !!effects && Object.keys(effects).some(key => effects[key].enabled);
+    }
+
+    /**
+     * 计算效果超出贴纸范围的距离（本地单位）
+     * @param {Object} effects 效果
+     * @returns {number}
+     */
+    static getPadding(effects) {
+        const { shadow, outline, glow, blur } = effects;
+        const outlineWidth = outline.enabled ? outline.width : 0;
+        const blurRadius = blur.enabled ? blur.radius * 2 : 0;
+        const shadowExtent = shadow.enabled ? Math.hypot(shadow.offsetX, shadow.offsetY) + shadow.blur : 0;
+        const glowExtent = glow.enabled ? glow.blur : 0;
+
+        return Math.ceil(outlineWidth + blurRadius + Math.max(shadowExtent, glowExtent)) + 2;
+    }
+
+    /**
+     * 在编辑画布上绘制带效果的贴纸
+     * 效果结果按贴纸内容、效果参数和当前变换缓存，拖动时不必重复计算
+     * @param {CanvasRenderingContext2D} ctx 已变换到贴纸中心的绘图上下文
+     * @param {Sticker} sticker 贴纸对象
+     * @param {Function} drawContent 在给定上下文中绘制贴纸内容的函数
+     * @param {string} frameKey 动画贴纸当前的帧标识（可选），切换帧时重新生成效果
+     */
+    static draw(ctx, sticker, drawContent, frameKey = '') {
+        const { scale, angle } = StickerEffects.getTransformInfo(ctx);
+        const key = JSON.stringify([
+            scale.toFixed(3),
+            angle.toFixed(3),
+            StickerEffects.getContentKey(sticker),
+            frameKey
+        ]);
+
+        let entry = StickerEffects.cache.get(sticker);
+        if (!entry || entry.key !== key) {
+            const layer = StickerEffects.createLayer(ctx, sticker);
+            drawContent(layer.ctx);
+            entry = { key, result: StickerEffects.applyEffects(sticker, layer) };
+            StickerEffects.cache.set(sticker, entry);
+        }
+
+        StickerEffects.drawResult(ctx, entry.result);
+    }
+
+    /**
+     * 创建绘制贴纸内容的离屏图层
+     * 图层分辨率与目标上下文的实际像素一致，并留出效果所需的边距
+     * @param {CanvasRenderingContext2D} ctx 已变换到贴纸中心的绘图上下文
+     * @param {Sticker} sticker 贴纸对象
+     * @returns {Object} {canvas, ctx, width, height, scale, angle}，ctx 已变换到图层中心
+     */
+    static createLayer(ctx, sticker) {
+        const { scale, angle } = StickerEffects.getTransformInfo(ctx);
+        const padding = StickerEffects.getPadding(sticker.effects) + DieCut.getPadding(sticker);
+        const width = sticker.width + padding * 2;
+        const height = sticker.height + padding * 2;
+
+        const canvas = StickerEffects.createCanvas(width * scale, height * scale);
+        const layerCtx = canvas.getContext('2d');
+        layerCtx.scale(canvas.width / width, canvas.height / height);
+        layerCtx.translate(width / 2, height / 2);
+
+        return { canvas, ctx: layerCtx, width, height, scale, angle };
+    }
+
+    /**
+     * 对绘制好内容的图层应用效果
+     * @param {Sticker} sticker 贴纸对象
+     * @param {Object} layer createLayer 返回的图层
+     * @returns {Object} {canvas, width, height}，尺寸为本地单位
+     */
+    static applyEffects(sticker, layer) {
+        const { shadow, outline, glow, blur, tint } = sticker.effects;
+        const { scale, angle } = layer;
+        let content = layer.canvas;
+
+        if (blur.enabled && blur.radius > 0) {
+            content = StickerEffects.blurCanvas(content, blur.radius * scale);
+        }
+
+        if (tint.enabled && tint.amount > 0) {
+            const tintCtx = content.getContext('2d');
+            tintCtx.save();
+            tintCtx.setTransform(1, 0, 0, 1, 0, 0);
+            tintCtx.globalCompositeOperation = 'source-atop';
+            tintCtx.globalAlpha = tint.amount;
+            tintCtx.fillStyle = tint.color;
+            tintCtx.fillRect(0, 0, content.width, content.height);
+            tintCtx.restore();
+        }
+
+        if (outline.enabled && outline.width > 0) {
+            content = StickerEffects.outlineCanvas(content, outline.width * scale, outline.color);
+        }
+
+        const result = StickerEffects.createCanvas(content.width, content.height);
+        const resultCtx = result.getContext('2d');
+
+        if (shadow.enabled) {
+            // 投影方向固定在画布坐标系中，不随贴纸旋转
+            const cos = Math.cos(-angle);
+            const sin = Math.sin(-angle);
+            const offsetX = (shadow.offsetX * cos - shadow.offsetY * sin) * scale;
+            const offsetY = (shadow.offsetX * sin + shadow.offsetY * cos) * scale;
+
+            resultCtx.globalAlpha = shadow.opacity;
+            StickerEffects.drawShadow(resultCtx, content, shadow.color, shadow.blur * scale, offsetX, offsetY);
+            resultCtx.globalAlpha = 1;
+        }
+
+        if (glow.enabled && glow.blur > 0) {
+            StickerEffects.drawShadow(resultCtx, content, glow.color, glow.blur * scale, 0, 0);
+        }
+
+        resultCtx.drawImage(content, 0, 0);
+
+        return { canvas: result, width: layer.width, height: layer.height };
+    }
+
+    /**
+     * 把效果结果绘制到贴纸位置
+     * @param {CanvasRenderingContext2D} ctx 已变换到贴纸中心的绘图上下文
+     * @param {Object} result applyEffects 返回的结果
+     */
+    static drawResult(ctx, result) {
+        ctx.drawImage(result.canvas, -result.width / 2, -result.height / 2, result.width, result.height);
+    }
+
+    /**
+     * 只绘制图像的阴影，不绘制图像本身
+     * 图像画在画布之外，由阴影偏移把阴影移回目标位置
+     * @param {CanvasRenderingContext2D} ctx 目标上下文（无变换）
+     * @param {HTMLCanvasElement} source 图像
+     * @param {string} color 阴影颜色
+     * @param {number} blur 模糊半径（像素）
+     * @param {number} offsetX X偏移（像素）
+     * @param {number} offsetY Y偏移（像素）
+     */
+    static drawShadow(ctx, source, color, blur, offsetX, offsetY) {
+        ctx.save();
+        ctx.shadowColor = color;
+        ctx.shadowBlur = blur;
+        ctx.shadowOffsetX = offsetX + source.width;
+        ctx.shadowOffsetY = offsetY;
+        ctx.drawImage(source, -source.width, 0);
+        ctx.restore();
+    }
+
+    /**
+     * 为图像加上外描边
+     * 把图像沿一圈方向平移叠加得到扩张后的轮廓，再填充描边颜色
+     * @param {HTMLCanvasElement} source 图像
+     * @param {number} width 描边宽度（像素）
+     * @param {string} color 描边颜色
+     * @returns {HTMLCanvasElement} 带描边的图像
+     */
+    static outlineCanvas(source, width, color) {
+        const canvas = StickerEffects.createCanvas(source.width, source.height);
+        const ctx = canvas.getContext('2d');
+        const steps = Utils.clamp(Math.ceil(width * 2), 8, 32);
+
+        [width, width / 2].forEach(radius => {
+            for (let i = 0; i < steps; i++) {
+                const angle = (i / steps) * Math.PI * 2;
+                ctx.drawImage(source, Math.cos(angle) * radius, Math.sin(angle) * radius);
+            }
+        });
+
+        ctx.globalCompositeOperation = 'source-in';
+        ctx.fillStyle = color;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.drawImage(source, 0, 0);
+
+        return canvas;
+    }
+
+    /**
+     * 高斯模糊
+     * 优先使用 Canvas 滤镜；不支持时先缩小再放大，近似模糊效果
+     * @param {HTMLCanvasElement} source 图像
+     * @param {number} radius 模糊半径（像素）
+     * @returns {HTMLCanvasElement} 模糊后的图像
+     */
+    static blurCanvas(source, radius) {
+        const canvas = StickerEffects.createCanvas(source.width, source.height);
+        const ctx = canvas.getContext('2d');
+
+        if (typeof ctx.filter === 'string') {
+            ctx.filter = `blur(${radius}px)`;
+            ctx.drawImage(source, 0, 0);
+            ctx.filter = 'none';
+            return canvas;
+        }
+
+        const factor = Math.max(1, radius / 2);
+        const small = StickerEffects.createCanvas(source.width / factor, source.height / factor);
+        const smallCtx = small.getContext('2d');
+        smallCtx.imageSmoothingQuality = 'high';
+        smallCtx.drawImage(source, 0, 0, small.width, small.height);
+
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(small, 0, 0, canvas.width, canvas.height);
+        return canvas;
+    }
+
+    /**
+     * 读取上下文当前的缩放（每个本地单位对应的像素数）和旋转角度
+     * @param {CanvasRenderingContext2D} ctx 绘图上下文
+     * @returns {Object} {scale, angle}
+     */
+    static getTransformInfo(ctx) {
+        const matrix = ctx.getTransform();
+        return {
+            scale: Math.hypot(matrix.a, matrix.b) || 1,
+            angle: Math.atan2(matrix.b, matrix.a)
+        };
+    }
+
+    /**
+     * 生成表示贴纸外观的缓存键（不含位置等不影响效果结果的属性）
+     * @param {Sticker} sticker 贴纸对象
+     * @returns {string}
+     */
+    static getContentKey(sticker) {
+        const { id, x, y, rotation, scale, opacity, name, visible, locked, ...content } = sticker.serialize();
+
+        // 原地编辑中的文字不绘制内容
+        if (sticker.isEditing) {
+            content.isEditing = true;
+        }
+
+        // 没有资源ID的图片贴纸以图片地址区分
+        if (sticker.type === 'image' && !sticker.assetId && sticker.data) {
+            content.src = sticker.data.src;
+        }
+
+        return JSON.stringify(content);
+    }
+
+    /**
+     * 创建离屏Canvas
+     * @param {number} width 宽度（像素）
+     * @param {number} height 高度（像素）
+     * @returns {HTMLCanvasElement}
+     */
+    static createCanvas(width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.ceil(width));
+        canvas.height = Math.max(1, Math.ceil(height));
+        return canvas;
+    }
+}
+
+// 效果定义：参数范围和默认值，长度单位为贴纸本地单位
+StickerEffects.EFFECTS = [
+    {
+        key: 'shadow',
+        label: '投影',
+        params: [
+            { key: 'offsetX', label: '水平偏移', min: -50, max: 50, step: 1, default: 4 },
+            { key: 'offsetY', label: '垂直偏移', min: -50, max: 50, step: 1, default: 6 },
+            { key: 'blur', label: '模糊', min: 0, max: 50, step: 1, default: 8 },
+            { key: 'color', label: '颜色', type: 'color', default: '#000000' },
+            { key: 'opacity', label: '不透明度', min: 0, max: 1, step: 0.05, default: 0.5 }
+        ]
+    },
+    {
+        key: 'outline',
+        label: '描边',
+        params: [
+            { key: 'width', label: '宽度', min: 1, max: 30, step: 1, default: 4 },
+            { key: 'color', label: '颜色', type: 'color', default: '#FFFFFF' }
+        ]
+    },
+    {
+        key: 'glow',
+        label: '外发光',
+        params: [
+            { key: 'blur', label: '范围', min: 1, max: 60, step: 1, default: 16 },
+            { key: 'color', label: '颜色', type: 'color', default: '#FFD60A' }
+        ]
+    },
+    {
+        key: 'blur',
+        label: '高斯模糊',
+        params: [
+            { key: 'radius', label: '半径', min: 1, max: 30, step: 1, default: 4 }
+        ]
+    },
+    {
+        key: 'tint',
+        label: '颜色叠加',
+        params: [
+            { key: 'color', label: '颜色', type: 'color', default: '#FF2D55' },
+            { key: 'amount', label: '强度', min: 0, max: 1, step: 0.05, default: 0.5 }
+        ]
+    }
+];
+
+// 效果结果缓存：贴纸 -> {key, result}
+StickerEffects.cache = new WeakMap();
@@ -0,0 +1,93 @@
+/**
+ * 贴纸库类
+ * 把上传过的自定义贴纸保存到 IndexedDB（“我的贴纸”），以上传文件的内容哈希为 id，
+ * 同一个文件再次上传时不会重复保存。每项保存处理后（如移除背景后）的图片、名称、标签和收藏状态
+ */
+
+class StickerLibrary {
+    constructor() {
+        this.store = new IndexedDBStore(StickerLibrary.DB_NAME, StickerLibrary.STORE_NAME, { keyPath: 'id' });
+    }
+
+    /**
+     * 是否支持 IndexedDB
+     * @returns {boolean}
+     */
+    isSupported() {
+        return IndexedDBStore.isSupported();
+    }
+
+    /**
+     * 获取所有贴纸
+     * @returns {Promise<Object[]>} {id, blob, name, tags, favorite, addedAt}
+     */
+    async getAll() {
+        if (!this.isSupported()) return [];
+
+        try {
+            return await this.store.run('readonly', store => store.getAll());
+        } catch (error) {
+            console.warn('读取我的贴纸失败:', error);
+            return [];
+        }
+    }
+
+    /**
+     * 保存贴纸；相同 id 的贴纸已存在时保留原有的名称、标签和收藏状态
+     * @param {string} id 上传文件的内容哈希
+     * @param {Blob} blob 贴纸图片
+     * @param {string} name 名称
+     * @returns {Promise<Object>} 保存的贴纸
+     */
+    async add(id, blob, name) {
+        const existing = await this.store.run('readonly', store => store.get(id));
+        if (existing) return existing;
+
+        const item = { id, blob, name, tags: [], favorite: false, addedAt: Date.now() };
+        await this.store.run('readwrite', store => store.put(item));
+        return item;
+    }
+
+    /**
+     * 修改贴纸的名称、标签或收藏状态
+     * @param {Object} item 贴纸
+     * @param {Object} changes 要修改的属性
+     * @returns {Promise<Object>} 修改后的贴纸
+     */
+    async update(item, changes) {
+        const updated = { ...item, ...changes };
+        await this.store.run('readwrite', store => store.put(updated));
+        return updated;
+    }
+
+    /**
+     * 删除贴纸
+     * @param {string} id 贴纸 id
+     */
+    async remove(id) {
+        await this.store.run('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * 计算上传文件的 id（内容哈希）
+     * @param {Blob} file 上传的文件
+     * @returns {Promise<string>}
+     */
+    static getId(file) {
+        return AssetStore.hashBlob(file);
+    }
+
+    /**
+     * 把输入的标签文字拆分为标签（空格、逗号或顿号分隔，去除重复）
+     * @param {string} text 标签文字
+     * @returns {string[]}
+     */
+    static parseTags(text) {
+        const tags = text.split(/[\s,，、]+/).filter(Boolean);
+        return tags.filter((tag, index) => tags.indexOf(tag) === index);
+    }
+}
+
+// IndexedDB 数据库和对象仓库名称
+StickerLibrary.DB_NAME = 'sticker-editor-library';
+StickerLibrary.STORE_NAME = 'stickers';
@@ -0,0 +1,385 @@
+/**
+ * 我的贴纸面板类
+ * 显示贴纸库中上传过的自定义贴纸：点击或拖到画布上添加，可按名称和标签搜索、只看收藏，
+ * 以及重命名、编辑标签、收藏和删除
+ */
+
+class StickerLibraryPanel {
+    /**
+     * 构造函数
+     * @param {ImageEditor} editor 编辑器实例
+     * @param {StickerLibrary} library 贴纸库实例
+     */
+    constructor(editor, library) {
+        this.editor = editor;
+        this.library = library;
+        this.elements = {};
+
+        // 贴纸库中的贴纸
+        this.items = [];
+
+        // 正在编辑的贴纸 id
+        this.editingId = null;
+
+        // 是否只显示收藏
+        this.favoritesOnly = false;
+
+        // 缩略图的对象 URL：贴纸 id 到 URL
+        this.thumbnailUrls = new Map();
+
+        // 绑定方法上下文
+        this.handleDragOver = this.handleDragOver.bind(this);
+        this.handleDrop = this.handleDrop.bind(this);
+
+        this.initialize();
+    }
+
+    /**
+     * 初始化面板
+     */
+    initialize() {
+        this.getElements();
+        this.bindEvents();
+        this.loadItems();
+    }
+
+    /**
+     * 获取DOM元素引用
+     */
+    getElements() {
+        this.elements = {
+            container: document.getElementById('canvasContainer'),
+            favoritesBtn: document.getElementById('libraryFavoritesBtn'),
+            search: document.getElementById('librarySearch'),
+            grid: document.getElementById('libraryGrid'),
+            empty: document.getElementById('libraryEmpty'),
+            editor: document.getElementById('libraryEditor'),
+            name: document.getElementById('libraryName'),
+            tags: document.getElementById('libraryTags'),
+            favoriteBtn: document.getElementById('libraryFavoriteBtn'),
+            deleteBtn: document.getElementById('libraryDeleteBtn')
+        };
+    }
+
+    /**
+     * 绑定事件处理器
+     */
+    bindEvents() {
+        const { container, favoritesBtn, search, grid, name, tags, favoriteBtn, deleteBtn } = this.elements;
+
+        favoritesBtn.addEventListener('click', () => {
+            this.favoritesOnly = !this.favoritesOnly;
+            this.render();
+        });
+
+        search.addEventListener('input', () => this.render());
+
+        grid.addEventListener('click', (e) => {
+            const item = e.target.closest('.library-item');
+            if (!item) return;
+
+            if (e.target.closest('.library-edit-btn')) {
+                this.setEditing(this.editingId === item.dataset.libraryId ? null : item.dataset.libraryId);
+            } else {
+                this.addToCanvas(item.dataset.libraryId);
+            }
+        });
+
+        // 拖到画布上时在放下的位置添加
+        grid.addEventListener('dragstart', (e) => {
+            const item = e.target.closest('.library-item');
+            if (!item) return;
+
+            e.dataTransfer.setData(StickerLibraryPanel.DRAG_TYPE, item.dataset.libraryId);
+            e.dataTransfer.effectAllowed = 'copy';
+        });
+
+        container.addEventListener('dragover', this.handleDragOver);
+        container.addEventListener('drop', this.handleDrop);
+
+        name.addEventListener('change', () => {
+            const value = name.value.trim();
+            if (value) {
+                this.updateEditing({ name: value });
+            } else {
+                name.value = this.getItem(this.editingId).name;
+            }
+        });
+
+        tags.addEventListener('change', () => {
+            this.updateEditing({ tags: StickerLibrary.parseTags(tags.value) });
+        });
+
+        favoriteBtn.addEventListener('click', () => {
+            const item = this.getItem(this.editingId);
+            if (item) {
+                this.updateEditing({ favorite: !item.favorite });
+            }
+        });
+
+        deleteBtn.addEventListener('click', () => this.removeEditing());
+    }
+
+    /**
+     * 读取贴纸库
+     */
+    async loadItems() {
+        this.items = await this.library.getAll();
+        this.render();
+    }
+
+    /**
+     * 获取贴纸
+     * @param {string} id 贴纸 id
+     * @returns {Object|null}
+     */
+    getItem(id) {
+        return this.items.find(item => item.id === id) || null;
+    }
+
+    /**
+     * 查找之前上传过的同一个文件
+     * @param {File} file 上传的文件
+     * @returns {Promise<HTMLImageElement|null>} 贴纸库中保存的贴纸图片（已移除背景等）；未上传过时为 null
+     */
+    async findUpload(file) {
+        const item = this.getItem(await StickerLibrary.getId(file));
+        return item ? AnimatedImage.load(item.blob) : null;
+    }
+
+    /**
+     * 把上传的贴纸保存到贴纸库
+     * @param {File} file 上传的文件
+     * @param {HTMLImageElement} image 处理后的贴纸图片
+     */
+    async saveUpload(file, image) {
+        try {
+            const id = await StickerLibrary.getId(file);
+            const blob = await Utils.imageToBlob(image);
+            const item = await this.library.add(id, blob, file.name.replace(/\.[^.]+$/, '') || '贴纸');
+
+            if (!this.getItem(id)) {
+                this.items.push(item);
+                this.render();
+            }
+        } catch (error) {
+            // 保存失败不影响这次添加贴纸
+            console.warn('保存到我的贴纸失败:', error);
+        }
+    }
+
+    /**
+     * 把贴纸添加到画布
+     * @param {string} id 贴纸 id
+     * @param {Object} center 贴纸中心的画布坐标（可选，默认为画布中心）
+     */
+    async addToCanvas(id, center = undefined) {
+        const item = this.getItem(id);
+        if (!item) return;
+
+        if (!this.editor.originalImage) {
+            Utils.showToast('请先加载图片', 'error');
+            return;
+        }
+
+        try {
+            const assetId = await this.editor.assets.addBlob(item.blob);
+            const image = this.editor.assets.get(assetId);
+
+            try {
+                this.editor.addSticker('image', image, undefined, undefined, {
+                    assetId,
+                    name: item.name,
+                    center,
+                    dieCut: { enabled: !image.animation && DieCut.hasTransparency(image, assetId) }
+                });
+            } finally {
+                this.editor.assets.release([assetId]);
+            }
+        } catch (error) {
+            console.error('贴纸添加失败:', error);
+            Utils.showToast('贴纸添加失败', 'error');
+        }
+    }
+
+    /**
+     * 拖动经过画布：只接受从贴纸库拖出的贴纸
+     * @param {DragEvent} event 拖放事件
+     */
+    handleDragOver(event) {
+        if (!event.dataTransfer.types.includes(StickerLibraryPanel.DRAG_TYPE)) return;
+
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+    }
+
+    /**
+     * 放到画布上：以放下的位置为贴纸中心
+     * @param {DragEvent} event 拖放事件
+     */
+    handleDrop(event) {
+        const id = event.dataTransfer.getData(StickerLibraryPanel.DRAG_TYPE);
+        if (!id) return;
+
+        event.preventDefault();
+        const point = this.editor.viewportToDocument(this.editor.clientToViewport(event.clientX, event.clientY));
+        this.addToCanvas(id, point);
+    }
+
+    /**
+     * 切换正在编辑的贴纸
+     * @param {string|null} id 贴纸 id
+     */
+    setEditing(id) {
+        this.editingId = this.getItem(id) ? id : null;
+        this.render();
+    }
+
+    /**
+     * 修改正在编辑的贴纸
+     * @param {Object} changes 要修改的属性
+     */
+    async updateEditing(changes) {
+        const item = this.getItem(this.editingId);
+        if (!item) return;
+
+        try {
+            const updated = await this.library.update(item, changes);
+            this.items = this.items.map(entry => (entry.id === updated.id ? updated : entry));
+            this.render();
+        } catch (error) {
+            console.error('贴纸修改失败:', error);
+            Utils.showToast('贴纸修改失败', 'error');
+        }
+    }
+
+    /**
+     * 删除正在编辑的贴纸（已添加到画布的贴纸不受影响）
+     */
+    async removeEditing() {
+        const item = this.getItem(this.editingId);
+        if (!item || !confirm(`确定要从我的贴纸中删除“${item.name}”吗？`)) return;
+
+        try {
+            await this.library.remove(item.id);
+            this.items = this.items.filter(entry => entry.id !== item.id);
+            this.editingId = null;
+            this.render();
+        } catch (error) {
+            console.error('贴纸删除失败:', error);
+            Utils.showToast('贴纸删除失败', 'error');
+        }
+    }
+
+    /**
+     * 获取要显示的贴纸：按搜索词和收藏过滤，收藏的排在前面，其余按添加时间从新到旧
+     * @returns {Object[]}
+     */
+    getVisibleItems() {
+        const terms = this.elements.search.value.trim().toLowerCase().split(/\s+/).filter(Boolean);
+
+        return this.items
+            .filter(item => !this.favoritesOnly || item.favorite)
+            .filter(item => {
+                const text = [item.name, ...item.tags].join(' ').toLowerCase();
+                return terms.every(term => text.includes(term));
+            })
+            .sort((a, b) => (b.favorite - a.favorite) || (b.addedAt - a.addedAt));
+    }
+
+    /**
+     * 渲染贴纸网格和编辑区域
+     */
+    render() {
+        const { favoritesBtn, grid, empty } = this.elements;
+        const items = this.getVisibleItems();
+
+        favoritesBtn.classList.toggle('active', this.favoritesOnly);
+        favoritesBtn.textContent = this.favoritesOnly ? '★' : '☆';
+
+        // 释放已删除贴纸的缩略图
+        this.thumbnailUrls.forEach((url, id) => {
+            if (!this.getItem(id)) {
+                URL.revokeObjectURL(url);
+                this.thumbnailUrls.delete(id);
+            }
+        });
+
+        grid.innerHTML = '';
+        items.forEach(item => grid.appendChild(this.createItem(item)));
+
+        empty.textContent = this.items.length === 0 ? '上传的自定义贴图会保存在这里' : '没有找到相关贴纸';
+        empty.classList.toggle('hidden', items.length > 0);
+
+        this.renderEditor();
+    }
+
+    /**
+     * 创建贴纸项
+     * @param {Object} item 贴纸
+     * @returns {HTMLElement}
+     */
+    createItem(item) {
+        if (!this.thumbnailUrls.has(item.id)) {
+            this.thumbnailUrls.set(item.id, URL.createObjectURL(item.blob));
+        }
+
+        const element = document.createElement('div');
+        element.className = 'sticker-item library-item';
+        element.classList.toggle('editing', item.id === this.editingId);
+        element.dataset.libraryId = item.id;
+        element.draggable = true;
+        element.title = [item.name, ...item.tags].join(' · ');
+
+        const img = document.createElement('img');
+        img.src = this.thumbnailUrls.get(item.id);
+        img.alt = item.name;
+        img.draggable = false;
+        element.appendChild(img);
+
+        if (item.favorite) {
+            const star = document.createElement('span');
+            star.className = 'library-favorite';
+            star.textContent = '★';
+            element.appendChild(star);
+        }
+
+        const editBtn = document.createElement('button');
+        editBtn.className = 'library-edit-btn';
+        editBtn.title = '编辑';
+        editBtn.textContent = '✎';
+        element.appendChild(editBtn);
+
+        return element;
+    }
+
+    /**
+     * 同步编辑区域
+     */
+    renderEditor() {
+        const { editor, name, tags, favoriteBtn } = this.elements;
+        const item = this.getItem(this.editingId);
+
+        editor.classList.toggle('hidden', !item);
+        if (!item) return;
+
+        name.value = item.name;
+        tags.value = item.tags.join(' ');
+        favoriteBtn.textContent = item.favorite ? '★ 取消收藏' : '☆ 收藏';
+    }
+
+    /**
+     * 销毁面板
+     */
+    destroy() {
+        const { container } = this.elements;
+        container.removeEventListener('dragover', this.handleDragOver);
+        container.removeEventListener('drop', this.handleDrop);
+
+        this.thumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+        this.thumbnailUrls.clear();
+    }
+}
+
+// 拖放时传递贴纸 id 的数据类型
+StickerLibraryPanel.DRAG_TYPE = 'application/x-sticker-library-id';
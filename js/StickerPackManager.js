@@ -0,0 +1,328 @@
+/**
+ * 贴纸包管理器类
+ * 从 ZIP 文件或文件夹安装贴纸包，校验清单和资源后保存到 IndexedDB，并支持列出和删除。
+ *
+ * 贴纸包中层级最浅的 manifest.json（通常在根目录或顶层文件夹中）：
+ * {
+ *   "id": "acme-brand",            // 可选，默认为 name；安装相同 id 的贴纸包时覆盖旧版本
+ *   "name": "品牌贴纸",
+ *   "author": "Acme 设计组",
+ *   "version": "1.0.0",
+ *   "stickers": [
+ *     { "type": "image", "asset": "stickers/logo.png", "name": "Logo", "size": 160, "tags": ["logo"] },
+ *     { "type": "emoji", "emoji": "🎉", "size": 96, "tags": ["庆祝"] }
+ *   ]
+ * }
+ * asset 为相对 manifest.json 的路径（PNG、JPEG、WebP、GIF 或 SVG，GIF、APNG 和动画 WebP 会播放动画）；size 为贴纸默认的最长边（像素），tags 用于搜索
+ */
+
+class StickerPackManager {
+    constructor() {
+        this.store = new IndexedDBStore(StickerPackManager.DB_NAME, StickerPackManager.STORE_NAME, { keyPath: 'id' });
+    }
+
+    /**
+     * 是否支持 IndexedDB
+     * @returns {boolean}
+     */
+    isSupported() {
+        return IndexedDBStore.isSupported();
+    }
+
+    /**
+     * 获取已安装的贴纸包（按安装时间排序）
+     * @returns {Promise<Object[]>}
+     */
+    async getPacks() {
+        if (!this.isSupported()) return [];
+
+        try {
+            const packs = await this.store.run('readonly', store => store.getAll());
+            return packs.sort((a, b) => a.installedAt - b.installedAt);
+        } catch (error) {
+            console.warn('读取贴纸包失败:', error);
+            return [];
+        }
+    }
+
+    /**
+     * 从 ZIP 文件安装贴纸包
+     * @param {File} file ZIP 文件
+     * @returns {Promise<Object>} 安装的贴纸包
+     */
+    async installFromZip(file) {
+        const files = await ZipReader.read(file);
+        return this.install(files);
+    }
+
+    /**
+     * 从选择的文件夹安装贴纸包
+     * @param {FileList|File[]} fileList 文件夹中的文件（带 webkitRelativePath）
+     * @returns {Promise<Object>} 安装的贴纸包
+     */
+    async installFromFolder(fileList) {
+        const files = new Map();
+
+        Array.from(fileList).forEach(file => {
+            const path = file.webkitRelativePath || file.name;
+            if (!ZipReader.isHiddenFile(path)) {
+                files.set(path, file);
+            }
+        });
+
+        return this.install(files);
+    }
+
+    /**
+     * 校验并安装贴纸包
+     * @param {Map<string, Blob>} files 路径到文件内容
+     * @returns {Promise<Object>} 安装的贴纸包
+     */
+    async install(files) {
+        if (!this.isSupported()) {
+            throw new Error('当前浏览器不支持保存贴纸包');
+        }
+
+        const { manifest, base } = await StickerPackManager.readManifest(files);
+        const errors = StickerPackManager.validateManifest(manifest, files, base);
+        if (errors.length > 0) {
+            throw StickerPackManager.createError(errors);
+        }
+
+        const stickers = [];
+        for (const [index, item] of manifest.stickers.entries()) {
+            const sticker = {
+                id: String(index),
+                type: item.type,
+                name: item.name || '',
+                tags: item.tags || [],
+                size: item.size || null
+            };
+
+            if (item.type === 'emoji') {
+                sticker.emoji = item.emoji;
+            } else {
+                const path = StickerPackManager.resolvePath(base, item.asset);
+                const type = StickerPackManager.ASSET_TYPES[StickerPackManager.getExtension(path)];
+
+                // SVG 清理后保存；确认图片可以解码，损坏的资源在安装时就报告
+                try {
+                    sticker.blob = type === SvgImage.MIME_TYPE
+                        ? await SvgImage.sanitizeBlob(files.get(path))
+                        : new Blob([files.get(path)], { type });
+                    await Utils.loadImageFile(sticker.blob);
+                } catch (error) {
+                    errors.push(`${StickerPackManager.describeSticker(item, index)}：资源无法解码（${item.asset}）`);
+                }
+            }
+
+            stickers.push(sticker);
+        }
+
+        if (errors.length > 0) {
+            throw StickerPackManager.createError(errors);
+        }
+
+        const pack = {
+            id: manifest.id || manifest.name,
+            name: manifest.name,
+            author: manifest.author,
+            version: manifest.version,
+            installedAt: Date.now(),
+            stickers
+        };
+
+        await this.store.run('readwrite', store => store.put(pack));
+        return pack;
+    }
+
+    /**
+     * 删除贴纸包
+     * @param {string} id 贴纸包 id
+     */
+    async remove(id) {
+        await this.store.run('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * 查找并解析 manifest.json（取层级最浅的一个）
+     * @param {Map<string, Blob>} files 路径到文件内容
+     * @returns {Promise<Object>} {manifest, base}：清单和清单所在的目录（以 / 结尾或为空）
+     */
+    static async readManifest(files) {
+        const path = Array.from(files.keys())
+            .filter(name => name.split('/').pop() === StickerPackManager.MANIFEST_NAME)
+            .sort((a, b) => a.split('/').length - b.split('/').length)[0];
+
+        if (!path) {
+            throw new Error(`找不到 ${StickerPackManager.MANIFEST_NAME}`);
+        }
+
+        let manifest;
+        try {
+            manifest = JSON.parse(await files.get(path).text());
+        } catch (error) {
+            throw new Error(`${StickerPackManager.MANIFEST_NAME} 不是有效的 JSON`);
+        }
+
+        if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+            throw new Error(`${StickerPackManager.MANIFEST_NAME} 的内容应为对象`);
+        }
+
+        return { manifest, base: path.slice(0, path.length - StickerPackManager.MANIFEST_NAME.length) };
+    }
+
+    /**
+     * 校验清单
+     * @param {Object} manifest 清单
+     * @param {Map<string, Blob>} files 路径到文件内容
+     * @param {string} base 清单所在的目录
+     * @returns {string[]} 错误信息，为空时表示通过
+     */
+    static validateManifest(manifest, files, base) {
+        const errors = [];
+        const isText = value => typeof value === 'string' && value.trim() !== '';
+
+        ['name', 'author', 'version'].forEach(field => {
+            if (!isText(manifest[field])) {
+                errors.push(`缺少 ${field}（应为非空字符串）`);
+            }
+        });
+
+        if (manifest.id !== undefined && !isText(manifest.id)) {
+            errors.push('id 应为非空字符串');
+        }
+
+        if (!Array.isArray(manifest.stickers) || manifest.stickers.length === 0) {
+            errors.push('stickers 应为非空数组');
+            return errors;
+        }
+
+        const { MIN_SIZE, MAX_SIZE, ASSET_TYPES } = StickerPackManager;
+
+        manifest.stickers.forEach((item, index) => {
+            if (!item || typeof item !== 'object') {
+                errors.push(`第 ${index + 1} 个贴纸应为对象`);
+                return;
+            }
+
+            const label = StickerPackManager.describeSticker(item, index);
+
+            if (item.size !== undefined && !(typeof item.size === 'number' && item.size >= MIN_SIZE && item.size <= MAX_SIZE)) {
+                errors.push(`${label}：size 应为 ${MIN_SIZE} 到 ${MAX_SIZE} 之间的数字`);
+            }
+
+            if (item.tags !== undefined && !(Array.isArray(item.tags) && item.tags.every(tag => typeof tag === 'string'))) {
+                errors.push(`${label}：tags 应为字符串数组`);
+            }
+
+            if (item.name !== undefined && typeof item.name !== 'string') {
+                errors.push(`${label}：name 应为字符串`);
+            }
+
+            if (item.type === 'emoji') {
+                if (!isText(item.emoji)) {
+                    errors.push(`${label}：缺少 emoji`);
+                }
+                return;
+            }
+
+            if (item.type !== 'image') {
+                errors.push(`${label}：不支持的类型 ${JSON.stringify(item.type)}（支持 image 和 emoji）`);
+                return;
+            }
+
+            if (!isText(item.asset)) {
+                errors.push(`${label}：缺少 asset`);
+                return;
+            }
+
+            const path = StickerPackManager.resolvePath(base, item.asset);
+            if (path === null) {
+                errors.push(`${label}：资源路径必须在贴纸包内（${item.asset}）`);
+            } else if (!ASSET_TYPES[StickerPackManager.getExtension(path)]) {
+                errors.push(`${label}：不支持的资源格式（${item.asset}），仅支持 PNG、JPEG、WebP、GIF、SVG`);
+            } else if (!files.has(path)) {
+                errors.push(`${label}：找不到资源 ${item.asset}`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * 把校验错误合成一个错误，每条一行
+     * @param {string[]} errors 错误信息
+     * @returns {Error}
+     */
+    static createError(errors) {
+        return new Error(`贴纸包有 ${errors.length} 处问题：\n${errors.map(error => `• ${error}`).join('\n')}`);
+    }
+
+    /**
+     * 错误信息中贴纸的称呼
+     * @param {Object} item 清单中的贴纸
+     * @param {number} index 序号
+     * @returns {string}
+     */
+    static describeSticker(item, index) {
+        return typeof item.name === 'string' && item.name ? `第 ${index + 1} 个贴纸“${item.name}”` : `第 ${index + 1} 个贴纸`;
+    }
+
+    /**
+     * 解析相对清单目录的资源路径
+     * @param {string} base 清单所在的目录
+     * @param {string} path 资源路径
+     * @returns {string|null} 贴纸包内的路径；指向包外或外部地址时为 null
+     */
+    static resolvePath(base, path) {
+        if (/^[a-z][a-z0-9+.-]*:/i.test(path) || path.startsWith('/') || path.startsWith('\\')) {
+            return null;
+        }
+
+        const parts = base.split('/').filter(Boolean);
+        for (const part of path.replace(/\\/g, '/').split('/')) {
+            if (part === '' || part === '.') continue;
+            if (part === '..') {
+                if (parts.length === 0) return null;
+                parts.pop();
+            } else {
+                parts.push(part);
+            }
+        }
+
+        return parts.join('/');
+    }
+
+    /**
+     * 获取路径的扩展名（小写）
+     * @param {string} path 路径
+     * @returns {string}
+     */
+    static getExtension(path) {
+        const name = path.split('/').pop();
+        const dot = name.lastIndexOf('.');
+        return dot >= 0 ? name.slice(dot + 1).toLowerCase() : '';
+    }
+}
+
+// IndexedDB 数据库和对象仓库名称
+StickerPackManager.DB_NAME = 'sticker-editor-packs';
+StickerPackManager.STORE_NAME = 'packs';
+
+// 清单文件名
+StickerPackManager.MANIFEST_NAME = 'manifest.json';
+
+// 支持的资源格式：扩展名到 MIME 类型
+StickerPackManager.ASSET_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    webp: 'image/webp',
+    gif: 'image/gif',
+    svg: 'image/svg+xml'
+};
+
+// 贴纸默认尺寸的范围（与贴纸的缩放限制一致）
+StickerPackManager.MIN_SIZE = 20;
+StickerPackManager.MAX_SIZE = 300;
@@ -0,0 +1,308 @@
+/**
+ * 贴纸包面板类
+ * 已安装的贴纸包显示为表情网格旁的标签，点击贴纸添加到画布；
+ * 支持从 ZIP 文件或文件夹安装、按名称和标签搜索，以及删除贴纸包
+ */
+
+class StickerPackPanel {
+    /**
+     * 构造函数
+     * @param {ImageEditor} editor 编辑器实例
+     * @param {StickerPackManager} packManager 贴纸包管理器实例
+     */
+    constructor(editor, packManager) {
+        this.editor = editor;
+        this.packManager = packManager;
+        this.elements = {};
+
+        // 已安装的贴纸包
+        this.packs = [];
+
+        // 当前显示的贴纸包 id，null 为表情
+        this.activePackId = null;
+
+        // 贴纸缩略图的对象 URL，切换贴纸包时释放
+        this.thumbnailUrls = [];
+
+        this.initialize();
+    }
+
+    /**
+     * 初始化面板
+     */
+    initialize() {
+        this.getElements();
+        this.bindEvents();
+        this.renderTabs();
+        this.loadPacks();
+    }
+
+    /**
+     * 获取DOM元素引用
+     */
+    getElements() {
+        this.elements = {
+            tabs: document.getElementById('stickerSourceTabs'),
+            addBtn: document.getElementById('stickerPackAddBtn'),
+            install: document.getElementById('stickerPackInstall'),
+            zipBtn: document.getElementById('installPackZipBtn'),
+            folderBtn: document.getElementById('installPackFolderBtn'),
+            zipUpload: document.getElementById('packZipUpload'),
+            folderUpload: document.getElementById('packFolderUpload'),
+            errors: document.getElementById('stickerPackErrors'),
+            emojiPicker: document.getElementById('emojiPicker'),
+            view: document.getElementById('stickerPackView'),
+            info: document.getElementById('stickerPackInfo'),
+            removeBtn: document.getElementById('removePackBtn'),
+            search: document.getElementById('stickerPackSearch'),
+            grid: document.getElementById('stickerPackGrid'),
+            empty: document.getElementById('stickerPackEmpty')
+        };
+    }
+
+    /**
+     * 绑定事件处理器
+     */
+    bindEvents() {
+        const { tabs, addBtn, install, zipBtn, folderBtn, zipUpload, folderUpload, removeBtn, search, grid } = this.elements;
+
+        tabs.addEventListener('click', (e) => {
+            const tab = e.target.closest('.sticker-source-tab');
+            if (tab) {
+                this.showPack(tab.dataset.pack || null);
+            }
+        });
+
+        addBtn.addEventListener('click', () => {
+            install.classList.toggle('hidden');
+            addBtn.classList.toggle('active', !install.classList.contains('hidden'));
+        });
+
+        zipBtn.addEventListener('click', () => zipUpload.click());
+        folderBtn.addEventListener('click', () => folderUpload.click());
+
+        zipUpload.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                await this.installPack(() => this.packManager.installFromZip(file));
+                e.target.value = '';
+            }
+        });
+
+        folderUpload.addEventListener('change', async (e) => {
+            const files = Array.from(e.target.files);
+            if (files.length > 0) {
+                await this.installPack(() => this.packManager.installFromFolder(files));
+                e.target.value = '';
+            }
+        });
+
+        removeBtn.addEventListener('click', () => this.removeActivePack());
+
+        search.addEventListener('input', () => this.renderGrid());
+
+        grid.addEventListener('click', (e) => {
+            const item = e.target.closest('.sticker-item');
+            if (item && item.dataset.packSticker) {
+                this.addPackSticker(item.dataset.packSticker);
+            }
+        });
+    }
+
+    /**
+     * 读取已安装的贴纸包
+     */
+    async loadPacks() {
+        this.packs = await this.packManager.getPacks();
+        this.renderTabs();
+    }
+
+    /**
+     * 安装贴纸包，失败时在安装区域列出所有问题
+     * @param {Function} installer 执行安装并返回贴纸包的函数
+     */
+    async installPack(installer) {
+        const { errors, install, addBtn } = this.elements;
+        errors.classList.add('hidden');
+
+        try {
+            const pack = await installer();
+            const replaced = this.packs.some(item => item.id === pack.id);
+
+            this.packs = [...this.packs.filter(item => item.id !== pack.id), pack];
+            install.classList.add('hidden');
+            addBtn.classList.remove('active');
+            this.showPack(pack.id);
+
+            Utils.showToast(`${replaced ? '已更新' : '已安装'}贴纸包“${pack.name}”`, 'success');
+        } catch (error) {
+            console.error('贴纸包安装失败:', error);
+            errors.textContent = error.message;
+            errors.classList.remove('hidden');
+            Utils.showToast('贴纸包安装失败', 'error');
+        }
+    }
+
+    /**
+     * 删除当前显示的贴纸包
+     */
+    async removeActivePack() {
+        const pack = this.getActivePack();
+        if (!pack || !confirm(`确定要删除贴纸包“${pack.name}”吗？已添加到画布的贴纸不受影响。`)) return;
+
+        try {
+            await this.packManager.remove(pack.id);
+            this.packs = this.packs.filter(item => item.id !== pack.id);
+            this.showPack(null);
+            Utils.showToast(`已删除贴纸包“${pack.name}”`, 'success');
+        } catch (error) {
+            console.error('贴纸包删除失败:', error);
+            Utils.showToast('贴纸包删除失败', 'error');
+        }
+    }
+
+    /**
+     * 获取当前显示的贴纸包
+     * @returns {Object|null}
+     */
+    getActivePack() {
+        return this.packs.find(pack => pack.id === this.activePackId) || null;
+    }
+
+    /**
+     * 切换显示的贴纸包
+     * @param {string|null} id 贴纸包 id，null 为表情
+     */
+    showPack(id) {
+        const { emojiPicker, view, search } = this.elements;
+
+        this.activePackId = this.packs.some(pack => pack.id === id) ? id : null;
+        search.value = '';
+
+        emojiPicker.classList.toggle('hidden', !!this.activePackId);
+        view.classList.toggle('hidden', !this.activePackId);
+
+        this.renderTabs();
+        this.renderGrid();
+    }
+
+    /**
+     * 生成标签：表情和每个贴纸包
+     */
+    renderTabs() {
+        const { tabs } = this.elements;
+        tabs.innerHTML = '';
+
+        const items = [{ id: '', name: '😀 表情', title: 'Emoji 表情' }, ...this.packs.map(pack => ({
+            id: pack.id,
+            name: pack.name,
+            title: `${pack.name} · ${pack.author}`
+        }))];
+
+        items.forEach(item => {
+            const tab = document.createElement('button');
+            tab.className = 'sticker-source-tab';
+            tab.classList.toggle('active', (item.id || null) === this.activePackId);
+            tab.dataset.pack = item.id;
+            tab.title = item.title;
+            tab.textContent = item.name;
+            tabs.appendChild(tab);
+        });
+    }
+
+    /**
+     * 生成当前贴纸包的贴纸网格（按搜索词过滤名称和标签）
+     */
+    renderGrid() {
+        const { info, search, grid, empty } = this.elements;
+
+        this.thumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+        this.thumbnailUrls = [];
+        grid.innerHTML = '';
+
+        const pack = this.getActivePack();
+        if (!pack) return;
+
+        info.textContent = `${pack.name} · ${pack.author} · v${pack.version}`;
+
+        const terms = search.value.trim().toLowerCase().split(/\s+/).filter(Boolean);
+        const stickers = pack.stickers.filter(sticker => {
+            const text = [sticker.name, ...sticker.tags].join(' ').toLowerCase();
+            return terms.every(term => text.includes(term));
+        });
+
+        stickers.forEach(sticker => {
+            const item = document.createElement('div');
+            item.className = 'sticker-item';
+            item.dataset.packSticker = sticker.id;
+            item.title = [sticker.name, ...sticker.tags].filter(Boolean).join(' · ');
+
+            if (sticker.type === 'emoji') {
+                item.textContent = sticker.emoji;
+            } else {
+                const url = URL.createObjectURL(sticker.blob);
+                this.thumbnailUrls.push(url);
+
+                const img = document.createElement('img');
+                img.src = url;
+                img.alt = sticker.name;
+                img.draggable = false;
+                item.appendChild(img);
+            }
+
+            grid.appendChild(item);
+        });
+
+        empty.classList.toggle('hidden', stickers.length > 0);
+    }
+
+    /**
+     * 把贴纸包中的贴纸添加到画布，按清单中的默认尺寸
+     * @param {string} stickerId 贴纸 id
+     */
+    async addPackSticker(stickerId) {
+        const pack = this.getActivePack();
+        const sticker = pack && pack.stickers.find(item => item.id === stickerId);
+        if (!sticker) return;
+
+        const options = { name: sticker.name };
+
+        if (sticker.type === 'emoji') {
+            if (sticker.size) {
+                options.width = sticker.size;
+                options.height = sticker.size;
+            }
+            this.editor.addSticker('emoji', sticker.emoji, undefined, undefined, options);
+            return;
+        }
+
+        if (!this.editor.originalImage) {
+            Utils.showToast('请先加载图片', 'error');
+            return;
+        }
+
+        try {
+            const assetId = await this.editor.assets.addBlob(sticker.blob);
+            try {
+                this.editor.addSticker('image', this.editor.assets.get(assetId), undefined, undefined, {
+                    ...options,
+                    assetId,
+                    size: sticker.size
+                });
+            } finally {
+                this.editor.assets.release([assetId]);
+            }
+        } catch (error) {
+            console.error('贴纸添加失败:', error);
+            Utils.showToast('贴纸添加失败', 'error');
+        }
+    }
+
+    /**
+     * 销毁面板
+     */
+    destroy() {
+        this.thumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+        this.thumbnailUrls = [];
+    }
+}
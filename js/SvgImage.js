@@ -0,0 +1,242 @@
+/**
+ * SVG 图片工具类
+ * 清理上传的 SVG（移除脚本、事件属性和外部引用），按 width、height 和 viewBox 确定固有尺寸，
+ * 并在导出时按实际像素尺寸重新栅格化，任意倍数导出都保持清晰。
+ * SVG 贴纸仍是普通的图片贴纸，图片的 sourceBlob 为清理后的 SVG 源码
+ */
+
+class SvgImage {
+    /**
+     * 加载 SVG 文件：清理后作为图片载入
+     * @param {Blob} file SVG 文件
+     * @returns {Promise<HTMLImageElement>} 图片（sourceBlob 为清理后的 SVG）
+     */
+    static async load(file) {
+        return Utils.loadImageFile(await SvgImage.sanitizeBlob(file));
+    }
+
+    /**
+     * 清理 SVG 文件
+     * @param {Blob} file SVG 文件
+     * @returns {Promise<Blob>} 清理后的 SVG
+     */
+    static async sanitizeBlob(file) {
+        const { text } = SvgImage.sanitize(await file.text());
+        return new Blob([text], { type: SvgImage.MIME_TYPE });
+    }
+
+    /**
+     * 图片是否来自 SVG
+     * @param {HTMLImageElement} image 图片对象
+     * @returns {boolean}
+     */
+    static isSvg(image) {
+        return !!(image && image.sourceBlob && image.sourceBlob.type === SvgImage.MIME_TYPE);
+    }
+
+    /**
+     * 清理 SVG 源码，并写入明确的 width、height 和 viewBox
+     * @param {string} source SVG 源码
+     * @returns {Object} {text, width, height}
+     */
+    static sanitize(source) {
+        const svg = SvgImage.parse(source);
+
+        Array.from(svg.getElementsByTagName('*')).forEach(element => {
+            if (!element.parentNode) return;
+
+            if (SvgImage.isUnsafeElement(element)) {
+                element.parentNode.removeChild(element);
+                return;
+            }
+
+            SvgImage.sanitizeAttributes(element);
+
+            if (element.localName === 'style') {
+                element.textContent = SvgImage.sanitizeCss(element.textContent);
+            }
+        });
+        SvgImage.sanitizeAttributes(svg);
+
+        const { width, height } = SvgImage.applyIntrinsicSize(svg);
+
+        return { text: new XMLSerializer().serializeToString(svg), width, height };
+    }
+
+    /**
+     * 解析 SVG 源码
+     * @param {string} source SVG 源码
+     * @returns {Element} 根元素
+     */
+    static parse(source) {
+        const doc = new DOMParser().parseFromString(source, SvgImage.MIME_TYPE);
+        const svg = doc.documentElement;
+
+        if (doc.getElementsByTagName('parsererror').length > 0 || !svg || svg.localName !== 'svg') {
+            throw new Error('不是有效的 SVG 文件');
+        }
+        return svg;
+    }
+
+    /**
+     * 是否为需要整个移除的元素：脚本、嵌入的 HTML 和外部内容，以及会改写链接的动画
+     * @param {Element} element 元素
+     * @returns {boolean}
+     */
+    static isUnsafeElement(element) {
+        const name = element.localName.toLowerCase();
+        if (SvgImage.UNSAFE_ELEMENTS.includes(name)) return true;
+
+        return (name === 'set' || name.startsWith('animate'))
+            && /href/i.test(element.getAttribute('attributeName') || '');
+    }
+
+    /**
+     * 清理元素的属性：移除事件属性和指向外部的链接，CSS 中的外部地址替换为 none
+     * @param {Element} element 元素
+     */
+    static sanitizeAttributes(element) {
+        Array.from(element.attributes).forEach(attribute => {
+            const name = attribute.name.toLowerCase();
+            const value = attribute.value;
+
+            if (name.startsWith('on')) {
+                element.removeAttribute(attribute.name);
+            } else if (name === 'href' || name.endsWith(':href')) {
+                if (!SvgImage.isSafeReference(value)) {
+                    element.removeAttribute(attribute.name);
+                }
+            } else if (/url\s*\(|@import/i.test(value)) {
+                element.setAttribute(attribute.name, SvgImage.sanitizeCss(value));
+            }
+        });
+    }
+
+    /**
+     * 清理 CSS：移除 @import，外部的 url() 替换为 none
+     * @param {string} css CSS 文本
+     * @returns {string}
+     */
+    static sanitizeCss(css) {
+        return css
+            .replace(/@import[^;]*;?/gi, '')
+            .replace(/url\(\s*(['"]?)(.*?)\1\s*\)/gi, (match, quote, url) => (SvgImage.isSafeReference(url) ? match : 'none'));
+    }
+
+    /**
+     * 是否为允许保留的引用：文档内的片段（#id）或内嵌的位图
+     * @param {string} value 引用地址
+     * @returns {boolean}
+     */
+    static isSafeReference(value) {
+        const url = value.trim();
+        return url.startsWith('#') || /^data:image\/(png|jpe?g|gif|webp);/i.test(url);
+    }
+
+    /**
+     * 按 width、height 和 viewBox 确定固有尺寸并写回根元素；
+     * 缺少 viewBox 时补上，重新栅格化为其他尺寸时内容随之缩放
+     * @param {Element} svg 根元素
+     * @returns {Object} {width, height}（像素）
+     */
+    static applyIntrinsicSize(svg) {
+        const viewBox = SvgImage.parseViewBox(svg.getAttribute('viewBox'));
+        let width = SvgImage.parseLength(svg.getAttribute('width'));
+        let height = SvgImage.parseLength(svg.getAttribute('height'));
+
+        if (viewBox) {
+            const ratio = viewBox.width / viewBox.height;
+            if (!width && !height) {
+                width = viewBox.width;
+                height = viewBox.height;
+            } else if (!width) {
+                width = height * ratio;
+            } else if (!height) {
+                height = width / ratio;
+            }
+        } else {
+            width = width || SvgImage.DEFAULT_WIDTH;
+            height = height || SvgImage.DEFAULT_HEIGHT;
+            svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        }
+
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+        return { width, height };
+    }
+
+    /**
+     * 解析 viewBox
+     * @param {string|null} value viewBox 属性
+     * @returns {Object|null} {x, y, width, height}；无效时为 null
+     */
+    static parseViewBox(value) {
+        if (!value) return null;
+
+        const numbers = value.trim().split(/[\s,]+/).map(Number);
+        if (numbers.length !== 4 || numbers.some(n => !Number.isFinite(n)) || numbers[2] <= 0 || numbers[3] <= 0) {
+            return null;
+        }
+
+        const [x, y, width, height] = numbers;
+        return { x, y, width, height };
+    }
+
+    /**
+     * 解析长度（支持绝对单位，百分比等相对长度无法确定时返回 null）
+     * @param {string|null} value 长度属性
+     * @returns {number|null} 像素
+     */
+    static parseLength(value) {
+        const match = /^\s*([\d.]+(?:e[+-]?\d+)?)\s*([a-z]*)\s*$/i.exec(value || '');
+        if (!match) return null;
+
+        const unit = SvgImage.UNITS[match[2].toLowerCase()];
+        const length = parseFloat(match[1]) * unit;
+        return unit && length > 0 ? length : null;
+    }
+
+    /**
+     * 按指定像素尺寸重新栅格化 SVG 图片
+     * @param {HTMLImageElement} image SVG 图片
+     * @param {number} width 宽度（像素）
+     * @param {number} height 高度（像素）
+     * @returns {Promise<HTMLImageElement>}
+     */
+    static async rasterize(image, width, height) {
+        const fit = Math.min(1, SvgImage.MAX_RASTER_SIZE / Math.max(width, height));
+        const svg = SvgImage.parse(await image.sourceBlob.text());
+
+        svg.setAttribute('width', Math.max(1, Math.round(width * fit)));
+        svg.setAttribute('height', Math.max(1, Math.round(height * fit)));
+
+        const blob = new Blob([new XMLSerializer().serializeToString(svg)], { type: SvgImage.MIME_TYPE });
+        return Utils.loadImageFile(blob);
+    }
+}
+
+// SVG 的 MIME 类型
+SvgImage.MIME_TYPE = 'image/svg+xml';
+
+// 整个移除的元素
+SvgImage.UNSAFE_ELEMENTS = ['script', 'foreignobject', 'iframe', 'object', 'embed', 'audio', 'video', 'handler', 'listener'];
+
+// 长度单位换算为像素
+SvgImage.UNITS = {
+    '': 1,
+    px: 1,
+    pt: 4 / 3,
+    pc: 16,
+    in: 96,
+    cm: 96 / 2.54,
+    mm: 96 / 25.4,
+    em: 16,
+    ex: 8
+};
+
+// 既没有尺寸也没有 viewBox 时的尺寸（与浏览器对替换元素的默认尺寸一致）
+SvgImage.DEFAULT_WIDTH = 300;
+SvgImage.DEFAULT_HEIGHT = 150;
+
+// 栅格化的最长边上限（像素），避免超出画布尺寸限制
+SvgImage.MAX_RASTER_SIZE = 8192;
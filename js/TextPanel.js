@@ -0,0 +1,206 @@
+/**
+ * 文字属性面板类
+ * 负责添加文字贴纸以及编辑选中文字贴纸的字体、颜色、描边、排版等属性
+ */
+
+class TextPanel {
+    /**
+     * 构造函数
+     * @param {ImageEditor} editor 编辑器实例
+     */
+    constructor(editor) {
+        this.editor = editor;
+        this.elements = {};
+
+        // 样式属性与对应的输入控件
+        this.styleControls = [
+            { id: 'textFontFamily', prop: 'fontFamily', numeric: false },
+            { id: 'textFontWeight', prop: 'fontWeight', numeric: false },
+            { id: 'textFontSize', prop: 'fontSize', numeric: true },
+            { id: 'textColor', prop: 'color', numeric: false },
+            { id: 'textStrokeColor', prop: 'strokeColor', numeric: false },
+            { id: 'textStrokeWidth', prop: 'strokeWidth', numeric: true },
+            { id: 'textLetterSpacing', prop: 'letterSpacing', numeric: true },
+            { id: 'textLineHeight', prop: 'lineHeight', numeric: true },
+            { id: 'textBoxWidth', prop: 'boxWidth', numeric: true }
+        ];
+
+        this.handleSelectionChange = this.handleSelectionChange.bind(this);
+
+        this.initialize();
+    }
+
+    /**
+     * 初始化面板
+     */
+    initialize() {
+        this.getElements();
+        this.populateFontOptions();
+        this.bindEvents();
+
+        this.editor.on('selectionchange', this.handleSelectionChange);
+    }
+
+    /**
+     * 获取DOM元素引用
+     */
+    getElements() {
+        this.elements = {
+            addTextBtn: document.getElementById('addTextBtn'),
+            panel: document.getElementById('textProperties'),
+            content: document.getElementById('textContent'),
+            alignBtns: document.querySelectorAll('#textProperties .align-btn')
+        };
+
+        this.styleControls.forEach(control => {
+            this.elements[control.id] = document.getElementById(control.id);
+        });
+    }
+
+    /**
+     * 填充字体下拉列表
+     */
+    populateFontOptions() {
+        const select = this.elements.textFontFamily;
+
+        TextSticker.FONT_FAMILIES.forEach(font => {
+            const option = document.createElement('option');
+            option.value = font.value;
+            option.textContent = font.label;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * 绑定事件处理器
+     */
+    bindEvents() {
+        const { addTextBtn, content, alignBtns } = this.elements;
+
+        addTextBtn.addEventListener('click', () => this.addText());
+
+        // 文字内容：输入时实时预览，失焦时记录历史
+        content.addEventListener('input', () => {
+            const sticker = this.getSelectedTextSticker();
+            if (!sticker) return;
+
+            sticker.setText(content.value);
+            this.editor.renderCanvas();
+        });
+
+        content.addEventListener('change', () => {
+            if (this.getSelectedTextSticker()) {
+                this.editor.saveState('编辑文字');
+            }
+        });
+
+        // 样式控件：拖动滑块时实时预览，松开时记录历史
+        this.styleControls.forEach(control => {
+            const input = this.elements[control.id];
+
+            input.addEventListener('input', () => {
+                const value = control.numeric ? parseFloat(input.value) : input.value;
+                this.applyStyle({ [control.prop]: value });
+            });
+
+            input.addEventListener('change', () => {
+                if (this.getSelectedTextSticker()) {
+                    this.editor.saveState('修改文字样式');
+                }
+            });
+        });
+
+        // 对齐方式
+        alignBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (!this.getSelectedTextSticker()) return;
+
+                this.applyStyle({ align: btn.dataset.align });
+                this.editor.saveState('修改文字样式');
+                this.syncAlignButtons(btn.dataset.align);
+            });
+        });
+    }
+
+    /**
+     * 添加一个新的文字贴纸
+     * 字号和文本框宽度按画布尺寸估算，保证在大图上也清晰可见
+     */
+    addText() {
+        const canvas = this.editor.canvas;
+        const shortSide = Math.min(canvas.width, canvas.height);
+
+        this.editor.addSticker('text', '双击编辑文字', undefined, undefined, {
+            fontSize: Math.max(24, Math.round(shortSide / 12)),
+            boxWidth: Math.max(160, Math.round(canvas.width * 0.6)),
+            strokeWidth: 2
+        });
+    }
+
+    /**
+     * 获取当前选中的文字贴纸
+     * @returns {TextSticker|null}
+     */
+    getSelectedTextSticker() {
+        const sticker = this.editor.selectedSticker;
+        return sticker && sticker.type === 'text' ? sticker : null;
+    }
+
+    /**
+     * 应用样式到选中的文字贴纸
+     * @param {Object} style 样式属性
+     */
+    applyStyle(style) {
+        const sticker = this.getSelectedTextSticker();
+        if (!sticker) return;
+
+        sticker.setStyle(style);
+        this.editor.renderCanvas();
+    }
+
+    /**
+     * 选中贴纸变化时同步面板
+     * @param {Sticker|null} sticker 当前选中的贴纸
+     */
+    handleSelectionChange(sticker) {
+        const { panel, content, textBoxWidth } = this.elements;
+
+        if (!sticker || sticker.type !== 'text') {
+            panel.classList.add('hidden');
+            return;
+        }
+
+        panel.classList.remove('hidden');
+
+        // 文本框最大宽度跟随画布宽度
+        textBoxWidth.max = Math.max(this.editor.canvas.width, sticker.boxWidth);
+
+        if (document.activeElement !== content) {
+            content.value = sticker.data;
+        }
+
+        this.styleControls.forEach(control => {
+            this.elements[control.id].value = sticker[control.prop];
+        });
+
+        this.syncAlignButtons(sticker.align);
+    }
+
+    /**
+     * 同步对齐按钮的选中状态
+     * @param {string} align 对齐方式
+     */
+    syncAlignButtons(align) {
+        this.elements.alignBtns.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.align === align);
+        });
+    }
+
+    /**
+     * 销毁面板
+     */
+    destroy() {
+        this.editor.off('selectionchange', this.handleSelectionChange);
+        this.editor = null;
+    }
+}
@@ -0,0 +1,373 @@
+/**
+ * 文字贴纸类
+ * 在贴纸基础上增加文字内容、字体样式和多行自动换行
+ */
+
+class TextSticker extends Sticker {
+    /**
+     * 构造函数
+     * @param {string} text 文字内容
+     * @param {number} x X坐标
+     * @param {number} y Y坐标
+     * @param {Object} options 可选参数（包含文字样式）
+     */
+    constructor(text, x, y, options = {}) {
+        super('text', text, x, y, options);
+
+        // 文字样式
+        this.fontFamily = options.fontFamily || TextSticker.FONT_FAMILIES[0].value;
+        this.fontWeight = options.fontWeight || 'bold';
+        this.fontSize = options.fontSize || 48;
+        this.color = options.color || '#FFFFFF';
+        this.strokeColor = options.strokeColor || '#000000';
+        this.strokeWidth = options.strokeWidth !== undefined ? options.strokeWidth : 0;
+        this.letterSpacing = options.letterSpacing || 0;
+        this.lineHeight = options.lineHeight || 1.2;
+        this.align = options.align || 'center';
+
+        // 文本框宽度（超出时自动换行）
+        this.boxWidth = options.boxWidth || options.width || 320;
+
+        // 是否正在原地编辑（编辑时画布上隐藏文字）
+        this.isEditing = false;
+
+        // 排版结果
+        this.lines = [];
+        this.updateLayout();
+    }
+
+    /**
+     * 获取默认图层名称：取第一行文字
+     * @returns {string}
+     */
+    getDefaultName() {
+        const firstLine = String(this.data).split('\n')[0].trim();
+        const chars = Array.from(firstLine);
+        return chars.length > 12 ? chars.slice(0, 12).join('') + '…' : (firstLine || '文字');
+    }
+
+    /**
+     * 获取Canvas字体描述
+     * @returns {string} CSS font 字符串
+     */
+    getFont() {
+        return `${this.fontWeight} ${this.fontSize}px ${this.fontFamily}`;
+    }
+
+    /**
+     * 获取文字四周的留白（为描边预留空间）
+     * @returns {number}
+     */
+    getPadding() {
+        return Math.ceil(this.strokeWidth) + 4;
+    }
+
+    /**
+     * 获取单行行高（像素）
+     * @returns {number}
+     */
+    getLineHeightPx() {
+        return this.fontSize * this.lineHeight;
+    }
+
+    /**
+     * 设置文字内容
+     * @param {string} text 文字内容
+     */
+    setText(text) {
+        this.data = text;
+        this.updateLayout();
+    }
+
+    /**
+     * 批量设置文字样式
+     * @param {Object} style 样式属性
+     */
+    setStyle(style) {
+        const allowed = [
+            'fontFamily', 'fontWeight', 'fontSize', 'color', 'strokeColor',
+            'strokeWidth', 'letterSpacing', 'lineHeight', 'align', 'boxWidth'
+        ];
+
+        allowed.forEach(key => {
+            if (style[key] !== undefined) {
+                this[key] = style[key];
+            }
+        });
+
+        this.updateLayout();
+    }
+
+    /**
+     * 重新计算换行和贴纸尺寸
+     * 保持贴纸中心不变，避免编辑时文字跳动
+     */
+    updateLayout() {
+        const center = this.getCenter();
+        const hadSize = this.lines.length > 0;
+
+        const ctx = TextSticker.getMeasureContext();
+        ctx.font = this.getFont();
+
+        const padding = this.getPadding();
+        const maxLineWidth = Math.max(this.boxWidth - padding * 2, this.fontSize);
+
+        this.lines = this.wrapText(ctx, String(this.data), maxLineWidth);
+        this.width = this.boxWidth;
+        this.height = this.lines.length * this.getLineHeightPx() + padding * 2;
+
+        if (hadSize) {
+            this.x = center.x - (this.width * this.scale) / 2;
+            this.y = center.y - (this.height * this.scale) / 2;
+        }
+    }
+
+    /**
+     * 文字只能横向拉伸
+     * @returns {Object} {x, y}
+     */
+    getResizeAxes() {
+        return { x: true, y: false };
+    }
+
+    /**
+     * 横向拉伸时改变文本框宽度并重新换行，高度由排版决定
+     * @param {number} scaleX 宽度变化比例
+     */
+    stretch(scaleX) {
+        this.boxWidth = Math.max(TextSticker.MIN_BOX_WIDTH, Math.round(this.boxWidth * scaleX));
+        this.updateLayout();
+    }
+
+    /**
+     * 按文本框宽度自动换行
+     * 西文按单词换行，中日韩文字按字符换行，超长单词强制断开
+     * @param {CanvasRenderingContext2D} ctx 用于测量的上下文
+     * @param {string} text 文字内容
+     * @param {number} maxWidth 最大行宽
+     * @returns {string[]} 行数组
+     */
+    wrapText(ctx, text, maxWidth) {
+        const lines = [];
+        const tokenPattern = /[\u2E80-\u9FFF\uAC00-\uD7AF\uF900-\uFAFF\uFF00-\uFFEF]|\s+|[^\s\u2E80-\u9FFF\uAC00-\uD7AF\uF900-\uFAFF\uFF00-\uFFEF]+/g;
+
+        text.split('\n').forEach(paragraph => {
+            const tokens = paragraph.match(tokenPattern) || [];
+            let line = '';
+
+            tokens.forEach(token => {
+                const candidate = line + token;
+
+                if (this.measureLine(ctx, candidate) <= maxWidth) {
+                    line = candidate;
+                    return;
+                }
+
+                // 行首的空白直接丢弃
+                if (/^\s+$/.test(token)) {
+                    if (line) {
+                        lines.push(line);
+                        line = '';
+                    }
+                    return;
+                }
+
+                if (line) {
+                    lines.push(line.replace(/\s+$/, ''));
+                    line = '';
+                }
+
+                // 单个单词超出行宽时按字符断开
+                if (this.measureLine(ctx, token) > maxWidth) {
+                    Array.from(token).forEach(char => {
+                        if (line && this.measureLine(ctx, line + char) > maxWidth) {
+                            lines.push(line);
+                            line = '';
+                        }
+                        line += char;
+                    });
+                } else {
+                    line = token;
+                }
+            });
+
+            lines.push(line.replace(/\s+$/, ''));
+        });
+
+        return lines.length > 0 ? lines : [''];
+    }
+
+    /**
+     * 测量一行文字宽度（包含字间距）
+     * @param {CanvasRenderingContext2D} ctx 绘图上下文
+     * @param {string} line 行文字
+     * @returns {number} 宽度
+     */
+    measureLine(ctx, line) {
+        const chars = Array.from(line);
+        if (chars.length === 0) return 0;
+
+        if (this.letterSpacing === 0) {
+            return ctx.measureText(line).width;
+        }
+
+        return chars.reduce((sum, char) => sum + ctx.measureText(char).width, 0) +
+            this.letterSpacing * (chars.length - 1);
+    }
+
+    /**
+     * 在已变换到贴纸中心的上下文中绘制文字
+     * 编辑器与导出共用，按矢量绘制，任意倍数导出都保持清晰
+     * @param {CanvasRenderingContext2D} ctx 绘图上下文
+     */
+    drawContent(ctx) {
+        if (this.isEditing) return;
+
+        const padding = this.getPadding();
+        const lineHeightPx = this.getLineHeightPx();
+        const top = -this.height / 2 + padding;
+
+        ctx.font = this.getFont();
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.lineJoin = 'round';
+        ctx.miterLimit = 2;
+
+        this.lines.forEach((line, index) => {
+            const lineWidth = this.measureLine(ctx, line);
+            const y = top + lineHeightPx * (index + 0.5);
+
+            let x;
+            if (this.align === 'left') {
+                x = -this.width / 2 + padding;
+            } else if (this.align === 'right') {
+                x = this.width / 2 - padding - lineWidth;
+            } else {
+                x = -lineWidth / 2;
+            }
+
+            // 先描边再填充，描边只露出文字外侧
+            if (this.strokeWidth > 0) {
+                ctx.strokeStyle = this.strokeColor;
+                ctx.lineWidth = this.strokeWidth * 2;
+                this.drawLine(ctx, line, x, y, 'strokeText');
+            }
+
+            ctx.fillStyle = this.color;
+            this.drawLine(ctx, line, x, y, 'fillText');
+        });
+    }
+
+    /**
+     * 绘制一行文字（处理字间距）
+     * @param {CanvasRenderingContext2D} ctx 绘图上下文
+     * @param {string} line 行文字
+     * @param {number} x 起始X坐标
+     * @param {number} y 基线Y坐标
+     * @param {string} method 'fillText' 或 'strokeText'
+     */
+    drawLine(ctx, line, x, y, method) {
+        if (this.letterSpacing === 0) {
+            ctx[method](line, x, y);
+            return;
+        }
+
+        let cursorX = x;
+        Array.from(line).forEach(char => {
+            ctx[method](char, cursorX, y);
+            cursorX += ctx.measureText(char).width + this.letterSpacing;
+        });
+    }
+
+    /**
+     * 获取文字样式
+     * @returns {Object} 样式属性
+     */
+    getStyle() {
+        return {
+            fontFamily: this.fontFamily,
+            fontWeight: this.fontWeight,
+            fontSize: this.fontSize,
+            color: this.color,
+            strokeColor: this.strokeColor,
+            strokeWidth: this.strokeWidth,
+            letterSpacing: this.letterSpacing,
+            lineHeight: this.lineHeight,
+            align: this.align,
+            boxWidth: this.boxWidth
+        };
+    }
+
+    /**
+     * 克隆文字贴纸
+     * @returns {TextSticker} 新的贴纸实例
+     */
+    clone() {
+        return new TextSticker(this.data, this.x + 20, this.y + 20, {
+            ...this.getStyle(),
+            rotation: this.rotation,
+            scale: this.scale,
+            opacity: this.opacity,
+            name: this.name,
+            visible: this.visible,
+            locked: this.locked,
+            effects: this.effects
+        });
+    }
+
+    /**
+     * 序列化文字贴纸数据
+     * @returns {Object} 序列化后的数据
+     */
+    serialize() {
+        return {
+            ...super.serialize(),
+            data: this.data,
+            ...this.getStyle()
+        };
+    }
+
+    /**
+     * 从序列化数据创建文字贴纸
+     * @param {Object} data 序列化数据
+     * @returns {TextSticker} 贴纸实例
+     */
+    static deserialize(data) {
+        const sticker = new TextSticker(data.data, data.x, data.y, data);
+
+        // 以保存时的位置为准，避免重新排版带来的偏移
+        sticker.x = data.x;
+        sticker.y = data.y;
+        sticker.id = data.id;
+        return sticker;
+    }
+
+    /**
+     * 获取共享的文字测量上下文
+     * @returns {CanvasRenderingContext2D}
+     */
+    static getMeasureContext() {
+        if (!TextSticker.measureContext) {
+            TextSticker.measureContext = document.createElement('canvas').getContext('2d');
+        }
+        return TextSticker.measureContext;
+    }
+}
+
+/**
+ * 可选字体列表
+ */
+TextSticker.FONT_FAMILIES = [
+    { label: '系统字体', value: '-apple-system, BlinkMacSystemFont, "PingFang SC", "Helvetica Neue", sans-serif' },
+    { label: '衬线体', value: 'Georgia, "Songti SC", "Times New Roman", serif' },
+    { label: '圆体', value: '"SF Pro Rounded", "Arial Rounded MT Bold", "Yuanti SC", sans-serif' },
+    { label: '手写体', value: '"Marker Felt", "Comic Sans MS", "Kaiti SC", cursive' },
+    { label: '等宽字体', value: 'Menlo, "Courier New", monospace' }
+];
+
+TextSticker.measureContext = null;
+
+/**
+ * 拖动控制点拉伸时文本框的最小宽度
+ */
+TextSticker.MIN_BOX_WIDTH = 40;
@@ -14,6 +14,7 @@ class Utils {
 
     /**
      * 获取Canvas相对坐标
+     * 按画布在页面上的实际位置和显示尺寸换算，视口的缩放和平移已包含在内
      * @param {Event} event 事件对象
      * @param {HTMLCanvasElement} canvas Canvas元素
      * @returns {Object} {x, y} 坐标
@@ -80,6 +81,53 @@ class Utils {
                y <= rect.y + rect.height;
     }
 
+    /**
+     * 计算点到线段的最短距离
+     * @param {Object} point 点 {x, y}
+     * @param {Object} start 线段起点 {x, y}
+     * @param {Object} end 线段终点 {x, y}
+     * @returns {number} 距离
+     */
+    static getDistanceToSegment(point, start, end) {
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const lengthSquared = dx * dx + dy * dy;
+
+        if (lengthSquared === 0) {
+            return this.getDistance(point, start);
+        }
+
+        const t = this.clamp(((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSquared, 0, 1);
+
+        return this.getDistance(point, {
+            x: start.x + t * dx,
+            y: start.y + t * dy
+        });
+    }
+
+    /**
+     * 检测点是否在多边形内（射线法）
+     * @param {number} x 点的x坐标
+     * @param {number} y 点的y坐标
+     * @param {Object[]} points 多边形顶点数组 [{x, y}]
+     * @returns {boolean} 是否在多边形内
+     */
+    static isPointInPolygon(x, y, points) {
+        let inside = false;
+
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const xi = points[i].x, yi = points[i].y;
+            const xj = points[j].x, yj = points[j].y;
+
+            if ((yi > y) !== (yj > y) &&
+                x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+
+        return inside;
+    }
+
     /**
      * 限制数值在指定范围内
      * @param {number} value 值
@@ -109,14 +157,36 @@ class Utils {
         return radians * (180 / Math.PI);
     }
 
+    /**
+     * 把弧度规范到 -π 到 π 范围内
+     * @param {number} radians 弧度
+     * @returns {number} 规范后的弧度
+     */
+    static normalizeAngle(radians) {
+        while (radians > Math.PI) radians -= 2 * Math.PI;
+        while (radians < -Math.PI) radians += 2 * Math.PI;
+        return radians;
+    }
+
     /**
      * 验证图片文件
      * @param {File} file 文件对象
+     * @param {Object} options 选项：allowSvg、allowGif 是否接受 SVG 和 GIF（贴纸可以使用）
      * @returns {Object} {valid: boolean, error?: string}
      */
-    static validateImageFile(file) {
+    static validateImageFile(file, options = {}) {
         const maxSize = 10 * 1024 * 1024; // 10MB
         const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+        const names = ['JPG', 'PNG', 'WebP'];
+
+        if (options.allowGif) {
+            allowedTypes.push('image/gif');
+            names.push('GIF');
+        }
+
+        if (options.allowSvg) {
+            names.push('SVG');
+        }
 
         if (!file) {
             return { valid: false, error: '请选择文件' };
@@ -126,13 +196,26 @@ class Utils {
             return { valid: false, error: '文件大小不能超过10MB' };
         }
 
+        if (options.allowSvg && Utils.isSvgFile(file)) {
+            return { valid: true };
+        }
+
         if (!allowedTypes.includes(file.type)) {
-            return { valid: false, error: '仅支持 JPG、PNG、WebP 格式' };
+            return { valid: false, error: `仅支持 ${names.join('、')} 格式` };
         }
 
         return { valid: true };
     }
 
+    /**
+     * 是否为 SVG 文件（部分系统不提供 SVG 的 MIME 类型，同时按扩展名识别）
+     * @param {File} file 文件对象
+     * @returns {boolean}
+     */
+    static isSvgFile(file) {
+        return file.type === 'image/svg+xml' || (!file.type && /\.svg$/i.test(file.name || ''));
+    }
+
     /**
      * 加载图片文件
      * @param {File} file 图片文件
@@ -145,6 +228,8 @@ class Utils {
 
             img.onload = () => {
                 URL.revokeObjectURL(url);
+                // 保留原始文件，保存项目时可以原样写入
+                img.sourceBlob = file;
                 resolve(img);
             };
 
@@ -232,6 +317,64 @@ class Utils {
         }, duration);
     }
 
+    /**
+     * 将Blob读取为Data URL
+     * @param {Blob} blob Blob对象
+     * @returns {Promise<string>}
+     */
+    static blobToDataURL(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error('文件读取失败'));
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    /**
+     * 将Data URL转换为Blob
+     * @param {string} dataURL Data URL
+     * @returns {Blob}
+     */
+    static dataURLToBlob(dataURL) {
+        const [header, base64] = dataURL.split(',');
+        const mimeType = (/data:([^;]+)/.exec(header) || [])[1] || 'application/octet-stream';
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+
+        return new Blob([bytes], { type: mimeType });
+    }
+
+    /**
+     * 获取图片的原始字节
+     * 通过文件加载的图片直接使用原始文件，其他图片绘制到Canvas后编码为PNG
+     * @param {HTMLImageElement|HTMLCanvasElement} image 图片对象
+     * @returns {Promise<Blob>}
+     */
+    static imageToBlob(image) {
+        if (image.sourceBlob) {
+            return Promise.resolve(image.sourceBlob);
+        }
+
+        return new Promise((resolve, reject) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = image.naturalWidth || image.width;
+            canvas.height = image.naturalHeight || image.height;
+            canvas.getContext('2d').drawImage(image, 0, 0);
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('图片编码失败'));
+                }
+            }, 'image/png');
+        });
+    }
+
     /**
      * 下载Blob为文件
      * @param {Blob} blob Blob对象
@@ -312,6 +455,22 @@ class Utils {
         }
     }
 
+    /**
+     * 判断事件目标是否为可编辑元素（输入框、文本域等）
+     * 用于避免全局快捷键干扰文字输入
+     * @param {EventTarget} target 事件目标
+     * @returns {boolean}
+     */
+    static isEditableTarget(target) {
+        if (!target || !target.tagName) return false;
+
+        const tagName = target.tagName.toLowerCase();
+        return tagName === 'input' ||
+               tagName === 'textarea' ||
+               tagName === 'select' ||
+               target.isContentEditable === true;
+    }
+
     /**
      * 格式化文件大小
      * @param {number} bytes 字节数
@@ -0,0 +1,248 @@
+/**
+ * 视口处理器类
+ * 处理视口的缩放和平移：Ctrl/⌘ + 滚轮和触控板双指捏合向指针位置缩放，滚轮和触控板双指滑动平移，
+ * 按住空格或中键拖动平移，以及缩放快捷键
+ */
+
+class ViewportHandler {
+    /**
+     * 构造函数
+     * @param {HTMLElement} container 视口容器
+     * @param {ImageEditor} editor 编辑器实例
+     */
+    constructor(container, editor) {
+        this.container = container;
+        this.editor = editor;
+
+        // 是否按住空格（按住时拖动平移）
+        this.isSpaceDown = false;
+
+        // 拖动平移状态：{pointerId, x, y}
+        this.pan = null;
+
+        // Safari 捏合手势开始时的缩放比例
+        this.gestureStartZoom = 1;
+
+        // 绑定方法上下文
+        this.handleWheel = this.handleWheel.bind(this);
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleKeyUp = this.handleKeyUp.bind(this);
+        this.handleGestureStart = this.handleGestureStart.bind(this);
+        this.handleGestureChange = this.handleGestureChange.bind(this);
+        this.handleResize = this.handleResize.bind(this);
+
+        this.initialize();
+    }
+
+    /**
+     * 初始化事件监听器
+     */
+    initialize() {
+        this.container.addEventListener('wheel', this.handleWheel, { passive: false });
+
+        // 捕获阶段处理，平移时画布上的选择和绘制工具不会收到按下事件
+        this.container.addEventListener('pointerdown', this.handlePointerDown, true);
+        document.addEventListener('pointermove', this.handlePointerMove);
+        document.addEventListener('pointerup', this.handlePointerUp);
+        document.addEventListener('pointercancel', this.handlePointerUp);
+
+        document.addEventListener('keydown', this.handleKeyDown);
+        document.addEventListener('keyup', this.handleKeyUp);
+        window.addEventListener('blur', this.handleKeyUp);
+
+        // Safari 的触控板捏合不产生带 Ctrl 的滚轮事件，而是手势事件
+        this.container.addEventListener('gesturestart', this.handleGestureStart);
+        this.container.addEventListener('gesturechange', this.handleGestureChange);
+
+        window.addEventListener('resize', this.handleResize);
+    }
+
+    /**
+     * 滚轮处理：按住 Ctrl/⌘（触控板捏合时浏览器会自动带上）时缩放，否则平移
+     * @param {WheelEvent} event 滚轮事件
+     */
+    handleWheel(event) {
+        if (!this.editor.originalImage) return;
+
+        event.preventDefault();
+
+        // 按行或按页滚动的滚轮换算为像素
+        const unit = event.deltaMode === 1 ? 16 : event.deltaMode === 2 ? this.container.clientHeight : 1;
+        let deltaX = event.deltaX * unit;
+        let deltaY = event.deltaY * unit;
+
+        if (event.ctrlKey || event.metaKey) {
+            const anchor = this.editor.clientToViewport(event.clientX, event.clientY);
+            const zoom = this.editor.viewport.zoom * Math.exp(-deltaY * ViewportHandler.WHEEL_ZOOM_SPEED);
+            this.editor.zoomAt(zoom, anchor);
+            return;
+        }
+
+        // 按住 Shift 时鼠标滚轮水平平移
+        if (event.shiftKey && deltaX === 0) {
+            deltaX = deltaY;
+            deltaY = 0;
+        }
+
+        this.editor.panBy(-deltaX, -deltaY);
+    }
+
+    /**
+     * 指针按下：按住空格时左键、任何时候中键开始拖动平移
+     * @param {PointerEvent} event 指针事件
+     */
+    handlePointerDown(event) {
+        if (!this.editor.originalImage) return;
+        if (!(event.button === 1 || (event.button === 0 && this.isSpaceDown))) return;
+
+        // 阻止默认行为后浏览器不再派发对应的鼠标事件，选择工具也不会开始拖动或框选
+        event.preventDefault();
+        event.stopPropagation();
+
+        this.pan = { pointerId: event.pointerId, x: event.clientX, y: event.clientY };
+        this.container.classList.add('panning');
+    }
+
+    /**
+     * 指针移动：拖动平移
+     * @param {PointerEvent} event 指针事件
+     */
+    handlePointerMove(event) {
+        if (!this.pan || event.pointerId !== this.pan.pointerId) return;
+
+        this.editor.panBy(event.clientX - this.pan.x, event.clientY - this.pan.y);
+        this.pan.x = event.clientX;
+        this.pan.y = event.clientY;
+    }
+
+    /**
+     * 指针松开：结束拖动平移
+     * @param {PointerEvent} event 指针事件
+     */
+    handlePointerUp(event) {
+        if (!this.pan || event.pointerId !== this.pan.pointerId) return;
+
+        this.pan = null;
+        this.container.classList.remove('panning');
+    }
+
+    /**
+     * 键盘按下：空格准备平移，以及缩放快捷键
+     * @param {KeyboardEvent} event 键盘事件
+     */
+    handleKeyDown(event) {
+        if (Utils.isEditableTarget(event.target) || !this.editor.originalImage) return;
+
+        if (event.key === ' ') {
+            event.preventDefault();
+            if (!this.isSpaceDown) {
+                this.isSpaceDown = true;
+                this.container.classList.add('pan-ready');
+            }
+            return;
+        }
+
+        // Shift + 0: 100%；Shift + 1: 适应窗口；Shift + 2: 缩放到选中内容
+        if (event.shiftKey && !(event.ctrlKey || event.metaKey || event.altKey)) {
+            const command = ViewportHandler.ZOOM_SHORTCUTS[event.code];
+            if (command) {
+                event.preventDefault();
+                this.editor[command]();
+            }
+            return;
+        }
+
+        // Ctrl/Cmd + = / -: 放大、缩小（编辑图片时代替浏览器自身的页面缩放）
+        if (event.ctrlKey || event.metaKey) {
+            if (event.key === '=' || event.key === '+') {
+                event.preventDefault();
+                this.editor.zoomStep(1);
+            } else if (event.key === '-') {
+                event.preventDefault();
+                this.editor.zoomStep(-1);
+            }
+        }
+    }
+
+    /**
+     * 键盘松开（或窗口失去焦点）：松开空格后不再平移
+     * @param {KeyboardEvent|FocusEvent} event 事件对象
+     */
+    handleKeyUp(event) {
+        if (event.type === 'keyup' && event.key !== ' ') return;
+
+        // 阻止按钮获得焦点时被空格触发
+        if (this.isSpaceDown && event.type === 'keyup') {
+            event.preventDefault();
+        }
+
+        this.isSpaceDown = false;
+        this.container.classList.remove('pan-ready');
+    }
+
+    /**
+     * Safari 捏合手势开始
+     * @param {Event} event 手势事件
+     */
+    handleGestureStart(event) {
+        if (!this.editor.originalImage) return;
+
+        event.preventDefault();
+        this.gestureStartZoom = this.editor.viewport.zoom;
+    }
+
+    /**
+     * Safari 捏合手势变化：event.scale 为相对手势开始时的缩放
+     * @param {Event} event 手势事件
+     */
+    handleGestureChange(event) {
+        if (!this.editor.originalImage) return;
+
+        event.preventDefault();
+        const anchor = this.editor.clientToViewport(event.clientX, event.clientY);
+        this.editor.zoomAt(this.gestureStartZoom * event.scale, anchor);
+    }
+
+    /**
+     * 窗口尺寸变化：视口尺寸随之变化，重新限制平移并重绘界面层
+     */
+    handleResize() {
+        if (!this.editor.originalImage) return;
+
+        const { zoom, x, y } = this.editor.viewport;
+        this.editor.setViewport(zoom, x, y);
+    }
+
+    /**
+     * 销毁视口处理器
+     */
+    destroy() {
+        this.container.removeEventListener('wheel', this.handleWheel);
+        this.container.removeEventListener('pointerdown', this.handlePointerDown, true);
+        document.removeEventListener('pointermove', this.handlePointerMove);
+        document.removeEventListener('pointerup', this.handlePointerUp);
+        document.removeEventListener('pointercancel', this.handlePointerUp);
+
+        document.removeEventListener('keydown', this.handleKeyDown);
+        document.removeEventListener('keyup', this.handleKeyUp);
+        window.removeEventListener('blur', this.handleKeyUp);
+
+        this.container.removeEventListener('gesturestart', this.handleGestureStart);
+        this.container.removeEventListener('gesturechange', this.handleGestureChange);
+
+        window.removeEventListener('resize', this.handleResize);
+    }
+}
+
+// Shift + 数字键对应的缩放命令（按物理按键识别，不受键盘布局和 Shift 影响）
+ViewportHandler.ZOOM_SHORTCUTS = {
+    Digit0: 'zoomToActual',
+    Digit1: 'zoomToFit',
+    Digit2: 'zoomToSelection'
+};
+
+// 滚轮缩放速度：每像素滚动量对应的缩放指数
+ViewportHandler.WHEEL_ZOOM_SPEED = 0.002;
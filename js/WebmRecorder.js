@@ -0,0 +1,130 @@
+/**
+ * WebM 录制器类
+ * 用 MediaRecorder 录制 Canvas 的画面流：每一帧画到录制用的 Canvas 上后请求一帧，
+ * 并等到该帧的显示时间结束再画下一帧，所以录制耗时与动画时长相同。
+ * WebM 没有循环次数，播放器按自身设置循环。
+ * 与 GifEncoder、ApngEncoder 使用相同的接口：addFrame(canvas, delay)、finish() 和 dispose()
+ */
+
+class WebmRecorder {
+    /**
+     * 构造函数
+     * @param {number} width 宽度
+     * @param {number} height 高度
+     * @param {Object} options 选项：fps 帧率
+     */
+    constructor(width, height, options = {}) {
+        const mimeType = typeof MediaRecorder === 'undefined'
+            ? null
+            : WebmRecorder.MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = width;
+        this.canvas.height = height;
+
+        if (!mimeType || !this.canvas.captureStream) {
+            throw new Error('当前浏览器不支持录制 WebM');
+        }
+
+        this.ctx = this.canvas.getContext('2d');
+        this.mimeType = mimeType;
+
+        // 帧率为 0 的画面流只在请求时输出帧
+        this.stream = this.canvas.captureStream(0);
+        this.track = this.stream.getVideoTracks()[0];
+
+        this.chunks = [];
+        try {
+            this.recorder = new MediaRecorder(this.stream, {
+                mimeType,
+                videoBitsPerSecond: Math.round(width * height * (options.fps || 15) * WebmRecorder.BITS_PER_PIXEL)
+            });
+        } catch (error) {
+            // 创建失败时不会再调用 dispose()，在这里停止画面流
+            this.track.stop();
+            throw error;
+        }
+
+        this.recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) {
+                this.chunks.push(e.data);
+            }
+        };
+
+        // 开始录制的时间和已写入帧的累计时间（毫秒）
+        this.startedAt = null;
+        this.time = 0;
+    }
+
+    /**
+     * 写入一帧
+     * @param {HTMLCanvasElement} canvas 帧画面（尺寸与录制器一致）
+     * @param {number} delay 显示时长（毫秒）
+     */
+    async addFrame(canvas, delay) {
+        if (this.startedAt === null) {
+            this.recorder.start();
+            this.startedAt = performance.now();
+        } else {
+            await this.waitUntil(this.time);
+        }
+
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.drawImage(canvas, 0, 0);
+        this.track.requestFrame();
+
+        this.time += delay;
+    }
+
+    /**
+     * 完成录制：最后一帧显示完后停止
+     * @returns {Promise<Blob>}
+     */
+    async finish() {
+        if (this.startedAt === null) {
+            throw new Error('没有可录制的画面');
+        }
+
+        await this.waitUntil(this.time);
+
+        await new Promise(resolve => {
+            this.recorder.onstop = resolve;
+            this.recorder.stop();
+        });
+        this.track.stop();
+
+        return new Blob(this.chunks, { type: this.mimeType.split(';')[0] });
+    }
+
+    /**
+     * 停止录制并释放画面流（导出完成或中途失败后调用）
+     */
+    dispose() {
+        if (this.recorder.state !== 'inactive') {
+            this.recorder.ondataavailable = null;
+            this.recorder.onstop = null;
+            this.recorder.stop();
+        }
+        this.track.stop();
+
+        this.chunks = [];
+        this.canvas.width = 1;
+        this.canvas.height = 1;
+    }
+
+    /**
+     * 等到录制开始后的指定时间
+     * @param {number} time 毫秒
+     * @returns {Promise<void>}
+     */
+    waitUntil(time) {
+        const remaining = this.startedAt + time - performance.now();
+        return remaining > 0 ? new Promise(resolve => setTimeout(resolve, remaining)) : Promise.resolve();
+    }
+}
+
+// 依次尝试的录制格式（VP9 优先）
+WebmRecorder.MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+// 码率：每像素每帧的比特数
+WebmRecorder.BITS_PER_PIXEL = 0.2;
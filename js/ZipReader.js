@@ -0,0 +1,161 @@
+/**
+ * ZIP 读取类
+ * 读取 ZIP 文件的中央目录并解出其中的文件，支持不压缩（stored）和 deflate 压缩的条目，
+ * 解压使用浏览器的 DecompressionStream。不支持加密和 ZIP64 格式
+ */
+
+class ZipReader {
+    /**
+     * 读取 ZIP 文件中的所有文件
+     * @param {Blob} blob ZIP 文件
+     * @returns {Promise<Map<string, Blob>>} 路径到文件内容（目录和系统生成的隐藏文件除外）
+     */
+    static async read(blob) {
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const entries = ZipReader.readCentralDirectory(bytes, view);
+        const files = new Map();
+
+        for (const entry of entries) {
+            if (entry.name.endsWith('/') || ZipReader.isHiddenFile(entry.name)) continue;
+
+            files.set(entry.name, await ZipReader.readEntry(bytes, view, entry));
+        }
+
+        return files;
+    }
+
+    /**
+     * 读取中央目录
+     * @param {Uint8Array} bytes 文件内容
+     * @param {DataView} view 文件内容的视图
+     * @returns {Object[]} 条目 {name, method, flags, compressedSize, offset}
+     */
+    static readCentralDirectory(bytes, view) {
+        const end = ZipReader.findEndOfCentralDirectory(view);
+        if (end < 0) {
+            throw new Error('不是有效的 ZIP 文件');
+        }
+
+        const count = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+        if (count === 0xFFFF || offset === 0xFFFFFFFF) {
+            throw new Error('不支持 ZIP64 格式的压缩包');
+        }
+
+        const entries = [];
+        for (let i = 0; i < count; i++) {
+            if (offset + 46 > bytes.length || view.getUint32(offset, true) !== ZipReader.CENTRAL_SIGNATURE) {
+                throw new Error('ZIP 文件已损坏');
+            }
+
+            const flags = view.getUint16(offset + 8, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const nameBytes = bytes.subarray(offset + 46, offset + 46 + nameLength);
+
+            entries.push({
+                name: ZipReader.decodeName(nameBytes, flags),
+                flags,
+                method: view.getUint16(offset + 10, true),
+                compressedSize: view.getUint32(offset + 20, true),
+                offset: view.getUint32(offset + 42, true)
+            });
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    }
+
+    /**
+     * 从文件末尾查找中央目录结束记录（其后可能有最长 65535 字节的注释）
+     * @param {DataView} view 文件内容的视图
+     * @returns {number} 记录的位置，找不到时为 -1
+     */
+    static findEndOfCentralDirectory(view) {
+        const min = Math.max(0, view.byteLength - 22 - 0xFFFF);
+
+        for (let i = view.byteLength - 22; i >= min; i--) {
+            if (view.getUint32(i, true) === ZipReader.END_SIGNATURE) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * 解码文件名：标记为 UTF-8 或能按 UTF-8 解码时使用 UTF-8，否则按 GBK（中文系统自带压缩工具的编码）
+     * @param {Uint8Array} bytes 文件名字节
+     * @param {number} flags 通用标志位
+     * @returns {string}
+     */
+    static decodeName(bytes, flags) {
+        if (flags & ZipReader.FLAG_UTF8) {
+            return new TextDecoder('utf-8').decode(bytes);
+        }
+
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch (error) {
+            return new TextDecoder('gbk').decode(bytes);
+        }
+    }
+
+    /**
+     * 是否为系统生成的隐藏文件（macOS 的 __MACOSX 目录和 .DS_Store 等）
+     * @param {string} name 路径
+     * @returns {boolean}
+     */
+    static isHiddenFile(name) {
+        return name.startsWith('__MACOSX/') || name.split('/').some(part => part.startsWith('.'));
+    }
+
+    /**
+     * 解出一个条目
+     * @param {Uint8Array} bytes 文件内容
+     * @param {DataView} view 文件内容的视图
+     * @param {Object} entry 条目
+     * @returns {Promise<Blob>}
+     */
+    static async readEntry(bytes, view, entry) {
+        if (entry.flags & ZipReader.FLAG_ENCRYPTED) {
+            throw new Error(`不支持加密的压缩包：${entry.name}`);
+        }
+        if (view.getUint32(entry.offset, true) !== ZipReader.LOCAL_SIGNATURE) {
+            throw new Error('ZIP 文件已损坏');
+        }
+
+        // 本地文件头的文件名和扩展字段长度可能与中央目录中的不同
+        const start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+        const data = bytes.subarray(start, start + entry.compressedSize);
+
+        if (entry.method === ZipReader.METHOD_STORED) {
+            return new Blob([data]);
+        }
+
+        if (entry.method === ZipReader.METHOD_DEFLATE) {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error('当前浏览器不支持解压 ZIP 文件');
+            }
+            const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            return new Response(stream).blob();
+        }
+
+        throw new Error(`不支持的压缩方式：${entry.name}`);
+    }
+}
+
+// 记录签名
+ZipReader.LOCAL_SIGNATURE = 0x04034b50;
+ZipReader.CENTRAL_SIGNATURE = 0x02014b50;
+ZipReader.END_SIGNATURE = 0x06054b50;
+
+// 压缩方式：不压缩、deflate
+ZipReader.METHOD_STORED = 0;
+ZipReader.METHOD_DEFLATE = 8;
+
+// 通用标志位：加密、文件名为 UTF-8
+ZipReader.FLAG_ENCRYPTED = 0x0001;
+ZipReader.FLAG_UTF8 = 0x0800;
@@ -0,0 +1,86 @@
+/**
+ * 缩放控件类
+ * 画布右下角的缩小、放大、适应窗口、100% 和缩放到选中内容按钮，以及当前缩放比例
+ */
+
+class ZoomControls {
+    /**
+     * 构造函数
+     * @param {ImageEditor} editor 编辑器实例
+     */
+    constructor(editor) {
+        this.editor = editor;
+        this.elements = {};
+
+        this.sync = this.sync.bind(this);
+
+        this.initialize();
+    }
+
+    /**
+     * 初始化控件
+     */
+    initialize() {
+        this.getElements();
+        this.bindEvents();
+
+        this.editor.on('viewportchange', this.sync);
+        this.editor.on('selectionchange', this.sync);
+        this.editor.on('statechange', this.sync);
+
+        this.sync();
+    }
+
+    /**
+     * 获取DOM元素引用
+     */
+    getElements() {
+        this.elements = {
+            controls: document.getElementById('zoomControls'),
+            zoomOutBtn: document.getElementById('zoomOutBtn'),
+            zoomInBtn: document.getElementById('zoomInBtn'),
+            level: document.getElementById('zoomLevel'),
+            fitBtn: document.getElementById('zoomFitBtn'),
+            selectionBtn: document.getElementById('zoomSelectionBtn')
+        };
+    }
+
+    /**
+     * 绑定事件处理器
+     */
+    bindEvents() {
+        const { zoomOutBtn, zoomInBtn, level, fitBtn, selectionBtn } = this.elements;
+
+        zoomOutBtn.addEventListener('click', () => this.editor.zoomStep(-1));
+        zoomInBtn.addEventListener('click', () => this.editor.zoomStep(1));
+        level.addEventListener('click', () => this.editor.zoomToActual());
+        fitBtn.addEventListener('click', () => this.editor.zoomToFit());
+        selectionBtn.addEventListener('click', () => this.editor.zoomToSelection());
+    }
+
+    /**
+     * 按编辑器的视口和选择同步控件
+     */
+    sync() {
+        if (!this.editor) return;
+
+        const { controls, zoomOutBtn, zoomInBtn, level, selectionBtn } = this.elements;
+        const { zoom } = this.editor.viewport;
+
+        controls.classList.toggle('hidden', !this.editor.originalImage);
+        level.textContent = `${Math.round(zoom * 100)}%`;
+        zoomOutBtn.disabled = zoom <= ImageEditor.MIN_ZOOM;
+        zoomInBtn.disabled = zoom >= ImageEditor.MAX_ZOOM;
+        selectionBtn.disabled = this.editor.selectedStickers.length === 0;
+    }
+
+    /**
+     * 销毁控件
+     */
+    destroy() {
+        this.editor.off('viewportchange', this.sync);
+        this.editor.off('selectionchange', this.sync);
+        this.editor.off('statechange', this.sync);
+        this.editor = null;
+    }
+}
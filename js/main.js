@@ -9,7 +9,28 @@ class StickerEditor {
         this.imageEditor = null;
         this.eventHandler = null;
         this.gestureHandler = null;
+        this.viewportHandler = null;
+        this.brushTool = null;
+        this.cropTool = null;
         this.exportManager = null;
+        this.projectManager = null;
+        this.autosaveManager = null;
+        this.stickerPackManager = null;
+        this.stickerLibrary = null;
+        this.textPanel = null;
+        this.shapePanel = null;
+        this.layerPanel = null;
+        this.zoomControls = null;
+        this.historyPanel = null;
+        this.animationExportPanel = null;
+        this.adjustmentPanel = null;
+        this.canvasPanel = null;
+        this.effectsPanel = null;
+        this.backgroundRemovalDialog = null;
+        this.newCanvasDialog = null;
+        this.emojiPicker = null;
+        this.stickerPackPanel = null;
+        this.stickerLibraryPanel = null;
 
         // UI元素
         this.elements = {};
@@ -52,6 +73,7 @@ class StickerEditor {
             // 上传相关
             uploadArea: document.getElementById('uploadArea'),
             imageUpload: document.getElementById('imageUpload'),
+            newCanvasBtn: document.getElementById('newCanvasBtn'),
             customStickerBtn: document.getElementById('customStickerBtn'),
             customStickerUpload: document.getElementById('customStickerUpload'),
 
@@ -66,7 +88,16 @@ class StickerEditor {
             undoBtn: document.getElementById('undoBtn'),
             redoBtn: document.getElementById('redoBtn'),
             clearBtn: document.getElementById('clearBtn'),
-            resetBtn: document.getElementById('resetBtn')
+            resetBtn: document.getElementById('resetBtn'),
+            saveProjectBtn: document.getElementById('saveProjectBtn'),
+            openProjectBtn: document.getElementById('openProjectBtn'),
+            projectUpload: document.getElementById('projectUpload'),
+
+            // 会话恢复
+            restoreBanner: document.getElementById('restoreBanner'),
+            restoreBannerText: document.getElementById('restoreBannerText'),
+            restoreSessionBtn: document.getElementById('restoreSessionBtn'),
+            discardSessionBtn: document.getElementById('discardSessionBtn')
         };
     }
 
@@ -77,7 +108,8 @@ class StickerEditor {
         // 创建图片编辑器
         this.imageEditor = new ImageEditor('editCanvas', {
             maxDisplayWidth: 800,
-            maxDisplayHeight: 600
+            maxDisplayHeight: 600,
+            historyDepth: 50
         });
 
         // 创建事件处理器
@@ -86,9 +118,75 @@ class StickerEditor {
         // 创建手势处理器（移动端）
         this.gestureHandler = new GestureHandler(this.elements.canvas, this.imageEditor);
 
+        // 创建视口处理器（缩放和平移）
+        this.viewportHandler = new ViewportHandler(this.elements.canvasContainer, this.imageEditor);
+
+        // 创建画笔工具
+        this.brushTool = new BrushTool(this.elements.canvas, this.imageEditor);
+
+        // 创建裁剪工具
+        this.cropTool = new CropTool(this.elements.canvas, this.imageEditor);
+
         // 创建导出管理器
         this.exportManager = new ExportManager(this.imageEditor);
 
+        // 创建项目管理器
+        this.projectManager = new ProjectManager(this.imageEditor, this.exportManager);
+
+        // 创建自动保存管理器
+        this.autosaveManager = new AutosaveManager(this.imageEditor, this.projectManager);
+
+        // 创建贴纸包管理器
+        this.stickerPackManager = new StickerPackManager();
+
+        // 创建贴纸库（我的贴纸）
+        this.stickerLibrary = new StickerLibrary();
+
+        // 创建文字属性面板
+        this.textPanel = new TextPanel(this.imageEditor);
+
+        // 创建形状面板
+        this.shapePanel = new ShapePanel(this.imageEditor);
+
+        // 创建图层面板
+        this.layerPanel = new LayerPanel(this.imageEditor);
+
+        // 创建缩放控件
+        this.zoomControls = new ZoomControls(this.imageEditor);
+
+        // 创建历史记录面板
+        this.historyPanel = new HistoryPanel(this.imageEditor);
+
+        // 创建动画导出面板
+        this.animationExportPanel = new AnimationExportPanel(this.imageEditor, this.exportManager);
+
+        // 创建图片调整面板
+        this.adjustmentPanel = new AdjustmentPanel(this.imageEditor);
+
+        // 创建画布边距和背景面板
+        this.canvasPanel = new CanvasPanel(this.imageEditor);
+
+        // 创建贴纸效果面板
+        this.effectsPanel = new EffectsPanel(this.imageEditor);
+
+        // 创建自定义贴纸的背景移除对话框
+        this.backgroundRemovalDialog = new BackgroundRemovalDialog();
+
+        // 创建新建空白画布对话框
+        this.newCanvasDialog = new NewCanvasDialog();
+
+        // 创建表情选择器
+        this.emojiPicker = new EmojiPicker();
+
+        // 创建贴纸包面板
+        this.stickerPackPanel = new StickerPackPanel(this.imageEditor, this.stickerPackManager);
+
+        // 创建我的贴纸面板
+        this.stickerLibraryPanel = new StickerLibraryPanel(this.imageEditor, this.stickerLibrary);
+
+        // 编辑器状态变化时刷新工具栏
+        this.imageEditor.on('statechange', () => this.updateToolbarState());
+
         // 添加Canvas悬停事件监听
         this.eventHandler.addHoverListeners();
     }
@@ -117,7 +215,7 @@ class StickerEditor {
      * 绑定上传相关事件
      */
     bindUploadEvents() {
-        const { uploadArea, imageUpload, customStickerBtn, customStickerUpload } = this.elements;
+        const { uploadArea, imageUpload, newCanvasBtn, customStickerBtn, customStickerUpload } = this.elements;
 
         // 点击上传区域
         uploadArea.addEventListener('click', () => {
@@ -159,6 +257,9 @@ class StickerEditor {
             }
         });
 
+        // 新建空白画布
+        newCanvasBtn.addEventListener('click', () => this.createBlankCanvas());
+
         // 自定义贴纸上传
         customStickerBtn.addEventListener('click', () => {
             customStickerUpload.click();
@@ -197,15 +298,7 @@ class StickerEditor {
         // 导出分辨率选择
         exportBtns.forEach(btn => {
             btn.addEventListener('click', () => {
-                // 移除其他按钮的active类
-                exportBtns.forEach(b => b.classList.remove('active'));
-
-                // 添加当前按钮的active类
-                btn.classList.add('active');
-
-                // 更新导出分辨率
-                this.currentExportScale = parseInt(btn.dataset.scale);
-                this.exportManager.setExportScale(this.currentExportScale);
+                this.setExportScale(parseInt(btn.dataset.scale));
             });
         });
 
@@ -226,11 +319,24 @@ class StickerEditor {
         });
     }
 
+    /**
+     * 设置导出分辨率并同步按钮状态
+     * @param {number} scale 导出倍数
+     */
+    setExportScale(scale) {
+        this.elements.exportBtns.forEach(btn => {
+            btn.classList.toggle('active', parseInt(btn.dataset.scale) === scale);
+        });
+
+        this.currentExportScale = scale;
+        this.exportManager.setExportScale(scale);
+    }
+
     /**
      * 绑定工具栏事件
      */
     bindToolbarEvents() {
-        const { undoBtn, redoBtn, clearBtn, resetBtn } = this.elements;
+        const { undoBtn, redoBtn, clearBtn, resetBtn, saveProjectBtn, openProjectBtn, projectUpload } = this.elements;
 
         undoBtn.addEventListener('click', () => {
             this.imageEditor.undo();
@@ -259,6 +365,50 @@ class StickerEditor {
                 }
             }
         });
+
+        saveProjectBtn.addEventListener('click', () => this.saveProject());
+
+        openProjectBtn.addEventListener('click', () => {
+            projectUpload.click();
+        });
+
+        projectUpload.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                await this.openProject(file);
+                e.target.value = '';
+            }
+        });
+    }
+
+    /**
+     * 保存项目文件
+     */
+    async saveProject() {
+        if (!this.imageEditor.originalImage) {
+            Utils.showToast('请先上传图片', 'error');
+            return;
+        }
+
+        await this.projectManager.saveProject();
+    }
+
+    /**
+     * 打开项目文件
+     * @param {File} file 项目文件
+     */
+    async openProject(file) {
+        const hasContent = this.imageEditor.originalImage || this.imageEditor.stickers.length > 0;
+        if (hasContent && !confirm('打开项目将替换当前内容，确定继续吗？')) {
+            return;
+        }
+
+        const exportSettings = await this.projectManager.openProject(file);
+        if (exportSettings && exportSettings.scale) {
+            this.setExportScale(exportSettings.scale);
+        }
+
+        this.updateToolbarState();
     }
 
     /**
@@ -266,6 +416,11 @@ class StickerEditor {
      */
     bindKeyboardEvents() {
         document.addEventListener('keydown', (e) => {
+            // 输入框内保留浏览器自身的撤销行为
+            if (Utils.isEditableTarget(e.target) && e.key === 'z') {
+                return;
+            }
+
             // Ctrl/Cmd + Z: 撤销
             if ((e.ctrlKey || e.metaKey) && e.key === 'z' && !e.shiftKey) {
                 e.preventDefault();
@@ -287,6 +442,18 @@ class StickerEditor {
                     this.exportManager.downloadImage(this.currentExportScale);
                 }
             }
+
+            // Ctrl/Cmd + Shift + S: 保存项目
+            if ((e.ctrlKey || e.metaKey) && e.key === 'S' && e.shiftKey) {
+                e.preventDefault();
+                this.saveProject();
+            }
+
+            // Ctrl/Cmd + O: 打开项目
+            if ((e.ctrlKey || e.metaKey) && (e.key === 'o' || e.key === 'O')) {
+                e.preventDefault();
+                this.elements.projectUpload.click();
+            }
         });
     }
 
@@ -303,6 +470,33 @@ class StickerEditor {
         }
     }
 
+    /**
+     * 新建空白画布：选择尺寸和背景填充后，以同样尺寸的透明图片作为背景图片载入新文档
+     */
+    async createBlankCanvas() {
+        const options = await this.newCanvasDialog.open();
+        if (!options) return;
+
+        const hasContent = this.imageEditor.originalImage || this.imageEditor.stickers.length > 0;
+        if (hasContent && !confirm('新建画布将替换当前内容，确定继续吗？')) {
+            return;
+        }
+
+        try {
+            const image = await CanvasFrame.createBlankImage(options.width, options.height);
+            const assetId = await this.imageEditor.assets.add(image);
+            try {
+                this.imageEditor.loadDocument(image, [], {}, null, options.canvasFrame);
+            } finally {
+                this.imageEditor.assets.release([assetId]);
+            }
+            this.updateToolbarState();
+        } catch (error) {
+            console.error('新建画布失败:', error);
+            Utils.showToast(error.message, 'error');
+        }
+    }
+
     /**
      * 添加Emoji贴纸
      * @param {string} emoji Emoji字符
@@ -310,6 +504,7 @@ class StickerEditor {
     addEmojiSticker(emoji) {
         const sticker = this.imageEditor.addSticker('emoji', emoji);
         if (sticker) {
+            this.emojiPicker.addRecent(emoji);
             this.updateToolbarState();
         }
     }
@@ -320,23 +515,56 @@ class StickerEditor {
      */
     async addCustomSticker(file) {
         try {
-            const validation = Utils.validateImageFile(file);
+            const validation = Utils.validateImageFile(file, { allowSvg: true, allowGif: true });
             if (!validation.valid) {
                 Utils.showToast(validation.error, 'error');
                 return;
             }
 
-            const image = await Utils.loadImageFile(file);
-            const sticker = this.imageEditor.addSticker('image', image);
+            if (!this.imageEditor.originalImage) {
+                Utils.showToast('请先加载图片', 'error');
+                return;
+            }
+
+            // 上传过的文件直接使用我的贴纸中保存的版本，不用再次移除背景
+            let image = await this.stickerLibraryPanel.findUpload(file);
+            const isSaved = !!image;
+
+            if (!isSaved) {
+                // SVG 清理后保持矢量，导出时按实际尺寸栅格化；GIF、APNG 和动画 WebP 解码为帧序列
+                const isSvg = Utils.isSvgFile(file);
+                image = isSvg ? await SvgImage.load(file) : await AnimatedImage.load(file);
+
+                // 不透明的静态图片（通常是纯色背景的 JPEG）先移除背景
+                if (!isSvg && !image.animation && !DieCut.hasTransparency(image)) {
+                    image = await this.backgroundRemovalDialog.open(image);
+                    if (!image) return;
+                }
+
+                await this.stickerLibraryPanel.saveUpload(file, image);
+            }
+
+            const assetId = await this.imageEditor.assets.add(image);
+
+            // 带透明背景的静态图片自动加上模切白边（动画贴纸的轮廓每一帧都不同）；
+            // 贴纸添加后由历史记录持有资源，添加失败时资源随之释放
+            let sticker;
+            try {
+                sticker = this.imageEditor.addSticker('image', image, undefined, undefined, {
+                    dieCut: { enabled: !image.animation && DieCut.hasTransparency(image, assetId) }
+                });
+            } finally {
+                this.imageEditor.assets.release([assetId]);
+            }
 
             if (sticker) {
                 this.updateToolbarState();
-                Utils.showToast('自定义贴纸添加成功', 'success');
+                Utils.showToast(isSaved ? '已添加我的贴纸中保存的贴纸' : '自定义贴纸添加成功，已保存到我的贴纸', 'success');
             }
 
         } catch (error) {
             console.error('自定义贴纸添加失败:', error);
-            Utils.showToast('自定义贴纸添加失败', 'error');
+            Utils.showToast('自定义贴纸添加失败: ' + error.message, 'error');
         }
     }
 
@@ -417,6 +645,8 @@ class StickerEditor {
         this.elements.redoBtn.style.opacity = state.canRedo ? '1' : '0.5';
         this.elements.undoBtn.disabled = !state.canUndo;
         this.elements.redoBtn.disabled = !state.canRedo;
+        this.elements.undoBtn.title = state.undoLabel ? `撤销: ${state.undoLabel}` : '撤销';
+        this.elements.redoBtn.title = state.redoLabel ? `重做: ${state.redoLabel}` : '重做';
 
         // 更新清除按钮状态
         this.elements.clearBtn.style.opacity = state.stickerCount > 0 ? '1' : '0.5';
@@ -429,6 +659,10 @@ class StickerEditor {
 
         // 更新下载按钮状态
         this.elements.downloadBtn.disabled = !state.hasImage;
+
+        // 更新保存项目按钮状态
+        this.elements.saveProjectBtn.style.opacity = state.hasImage ? '1' : '0.5';
+        this.elements.saveProjectBtn.disabled = !state.hasImage;
     }
 
     /**
@@ -437,8 +671,53 @@ class StickerEditor {
     setupInitialState() {
         this.updateToolbarState();
 
-        // 显示使用提示
-        Utils.showToast('欢迎使用贴纸编辑器！上传图片开始创作吧 🎨', 'info', 4000);
+        // 检查是否有可恢复的会话
+        this.checkSavedSession();
+    }
+
+    /**
+     * 检查上次自动保存的会话，存在时提示恢复
+     * 提示期间的编辑照常自动保存（保存到草稿），恢复前如有内容需要确认
+     */
+    async checkSavedSession() {
+        const session = await this.autosaveManager.getSavedSession();
+
+        if (!session) {
+            // 显示使用提示
+            Utils.showToast('欢迎使用贴纸编辑器！上传图片开始创作吧 🎨', 'info', 4000);
+            return;
+        }
+
+        const { restoreBanner, restoreBannerText, restoreSessionBtn, discardSessionBtn } = this.elements;
+        const savedAt = new Date(session.savedAt).toLocaleString();
+
+        restoreBannerText.textContent = `发现上次未完成的编辑（${savedAt}），是否恢复？`;
+        restoreBanner.classList.remove('hidden');
+
+        const close = () => {
+            restoreBanner.classList.add('hidden');
+            restoreSessionBtn.onclick = null;
+            discardSessionBtn.onclick = null;
+        };
+
+        restoreSessionBtn.onclick = async () => {
+            if (this.imageEditor.originalImage && !confirm('恢复上次的编辑将替换当前内容，确定继续吗？')) {
+                return;
+            }
+
+            close();
+            const exportSettings = await this.autosaveManager.restoreSession();
+            if (exportSettings && exportSettings.scale) {
+                this.setExportScale(exportSettings.scale);
+            }
+            this.updateToolbarState();
+        };
+
+        discardSessionBtn.onclick = async () => {
+            close();
+            await this.autosaveManager.discardSession();
+            Utils.showToast('已丢弃上次的编辑', 'info');
+        };
     }
 
     /**
@@ -465,10 +744,86 @@ class StickerEditor {
             this.gestureHandler.destroy();
         }
 
+        if (this.viewportHandler) {
+            this.viewportHandler.destroy();
+        }
+
+        if (this.brushTool) {
+            this.brushTool.destroy();
+        }
+
+        if (this.cropTool) {
+            this.cropTool.destroy();
+        }
+
         if (this.exportManager) {
             this.exportManager.destroy();
         }
 
+        if (this.autosaveManager) {
+            this.autosaveManager.destroy();
+        }
+
+        if (this.projectManager) {
+            this.projectManager.destroy();
+        }
+
+        if (this.textPanel) {
+            this.textPanel.destroy();
+        }
+
+        if (this.shapePanel) {
+            this.shapePanel.destroy();
+        }
+
+        if (this.layerPanel) {
+            this.layerPanel.destroy();
+        }
+
+        if (this.zoomControls) {
+            this.zoomControls.destroy();
+        }
+
+        if (this.historyPanel) {
+            this.historyPanel.destroy();
+        }
+
+        if (this.animationExportPanel) {
+            this.animationExportPanel.destroy();
+        }
+
+        if (this.adjustmentPanel) {
+            this.adjustmentPanel.destroy();
+        }
+
+        if (this.canvasPanel) {
+            this.canvasPanel.destroy();
+        }
+
+        if (this.effectsPanel) {
+            this.effectsPanel.destroy();
+        }
+
+        if (this.backgroundRemovalDialog) {
+            this.backgroundRemovalDialog.destroy();
+        }
+
+        if (this.newCanvasDialog) {
+            this.newCanvasDialog.destroy();
+        }
+
+        if (this.emojiPicker) {
+            this.emojiPicker.destroy();
+        }
+
+        if (this.stickerPackPanel) {
+            this.stickerPackPanel.destroy();
+        }
+
+        if (this.stickerLibraryPanel) {
+            this.stickerLibraryPanel.destroy();
+        }
+
         if (this.imageEditor) {
             this.imageEditor.destroy();
         }
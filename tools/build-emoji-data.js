@@ -0,0 +1,232 @@
+/**
+ * 表情数据生成脚本
+ * 读取 Unicode 的 emoji-test.txt（https://unicode.org/Public/emoji/15.1/emoji-test.txt）
+ * 和 tools/emoji-zh.txt 中的中文关键词，生成 js/EmojiData.js。
+ *
+ * 用法：node tools/build-emoji-data.js <emoji-test.txt>
+ *
+ * 只收录完全限定（fully-qualified）的表情；肤色变体并入基础表情，
+ * “man …”“woman …”并入对应的不分性别的表情，作为表情面板中的肤色和性别选择
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Unicode 分组对应的表情面板分类（Component 组为肤色、发型等组件，不单独显示）
+const CATEGORIES = {
+    'Smileys & Emotion': { id: 'smileys', label: '笑脸与情感', icon: '😀' },
+    'People & Body': { id: 'people', label: '人物与身体', icon: '👋' },
+    'Animals & Nature': { id: 'nature', label: '动物与自然', icon: '🐻' },
+    'Food & Drink': { id: 'food', label: '食物与饮料', icon: '🍔' },
+    'Travel & Places': { id: 'travel', label: '旅行与地点', icon: '✈️' },
+    'Activities': { id: 'activities', label: '活动', icon: '⚽' },
+    'Objects': { id: 'objects', label: '物品', icon: '💡' },
+    'Symbols': { id: 'symbols', label: '符号', icon: '🔣' },
+    'Flags': { id: 'flags', label: '旗帜', icon: '🏁' }
+};
+
+// 五种肤色在名称中的写法，顺序与表情面板的肤色选择一致
+const SKIN_TONES = [
+    'light skin tone',
+    'medium-light skin tone',
+    'medium skin tone',
+    'medium-dark skin tone',
+    'dark skin tone'
+];
+
+/**
+ * 解析 emoji-test.txt
+ * @param {string} text 文件内容
+ * @returns {Object[]} {group, subgroup, emoji, name}
+ */
+function parseEmojiTest(text) {
+    const items = [];
+    let group = null;
+    let subgroup = null;
+
+    text.split('\n').forEach(line => {
+        if (line.startsWith('# group:')) {
+            group = line.slice(8).trim();
+        } else if (line.startsWith('# subgroup:')) {
+            subgroup = line.slice(11).trim();
+        } else if (line && !line.startsWith('#')) {
+            const match = line.match(/^[0-9A-F ]+;\s*(\S+)\s*#\s*(\S+)\s+E\d+\.\d+\s+(.+)$/);
+            if (match && match[1] === 'fully-qualified' && CATEGORIES[group]) {
+                items.push({ group, subgroup, emoji: match[2], name: match[3].trim() });
+            }
+        }
+    });
+
+    return items;
+}
+
+/**
+ * 读取中文关键词
+ * @param {string} file 文件路径
+ * @returns {Map<string, string>} 英文名称到关键词
+ */
+function readKeywords(file) {
+    const keywords = new Map();
+
+    fs.readFileSync(file, 'utf8').split('\n').forEach(line => {
+        if (!line.trim() || line.startsWith('#')) return;
+
+        const [name, words] = line.split('\t');
+        keywords.set(name, (words || '').trim());
+    });
+
+    return keywords;
+}
+
+/**
+ * 查找表情的五种肤色变体
+ * 名称形如“waving hand: medium skin tone”，带属性的表情形如“man: medium skin tone, beard”
+ * @param {Object} item 表情
+ * @param {Map<string, Object>} byName 名称到表情
+ * @returns {string[]|null}
+ */
+function findSkinTones(item, byName) {
+    const [head, tail] = item.name.split(': ');
+    const names = SKIN_TONES.map(tone => (tail ? `${head}: ${tone}, ${tail}` : `${item.name}: ${tone}`));
+    const variants = names.map(name => byName.get(name));
+
+    return variants.every(Boolean) ? variants.map(variant => variant.emoji) : null;
+}
+
+/**
+ * 生成表情数据
+ * @param {Object[]} items 解析出的表情
+ * @param {Map<string, string>} keywords 中文关键词
+ * @returns {Object[]} 分类数组
+ */
+function buildCategories(items, keywords) {
+    const byName = new Map(items.map(item => [item.name, item]));
+    const bases = items.filter(item => !SKIN_TONES.some(tone => item.name.includes(tone)));
+    const baseNames = new Set(bases.map(item => item.name));
+
+    // 不分性别的表情及其男性、女性版本：“person running”对应“man running”，“detective”对应“man detective”
+    const gendered = new Set();
+    const genders = new Map();
+    bases.forEach(item => {
+        const rest = item.name.startsWith('person') ? item.name.slice(6) : ` ${item.name}`;
+        const man = `man${rest}`;
+        const woman = `woman${rest}`;
+
+        if (man !== item.name && baseNames.has(man) && baseNames.has(woman)) {
+            genders.set(item.name, { man: byName.get(man), woman: byName.get(woman) });
+            gendered.add(man);
+            gendered.add(woman);
+        }
+    });
+
+    const variant = item => {
+        const tones = findSkinTones(item, byName);
+        return tones ? { e: item.emoji, t: tones } : { e: item.emoji };
+    };
+
+    const missing = [];
+    const categories = Object.values(CATEGORIES).map(category => ({ ...category, emojis: [] }));
+
+    bases.filter(item => !gendered.has(item.name)).forEach(item => {
+        const category = categories.find(c => c.id === CATEGORIES[item.group].id);
+        let words = keywords.get(item.name);
+        if (words === undefined) {
+            missing.push(item.name);
+            words = '';
+        }
+
+        // 国家和地区旗帜都可以用“国旗”搜到
+        if (item.subgroup === 'country-flag' || item.subgroup === 'subdivision-flag') {
+            words = `${words} 国旗 旗帜`.trim();
+        }
+
+        const entry = { ...variant(item), n: item.name, k: words };
+        const pair = genders.get(item.name);
+        if (pair) {
+            entry.g = { man: variant(pair.man), woman: variant(pair.woman) };
+        }
+        category.emojis.push(entry);
+    });
+
+    if (missing.length > 0) {
+        console.warn(`以下 ${missing.length} 个表情缺少中文关键词：\n${missing.join('\n')}`);
+    }
+
+    return categories;
+}
+
+/**
+ * 把单个表情写成一行
+ * @param {Object} entry 表情
+ * @returns {string}
+ */
+function formatEntry(entry) {
+    const variant = value => (value.t
+        ? `{ e: ${JSON.stringify(value.e)}, t: ${JSON.stringify(value.t)} }`
+        : `{ e: ${JSON.stringify(value.e)} }`);
+
+    const fields = [`e: ${JSON.stringify(entry.e)}`, `n: ${JSON.stringify(entry.n)}`, `k: ${JSON.stringify(entry.k)}`];
+    if (entry.t) {
+        fields.push(`t: ${JSON.stringify(entry.t)}`);
+    }
+    if (entry.g) {
+        fields.push(`g: { man: ${variant(entry.g.man)}, woman: ${variant(entry.g.woman)} }`);
+    }
+
+    return `{ ${fields.join(', ')} }`;
+}
+
+/**
+ * 生成 js/EmojiData.js 的内容
+ * @param {Object[]} categories 分类数组
+ * @param {string} version emoji 版本
+ * @returns {string}
+ */
+function formatFile(categories, version) {
+    const body = categories.map(category => [
+        '        {',
+        `            id: ${JSON.stringify(category.id)},`,
+        `            label: ${JSON.stringify(category.label)},`,
+        `            icon: ${JSON.stringify(category.icon)},`,
+        '            emojis: [',
+        category.emojis.map(entry => `                ${formatEntry(entry)}`).join(',\n'),
+        '            ]',
+        '        }'
+    ].join('\n')).join(',\n');
+
+    return `/**
+ * 表情数据（由 tools/build-emoji-data.js 生成，请勿手动修改）
+ * 来源为 Unicode ${version} 的 emoji-test.txt 和 tools/emoji-zh.txt 中的中文关键词。
+ * 每个表情为 {e, n, k, t, g}：表情、英文名称、中文关键词、五种肤色变体（可选）、
+ * 男性和女性版本 {man, woman}（可选，各自含 e 和可选的 t）
+ */
+
+const EmojiData = {
+    version: ${JSON.stringify(version)},
+    categories: [
+${body}
+    ]
+};
+`;
+}
+
+function main() {
+    const source = process.argv[2];
+    if (!source) {
+        console.error('用法：node tools/build-emoji-data.js <emoji-test.txt>');
+        process.exit(1);
+    }
+
+    const text = fs.readFileSync(source, 'utf8');
+    const versionMatch = text.match(/^# Version: (\S+)/m);
+    const version = versionMatch ? versionMatch[1] : 'unknown';
+
+    const categories = buildCategories(parseEmojiTest(text), readKeywords(path.join(__dirname, 'emoji-zh.txt')));
+    const output = path.join(__dirname, '..', 'js', 'EmojiData.js');
+    fs.writeFileSync(output, formatFile(categories, version));
+
+    const count = categories.reduce((sum, category) => sum + category.emojis.length, 0);
+    console.log(`已生成 ${path.relative(process.cwd(), output)}：${count} 个表情`);
+}
+
+main();